@@ -0,0 +1,139 @@
+// Default (English) email templates, used when an application has no template of its own
+// (see services/emailTemplates.js). {{name}} placeholders are replaced when the email is
+// rendered; values are HTML escaped in the html part.
+export const EMAIL_TEMPLATES = {
+  verification: {
+    subject: 'Verify your email address for {{application_name}}',
+    text: [
+      'Hi {{first_name}},',
+      '',
+      'Please confirm your email address by opening the link below:',
+      '{{verification_url}}',
+      '',
+      'The link expires at {{expires_at}}. If you did not create an account, you can ignore this email.'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Please confirm your email address by clicking the link below:</p>',
+      '<p><a href="{{verification_url}}">Verify email address</a></p>',
+      '<p>The link expires at {{expires_at}}. If you did not create an account, you can ignore this email.</p>'
+    ].join('\n')
+  },
+
+  password_reset: {
+    subject: 'Reset your {{application_name}} password',
+    text: [
+      'Hi {{first_name}},',
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      '{{reset_url}}',
+      '',
+      'The link expires at {{expires_at}}. If you did not request a password reset, you can ignore this email.'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>We received a request to reset your password. Click the link below to choose a new one:</p>',
+      '<p><a href="{{reset_url}}">Reset password</a></p>',
+      '<p>The link expires at {{expires_at}}. If you did not request a password reset, you can ignore this email.</p>'
+    ].join('\n')
+  },
+
+  invitation: {
+    subject: 'You have been invited to join {{tenant_name}} on {{application_name}}',
+    text: [
+      'Hi,',
+      '',
+      '{{inviter_name}} invited you to join {{tenant_name}} on {{application_name}}. Open the link below to accept the invitation:',
+      '{{invitation_url}}',
+      '',
+      'The invitation expires at {{expires_at}}.'
+    ].join('\n'),
+    html: [
+      '<p>Hi,</p>',
+      '<p>{{inviter_name}} invited you to join {{tenant_name}} on {{application_name}}.</p>',
+      '<p><a href="{{invitation_url}}">Accept invitation</a></p>',
+      '<p>The invitation expires at {{expires_at}}.</p>'
+    ].join('\n')
+  },
+
+  mfa: {
+    subject: 'Two-factor authentication changed on your {{application_name}} account',
+    text: [
+      'Hi {{first_name}},',
+      '',
+      'The two-factor authentication settings of your account were changed at {{changed_at}}.',
+      '',
+      'If you did not make this change, reset your password right away.'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>The two-factor authentication settings of your account were changed at {{changed_at}}.</p>',
+      '<p>If you did not make this change, reset your password right away.</p>'
+    ].join('\n')
+  },
+
+  magic_link: {
+    subject: 'Sign in to {{application_name}}',
+    text: [
+      'Hi {{first_name}},',
+      '',
+      'Open the link below to sign in. The link can only be used once.',
+      '{{login_url}}',
+      '',
+      'The link expires at {{expires_at}}. If you did not try to sign in, you can ignore this email.'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{first_name}},</p>',
+      '<p>Click the link below to sign in. The link can only be used once.</p>',
+      '<p><a href="{{login_url}}">Sign in</a></p>',
+      '<p>The link expires at {{expires_at}}. If you did not try to sign in, you can ignore this email.</p>'
+    ].join('\n')
+  }
+};
+
+export const EMAIL_TEMPLATE_TYPES = Object.keys(EMAIL_TEMPLATES);
+
+// Placeholders available per template type, with example values used when previewing
+export const EMAIL_TEMPLATE_VARIABLES = {
+  verification: {
+    first_name: 'John',
+    last_name: 'Doe',
+    email: 'john.doe@example.com',
+    application_name: 'Finance App',
+    verification_url: 'https://finance.example.com/verify-email?token=example',
+    expires_at: '2025-10-17T18:51:21.091Z'
+  },
+  password_reset: {
+    first_name: 'John',
+    last_name: 'Doe',
+    email: 'john.doe@example.com',
+    application_name: 'Finance App',
+    reset_url: 'https://finance.example.com/reset-password?token=example',
+    expires_at: '2025-10-16T19:51:21.091Z'
+  },
+  invitation: {
+    email: 'john.doe@example.com',
+    application_name: 'Finance App',
+    tenant_name: 'Acme',
+    inviter_name: 'Jane Smith',
+    invitation_url: 'https://finance.example.com/accept-invitation?token=example',
+    expires_at: '2025-10-23T18:51:21.091Z'
+  },
+  mfa: {
+    first_name: 'John',
+    last_name: 'Doe',
+    email: 'john.doe@example.com',
+    application_name: 'Finance App',
+    changed_at: '2025-10-16T18:51:21.091Z'
+  },
+  magic_link: {
+    first_name: 'John',
+    last_name: 'Doe',
+    email: 'john.doe@example.com',
+    application_name: 'Finance App',
+    login_url: 'https://finance.example.com/magic-link?token=example',
+    expires_at: '2025-10-16T19:06:21.091Z'
+  }
+};
+
+export default EMAIL_TEMPLATES;
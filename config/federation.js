@@ -0,0 +1,44 @@
+import * as dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Protocols an identity provider can speak
+export const IDENTITY_PROVIDER_PROTOCOLS = ['oidc', 'saml'];
+
+// User fields that can be filled from the claims (OIDC) or attributes (SAML) of the identity provider
+export const MAPPED_USER_FIELDS = ['email', 'first_name', 'last_name', 'username', 'locale'];
+
+// Claim or attribute names used when a provider does not map a field itself
+export const DEFAULT_ATTRIBUTE_MAPPING = {
+  oidc: {
+    email: 'email',
+    first_name: 'given_name',
+    last_name: 'family_name',
+    username: 'preferred_username',
+    locale: 'locale'
+  },
+  saml: {
+    email: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    first_name: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname',
+    last_name: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname',
+    username: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+    locale: 'locale'
+  }
+};
+
+export const federationConfig = {
+  // How long a user can take to sign in at the identity provider
+  loginRequestTtlMinutes: parseInt(process.env.FEDERATED_LOGIN_TTL_MINUTES || '10'),
+  // How long the frontend has to exchange the login code for a session
+  loginCodeTtlSeconds: parseInt(process.env.FEDERATED_LOGIN_CODE_TTL_SECONDS || '60'),
+  // Page of the application's frontend the user is sent back to, with a login code
+  // (or an error) as query string
+  callbackPath: process.env.FEDERATED_LOGIN_CALLBACK_PATH || '/login/callback',
+  // How long the discovery documents and keys of OIDC identity providers are cached
+  metadataCacheSeconds: parseInt(process.env.FEDERATED_METADATA_CACHE_SECONDS || '3600'),
+  // Used when the application has no app_url
+  defaultAppUrl: process.env.APP_URL || 'http://localhost:3000'
+};
+
+export default federationConfig;
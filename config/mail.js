@@ -0,0 +1,32 @@
+import * as dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Mail configuration. MAIL_TRANSPORT is one of smtp, file or console. The console transport
+// logs every email including its verification and reset links, so it is only the default
+// with NODE_ENV=development.
+export const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'development' ? 'console' : null),
+  from: process.env.MAIL_FROM || 'Sundrops <no-reply@sundrops.local>',
+  // Used for links in emails when the application has no app_url
+  defaultAppUrl: process.env.APP_URL || 'http://localhost:3000',
+  fileDirectory: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  }
+};
+
+if (!mailConfig.transport) {
+  throw new Error('Missing MAIL_TRANSPORT environment variable (smtp, file or console). Please check your .env file.');
+}
+
+if (mailConfig.transport === 'smtp' && !mailConfig.smtp.host) {
+  throw new Error('Missing SMTP_HOST environment variable for the smtp mail transport. Please check your .env file.');
+}
+
+export default mailConfig;
@@ -0,0 +1,28 @@
+import * as dotenv from "dotenv";
+import { PERMISSIONS } from './permissions.js';
+
+// Load environment variables
+dotenv.config();
+
+// Grant types a client can be allowed to use at the token endpoint
+export const OAUTH_GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials'];
+
+// Scopes a user can grant to a client. Clients using the client credentials grant act on their
+// own behalf and can be given API permissions (e.g. `users:read`) as scopes instead.
+export const OAUTH_USER_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+export const OAUTH_SCOPES = [...OAUTH_USER_SCOPES, ...PERMISSIONS];
+
+export const oauthConfig = {
+  // Lifetime of authorization codes, access tokens and refresh tokens
+  authorizationCodeTtlSeconds: parseInt(process.env.OAUTH_CODE_TTL_SECONDS || '300'),
+  accessTokenTtlSeconds: parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL_SECONDS || '3600'),
+  refreshTokenTtlDays: parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL_DAYS || '30'),
+  // Page of the application's frontend where the user signs in and approves a client.
+  // The authorization request is passed on as query string.
+  consentPath: process.env.OAUTH_CONSENT_PATH || '/oauth/authorize',
+  // Used when the application has no app_url
+  defaultAppUrl: process.env.APP_URL || 'http://localhost:3000'
+};
+
+export default oauthConfig;
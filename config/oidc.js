@@ -0,0 +1,27 @@
+import * as dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Algorithms the signing keys can use
+export const SIGNING_ALGORITHMS = ['RS256', 'ES256'];
+
+export const oidcConfig = {
+  // Identifies Sundrops in the iss claim of every token. Must be the public URL of the API.
+  issuer: (process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, ''),
+  // Algorithm of newly generated signing keys
+  signingAlgorithm: process.env.JWT_SIGNING_ALGORITHM || 'RS256',
+  // How long the signing keys are cached before the key store is read again,
+  // so keys rotated by another instance are picked up
+  keyCacheSeconds: parseInt(process.env.SIGNING_KEY_CACHE_SECONDS || '60'),
+  // Age after which the signing key is replaced by a new one. Older keys keep verifying
+  // the tokens they signed until they are retired.
+  rotationDays: parseInt(process.env.SIGNING_KEY_ROTATION_DAYS || '90'),
+  idTokenTtlSeconds: parseInt(process.env.OIDC_ID_TOKEN_TTL_SECONDS || '3600')
+};
+
+if (!SIGNING_ALGORITHMS.includes(oidcConfig.signingAlgorithm)) {
+  throw new Error(`Unsupported JWT_SIGNING_ALGORITHM ${oidcConfig.signingAlgorithm}. Use one of: ${SIGNING_ALGORITHMS.join(', ')}.`);
+}
+
+export default oidcConfig;
@@ -0,0 +1,83 @@
+// Resources that can be protected and the actions available on each of them.
+// Permissions are written as `<resource>:<action>`, e.g. `users:write`.
+export const PERMISSION_RESOURCES = {
+  applications: ['read', 'write', 'delete'],
+  tenants: ['read', 'write', 'delete'],
+  users: ['read', 'write', 'delete'],
+  roles: ['read', 'write', 'delete'],
+  user_roles: ['read', 'write'],
+  api_keys: ['read', 'write', 'delete'],
+  email_templates: ['read', 'write', 'delete'],
+  invitations: ['read', 'write', 'delete'],
+  oauth_clients: ['read', 'write', 'delete'],
+  signing_keys: ['read', 'write'],
+  identity_providers: ['read', 'write', 'delete'],
+};
+
+// Grants every permission
+export const WILDCARD_PERMISSION = '*';
+
+export const PERMISSIONS = Object.entries(PERMISSION_RESOURCES).flatMap(([resource, actions]) =>
+  actions.map(action => `${resource}:${action}`)
+);
+
+/**
+ * Check whether a string is a permission that can be assigned to a role.
+ * Besides the concrete permissions, `*` and `<resource>:*` are accepted.
+ * @param {string} permission - The permission to check
+ * @returns {boolean} True if the permission is known
+ */
+export const isValidPermission = (permission) => {
+  if (permission === WILDCARD_PERMISSION) {
+    return true;
+  }
+
+  const [resource, action] = String(permission).split(':');
+  const actions = PERMISSION_RESOURCES[resource];
+
+  if (!actions) {
+    return false;
+  }
+
+  return action === '*' || actions.includes(action);
+};
+
+// Scopes that limit what an API key can be used for. Besides the permissions above
+// (checked against the route that is called), keys can be allowed on the authentication flows.
+export const AUTH_SCOPES = [
+  'auth:register',
+  'auth:login',
+  'auth:password',
+  'auth:verify-email',
+];
+
+// Scopes for SCIM provisioning clients (/scim/v2). SCIM is only open to keys that have one of them.
+export const SCIM_SCOPES = [
+  'scim:users',
+  'scim:groups',
+];
+
+export const API_KEY_SCOPES = [...PERMISSIONS, ...AUTH_SCOPES, ...SCIM_SCOPES];
+
+/**
+ * Check whether a string is a scope that can be assigned to an API key.
+ * Wildcards are accepted the same way as for permissions.
+ * @param {string} scope - The scope to check
+ * @returns {boolean} True if the scope is known
+ */
+export const isValidApiKeyScope = (scope) => {
+  return isValidPermission(scope) ||
+    scope === 'auth:*' || AUTH_SCOPES.includes(scope) ||
+    scope === 'scim:*' || SCIM_SCOPES.includes(scope);
+};
+
+export default {
+  PERMISSION_RESOURCES,
+  WILDCARD_PERMISSION,
+  PERMISSIONS,
+  AUTH_SCOPES,
+  SCIM_SCOPES,
+  API_KEY_SCOPES,
+  isValidPermission,
+  isValidApiKeyScope,
+};
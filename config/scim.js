@@ -0,0 +1,28 @@
+import * as dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Schema URIs of SCIM 2.0 (RFC 7643 and RFC 7644)
+export const SCIM_SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  schema: 'urn:ietf:params:scim:schemas:core:2.0:Schema'
+};
+
+export const SCIM_CONTENT_TYPE = 'application/scim+json';
+
+export const scimConfig = {
+  // Page size when the client does not ask for one, and the largest page it can ask for
+  defaultCount: parseInt(process.env.SCIM_DEFAULT_COUNT || '100'),
+  maxResults: parseInt(process.env.SCIM_MAX_RESULTS || '200'),
+  // Largest number of operations in a single PATCH request
+  maxPatchOperations: parseInt(process.env.SCIM_MAX_PATCH_OPERATIONS || '100')
+};
+
+export default scimConfig;
@@ -46,6 +46,13 @@ const swaggerOptions = {
               description: 'Whether the application supports multiple tenants',
               example: true
             },
+            app_url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Base URL of the application frontend, used for links in emails',
+              nullable: true,
+              example: 'https://finance.example.com'
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -162,6 +169,12 @@ const swaggerOptions = {
               description: 'User\'s status',
               example: 'active'
             },
+            locale: {
+              type: 'string',
+              description: 'Preferred language of the user\'s emails',
+              nullable: true,
+              example: 'nl-BE'
+            },
             last_login_at: {
               type: 'string',
               format: 'date-time',
@@ -169,6 +182,18 @@ const swaggerOptions = {
               nullable: true,
               example: '2023-12-01T10:30:00Z'
             },
+            failed_login_attempts: {
+              type: 'integer',
+              description: 'Consecutive failed login attempts since the last successful login',
+              example: 0
+            },
+            locked_until: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Account is locked until this timestamp after too many failed logins',
+              nullable: true,
+              example: null
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -314,6 +339,581 @@ const swaggerOptions = {
             }
           },
           required: ['id', 'user_id', 'created_at']
+        },
+        EffectivePermissions: {
+          type: 'object',
+          properties: {
+            user_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'ID of the user the permissions were resolved for',
+              example: '123e4567-e89b-12d3-a456-426614174000'
+            },
+            tenant_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Tenant the roles were resolved in',
+              example: '123e4567-e89b-12d3-a456-426614174001'
+            },
+            roles: {
+              type: 'array',
+              description: 'Roles of the user, both assigned and inherited',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', format: 'uuid' },
+                  name: { type: 'string', example: 'Editor' },
+                  description: { type: 'string', nullable: true },
+                  assigned: {
+                    type: 'boolean',
+                    description: 'True if the role is assigned to the user, false if it is only inherited'
+                  },
+                  parent_role_ids: {
+                    type: 'array',
+                    items: { type: 'string', format: 'uuid' }
+                  }
+                }
+              }
+            },
+            permissions: {
+              type: 'array',
+              description: 'Effective permissions and the roles that grant them',
+              items: {
+                type: 'object',
+                properties: {
+                  permission: { type: 'string', example: 'users:write' },
+                  sources: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        role_id: { type: 'string', format: 'uuid' },
+                        role_name: { type: 'string', example: 'Editor' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        EmailTemplate: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Unique identifier for the template'
+            },
+            application_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Application the template belongs to'
+            },
+            tenant_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Tenant the template overrides the application template for (null for the application template)',
+              nullable: true
+            },
+            type: {
+              type: 'string',
+              enum: ['verification', 'password_reset', 'invitation', 'mfa', 'magic_link'],
+              description: 'The email the template is used for'
+            },
+            locale: {
+              type: 'string',
+              description: 'Language of the template',
+              example: 'nl-BE'
+            },
+            subject: {
+              type: 'string',
+              example: 'Bevestig je e-mailadres voor {{application_name}}'
+            },
+            text_body: {
+              type: 'string',
+              description: 'Plain text body with {{name}} placeholders'
+            },
+            html_body: {
+              type: 'string',
+              description: 'HTML body with {{name}} placeholders (values are HTML escaped)',
+              nullable: true
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deleted_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        Invitation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Unique identifier for the invitation'
+            },
+            tenant_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Tenant the invitee joins'
+            },
+            application_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Application of the tenant'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'jane.doe@example.com'
+            },
+            role_ids: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'uuid'
+              },
+              description: 'Roles assigned to the user when the invitation is accepted'
+            },
+            locale: {
+              type: 'string',
+              description: 'Language of the invitation email',
+              nullable: true,
+              example: 'nl-BE'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'revoked', 'expired']
+            },
+            invited_by: {
+              type: 'string',
+              format: 'uuid',
+              description: 'User who sent the invitation',
+              nullable: true
+            },
+            expires_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            last_sent_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            send_count: {
+              type: 'integer',
+              description: 'Number of times the invitation was emailed'
+            },
+            accepted_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            accepted_user_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'User created when the invitation was accepted',
+              nullable: true
+            },
+            revoked_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        OAuthClient: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Unique identifier of the client record'
+            },
+            application_id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Application whose users the client can get access to'
+            },
+            client_id: {
+              type: 'string',
+              description: 'Public identifier the client uses in OAuth requests'
+            },
+            name: {
+              type: 'string',
+              example: 'Acme Reporting'
+            },
+            client_type: {
+              type: 'string',
+              enum: ['confidential', 'public'],
+              description: 'Confidential clients authenticate with a secret, public clients only with PKCE'
+            },
+            redirect_uris: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['https://reports.acme.com/oauth/callback']
+            },
+            grant_types: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['authorization_code', 'refresh_token', 'client_credentials']
+              }
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Scopes the client may ask for',
+              example: ['openid', 'profile', 'email', 'offline_access']
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deleted_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        OAuthConsent: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Scopes the user approved'
+            },
+            client: {
+              type: 'object',
+              properties: {
+                client_id: {
+                  type: 'string'
+                },
+                name: {
+                  type: 'string'
+                }
+              }
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        OAuthError: {
+          type: 'object',
+          description: 'Error of the OAuth endpoints (RFC 6749 section 5.2)',
+          properties: {
+            error: {
+              type: 'string',
+              example: 'invalid_grant'
+            },
+            error_description: {
+              type: 'string',
+              example: 'Invalid, expired or already used authorization code'
+            }
+          }
+        },
+        IdentityProvider: {
+          type: 'object',
+          description: 'External identity provider (OIDC or SAML 2.0) the users of a tenant can sign in with. The client secret is never returned.',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            tenant_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            application_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            name: {
+              type: 'string',
+              description: 'Shown on the login page',
+              example: 'Acme Azure AD'
+            },
+            protocol: {
+              type: 'string',
+              enum: ['oidc', 'saml']
+            },
+            config: {
+              type: 'object',
+              description: 'OIDC: issuer, client_id, scopes. SAML: entry_point, idp_entity_id, idp_certificates, name_id_format.',
+              example: { issuer: 'https://login.microsoftonline.com/acme-tenant-id/v2.0', client_id: '5f1c0e8b-acme', scopes: ['openid', 'email', 'profile'] }
+            },
+            has_client_secret: {
+              type: 'boolean'
+            },
+            attribute_mapping: {
+              type: 'object',
+              description: 'Claim (OIDC) or attribute (SAML) names for email, first_name, last_name, username and locale. Unmapped fields use the standard OIDC claims or the common SAML claim URIs.',
+              example: { first_name: 'given_name', last_name: 'family_name' }
+            },
+            jit_provisioning: {
+              type: 'boolean',
+              description: 'Create users that sign in for the first time'
+            },
+            trust_email: {
+              type: 'boolean',
+              description: 'Treat email addresses from the provider as verified and link new identities to existing users with the same verified address. Only super admin API keys can set it or change a provider that has it.'
+            },
+            default_role_ids: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'uuid'
+              },
+              description: 'Roles given to users created by just-in-time provisioning'
+            },
+            enabled: {
+              type: 'boolean'
+            },
+            service_provider: {
+              type: 'object',
+              description: 'URLs to register at the identity provider: redirect_uri (OIDC), or entity_id, acs_url and metadata_url (SAML)'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        SigningKey: {
+          type: 'object',
+          description: 'Key that signs access tokens, ID tokens and MFA challenges. The private key is never returned.',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            kid: {
+              type: 'string',
+              description: 'Key ID in the header of the tokens the key signs (JWK thumbprint)'
+            },
+            algorithm: {
+              type: 'string',
+              enum: ['RS256', 'ES256']
+            },
+            public_jwk: {
+              type: 'object',
+              description: 'The public key as published in /.well-known/jwks.json'
+            },
+            status: {
+              type: 'string',
+              enum: ['current', 'active', 'retired'],
+              description: 'current: signs new tokens; active: only verifies tokens it signed before; retired: tokens it signed are rejected'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            },
+            retired_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        ScimUser: {
+          type: 'object',
+          description: 'SCIM 2.0 User resource (RFC 7643 section 4.1)',
+          properties: {
+            schemas: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['urn:ietf:params:scim:schemas:core:2.0:User']
+            },
+            id: {
+              type: 'string',
+              format: 'uuid',
+              readOnly: true
+            },
+            externalId: {
+              type: 'string',
+              description: 'ID of the user in the directory'
+            },
+            userName: {
+              type: 'string',
+              example: 'jane.doe@acme.com'
+            },
+            name: {
+              type: 'object',
+              properties: {
+                givenName: { type: 'string', example: 'Jane' },
+                familyName: { type: 'string', example: 'Doe' },
+                formatted: { type: 'string', readOnly: true }
+              }
+            },
+            displayName: {
+              type: 'string'
+            },
+            emails: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string', format: 'email' },
+                  type: { type: 'string', example: 'work' },
+                  primary: { type: 'boolean' }
+                }
+              }
+            },
+            locale: {
+              type: 'string',
+              example: 'nl-BE'
+            },
+            active: {
+              type: 'boolean'
+            },
+            password: {
+              type: 'string',
+              writeOnly: true
+            },
+            groups: {
+              type: 'array',
+              readOnly: true,
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string', format: 'uuid' },
+                  display: { type: 'string' },
+                  $ref: { type: 'string' }
+                }
+              }
+            },
+            meta: {
+              type: 'object',
+              readOnly: true
+            }
+          }
+        },
+        ScimGroup: {
+          type: 'object',
+          description: 'SCIM 2.0 Group resource (RFC 7643 section 4.2), stored as a role of the tenant',
+          properties: {
+            schemas: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['urn:ietf:params:scim:schemas:core:2.0:Group']
+            },
+            id: {
+              type: 'string',
+              format: 'uuid',
+              readOnly: true
+            },
+            externalId: {
+              type: 'string'
+            },
+            displayName: {
+              type: 'string',
+              example: 'Engineering'
+            },
+            members: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string', format: 'uuid', description: 'User ID' },
+                  display: { type: 'string', readOnly: true },
+                  $ref: { type: 'string', readOnly: true }
+                }
+              }
+            },
+            meta: {
+              type: 'object',
+              readOnly: true
+            }
+          }
+        },
+        ScimPatchOp: {
+          type: 'object',
+          description: 'SCIM 2.0 PATCH request (RFC 7644 section 3.5.2)',
+          required: ['Operations'],
+          properties: {
+            schemas: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['urn:ietf:params:scim:api:messages:2.0:PatchOp']
+            },
+            Operations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['op'],
+                properties: {
+                  op: { type: 'string', enum: ['add', 'replace', 'remove'] },
+                  path: { type: 'string', example: 'active' },
+                  value: {}
+                }
+              }
+            }
+          }
+        },
+        ScimError: {
+          type: 'object',
+          description: 'SCIM 2.0 error (RFC 7644 section 3.12)',
+          properties: {
+            schemas: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['urn:ietf:params:scim:api:messages:2.0:Error']
+            },
+            status: {
+              type: 'string',
+              example: '409'
+            },
+            scimType: {
+              type: 'string',
+              example: 'uniqueness'
+            },
+            detail: {
+              type: 'string'
+            }
+          }
         }
       }
     }
@@ -96,4 +96,584 @@ export const QUERY_CREATE_API_KEYS_TABLE = `
 
   CREATE INDEX IF NOT EXISTS idx_api_keys_key ON api_keys(key) WHERE deleted_at IS NULL;
   CREATE INDEX IF NOT EXISTS idx_api_keys_status ON api_keys(status) WHERE deleted_at IS NULL;
-`;
\ No newline at end of file
+`;
+
+export const QUERY_DROP_SESSIONS_TABLE = `
+  DROP TABLE IF EXISTS sessions;
+`;
+
+export const QUERY_CREATE_SESSIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id         uuid NOT NULL,
+    tenant_id       uuid NOT NULL,
+    user_agent      text,
+    ip_address      text,
+    last_seen_at    timestamptz NOT NULL DEFAULT now(),
+    expires_at      timestamptz NOT NULL,
+    revoked_at      timestamptz,
+    revoked_reason  text,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+    updated_at      timestamptz NOT NULL,
+
+    CONSTRAINT sessions_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+    CONSTRAINT sessions_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
+`;
+
+export const QUERY_DROP_REFRESH_TOKENS_TABLE = `
+  DROP TABLE IF EXISTS refresh_tokens;
+`;
+
+export const QUERY_CREATE_REFRESH_TOKENS_TABLE = `
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id         uuid NOT NULL,
+    tenant_id       uuid NOT NULL,
+    family_id       uuid NOT NULL,
+    token_hash      text NOT NULL UNIQUE,
+    expires_at      timestamptz NOT NULL,
+    used_at         timestamptz,
+    revoked_at      timestamptz,
+    replaced_by     uuid,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+    updated_at      timestamptz NOT NULL,
+
+    CONSTRAINT refresh_tokens_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+    CONSTRAINT refresh_tokens_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE,
+    CONSTRAINT refresh_tokens_session_fk
+        FOREIGN KEY (family_id)
+        REFERENCES sessions(id)
+        ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+`;
+
+export const QUERY_ADD_USER_MFA_COLUMNS = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS mfa_enabled         boolean NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS mfa_enabled_at      timestamptz,
+    ADD COLUMN IF NOT EXISTS mfa_secret          text,
+    ADD COLUMN IF NOT EXISTS mfa_last_used_step  bigint,
+    ADD COLUMN IF NOT EXISTS mfa_recovery_codes  jsonb;
+`;
+
+export const QUERY_ADD_TENANT_REQUIRE_MFA_COLUMN = `
+  ALTER TABLE tenants
+    ADD COLUMN IF NOT EXISTS require_mfa boolean NOT NULL DEFAULT false;
+`;
+
+export const QUERY_ADD_USER_LOCKOUT_COLUMNS = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS failed_login_attempts  integer NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_failed_login_at   timestamptz,
+    ADD COLUMN IF NOT EXISTS locked_until           timestamptz;
+`;
+
+export const QUERY_DROP_LOGIN_ATTEMPTS_TABLE = `
+  DROP TABLE IF EXISTS login_attempts;
+`;
+
+export const QUERY_CREATE_LOGIN_ATTEMPTS_TABLE = `
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id       uuid NOT NULL,
+    user_id         uuid,
+    identifier      text,
+    ip_address      text,
+    succeeded       boolean NOT NULL DEFAULT false,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+
+    CONSTRAINT login_attempts_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE,
+    CONSTRAINT login_attempts_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE SET NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_tenant_ip ON login_attempts(tenant_id, ip_address, created_at DESC);
+`;
+
+export const QUERY_ADD_ROLE_PERMISSIONS_COLUMN = `
+  DO $$
+  BEGIN
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'roles' AND column_name = 'permissions'
+    ) THEN
+      ALTER TABLE roles
+        ADD COLUMN permissions text[] NOT NULL DEFAULT '{}';
+
+      -- Every user could do everything before permissions existed; admin roles keep that
+      UPDATE roles SET permissions = '{*}' WHERE lower(name) = 'admin';
+    END IF;
+  END $$;
+`;
+
+export const QUERY_ADD_ROLE_PARENTS_COLUMN = `
+  ALTER TABLE roles
+    ADD COLUMN IF NOT EXISTS parent_role_ids uuid[] NOT NULL DEFAULT '{}';
+`;
+
+export const QUERY_ADD_API_KEY_SUPER_ADMIN_COLUMN = `
+  ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS is_super_admin boolean NOT NULL DEFAULT false;
+`;
+
+export const QUERY_ADD_API_KEY_HASH_COLUMNS = `
+  ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS key_prefix  text,
+    ADD COLUMN IF NOT EXISTS key_salt    text,
+    ADD COLUMN IF NOT EXISTS key_hash    text,
+    ALTER COLUMN key DROP NOT NULL;
+
+  CREATE INDEX IF NOT EXISTS idx_api_keys_key_prefix ON api_keys(key_prefix) WHERE deleted_at IS NULL;
+`;
+
+export const QUERY_ADD_API_KEY_ROTATION_COLUMNS = `
+  ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS previous_key_prefix      text,
+    ADD COLUMN IF NOT EXISTS previous_key_salt        text,
+    ADD COLUMN IF NOT EXISTS previous_key_hash        text,
+    ADD COLUMN IF NOT EXISTS previous_key_expires_at  timestamptz;
+
+  CREATE INDEX IF NOT EXISTS idx_api_keys_previous_key_prefix ON api_keys(previous_key_prefix) WHERE deleted_at IS NULL;
+`;
+
+export const QUERY_ADD_API_KEY_SCOPES_COLUMN = `
+  ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS scopes text[];
+`;
+
+export const QUERY_ADD_RATE_LIMIT_COLUMNS = `
+  ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS rate_limit_per_minute  integer,
+    ADD COLUMN IF NOT EXISTS rate_limit_burst       integer;
+
+  ALTER TABLE tenants
+    ADD COLUMN IF NOT EXISTS rate_limit_per_minute  integer,
+    ADD COLUMN IF NOT EXISTS rate_limit_burst       integer;
+`;
+
+export const QUERY_DROP_API_KEY_USAGE_TABLE = `
+  DROP TABLE IF EXISTS api_key_usage;
+`;
+
+export const QUERY_CREATE_API_KEY_USAGE_TABLE = `
+  CREATE TABLE IF NOT EXISTS api_key_usage (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    api_key_id      uuid NOT NULL,
+    tenant_id       uuid NOT NULL,
+    bucket_start    timestamptz NOT NULL,
+    method          text NOT NULL,
+    route           text NOT NULL,
+    status_code     integer NOT NULL,
+    request_count   integer NOT NULL DEFAULT 0,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+
+    CONSTRAINT api_key_usage_api_key_fk
+        FOREIGN KEY (api_key_id)
+        REFERENCES api_keys(id)
+        ON DELETE CASCADE,
+    CONSTRAINT api_key_usage_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_api_key_usage_key_bucket ON api_key_usage(api_key_id, bucket_start);
+`;
+
+export const QUERY_ADD_API_KEY_RESTRICTION_COLUMNS = `
+  ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_ips text[];
+  ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS allowed_origins text[];
+`;
+
+export const QUERY_ADD_APPLICATION_APP_URL_COLUMN = `
+  ALTER TABLE applications ADD COLUMN IF NOT EXISTS app_url text;
+`;
+
+export const QUERY_ADD_USER_LOCALE_COLUMN = `
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS locale text;
+`;
+
+export const QUERY_DROP_EMAIL_TEMPLATES_TABLE = `
+  DROP TABLE IF EXISTS email_templates;
+`;
+
+export const QUERY_CREATE_EMAIL_TEMPLATES_TABLE = `
+  CREATE TABLE IF NOT EXISTS email_templates (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id  uuid NOT NULL,
+    tenant_id       uuid,
+    type            text NOT NULL CHECK (type IN ('verification', 'password_reset', 'invitation', 'mfa', 'magic_link')),
+    locale          text NOT NULL,
+    subject         text NOT NULL,
+    text_body       text NOT NULL,
+    html_body       text,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+    updated_at      timestamptz NOT NULL,
+    deleted_at      timestamptz,
+
+    CONSTRAINT email_templates_application_fk
+        FOREIGN KEY (application_id)
+        REFERENCES applications(id)
+        ON DELETE CASCADE,
+    CONSTRAINT email_templates_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE
+  );
+
+  -- One active template per application, tenant (or none), type and locale
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_unique
+    ON email_templates(application_id, COALESCE(tenant_id, '00000000-0000-0000-0000-000000000000'::uuid), type, locale)
+    WHERE deleted_at IS NULL;
+`;
+
+export const QUERY_ADD_USER_VERIFICATION_RESEND_COLUMNS = `
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_sent_at timestamptz;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_send_count integer NOT NULL DEFAULT 0;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verification_window_started_at timestamptz;
+`;
+
+export const QUERY_ADD_MAGIC_LINK_EMAIL_TEMPLATE_TYPE = `
+  ALTER TABLE email_templates DROP CONSTRAINT IF EXISTS email_templates_type_check;
+  ALTER TABLE email_templates ADD CONSTRAINT email_templates_type_check
+    CHECK (type IN ('verification', 'password_reset', 'invitation', 'mfa', 'magic_link'));
+`;
+
+export const QUERY_DROP_MAGIC_LINK_TOKENS_TABLE = `
+  DROP TABLE IF EXISTS magic_link_tokens;
+`;
+
+export const QUERY_CREATE_MAGIC_LINK_TOKENS_TABLE = `
+  CREATE TABLE IF NOT EXISTS magic_link_tokens (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id         uuid NOT NULL,
+    tenant_id       uuid NOT NULL,
+    token_hash      text NOT NULL UNIQUE,
+    expires_at      timestamptz NOT NULL,
+    used_at         timestamptz,
+    ip_address      text,
+    user_agent      text,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+
+    CONSTRAINT magic_link_tokens_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+    CONSTRAINT magic_link_tokens_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_magic_link_tokens_user ON magic_link_tokens(user_id, created_at DESC);
+`;
+
+export const QUERY_DROP_INVITATIONS_TABLE = `
+  DROP TABLE IF EXISTS invitations;
+`;
+
+export const QUERY_CREATE_INVITATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS invitations (
+    id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id           uuid NOT NULL,
+    application_id      uuid NOT NULL,
+    email               text NOT NULL,
+    role_ids            uuid[] NOT NULL DEFAULT '{}',
+    locale              text,
+    invited_by          uuid,
+    token_hash          text NOT NULL UNIQUE,
+    expires_at          timestamptz NOT NULL,
+    last_sent_at        timestamptz,
+    send_count          integer NOT NULL DEFAULT 0,
+    accepted_at         timestamptz,
+    accepted_user_id    uuid,
+    revoked_at          timestamptz,
+    created_at          timestamptz NOT NULL DEFAULT now(),
+    updated_at          timestamptz NOT NULL,
+
+    CONSTRAINT invitations_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE,
+    CONSTRAINT invitations_application_fk
+        FOREIGN KEY (application_id)
+        REFERENCES applications(id)
+        ON DELETE CASCADE,
+    CONSTRAINT invitations_invited_by_fk
+        FOREIGN KEY (invited_by)
+        REFERENCES users(id)
+        ON DELETE SET NULL,
+    CONSTRAINT invitations_accepted_user_fk
+        FOREIGN KEY (accepted_user_id)
+        REFERENCES users(id)
+        ON DELETE SET NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_invitations_tenant_email ON invitations(tenant_id, lower(email));
+`;
+
+export const QUERY_DROP_OAUTH_TABLES = `
+  DROP TABLE IF EXISTS oauth_tokens;
+  DROP TABLE IF EXISTS oauth_authorization_codes;
+  DROP TABLE IF EXISTS oauth_consents;
+  DROP TABLE IF EXISTS oauth_clients;
+`;
+
+export const QUERY_CREATE_OAUTH_CLIENTS_TABLE = `
+  CREATE TABLE IF NOT EXISTS oauth_clients (
+    id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id      uuid NOT NULL,
+    client_id           text NOT NULL UNIQUE,
+    client_secret_hash  text,
+    name                text NOT NULL,
+    client_type         text NOT NULL DEFAULT 'confidential' CHECK (client_type IN ('confidential', 'public')),
+    redirect_uris       text[] NOT NULL DEFAULT '{}',
+    grant_types         text[] NOT NULL DEFAULT '{authorization_code,refresh_token}',
+    scopes              text[] NOT NULL DEFAULT '{}',
+    created_at          timestamptz NOT NULL DEFAULT now(),
+    updated_at          timestamptz NOT NULL,
+    deleted_at          timestamptz,
+
+    CONSTRAINT oauth_clients_application_fk
+        FOREIGN KEY (application_id)
+        REFERENCES applications(id)
+        ON DELETE CASCADE
+  );
+`;
+
+export const QUERY_CREATE_OAUTH_CONSENTS_TABLE = `
+  CREATE TABLE IF NOT EXISTS oauth_consents (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_id       uuid NOT NULL,
+    user_id         uuid NOT NULL,
+    tenant_id       uuid NOT NULL,
+    scopes          text[] NOT NULL DEFAULT '{}',
+    created_at      timestamptz NOT NULL DEFAULT now(),
+    updated_at      timestamptz NOT NULL,
+    revoked_at      timestamptz,
+
+    CONSTRAINT oauth_consents_client_fk
+        FOREIGN KEY (client_id)
+        REFERENCES oauth_clients(id)
+        ON DELETE CASCADE,
+    CONSTRAINT oauth_consents_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+    CONSTRAINT oauth_consents_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE
+  );
+
+  -- One active consent per user and client
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_oauth_consents_unique
+    ON oauth_consents(user_id, client_id)
+    WHERE revoked_at IS NULL;
+`;
+
+export const QUERY_CREATE_OAUTH_AUTHORIZATION_CODES_TABLE = `
+  CREATE TABLE IF NOT EXISTS oauth_authorization_codes (
+    id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_id               uuid NOT NULL,
+    user_id                 uuid NOT NULL,
+    tenant_id               uuid NOT NULL,
+    code_hash               text NOT NULL UNIQUE,
+    redirect_uri            text NOT NULL,
+    scopes                  text[] NOT NULL DEFAULT '{}',
+    code_challenge          text NOT NULL,
+    code_challenge_method   text NOT NULL DEFAULT 'S256',
+    expires_at              timestamptz NOT NULL,
+    used_at                 timestamptz,
+    created_at              timestamptz NOT NULL DEFAULT now(),
+
+    CONSTRAINT oauth_authorization_codes_client_fk
+        FOREIGN KEY (client_id)
+        REFERENCES oauth_clients(id)
+        ON DELETE CASCADE,
+    CONSTRAINT oauth_authorization_codes_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+  );
+`;
+
+export const QUERY_CREATE_OAUTH_TOKENS_TABLE = `
+  CREATE TABLE IF NOT EXISTS oauth_tokens (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_id       uuid NOT NULL,
+    user_id         uuid,
+    tenant_id       uuid,
+    -- Tokens descending from one authorization (code or client credentials request)
+    grant_id        uuid NOT NULL,
+    token_type      text NOT NULL CHECK (token_type IN ('access', 'refresh')),
+    token_hash      text NOT NULL UNIQUE,
+    scopes          text[] NOT NULL DEFAULT '{}',
+    expires_at      timestamptz NOT NULL,
+    used_at         timestamptz,
+    revoked_at      timestamptz,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+
+    CONSTRAINT oauth_tokens_client_fk
+        FOREIGN KEY (client_id)
+        REFERENCES oauth_clients(id)
+        ON DELETE CASCADE,
+    CONSTRAINT oauth_tokens_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_oauth_tokens_grant ON oauth_tokens(grant_id);
+  CREATE INDEX IF NOT EXISTS idx_oauth_tokens_user_client ON oauth_tokens(user_id, client_id);
+`;
+
+export const QUERY_DROP_SIGNING_KEYS_TABLE = `
+  DROP TABLE IF EXISTS signing_keys;
+`;
+
+export const QUERY_CREATE_SIGNING_KEYS_TABLE = `
+  CREATE TABLE IF NOT EXISTS signing_keys (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- JWK thumbprint (RFC 7638), sent as kid in token headers
+    kid             text NOT NULL UNIQUE,
+    algorithm       text NOT NULL CHECK (algorithm IN ('RS256', 'ES256')),
+    public_jwk      jsonb NOT NULL,
+    -- PKCS#8 PEM; only readable with the service role key
+    private_key     text NOT NULL,
+    created_at      timestamptz NOT NULL DEFAULT now()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_signing_keys_created_at ON signing_keys(created_at DESC);
+`;
+
+export const QUERY_ADD_OAUTH_AUTHORIZATION_CODE_NONCE = `
+  ALTER TABLE oauth_authorization_codes
+    ADD COLUMN IF NOT EXISTS nonce text;
+`;
+
+export const QUERY_ADD_SIGNING_KEY_RETIREMENT_COLUMNS = `
+  ALTER TABLE signing_keys
+    ADD COLUMN IF NOT EXISTS retired_at  timestamptz,
+    ADD COLUMN IF NOT EXISTS updated_at  timestamptz;
+`;
+
+export const QUERY_DROP_FEDERATION_TABLES = `
+  DROP TABLE IF EXISTS federated_logins;
+  DROP TABLE IF EXISTS user_identities;
+  DROP TABLE IF EXISTS identity_providers;
+`;
+
+export const QUERY_CREATE_IDENTITY_PROVIDERS_TABLE = `
+  CREATE TABLE IF NOT EXISTS identity_providers (
+    id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id           uuid NOT NULL,
+    application_id      uuid NOT NULL,
+    name                text NOT NULL,
+    protocol            text NOT NULL CHECK (protocol IN ('oidc', 'saml')),
+    -- Includes the OIDC client secret; only readable with the service role key
+    config              jsonb NOT NULL,
+    attribute_mapping   jsonb NOT NULL DEFAULT '{}',
+    jit_provisioning    boolean NOT NULL DEFAULT true,
+    trust_email         boolean NOT NULL DEFAULT false,
+    default_role_ids    uuid[] NOT NULL DEFAULT '{}',
+    enabled             boolean NOT NULL DEFAULT true,
+    created_at          timestamptz NOT NULL DEFAULT now(),
+    updated_at          timestamptz NOT NULL,
+    deleted_at          timestamptz,
+
+    CONSTRAINT identity_providers_tenant_fk
+        FOREIGN KEY (tenant_id)
+        REFERENCES tenants(id)
+        ON DELETE CASCADE,
+    CONSTRAINT identity_providers_application_fk
+        FOREIGN KEY (application_id)
+        REFERENCES applications(id)
+        ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_identity_providers_tenant ON identity_providers(tenant_id);
+`;
+
+export const QUERY_CREATE_USER_IDENTITIES_TABLE = `
+  CREATE TABLE IF NOT EXISTS user_identities (
+    id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id         uuid NOT NULL,
+    tenant_id       uuid NOT NULL,
+    provider_id     uuid NOT NULL,
+    -- sub claim (OIDC) or NameID (SAML) at the provider
+    subject         text NOT NULL,
+    email           text,
+    last_login_at   timestamptz,
+    created_at      timestamptz NOT NULL DEFAULT now(),
+
+    CONSTRAINT user_identities_provider_subject_unique UNIQUE (provider_id, subject),
+    CONSTRAINT user_identities_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+    CONSTRAINT user_identities_provider_fk
+        FOREIGN KEY (provider_id)
+        REFERENCES identity_providers(id)
+        ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+`;
+
+export const QUERY_CREATE_FEDERATED_LOGINS_TABLE = `
+  CREATE TABLE IF NOT EXISTS federated_logins (
+    id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider_id             uuid NOT NULL,
+    tenant_id               uuid NOT NULL,
+    state_hash              text NOT NULL UNIQUE,
+    nonce                   text,
+    code_verifier           text,
+    -- ID of the SAML AuthnRequest the response has to answer
+    request_id              text,
+    expires_at              timestamptz NOT NULL,
+    returned_at             timestamptz,
+    user_id                 uuid,
+    login_code_hash         text UNIQUE,
+    login_code_expires_at   timestamptz,
+    used_at                 timestamptz,
+    created_at              timestamptz NOT NULL DEFAULT now(),
+
+    CONSTRAINT federated_logins_provider_fk
+        FOREIGN KEY (provider_id)
+        REFERENCES identity_providers(id)
+        ON DELETE CASCADE,
+    CONSTRAINT federated_logins_user_fk
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+  );
+`;
+
+export const QUERY_ADD_SCIM_EXTERNAL_ID_COLUMNS = `
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS external_id text;
+  ALTER TABLE roles ADD COLUMN IF NOT EXISTS external_id text;
+`;
@@ -0,0 +1,13 @@
+import apiKeysService from '../services/apiKeys.js';
+
+// Hashes every API key that is still stored in plain text.
+// Keys are also hashed on their first use, this script takes care of the ones that are not used.
+// Run after QUERY_ADD_API_KEY_HASH_COLUMNS has been applied.
+try {
+  const migrated = await apiKeysService.hashLegacyKeys();
+  console.log(`Hashed ${migrated} API key(s)`);
+  process.exit(0);
+} catch (error) {
+  console.error(`Failed to hash API keys: ${error.message}`);
+  process.exit(1);
+}
@@ -27,6 +27,14 @@ class ApiError {
     static gone(message) {
       return new ApiError(410, message);
     }
+
+    static locked(message) {
+      return new ApiError(423, message);
+    }
+
+    static tooManyRequests(message) {
+      return new ApiError(429, message);
+    }
   
     static internal(message) {
       return new ApiError(500, message);
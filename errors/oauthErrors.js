@@ -0,0 +1,65 @@
+// Errors of the OAuth endpoints. Unlike ApiError they are returned in the format of
+// RFC 6749 section 5.2 ({ error, error_description }), which OAuth client libraries expect.
+class OAuthError {
+    constructor(status, error, description) {
+      this.status = status;
+      this.error = error;
+      this.description = description;
+      this.redirectUri = null;
+      this.state = undefined;
+    }
+
+    // Errors in an authorization request with a valid client and redirect URI are sent
+    // to the client's redirect URI instead of being shown to the user (RFC 6749 section 4.1.2.1)
+    withRedirect(redirectUri, state) {
+      this.redirectUri = redirectUri;
+      this.state = state;
+      return this;
+    }
+
+    static invalidRequest(description) {
+      return new OAuthError(400, 'invalid_request', description);
+    }
+
+    static invalidClient(description) {
+      return new OAuthError(401, 'invalid_client', description);
+    }
+
+    static invalidGrant(description) {
+      return new OAuthError(400, 'invalid_grant', description);
+    }
+
+    static unauthorizedClient(description) {
+      return new OAuthError(400, 'unauthorized_client', description);
+    }
+
+    static unsupportedGrantType(description) {
+      return new OAuthError(400, 'unsupported_grant_type', description);
+    }
+
+    static unsupportedResponseType(description) {
+      return new OAuthError(400, 'unsupported_response_type', description);
+    }
+
+    static invalidScope(description) {
+      return new OAuthError(400, 'invalid_scope', description);
+    }
+
+    static accessDenied(description) {
+      return new OAuthError(403, 'access_denied', description);
+    }
+
+    static invalidToken(description) {
+      return new OAuthError(401, 'invalid_token', description);
+    }
+
+    static insufficientScope(description) {
+      return new OAuthError(403, 'insufficient_scope', description);
+    }
+
+    static serverError(description) {
+      return new OAuthError(500, 'server_error', description);
+    }
+  }
+
+  export default OAuthError;
@@ -0,0 +1,43 @@
+// Errors of the SCIM endpoints. Unlike ApiError they carry a scimType and are returned in
+// the format of RFC 7644 section 3.12, which provisioning clients expect.
+class ScimError {
+    constructor(status, scimType, detail) {
+      this.status = status;
+      this.scimType = scimType;
+      this.detail = detail;
+    }
+
+    static invalidFilter(detail) {
+      return new ScimError(400, 'invalidFilter', detail);
+    }
+
+    static invalidSyntax(detail) {
+      return new ScimError(400, 'invalidSyntax', detail);
+    }
+
+    static invalidPath(detail) {
+      return new ScimError(400, 'invalidPath', detail);
+    }
+
+    static invalidValue(detail) {
+      return new ScimError(400, 'invalidValue', detail);
+    }
+
+    static noTarget(detail) {
+      return new ScimError(400, 'noTarget', detail);
+    }
+
+    static mutability(detail) {
+      return new ScimError(400, 'mutability', detail);
+    }
+
+    static tooMany(detail) {
+      return new ScimError(400, 'tooMany', detail);
+    }
+
+    static uniqueness(detail) {
+      return new ScimError(409, 'uniqueness', detail);
+    }
+  }
+
+  export default ScimError;
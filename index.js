@@ -18,15 +18,34 @@ import rolesRouter from "./routes/roles.js";
 import userRolesRouter from "./routes/userRoles.js";
 import addressesRouter from "./routes/addresses.js";
 import contactRouter from "./routes/contact.js";
+import emailTemplatesRouter from "./routes/emailTemplates.js";
+import invitationsRouter from "./routes/invitations.js";
+import oauthRouter from "./routes/oauth.js";
+import oidcRouter from "./routes/oidc.js";
+import oauthClientsRouter from "./routes/oauthClients.js";
+import signingKeysRouter from "./routes/signingKeys.js";
+import identityProvidersRouter from "./routes/identityProviders.js";
+import federationRouter from "./routes/federation.js";
+import scimRouter from "./routes/scim.js";
 import { validateApiKey } from './middleware/apiKey.js';
+import { enforceApiKeyScopes } from './middleware/apiKeyScopes.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { trackApiKeyUsage } from './middleware/apiKeyUsage.js';
 import { authenticate } from './middleware/authenticate.js';  
 
 const app = express();
 const server = http.createServer(app);
 const port = process.env.PORT || 3000;
 
+// Needed behind a reverse proxy so req.ip reflects the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
-app.use(cors());
+app.use(cors({
+  // Let browser clients read their remaining quota
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -46,9 +65,30 @@ app.use('/api/swagger', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customSiteTitle: 'Sundrops API Documentation'
 }));
 
+// OAuth endpoints (clients authenticate with their own credentials, no API key)
+app.use('/oauth', oauthRouter);
+
+// OpenID Connect discovery, signing keys and userinfo (public or OAuth access token)
+app.use(oidcRouter);
+
+// Federated login callbacks and SAML metadata (called by the user's browser or the identity provider)
+app.use('/federation', federationRouter);
+
+// SCIM provisioning (API key as bearer token, errors in the SCIM format)
+app.use('/scim/v2', scimRouter);
+
 // Apply API key validation to all subsequent routes
 app.use(validateApiKey);
 
+// Count requests per API key for the usage reports
+app.use(trackApiKeyUsage);
+
+// Throttle requests per API key and per tenant
+app.use(rateLimit);
+
+// Limit scoped API keys to the routes their scopes allow
+app.use(enforceApiKeyScopes);
+
 // Public authentication routes (no API key or JWT required)
 app.use('/api/auth', authenticationRouter);
 
@@ -58,12 +98,17 @@ app.use(authenticate);
 // Protected routes (require both API key and JWT authentication)
 app.use('/api/applications', applicationsRouter);
 app.use('/api/tenants', tenantsRouter);
+app.use('/api/tenants/:tenantId/invitations', invitationsRouter);
+app.use('/api/tenants/:tenantId/identity-providers', identityProvidersRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/users/:userId/addresses', addressesRouter);
 app.use('/api/users/:userId/contact', contactRouter);
 app.use('/api/api-keys', apiKeysRouter);
 app.use('/api/roles', rolesRouter);
 app.use('/api/user-roles', userRolesRouter);
+app.use('/api/email-templates', emailTemplatesRouter);
+app.use('/api/oauth-clients', oauthClientsRouter);
+app.use('/api/signing-keys', signingKeysRouter);
 
 app.use((req, res, next) => next(ApiError.notFound("Route not found")));
   
@@ -1,44 +1,87 @@
 import ApiError from '../errors/errors.js';
-import { dbClient } from '../config/supabase.js';
+import apiKeysService from '../services/apiKeys.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { buildIpList, isIpInList, isOriginAllowed } from '../utils/network.js';
+
+// Parsed IP allowlists per cached API key record
+const ipLists = new WeakMap();
 
 /**
- * Middleware to authenticate requests using API key
- * Expects API key in one of:
+ * Check the caller against the IP and origin restrictions of an API key
+ * @param {Object} apiKeyRecord - The API key record
+ * @param {Object} req - Express request object
+ * @returns {string|null} The reason the request is rejected, or null when it is allowed
+ */
+const getRestrictionViolation = (apiKeyRecord, req) => {
+  const { allowed_ips: allowedIps, allowed_origins: allowedOrigins } = apiKeyRecord;
+
+  if (Array.isArray(allowedIps) && allowedIps.length > 0) {
+    if (!ipLists.has(apiKeyRecord)) {
+      ipLists.set(apiKeyRecord, buildIpList(allowedIps));
+    }
+
+    if (!isIpInList(ipLists.get(apiKeyRecord), req.ip)) {
+      return 'API key is not allowed from this IP address';
+    }
+  }
+
+  if (Array.isArray(allowedOrigins) && allowedOrigins.length > 0) {
+    if (!isOriginAllowed(allowedOrigins, req.headers.origin)) {
+      return 'API key is not allowed from this origin';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read the API key from one of:
  * - X-API-Key header
  * - Authorization header as: ApiKey <key>
  * - api_key query parameter
- * 
  * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * @returns {string|undefined} The API key
  */
-export const validateApiKey = async (req, res, next) => {
-  try {
+const getApiKey = (req) => {
+  let apiKey = req.headers['x-api-key'] || 
+               req.headers['X-API-Key'] ||
+               req.query.api_key;
 
-    // Try to get API key from various sources
-    let apiKey = req.headers['x-api-key'] || 
-                 req.headers['X-API-Key'] ||
-                 req.query.api_key;
+  // Also check Authorization header for ApiKey format
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    apiKey = authHeader.substring(7); // Remove 'ApiKey ' prefix
+  }
 
-    // Also check Authorization header for ApiKey format
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('ApiKey ')) {
-      apiKey = authHeader.substring(7); // Remove 'ApiKey ' prefix
-    }
+  return apiKey;
+};
+
+/**
+ * Create a middleware that authenticates requests using an API key
+ * 
+ * Keys with allowed_ips or allowed_origins are rejected (403) when the caller's
+ * IP or Origin header does not match; violations are logged.
+ * 
+ * The rest of the request runs in a request context that limits all service
+ * queries to the key's tenant, unless the key is a super admin key.
+ * 
+ * @param {Function} readApiKey - Reads the API key from the request
+ * @param {string} missingMessage - Error message when the request has no API key
+ * @returns {Function} Express middleware
+ */
+const createApiKeyValidator = (readApiKey, missingMessage) => async (req, res, next) => {
+  try {
+
+    const apiKey = readApiKey(req);
 
     if (!apiKey) {
-      throw ApiError.unauthorized('API key is required. Provide it via X-API-Key header, Authorization: ApiKey <key> header, or api_key query parameter');
+      throw ApiError.unauthorized(missingMessage);
     }
 
-    // Validate API key against database
-    const { data: apiKeyRecord, error } = await dbClient
-      .from('api_keys')
-      .select('*')
-      .eq('key', apiKey)
-      .is('deleted_at', null)
-      .single();
+    // Validate API key against the stored hashes (cached)
+    const apiKeyRecord = await apiKeysService.authenticate(apiKey);
 
-    if (error || !apiKeyRecord) {
+    if (!apiKeyRecord) {
       throw ApiError.unauthorized('Invalid API key');
     }
 
@@ -52,6 +95,12 @@ export const validateApiKey = async (req, res, next) => {
       throw ApiError.unauthorized('API key has expired');
     }
 
+    const violation = getRestrictionViolation(apiKeyRecord, req);
+    if (violation) {
+      console.warn(`Rejected API key ${apiKeyRecord.key_prefix || apiKeyRecord.id} (${apiKeyRecord.id}): ${violation} (ip: ${req.ip}, origin: ${req.headers.origin || 'none'}, ${req.method} ${req.originalUrl.split('?')[0]})`);
+      throw ApiError.forbidden(violation);
+    }
+
     // Attach API key info to request object for potential use in routes
     req.apiKey = apiKeyRecord;
     
@@ -65,16 +114,14 @@ export const validateApiKey = async (req, res, next) => {
       req.application_id = apiKeyRecord.application_id;
     }
 
-    // Optionally update last_used_at timestamp
-    await dbClient
-      .from('api_keys')
-      .update({ 
-        last_used_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', apiKeyRecord.id);
+    // last_used_at is written in batches instead of on every request
+    apiKeysService.recordUsage(apiKeyRecord.id);
 
-    next();
+    runWithContext({
+      tenantId: apiKeyRecord.tenant_id || null,
+      applicationId: apiKeyRecord.application_id || null,
+      isSuperAdmin: apiKeyRecord.is_super_admin === true
+    }, next);
   } catch (error) {
     if (error instanceof ApiError) {
       next(error);
@@ -84,4 +131,37 @@ export const validateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate requests using API key
+ * Expects API key in one of:
+ * - X-API-Key header
+ * - Authorization header as: ApiKey <key>
+ * - api_key query parameter
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateApiKey = createApiKeyValidator(
+  getApiKey,
+  'API key is required. Provide it via X-API-Key header, Authorization: ApiKey <key> header, or api_key query parameter'
+);
+
+/**
+ * Middleware to authenticate requests using an API key sent as bearer token
+ * (Authorization: Bearer <key>), the way provisioning clients such as SCIM
+ * connectors send their credentials. The other sources of validateApiKey work as well.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateBearerApiKey = createApiKeyValidator(
+  (req) => {
+    const authHeader = req.headers.authorization;
+    return authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7).trim() : getApiKey(req);
+  },
+  'API key is required. Provide it via Authorization: Bearer <key> header'
+);
+
 export default validateApiKey;
@@ -0,0 +1,103 @@
+import ApiError from '../errors/errors.js';
+import permissionsService from '../services/permissions.js';
+
+// Authentication routes and the scope they need. The first matching rule wins.
+const AUTH_SCOPE_RULES = [
+  { pattern: /^\/api\/auth\/(register|invitations\/accept)\/?$/i, scope: 'auth:register' },
+  { pattern: /^\/api\/auth\/(change-password|password-reset-token|reset-password)\/?$/i, scope: 'auth:password' },
+  { pattern: /^\/api\/auth\/(verify-email|resend-verification)\/?$/i, scope: 'auth:verify-email' },
+  { pattern: /^\/api\/auth(\/|$)/i, scope: 'auth:login' },
+];
+
+// SCIM provisioning routes and the scope they need. The discovery endpoints are open to
+// keys with any SCIM scope (see middleware/scim.js).
+const SCIM_SCOPE_RULES = [
+  { pattern: /^\/scim\/v2\/Users(\/|$)/i, scope: 'scim:users' },
+  { pattern: /^\/scim\/v2\/Groups(\/|$)/i, scope: 'scim:groups' },
+];
+
+// Resource routes and the resource their scope is built from (`<resource>:<action>`).
+// Mirrors the permissions the routers require, so a scope reads the same as a permission.
+// A rule with an action uses it regardless of the HTTP method.
+// Express matches routes case-insensitively, so the rules do too.
+const RESOURCE_SCOPE_RULES = [
+  { pattern: /^\/api\/email-templates\/render\/?$/i, resource: 'email_templates', action: 'read' },
+  { pattern: /^\/api\/email-templates(\/|$)/i, resource: 'email_templates' },
+  { pattern: /^\/api\/users\/[^/]+\/(addresses|contact)(\/|$)/i, resource: 'users', deleteAction: 'write' },
+  { pattern: /^\/api\/tenants\/[^/]+\/invitations(\/|$)/i, resource: 'invitations' },
+  { pattern: /^\/api\/tenants\/[^/]+\/identity-providers(\/|$)/i, resource: 'identity_providers' },
+  { pattern: /^\/api\/applications(\/|$)/i, resource: 'applications' },
+  { pattern: /^\/api\/tenants(\/|$)/i, resource: 'tenants' },
+  { pattern: /^\/api\/users(\/|$)/i, resource: 'users' },
+  { pattern: /^\/api\/api-keys(\/|$)/i, resource: 'api_keys' },
+  { pattern: /^\/api\/roles(\/|$)/i, resource: 'roles' },
+  { pattern: /^\/api\/oauth-clients(\/|$)/i, resource: 'oauth_clients' },
+  { pattern: /^\/api\/signing-keys(\/|$)/i, resource: 'signing_keys' },
+  { pattern: /^\/api\/user-roles(\/|$)/i, resource: 'user_roles', deleteAction: 'write' },
+];
+
+/**
+ * Determine the scope an API key needs for a request
+ * @param {string} method - The HTTP method
+ * @param {string} path - The request path
+ * @returns {string|null} The required scope, or null if the route is not covered
+ */
+export const getRequiredScope = (method, path) => {
+  const scopeRule = AUTH_SCOPE_RULES.find(rule => rule.pattern.test(path)) ||
+    SCIM_SCOPE_RULES.find(rule => rule.pattern.test(path));
+
+  if (scopeRule) {
+    return scopeRule.scope;
+  }
+
+  const resourceRule = RESOURCE_SCOPE_RULES.find(rule => rule.pattern.test(path));
+
+  if (!resourceRule) {
+    return null;
+  }
+
+  if (resourceRule.action) {
+    return `${resourceRule.resource}:${resourceRule.action}`;
+  }
+
+  let action = 'write';
+
+  if (method === 'GET' || method === 'HEAD') {
+    action = 'read';
+  } else if (method === 'DELETE' || /\/restore\/?$/i.test(path)) {
+    action = resourceRule.deleteAction || 'delete';
+  }
+
+  return `${resourceRule.resource}:${action}`;
+};
+
+/**
+ * Middleware to limit API keys to the scopes they were created with.
+ * Must run after validateApiKey. Keys without scopes are not restricted, keys with scopes
+ * are refused on routes no scope covers.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const enforceApiKeyScopes = (req, res, next) => {
+  const scopes = req.apiKey?.scopes;
+
+  if (!Array.isArray(scopes)) {
+    return next();
+  }
+
+  const required = getRequiredScope(req.method, req.path);
+
+  if (!required) {
+    return next(ApiError.forbidden('API key scopes do not cover this route'));
+  }
+
+  if (permissionsService.hasPermission(scopes, required)) {
+    return next();
+  }
+
+  next(ApiError.forbidden(`API key is missing required scope: ${required}`));
+};
+
+export default enforceApiKeyScopes;
@@ -0,0 +1,50 @@
+import apiKeyUsageService from '../services/apiKeyUsage.js';
+
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Describe the route that handled a request without its IDs, e.g. /api/users/:id/addresses/:addressId
+ * @param {Object} req - Express request object
+ * @returns {string} The route pattern, or 'unmatched' when no route handled the request
+ */
+const getRoutePattern = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  // Mount paths with parameters show up with their values in baseUrl
+  const base = req.baseUrl
+    .split('/')
+    .map(segment => (UUID_SEGMENT.test(segment) ? ':id' : segment))
+    .join('/');
+
+  return `${base}${req.route.path === '/' ? '' : req.route.path}` || '/';
+};
+
+/**
+ * Middleware to count requests per API key, route and status code.
+ * Must run after validateApiKey. The counters are written in batches.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const trackApiKeyUsage = (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    apiKeyUsageService.record({
+      apiKeyId: req.apiKey.id,
+      tenantId: req.apiKey.tenant_id,
+      method: req.method,
+      route: getRoutePattern(req),
+      statusCode: res.statusCode
+    });
+  });
+
+  next();
+};
+
+export default trackApiKeyUsage;
@@ -1,4 +1,4 @@
-import { createApiKeySchema, getApiKeysQuerySchema } from '../schemas/apiKeys.js';
+import { createApiKeySchema, getApiKeysQuerySchema, updateApiKeySchema, rotateApiKeySchema, apiKeyUsageQuerySchema } from '../schemas/apiKeys.js';
 import ApiError from '../errors/errors.js';
 
 /**
@@ -79,8 +79,152 @@ export const validateGetApiKeysQuery = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to validate API key update data
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateUpdateApiKey = async (req, res, next) => {
+  try {
+    const validatedData = await updateApiKeySchema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    req.body = validatedData;
+    
+    next();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      // Format Yup validation errors into a more user-friendly format
+      const formattedErrors = error.inner.map(err => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formattedErrors
+      });
+    }
+
+    // Handle other errors
+    next(ApiError.internal('Validation middleware error: ' + error.message));
+  }
+};
+
+/**
+ * Middleware to validate API key rotation options
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateRotateApiKey = async (req, res, next) => {
+  try {
+    const validatedData = await rotateApiKeySchema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    req.body = validatedData;
+    
+    next();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      // Format Yup validation errors into a more user-friendly format
+      const formattedErrors = error.inner.map(err => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formattedErrors
+      });
+    }
+
+    // Handle other errors
+    next(ApiError.internal('Validation middleware error: ' + error.message));
+  }
+};
+
+/**
+ * Middleware to validate query parameters of the API key usage report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateApiKeyUsageQuery = async (req, res, next) => {
+  try {
+    const validatedData = await apiKeyUsageQuerySchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    // Store validated data in a custom property (req.query is read-only)
+    req.validatedQuery = validatedData;
+    
+    next();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      // Format Yup validation errors into a more user-friendly format
+      const formattedErrors = error.inner.map(err => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formattedErrors
+      });
+    }
+
+    // Handle other errors
+    next(ApiError.internal('Validation middleware error: ' + error.message));
+  }
+};
+
+/**
+ * Middleware to validate API key ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateApiKeyId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      message: 'API key ID is required'
+    });
+  }
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  
+  if (!uuidRegex.test(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid API key ID format'
+    });
+  }
+
+  next();
+};
+
 export default {
   validateCreateApiKey,
-  validateGetApiKeysQuery
+  validateGetApiKeysQuery,
+  validateUpdateApiKey,
+  validateRotateApiKey,
+  validateApiKeyUsageQuery,
+  validateApiKeyId
 };
 
@@ -1,12 +1,13 @@
 import { verifyToken } from '../utils/jwt.js';
 import ApiError from '../errors/errors.js';
 import usersService from '../services/users.js';
+import sessionsService from '../services/sessions.js';
 
 /**
  * Middleware to authenticate requests using JWT token
  * Expects token in Authorization header as: Bearer <token>
- * Verifies that the user exists, is active, and is verified
- * Attaches fresh user info to req.user
+ * Verifies that the session is still active and that the user exists, is active, not locked, and is verified
+ * Attaches fresh user info to req.user and the session to req.authSession
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -23,7 +24,14 @@ export const authenticate = async (req, res, next) => {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
     try {
-      const decoded = verifyToken(token);
+      const decoded = await verifyToken(token);
+
+      // Check that the session behind the token has not been revoked
+      const session = await sessionsService.getActiveSession(decoded.sid, decoded.id);
+
+      if (!session) {
+        throw ApiError.unauthorized('Session has expired or has been revoked');
+      }
       
       // Fetch fresh user data from database
       const user = await usersService.getById(decoded.id);
@@ -32,6 +40,11 @@ export const authenticate = async (req, res, next) => {
       if (user.status !== 'active') {
         throw ApiError.forbidden('User account is not active');
       }
+
+      // Check if user is temporarily locked out after failed logins
+      if (usersService.isLocked(user)) {
+        throw ApiError.locked('User account is temporarily locked');
+      }
       
       // Check if user email is verified
       if (!user.is_verified) {
@@ -39,8 +52,11 @@ export const authenticate = async (req, res, next) => {
       }
       
       // Attach fresh user info to request object (excluding sensitive data)
-      const { password_hash, email_verification_token, ...userInfo } = user;
+      const { password_hash, email_verification_token, mfa_secret, mfa_recovery_codes, ...userInfo } = user;
       req.user = userInfo;
+      req.authSession = session;
+
+      await sessionsService.touch(session);
       next();
     } catch (error) {
       if (error.message === 'Invalid or expired token') {
@@ -0,0 +1,79 @@
+import { createInvitationSchema, getInvitationsQuerySchema } from '../schemas/invitations.js';
+import ApiError from '../errors/errors.js';
+
+/**
+ * Build a middleware that validates part of the request against a schema
+ * @param {Object} schema - Yup schema
+ * @param {string} source - 'body' (replaces req.body) or 'query' (sets req.validatedQuery, req.query is read-only)
+ * @returns {Function} Express middleware
+ */
+const validate = (schema, source = 'body') => async (req, res, next) => {
+  try {
+    const validatedData = await schema.validate(req[source] || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (source === 'query') {
+      req.validatedQuery = validatedData;
+    } else {
+      req.body = validatedData;
+    }
+
+    next();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const formattedErrors = error.inner.map(err => ({
+        field: err.path,
+        message: err.message,
+        value: err.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formattedErrors
+      });
+    }
+
+    next(ApiError.internal('Validation middleware error: ' + error.message));
+  }
+};
+
+export const validateCreateInvitation = validate(createInvitationSchema);
+
+export const validateGetInvitationsQuery = validate(getInvitationsQuerySchema, 'query');
+
+/**
+ * Middleware to validate the tenant ID and invitation ID parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateInvitationParams = (req, res, next) => {
+  const { tenantId, invitationId } = req.params;
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (!tenantId || !uuidRegex.test(tenantId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid tenant ID format'
+    });
+  }
+
+  if (invitationId !== undefined && !uuidRegex.test(invitationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid invitation ID format'
+    });
+  }
+
+  next();
+};
+
+export default {
+  validateCreateInvitation,
+  validateGetInvitationsQuery,
+  validateInvitationParams
+};
@@ -0,0 +1,49 @@
+import permissionsService from '../services/permissions.js';
+import ApiError from '../errors/errors.js';
+import { WILDCARD_PERMISSION } from '../config/permissions.js';
+
+/**
+ * Middleware factory that only lets the request through when the authenticated
+ * user holds all of the given permissions through their roles. Requests made with a
+ * super admin API key are not restricted, so roles can always be set up with one.
+ * Sets req.permissions to what the caller holds, for checks on what it may grant.
+ * Must run after the authenticate middleware.
+ * 
+ * @param {...string} required - Permissions needed, e.g. 'users:write'
+ * @returns {Function} Express middleware
+ */
+export const requirePermission = (...required) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw ApiError.unauthorized('Authentication required');
+      }
+
+      if (req.apiKey?.is_super_admin) {
+        req.permissions = [WILDCARD_PERMISSION];
+        return next();
+      }
+
+      // Resolve once per request, several checks may run on the same request
+      if (!req.permissions) {
+        req.permissions = await permissionsService.getPermissionsForUser(req.user);
+      }
+
+      const missing = required.find(permission => !permissionsService.hasPermission(req.permissions, permission));
+
+      if (missing) {
+        throw ApiError.forbidden(`Missing required permission: ${missing}`);
+      }
+
+      next();
+    } catch (error) {
+      if (error instanceof ApiError) {
+        next(error);
+      } else {
+        next(ApiError.internal('Permission middleware error: ' + error.message));
+      }
+    }
+  };
+};
+
+export default requirePermission;
@@ -0,0 +1,102 @@
+import ApiError from '../errors/errors.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+// Limits for API keys that do not have their own
+const DEFAULT_KEY_RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '300');
+const DEFAULT_KEY_RATE_LIMIT_BURST = parseInt(process.env.RATE_LIMIT_BURST || String(DEFAULT_KEY_RATE_LIMIT_PER_MINUTE));
+// Tenants are only limited as a whole when configured (per tenant or through these variables)
+const DEFAULT_TENANT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.TENANT_RATE_LIMIT_PER_MINUTE || '0');
+const DEFAULT_TENANT_RATE_LIMIT_BURST = parseInt(process.env.TENANT_RATE_LIMIT_BURST || String(DEFAULT_TENANT_RATE_LIMIT_PER_MINUTE));
+
+/**
+ * Build the bucket settings for a record with rate limit columns
+ * @param {Object} record - API key or tenant with rate_limit_per_minute and rate_limit_burst
+ * @param {number} defaultPerMinute - Requests per minute when the record has no limit
+ * @param {number} defaultBurst - Burst size when the record has no limit
+ * @returns {Object|null} capacity and refillPerSecond, or null when there is no limit
+ */
+const resolveLimit = (record, defaultPerMinute, defaultBurst) => {
+  const perMinute = record.rate_limit_per_minute || defaultPerMinute;
+  // A custom rate without a burst allows a full minute of requests at once
+  const burst = record.rate_limit_burst || (record.rate_limit_per_minute ? perMinute : defaultBurst);
+
+  if (!perMinute || perMinute <= 0) {
+    return null;
+  }
+
+  return {
+    capacity: burst > 0 ? burst : perMinute,
+    refillPerSecond: perMinute / 60
+  };
+};
+
+/**
+ * Middleware to rate limit requests per API key and per tenant using token buckets.
+ * Must run after validateApiKey. Sets the RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset headers for the most restrictive bucket and answers 429 with
+ * Retry-After once a bucket is empty.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const rateLimit = async (req, res, next) => {
+  try {
+    const apiKey = req.apiKey;
+
+    if (!apiKey) {
+      return next();
+    }
+
+    const buckets = [
+      {
+        key: `api_key:${apiKey.id}`,
+        limit: resolveLimit(apiKey, DEFAULT_KEY_RATE_LIMIT_PER_MINUTE, DEFAULT_KEY_RATE_LIMIT_BURST)
+      },
+      {
+        key: `tenant:${apiKey.tenant_id}`,
+        limit: resolveLimit(apiKey.tenant || {}, DEFAULT_TENANT_RATE_LIMIT_PER_MINUTE, DEFAULT_TENANT_RATE_LIMIT_BURST)
+      }
+    ].filter(bucket => bucket.limit);
+
+    const store = getRateLimitStore();
+    let reported = null;
+    let rejected = null;
+
+    for (const bucket of buckets) {
+      const result = await store.take(bucket.key, bucket.limit);
+      const entry = { ...result, limit: bucket.limit.capacity };
+
+      if (!reported || entry.remaining < reported.remaining) {
+        reported = entry;
+      }
+
+      if (!result.allowed && (!rejected || result.retryAfterSeconds > rejected.retryAfterSeconds)) {
+        rejected = entry;
+      }
+    }
+
+    if (reported) {
+      res.set('RateLimit-Limit', String(reported.limit));
+      res.set('RateLimit-Remaining', String(Math.max(0, reported.remaining)));
+      res.set('RateLimit-Reset', String(reported.resetSeconds));
+    }
+
+    if (rejected) {
+      res.set('Retry-After', String(rejected.retryAfterSeconds));
+      throw ApiError.tooManyRequests(`Rate limit exceeded. Try again in ${rejected.retryAfterSeconds} seconds`);
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof ApiError) {
+      next(error);
+    } else {
+      // Never block traffic because the rate limit store is unavailable
+      console.error(`Rate limiting failed: ${error.message}`);
+      next();
+    }
+  }
+};
+
+export default rateLimit;
@@ -0,0 +1,72 @@
+import { scimListQuerySchema } from '../schemas/scim.js';
+import ApiError from '../errors/errors.js';
+import ScimError from '../errors/scimErrors.js';
+import permissionsService from '../services/permissions.js';
+import { SCIM_SCOPES } from '../config/permissions.js';
+import { getRequiredScope } from './apiKeyScopes.js';
+
+/**
+ * Build a middleware that validates part of the request against a schema.
+ * Validation errors are passed on as ScimError so they are answered in the SCIM format.
+ * @param {Object} schema - Yup schema
+ * @param {string} source - 'body' (replaces req.body) or 'query' (sets req.validatedQuery, req.query is read-only)
+ * @returns {Function} Express middleware
+ */
+const validate = (schema, source = 'body') => async (req, res, next) => {
+  try {
+    const validatedData = await schema.validate(req[source] || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (source === 'query') {
+      req.validatedQuery = validatedData;
+    } else {
+      req.body = validatedData;
+    }
+
+    next();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(ScimError.invalidValue(error.errors.join('; ')));
+    }
+
+    next(ApiError.internal('Validation middleware error: ' + error.message));
+  }
+};
+
+export const validateScimListQuery = validate(scimListQuerySchema, 'query');
+
+/**
+ * Middleware to limit SCIM to API keys of a tenant that were given a SCIM scope.
+ * Super admin keys are refused even when they belong to a tenant.
+ * Unlike the rest of the API, keys without scopes are refused: SCIM manages users without
+ * a signed in user, so a key has to be handed out for it on purpose.
+ * Must run after validateBearerApiKey.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireScimAccess = (req, res, next) => {
+  // Super admin keys are not limited to their tenant, SCIM must not reach beyond it
+  if (!req.tenant_id || req.apiKey?.is_super_admin) {
+    return next(ApiError.forbidden('SCIM requires an API key that is associated with a tenant and is not a super admin key'));
+  }
+
+  const scopes = Array.isArray(req.apiKey?.scopes) ? req.apiKey.scopes : [];
+  const required = getRequiredScope(req.method, `${req.baseUrl}${req.path}`);
+
+  // The discovery endpoints are open to keys with any SCIM scope
+  const allowed = required
+    ? permissionsService.hasPermission(scopes, required)
+    : SCIM_SCOPES.some(scope => permissionsService.hasPermission(scopes, scope));
+
+  if (!allowed) {
+    return next(ApiError.forbidden(`API key is missing required scope: ${required || SCIM_SCOPES.join(' or ')}`));
+  }
+
+  next();
+};
+
+export default requireScimAccess;
@@ -2,6 +2,7 @@ import express from 'express';
 import addressesService from '../services/addresses.js';
 import ApiError from '../errors/errors.js';
 import { validateAddress, validateAddressUpdate, validateAddressId, validateUserIdForAddress } from '../middleware/addresses.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -70,7 +71,7 @@ const router = express.Router({ mergeParams: true });
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', validateUserIdForAddress, async (req, res, next) => {
+router.get('/', requirePermission('users:read'), validateUserIdForAddress, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit, offset, orderBy } = req.query;
@@ -156,7 +157,7 @@ router.get('/', validateUserIdForAddress, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/deleted', validateUserIdForAddress, async (req, res, next) => {
+router.get('/deleted', requirePermission('users:read'), validateUserIdForAddress, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit, offset, orderBy } = req.query;
@@ -233,7 +234,7 @@ router.get('/deleted', validateUserIdForAddress, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:addressId', validateUserIdForAddress, validateAddressId, async (req, res, next) => {
+router.get('/:addressId', requirePermission('users:read'), validateUserIdForAddress, validateAddressId, async (req, res, next) => {
   try {
     const { userId, addressId } = req.params;
 
@@ -334,7 +335,7 @@ router.get('/:addressId', validateUserIdForAddress, validateAddressId, async (re
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', validateUserIdForAddress, validateAddress, async (req, res, next) => {
+router.post('/', requirePermission('users:write'), validateUserIdForAddress, validateAddress, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const addressData = req.body;
@@ -444,7 +445,7 @@ router.post('/', validateUserIdForAddress, validateAddress, async (req, res, nex
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:addressId', validateUserIdForAddress, validateAddressId, validateAddressUpdate, async (req, res, next) => {
+router.patch('/:addressId', requirePermission('users:write'), validateUserIdForAddress, validateAddressId, validateAddressUpdate, async (req, res, next) => {
   try {
     const { userId, addressId } = req.params;
     const updateData = req.body;
@@ -523,7 +524,7 @@ router.patch('/:addressId', validateUserIdForAddress, validateAddressId, validat
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:addressId', validateUserIdForAddress, validateAddressId, async (req, res, next) => {
+router.delete('/:addressId', requirePermission('users:write'), validateUserIdForAddress, validateAddressId, async (req, res, next) => {
   try {
     const { userId, addressId } = req.params;
 
@@ -597,7 +598,7 @@ router.delete('/:addressId', validateUserIdForAddress, validateAddressId, async
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:addressId/restore', validateUserIdForAddress, validateAddressId, async (req, res, next) => {
+router.post('/:addressId/restore', requirePermission('users:write'), validateUserIdForAddress, validateAddressId, async (req, res, next) => {
   try {
     const { userId, addressId } = req.params;
 
@@ -671,7 +672,7 @@ router.post('/:addressId/restore', validateUserIdForAddress, validateAddressId,
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:addressId/permanent', validateUserIdForAddress, validateAddressId, async (req, res, next) => {
+router.delete('/:addressId/permanent', requirePermission('users:write'), validateUserIdForAddress, validateAddressId, async (req, res, next) => {
   try {
     const { userId, addressId } = req.params;
 
@@ -1,15 +1,43 @@
 import express from 'express';
 import apiKeysService from '../services/apiKeys.js';
-import { validateCreateApiKey, validateGetApiKeysQuery } from '../middleware/apiKeys.js';
+import apiKeyUsageService from '../services/apiKeyUsage.js';
+import { validateCreateApiKey, validateGetApiKeysQuery, validateUpdateApiKey, validateRotateApiKey, validateApiKeyUsageQuery, validateApiKeyId } from '../middleware/apiKeys.js';
+import ApiError from '../errors/errors.js';
+import { requirePermission } from '../middleware/permissions.js';
+import permissionsService from '../services/permissions.js';
 
 const router = express.Router();
 
+/**
+ * Make sure a scoped API key only hands out scopes it holds itself
+ * @param {Object} req - Express request object
+ * @param {Array|null} scopes - The scopes requested for the key
+ * @throws {ApiError} If the scopes go beyond those of the calling key
+ */
+const assertScopesGrantable = (req, scopes) => {
+  const callerScopes = req.apiKey?.scopes;
+
+  if (!Array.isArray(callerScopes)) {
+    return;
+  }
+
+  if (!Array.isArray(scopes)) {
+    throw ApiError.forbidden('A scoped API key cannot issue keys without scopes');
+  }
+
+  const exceeding = scopes.filter(scope => !permissionsService.hasPermission(callerScopes, scope));
+
+  if (exceeding.length > 0) {
+    throw ApiError.forbidden(`API key cannot grant scopes it does not hold: ${exceeding.join(', ')}`);
+  }
+};
+
 /**
  * @swagger
  * /api/api-keys:
  *   post:
  *     summary: Create a new API key
- *     description: Generate and create a new API key (requires JWT authentication)
+ *     description: Generate and create a new API key (requires JWT authentication). The key is stored as a salted hash, the plain key is only returned in this response.
  *     tags: [API Keys]
  *     security:
  *       - bearerAuth: []
@@ -38,21 +66,66 @@ const router = express.Router();
  *                 type: string
  *                 format: date-time
  *                 description: Optional expiration date
+ *               is_super_admin:
+ *                 type: boolean
+ *                 description: Super admin keys are not limited to their tenant. Can only be created with a super admin key.
+ *                 default: false
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per minute allowed for the key (defaults to RATE_LIMIT_PER_MINUTE)
+ *               rate_limit_burst:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests the key may make at once before the per minute rate applies
+ *               scopes:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Limit the key to these scopes, e.g. users:read, auth:login or auth:*. Keys without scopes are not restricted, except for SCIM provisioning, which needs scim:users, scim:groups or scim:*. A scoped key can only grant scopes it holds itself.
+ *                 example: ["users:read", "auth:login"]
+ *               allowed_ips:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Only accept the key from these IP addresses or CIDR ranges. Keys without allowed IPs can be used from anywhere.
+ *                 example: ["203.0.113.0/24", "2001:db8::/32"]
+ *               allowed_origins:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Only accept the key from browsers on these origins (Origin header). A *. prefix allows all subdomains. Requests without an Origin header are rejected when set.
+ *                 example: ["https://app.example.com", "https://*.example.com"]
  *     responses:
  *       201:
- *         description: API key created successfully
+ *         description: API key created successfully. The response contains the plain key (sk_live_...), which cannot be retrieved again.
+ *       400:
+ *         description: Validation failed (e.g. unknown scope)
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Key for another tenant or super admin key requested by a tenant scoped key, or scopes beyond those of the calling key
  */
-router.post('/', validateCreateApiKey, async (req, res, next) => {
+router.post('/', requirePermission('api_keys:write'), validateCreateApiKey, async (req, res, next) => {
   try {
-    const { name, application_id, tenant_id, expires_at } = req.body;
+    const { name, application_id, tenant_id, expires_at, is_super_admin, scopes, rate_limit_per_minute, rate_limit_burst, allowed_ips, allowed_origins } = req.body;
+
+    assertScopesGrantable(req, scopes || null);
 
     const apiKey = await apiKeysService.create({
       name,
       application_id: application_id || null,
       tenant_id: tenant_id || null,
-      expires_at: expires_at || null
+      expires_at: expires_at || null,
+      is_super_admin: is_super_admin || false,
+      scopes: scopes || null,
+      rate_limit_per_minute: rate_limit_per_minute || null,
+      rate_limit_burst: rate_limit_burst || null,
+      allowed_ips: allowed_ips || null,
+      allowed_origins: allowed_origins || null
     });
 
     res.status(201).json({
@@ -70,7 +143,7 @@ router.post('/', validateCreateApiKey, async (req, res, next) => {
  * /api/api-keys:
  *   get:
  *     summary: Get all API keys
- *     description: Retrieve all API keys with full key values, application names, and tenant names (requires JWT authentication)
+ *     description: Retrieve all API keys with their key prefix, application names, and tenant names (requires JWT authentication). The full key is never returned after creation.
  *     tags: [API Keys]
  *     security:
  *       - bearerAuth: []
@@ -120,8 +193,10 @@ router.post('/', validateCreateApiKey, async (req, res, next) => {
  *                             format: uuid
  *                           name:
  *                             type: string
- *                           key:
+ *                           key_prefix:
  *                             type: string
+ *                             description: Visible start of the key, used to identify it
+ *                             example: "sk_live_1a2b3c4d"
  *                           application_id:
  *                             type: string
  *                             format: uuid
@@ -146,7 +221,7 @@ router.post('/', validateCreateApiKey, async (req, res, next) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/', validateGetApiKeysQuery, async (req, res, next) => {
+router.get('/', requirePermission('api_keys:read'), validateGetApiKeysQuery, async (req, res, next) => {
   try {
     // Use validated query data (already parsed and validated)
     const { limit, offset, orderBy, tenant_id } = req.validatedQuery || req.query;
@@ -169,4 +244,400 @@ router.get('/', validateGetApiKeysQuery, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key by ID
+ *     description: Retrieve a single API key. The key itself is never returned, only its prefix.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key retrieved successfully
+ *       400:
+ *         description: Invalid API key ID
+ *       404:
+ *         description: API key not found
+ */
+router.get('/:id', requirePermission('api_keys:read'), validateApiKeyId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await apiKeysService.getById(id);
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/usage:
+ *   get:
+ *     summary: Get usage statistics of an API key
+ *     description: Request counts of an API key per time bucket with a status code breakdown, and the busiest routes in the range. Counters are written in batches, so the last minute may not be included yet.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 24 hours ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now, at most 31 days after from)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [minute, hour, day]
+ *           default: hour
+ *         description: Size of the time buckets
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         api_key_id:
+ *                           type: string
+ *                           format: uuid
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                         interval:
+ *                           type: string
+ *                         totals:
+ *                           type: object
+ *                           properties:
+ *                             requests:
+ *                               type: integer
+ *                             errors:
+ *                               type: integer
+ *                             status_codes:
+ *                               type: object
+ *                               additionalProperties:
+ *                                 type: integer
+ *                               example: { "200": 120, "404": 3 }
+ *                         buckets:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               start:
+ *                                 type: string
+ *                                 format: date-time
+ *                               requests:
+ *                                 type: integer
+ *                               errors:
+ *                                 type: integer
+ *                               status_codes:
+ *                                 type: object
+ *                                 additionalProperties:
+ *                                   type: integer
+ *                         top_routes:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               method:
+ *                                 type: string
+ *                                 example: "GET"
+ *                               route:
+ *                                 type: string
+ *                                 example: "/api/users/:id"
+ *                               requests:
+ *                                 type: integer
+ *                               errors:
+ *                                 type: integer
+ *       400:
+ *         description: Invalid API key ID or query parameters
+ *       404:
+ *         description: API key not found
+ */
+router.get('/:id/usage', requirePermission('api_keys:read'), validateApiKeyId, validateApiKeyUsageQuery, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to, interval } = req.validatedQuery;
+
+    // Make sure the key exists and belongs to the caller's tenant
+    await apiKeysService.getById(id);
+
+    const usage = await apiKeyUsageService.getUsage(id, { from, to, interval });
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   patch:
+ *     summary: Update an API key
+ *     description: Rename an API key, change its status (set to inactive to disable it), its expiration date, its scopes, its rate limits or the IPs and origins it may be used from
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, inactive]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per minute allowed for the key (defaults to RATE_LIMIT_PER_MINUTE)
+ *               rate_limit_burst:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests the key may make at once before the per minute rate applies
+ *               scopes:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Replace the scopes of the key, null removes all restrictions. A scoped key can only grant scopes it holds itself.
+ *               allowed_ips:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Replace the allowed IP addresses and CIDR ranges, null allows all
+ *               allowed_origins:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Replace the allowed origins, null allows all
+ *     responses:
+ *       200:
+ *         description: API key updated successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Forbidden - Scopes beyond those of the calling key, or super admin key changed by a tenant scoped key
+ *       404:
+ *         description: API key not found
+ */
+router.patch('/:id', requirePermission('api_keys:write'), validateApiKeyId, validateUpdateApiKey, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    if (!updateData || Object.keys(updateData).length === 0) {
+      throw ApiError.badRequest('Update data is required');
+    }
+
+    if (updateData.scopes !== undefined) {
+      assertScopesGrantable(req, updateData.scopes);
+    }
+
+    const apiKey = await apiKeysService.update(id, updateData);
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Generate a new secret for an API key. The new plain key is only returned in this response. With overlap_minutes the old key keeps working for that long, otherwise it stops working immediately.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overlap_minutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 10080
+ *                 default: 0
+ *                 description: Minutes during which both the old and the new key are accepted
+ *     responses:
+ *       200:
+ *         description: API key rotated successfully. The response contains the new plain key.
+ *       400:
+ *         description: Validation failed or the API key is deleted
+ *       403:
+ *         description: Forbidden - Super admin key rotated by a tenant scoped key, or key with scopes beyond those of the calling key
+ *       404:
+ *         description: API key not found
+ */
+router.post('/:id/rotate', requirePermission('api_keys:write'), validateApiKeyId, validateRotateApiKey, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { overlap_minutes } = req.body;
+
+    // The caller receives the new secret, so it must be allowed to hold the key's scopes
+    const target = await apiKeysService.getById(id);
+    assertScopesGrantable(req, target.scopes);
+
+    const apiKey = await apiKeysService.rotate(id, { overlapMinutes: overlap_minutes });
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key rotated successfully. Store this key securely - it will not be shown again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Soft delete an API key
+ *     description: Revoke an API key by setting its deleted_at timestamp. The key stops working immediately and can be restored.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key soft deleted successfully
+ *       403:
+ *         description: Forbidden - Super admin key deleted by a tenant scoped key
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', requirePermission('api_keys:delete'), validateApiKeyId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await apiKeysService.softDelete(id);
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key soft deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/restore:
+ *   post:
+ *     summary: Restore a soft deleted API key
+ *     description: Restore a soft deleted API key by clearing its deleted_at timestamp
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key restored successfully
+ *       404:
+ *         description: Soft deleted API key not found
+ */
+router.post('/:id/restore', requirePermission('api_keys:delete'), validateApiKeyId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await apiKeysService.restore(id);
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import applicationsService from '../services/applications.js';
 import { validateApplication, validateApplicationUpdate, validateApplicationId } from '../middleware/applications.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
@@ -55,7 +56,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('applications:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -126,7 +127,7 @@ router.get('/', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/deleted', async (req, res, next) => {
+router.get('/deleted', requirePermission('applications:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -193,7 +194,7 @@ router.get('/deleted', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', validateApplicationId, async (req, res, next) => {
+router.get('/:id', requirePermission('applications:read'), validateApplicationId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -235,6 +236,12 @@ router.get('/:id', validateApplicationId, async (req, res, next) => {
  *                 type: boolean
  *                 description: Whether the application supports multiple tenants
  *                 example: true
+ *               app_url:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *                 description: Base URL of the application's frontend, used for links in emails (verification, password reset)
+ *                 example: "https://finance.example.com"
  *             required:
  *               - name
  *               - key
@@ -267,7 +274,7 @@ router.get('/:id', validateApplicationId, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', validateApplication, async (req, res, next) => {
+router.post('/', requirePermission('applications:write'), validateApplication, async (req, res, next) => {
   try {
     const applicationData = req.body;
 
@@ -318,6 +325,12 @@ router.post('/', validateApplication, async (req, res, next) => {
  *                 type: boolean
  *                 description: Whether the application supports multiple tenants
  *                 example: true
+ *               app_url:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *                 description: Base URL of the application's frontend, used for links in emails (verification, password reset)
+ *                 example: "https://finance.example.com"
  *     responses:
  *       200:
  *         description: Application updated successfully
@@ -352,7 +365,7 @@ router.post('/', validateApplication, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id', validateApplicationId, validateApplicationUpdate, async (req, res, next) => {
+router.patch('/:id', requirePermission('applications:write'), validateApplicationId, validateApplicationUpdate, async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -418,7 +431,7 @@ router.patch('/:id', validateApplicationId, validateApplicationUpdate, async (re
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', validateApplicationId, async (req, res, next) => {
+router.delete('/:id', requirePermission('applications:delete'), validateApplicationId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -483,7 +496,7 @@ router.delete('/:id', validateApplicationId, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/restore', validateApplicationId, async (req, res, next) => {
+router.post('/:id/restore', requirePermission('applications:delete'), validateApplicationId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -548,7 +561,7 @@ router.post('/:id/restore', validateApplicationId, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id/permanent', validateApplicationId, async (req, res, next) => {
+router.delete('/:id/permanent', requirePermission('applications:delete'), validateApplicationId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
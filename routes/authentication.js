@@ -1,9 +1,38 @@
 import express from 'express';
 import crypto from 'crypto';
 import usersService from '../services/users.js';
+import tenantsService from '../services/tenants.js';
+import applicationsService from '../services/applications.js';
+import refreshTokensService from '../services/refreshTokens.js';
+import sessionsService from '../services/sessions.js';
+import loginAttemptsService from '../services/loginAttempts.js';
+import permissionsService from '../services/permissions.js';
+import mailService from '../services/mail.js';
+import magicLinksService from '../services/magicLinks.js';
+import invitationsService from '../services/invitations.js';
+import oauthService from '../services/oauth.js';
+import oauthConsentsService from '../services/oauthConsents.js';
+import identityProvidersService from '../services/identityProviders.js';
+import federationService from '../services/federation.js';
 import ApiError from '../errors/errors.js';
-import { registerSchema, loginSchema, changePasswordSchema } from '../schemas/authentication.js';
-import { generateToken, verifyToken } from '../utils/jwt.js';
+import { authenticate } from '../middleware/authenticate.js';
+import {
+  registerSchema,
+  loginSchema,
+  changePasswordSchema,
+  refreshTokenSchema,
+  mfaEnrollSchema,
+  mfaCodeSchema,
+  mfaVerifySchema,
+  resendVerificationSchema,
+  magicLinkRequestSchema,
+  magicLinkVerifySchema,
+  acceptInvitationSchema,
+  oauthAuthorizeSchema,
+  federatedTokenSchema
+} from '../schemas/authentication.js';
+import { generateToken, verifyToken, generateMfaChallengeToken, verifyMfaChallengeToken } from '../utils/jwt.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
 
 const router = express.Router();
 
@@ -35,6 +64,136 @@ const validateAuth = (schema) => async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to validate the session ID route parameter
+ */
+const validateSessionId = (req, res, next) => {
+  const { id } = req.params;
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (!id || !uuidRegex.test(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID format'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Decode an MFA challenge token and check it was issued for the API key's tenant
+ */
+const decodeMfaChallenge = async (token, tenantId) => {
+  let decoded;
+  try {
+    decoded = await verifyMfaChallengeToken(token);
+  } catch (error) {
+    throw ApiError.unauthorized('Invalid or expired MFA challenge');
+  }
+
+  if (decoded.tenant_id !== tenantId) {
+    throw ApiError.unauthorized('Invalid or expired MFA challenge');
+  }
+
+  return decoded;
+};
+
+/**
+ * Middleware for MFA enrollment: accepts either a regular access token or,
+ * when the tenant forces enrollment during login, the MFA challenge token
+ */
+const authenticateForMfaEnrollment = async (req, res, next) => {
+  if (!req.body.challenge_token) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = await decodeMfaChallenge(req.body.challenge_token, req.tenant_id);
+
+    if (!decoded.enrollment_required) {
+      throw ApiError.unauthorized('Invalid or expired MFA challenge');
+    }
+
+    req.user = { id: decoded.id };
+    req.mfaChallenge = decoded;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build the error for a locked account and tell the client when to retry
+ */
+const accountLockedError = (res, user) => {
+  const retryAfter = Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(Math.max(retryAfter, 1)));
+  return ApiError.locked('Account is temporarily locked due to too many failed login attempts');
+};
+
+/**
+ * Let a user know that the MFA settings of the account changed. Sent in the background,
+ * a failed delivery does not fail the request.
+ */
+const notifyMfaChanged = (user) => {
+  mailService.sendMfaChangedEmail(user)
+    .catch(mailError => console.error(`Failed to send MFA notification to user ${user.id}: ${mailError.message}`));
+};
+
+/**
+ * Start a session for a user whose credentials have been fully verified and
+ * send the login response
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Update last login timestamp
+  await usersService.updateLastLogin(user.id);
+
+  // Start a new session with its access and refresh tokens
+  const { token, refreshToken } = await sessionsService.start(user, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  // Remove sensitive and unnecessary fields from response
+  const { password_hash, mfa_secret, mfa_recovery_codes, created_at, updated_at, deleted_at, ...userResponse } = user;
+
+  res.json({
+    success: true,
+    data: userResponse,
+    token: token,
+    refresh_token: refreshToken.token,
+    refresh_token_expires_at: refreshToken.record.expires_at,
+    ...extra,
+    message: 'Login successful'
+  });
+};
+
+/**
+ * Send an MFA challenge when the user (or the tenant) needs a second factor,
+ * otherwise start the session right away
+ */
+const continueLogin = async (req, res, user) => {
+  const tenant = await tenantsService.getById(user.tenant_id);
+
+  if (user.mfa_enabled || tenant.require_mfa) {
+    const enrollmentRequired = !user.mfa_enabled;
+
+    return res.json({
+      success: true,
+      mfa_required: true,
+      enrollment_required: enrollmentRequired,
+      challenge_token: await generateMfaChallengeToken(user, { enrollmentRequired }),
+      message: enrollmentRequired
+        ? 'Multi-factor authentication must be set up before signing in'
+        : 'Multi-factor authentication required'
+    });
+  }
+
+  await completeLogin(req, res, user);
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -81,9 +240,13 @@ const validateAuth = (schema) => async (req, res, next) => {
  *                 enum: [active, inactive, suspended]
  *                 description: User's status
  *                 example: "active"
+ *               locale:
+ *                 type: string
+ *                 description: Preferred language of the user's emails (falls back to the language without region, then to the default locale)
+ *                 example: "nl-BE"
  *     responses:
  *       201:
- *         description: User registered successfully. User is created with is_verified=false and an email verification token is generated (valid for 24 hours).
+ *         description: User registered successfully. User is created with is_verified=false and an email with a verification link (valid for 24 hours) is sent to the user.
  *         content:
  *           application/json:
  *             schema:
@@ -132,8 +295,8 @@ router.post('/register', validateAuth(registerSchema), async (req, res, next) =>
     }
 
     // Generate email verification token and expiration (24 hours from now)
-    const emailVerificationToken = crypto.randomBytes(32).toString('hex');
-    const emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const { token: emailVerificationToken, expiresAt: emailVerificationExpires } = usersService.createVerificationToken();
+    const now = new Date().toISOString();
 
     const userData = {
       ...req.body,
@@ -141,19 +304,122 @@ router.post('/register', validateAuth(registerSchema), async (req, res, next) =>
       application_id: req.application_id,
       is_verified: false,
       email_verification_token: emailVerificationToken,
-      email_verification_expires: emailVerificationExpires
+      email_verification_expires: emailVerificationExpires,
+      // The registration email counts towards the resend cooldown and daily limit
+      email_verification_sent_at: now,
+      email_verification_send_count: 1,
+      email_verification_window_started_at: now
     };
 
     // Use the usersService.create which already handles password hashing
     const newUser = await usersService.create(userData);
     
+    // The token is only delivered by email. A failed delivery does not undo the registration.
+    try {
+      await mailService.sendVerificationEmail(newUser, emailVerificationToken, emailVerificationExpires);
+    } catch (mailError) {
+      console.error(`Failed to send verification email to user ${newUser.id}: ${mailError.message}`);
+    }
+
+    // Remove password_hash and verification token from response for security
+    const { password_hash, email_verification_token, ...userResponse } = newUser;
+
+    res.status(201).json({
+      success: true,
+      data: userResponse,
+      message: 'User registered successfully. A verification email has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: Create the account of an invited user with the token from the invitation email. The invitee chooses a password and name; the email address, tenant and roles come from the invitation. The account is created verified, since the invitation was delivered to the email address. The invitation must belong to the tenant of the API key and can only be accepted once. Sign in afterwards at /api/auth/login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *               - first_name
+ *               - last_name
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token from the invitation email
+ *               username:
+ *                 type: string
+ *                 description: User's username
+ *                 example: "janedoe"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: User's password (will be hashed using bcrypt before storage)
+ *                 example: "SecurePassword123!"
+ *               first_name:
+ *                 type: string
+ *                 example: "Jane"
+ *               last_name:
+ *                 type: string
+ *                 example: "Doe"
+ *               locale:
+ *                 type: string
+ *                 description: Preferred language of the user's emails (defaults to the locale of the invitation)
+ *                 example: "nl-BE"
+ *     responses:
+ *       201:
+ *         description: Invitation accepted and account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *                     message:
+ *                       type: string
+ *                       example: "Invitation accepted successfully"
+ *       400:
+ *         description: Bad request - Validation failed, invalid or expired invitation, or username already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/invitations/accept', validateAuth(acceptInvitationSchema), async (req, res, next) => {
+  try {
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
+    }
+
+    const { token, ...userData } = req.body;
+    const newUser = await invitationsService.accept(token, req.tenant_id, userData);
+
     // Remove password_hash and verification token from response for security
     const { password_hash, email_verification_token, ...userResponse } = newUser;
 
     res.status(201).json({
       success: true,
       data: userResponse,
-      message: 'User registered successfully'
+      message: 'Invitation accepted successfully'
     });
   } catch (error) {
     next(error);
@@ -165,7 +431,7 @@ router.post('/register', validateAuth(registerSchema), async (req, res, next) =>
  * /api/auth/login:
  *   post:
  *     summary: Login a user
- *     description: Authenticate a user by email or username and password. The tenant_id is automatically extracted from the API key used for authentication. Returns user data with assigned roles (excludes password_hash, created_at, updated_at, deleted_at).
+ *     description: Authenticate a user by email or username and password. The tenant_id is automatically extracted from the API key used for authentication. Returns user data with assigned roles (excludes password_hash, created_at, updated_at, deleted_at), a short-lived access token and a refresh token that can be exchanged at /api/auth/refresh. When the user has MFA enabled, or the tenant requires MFA, an MFA challenge is returned instead and the login is completed at /api/auth/mfa/verify (or /api/auth/mfa/confirm when the user still has to enroll).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -253,8 +519,24 @@ router.post('/register', validateAuth(registerSchema), async (req, res, next) =>
  *                                 example: "Admin"
  *                 token:
  *                   type: string
- *                   description: JWT authentication token
+ *                   description: Short-lived JWT access token
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Opaque refresh token (single use, rotated on every refresh)
+ *                 refresh_token_expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the refresh token expires
+ *                 mfa_required:
+ *                   type: boolean
+ *                   description: Present (true) when a second factor is needed; no tokens are returned in that case
+ *                 enrollment_required:
+ *                   type: boolean
+ *                   description: The tenant requires MFA and the user still has to enroll
+ *                 challenge_token:
+ *                   type: string
+ *                   description: Short-lived MFA challenge token (valid for 5 minutes)
  *                 message:
  *                   type: string
  *                   example: "Login successful"
@@ -276,6 +558,18 @@ router.post('/register', validateAuth(registerSchema), async (req, res, next) =>
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Locked - Account is temporarily locked after too many failed attempts (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests - Too many failed attempts from this IP (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -293,41 +587,46 @@ router.post('/login', validateAuth(loginSchema), async (req, res, next) => {
 
     const { identifier, password } = req.body;
     const tenant_id = req.tenant_id;
+    const attempt = { tenantId: tenant_id, identifier, ipAddress: req.ip };
+
+    // Progressively slow down repeated failures from the same IP
+    const delay = await loginAttemptsService.getRequiredDelay(tenant_id, req.ip);
+
+    if (delay > 0) {
+      res.set('Retry-After', String(delay));
+      throw ApiError.tooManyRequests('Too many failed login attempts. Please try again later');
+    }
 
     // Find user by email or username and tenant ID
     const user = await usersService.findByEmailOrUsernameAndTenant(identifier, tenant_id);
 
     if (!user) {
+      await loginAttemptsService.record({ ...attempt, succeeded: false });
       throw ApiError.unauthorized('Invalid email/username, password, or tenant');
     }
 
+    if (usersService.isLocked(user)) {
+      await loginAttemptsService.record({ ...attempt, userId: user.id, succeeded: false });
+      throw accountLockedError(res, user);
+    }
+
     // Verify password
     const isPasswordValid = await usersService.verifyPassword(password, user.password_hash);
 
     if (!isPasswordValid) {
+      await loginAttemptsService.record({ ...attempt, userId: user.id, succeeded: false });
+      await usersService.recordFailedLogin(user);
       throw ApiError.unauthorized('Invalid email/username, password, or tenant');
     }
 
+    await loginAttemptsService.record({ ...attempt, userId: user.id, succeeded: true });
+
     // Check if email is verified
     if (!user.is_verified) {
       throw ApiError.forbidden('Email address has not been verified');
     }
 
-    // Update last login timestamp
-    await usersService.updateLastLogin(user.id);
-
-    // Generate JWT token
-    const token = generateToken(user);
-
-    // Remove sensitive and unnecessary fields from response
-    const { password_hash, created_at, updated_at, deleted_at, ...userResponse } = user;
-
-    res.json({
-      success: true,
-      data: userResponse,
-      token: token,
-      message: 'Login successful'
-    });
+    await continueLogin(req, res, user);
   } catch (error) {
     next(error);
   }
@@ -335,16 +634,28 @@ router.post('/login', validateAuth(loginSchema), async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user from token
- *     description: Validate JWT token from Authorization header and return current user information with assigned roles
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Request a magic sign-in link
+ *     description: Email the user a single-use link to sign in without a password. The link is valid for MAGIC_LINK_TTL_MINUTES (default 15) and earlier unused links stop working. At most one link is sent per MAGIC_LINK_COOLDOWN_SECONDS (default 60). The tenant_id is automatically extracted from the API key. The response is the same whether or not an active account exists for the email address.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: The user's email address
+ *                 example: "john.doe@example.com"
  *     responses:
  *       200:
- *         description: Token is valid and user info returned
+ *         description: Request accepted. If an active account exists for the email address, a sign-in link has been sent.
  *         content:
  *           application/json:
  *             schema:
@@ -353,42 +664,11 @@ router.post('/login', validateAuth(loginSchema), async (req, res, next) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 data:
- *                   allOf:
- *                     - $ref: '#/components/schemas/User'
- *                     - type: object
- *                       properties:
- *                         user_roles:
- *                           type: array
- *                           description: List of roles assigned to this user
- *                           items:
- *                             type: object
- *                             properties:
- *                               id:
- *                                 type: string
- *                                 format: uuid
- *                                 description: User role assignment ID
- *                               role_id:
- *                                 type: string
- *                                 format: uuid
- *                                 description: Role ID
- *                               roles:
- *                                 type: object
- *                                 properties:
- *                                   name:
- *                                     type: string
- *                                     example: "Admin"
  *                 message:
  *                   type: string
- *                   example: "Token is valid"
- *       401:
- *         description: Unauthorized - Invalid or expired token, or missing Authorization header
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: User not found
+ *                   example: "If an account exists for this email address, a sign-in link has been sent"
+ *       400:
+ *         description: Bad request - Validation failed
  *         content:
  *           application/json:
  *             schema:
@@ -400,37 +680,31 @@ router.post('/login', validateAuth(loginSchema), async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/me', async (req, res, next) => {
+router.post('/magic-link', validateAuth(magicLinkRequestSchema), async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw ApiError.unauthorized('Authorization header with Bearer token is required');
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    // Verify token
-    let decoded;
-    try {
-      decoded = verifyToken(token);
-    } catch (error) {
-      if (error.message === 'Invalid or expired token') {
-        throw ApiError.unauthorized('Invalid or expired token');
+    const user = await usersService.findByEmailOrUsernameAndTenant(req.body.email, req.tenant_id);
+
+    if (user && user.status === 'active') {
+      const issued = await magicLinksService.issue(user, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+
+      // Sent in the background so the response timing does not reveal whether the account exists
+      if (issued) {
+        mailService.sendMagicLinkEmail(user, issued.token, issued.record.expires_at)
+          .catch(mailError => console.error(`Failed to send magic link to user ${user.id}: ${mailError.message}`));
       }
-      throw error;
     }
 
-    // Fetch fresh user data from database
-    const user = await usersService.getById(decoded.id);
-    
-    // Remove password_hash from response for security
-    const { password_hash, ...userResponse } = user;
-
     res.json({
       success: true,
-      data: userResponse,
-      message: 'Token is valid'
+      message: 'If an account exists for this email address, a sign-in link has been sent'
     });
   } catch (error) {
     next(error);
@@ -439,10 +713,10 @@ router.get('/me', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/change-password:
+ * /api/auth/magic-link/verify:
  *   post:
- *     summary: Change user password
- *     description: Change the password for a user. Requires current password verification. The tenant_id is automatically extracted from the API key used for authentication and used to verify the user belongs to that tenant.
+ *     summary: Sign in with a magic link
+ *     description: Exchange the token from a magic link for a session. The response has the same shape as /api/auth/login, including the MFA challenge when the user has MFA enabled or the tenant requires it. The token can only be used once. Signing in this way also verifies the user's email address.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -451,40 +725,14 @@ router.get('/me', async (req, res, next) => {
  *           schema:
  *             type: object
  *             required:
- *               - user_id
- *               - current_password
- *               - new_password
+ *               - token
  *             properties:
- *               user_id:
+ *               token:
  *                 type: string
- *                 format: uuid
- *                 description: ID of the user
- *                 example: "123e4567-e89b-12d3-a456-426614174002"
- *               current_password:
- *                 type: string
- *                 format: password
- *                 description: User's current password
- *                 example: "OldPassword123!"
- *               new_password:
- *                 type: string
- *                 format: password
- *                 description: User's new password (will be hashed using bcrypt)
- *                 example: "NewSecurePassword123!"
+ *                 description: The token from the magic link
  *     responses:
  *       200:
- *         description: Password changed successfully
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/SuccessResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/User'
- *                     message:
- *                       type: string
- *                       example: "Password changed successfully"
+ *         description: User logged in successfully, or an MFA challenge (see /api/auth/login)
  *       400:
  *         description: Bad request - Validation failed
  *         content:
@@ -492,66 +740,76 @@ router.get('/me', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Unauthorized - Invalid current password
+ *         description: Unauthorized - Invalid, used or expired magic link
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - User does not belong to the specified tenant
+ *         description: Forbidden - User account is not active
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: User not found
+ *       423:
+ *         description: Locked - Account is temporarily locked after too many failed attempts (see Retry-After header)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Internal server error
+ *       429:
+ *         description: Too many requests - Too many failed attempts from this IP (see Retry-After header)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/change-password', validateAuth(changePasswordSchema), async (req, res, next) => {
+router.post('/magic-link/verify', validateAuth(magicLinkVerifySchema), async (req, res, next) => {
   try {
     // Get tenant_id from API key (set by validateApiKey middleware)
     if (!req.tenant_id) {
       throw ApiError.badRequest('API key must be associated with a tenant');
     }
 
-    const { user_id, current_password, new_password } = req.body;
     const tenant_id = req.tenant_id;
+    const attempt = { tenantId: tenant_id, ipAddress: req.ip };
 
-    // Get the user
-    const user = await usersService.getById(user_id);
+    // Same IP based slow down as password logins
+    const delay = await loginAttemptsService.getRequiredDelay(tenant_id, req.ip);
 
-    // Verify that the user belongs to the tenant from the API key
-    if (user.tenant_id !== tenant_id) {
-      throw ApiError.forbidden('User does not belong to the tenant associated with the API key');
+    if (delay > 0) {
+      res.set('Retry-After', String(delay));
+      throw ApiError.tooManyRequests('Too many failed login attempts. Please try again later');
     }
 
-    // Verify current password
-    const isPasswordValid = await usersService.verifyPassword(current_password, user.password_hash);
+    const magicLink = await magicLinksService.consume(req.body.token, tenant_id);
 
-    if (!isPasswordValid) {
-      throw ApiError.unauthorized('Invalid current password');
+    if (!magicLink) {
+      await loginAttemptsService.record({ ...attempt, succeeded: false });
+      throw ApiError.unauthorized('Invalid or expired magic link');
     }
 
-    // Update password (usersService.update handles password hashing)
-    const updatedUser = await usersService.update(user_id, { password: new_password });
+    let user = await usersService.getById(magicLink.user_id);
 
-    // Remove password_hash from response for security
-    const { password_hash, ...userResponse } = updatedUser;
+    if (user.deleted_at || user.status !== 'active') {
+      await loginAttemptsService.record({ ...attempt, userId: user.id, succeeded: false });
+      throw ApiError.forbidden('User account is not active');
+    }
 
-    res.json({
-      success: true,
-      data: userResponse,
-      message: 'Password changed successfully'
-    });
+    if (usersService.isLocked(user)) {
+      await loginAttemptsService.record({ ...attempt, userId: user.id, succeeded: false });
+      throw accountLockedError(res, user);
+    }
+
+    await loginAttemptsService.record({ ...attempt, userId: user.id, identifier: user.email, succeeded: true });
+
+    // The link was delivered to the user's inbox, which proves they own the address
+    if (!user.is_verified) {
+      await usersService.verifyEmail(user.id);
+      user = { ...user, is_verified: true, email_verification_token: null, email_verification_expires: null };
+    }
+
+    await continueLogin(req, res, user);
   } catch (error) {
     next(error);
   }
@@ -559,27 +817,14 @@ router.post('/change-password', validateAuth(changePasswordSchema), async (req,
 
 /**
  * @swagger
- * /api/auth/verify-email:
- *   post:
- *     summary: Verify user email address
- *     description: Verify a user's email address using the verification token sent during registration. The token is valid for 24 hours after registration.
+ * /api/auth/federated/providers:
+ *   get:
+ *     summary: List the identity providers users can sign in with
+ *     description: The enabled external identity providers (OIDC or SAML 2.0) of the tenant, to show as sign-in buttons. The tenant_id is automatically extracted from the API key.
  *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - token
- *             properties:
- *               token:
- *                 type: string
- *                 description: The email verification token
- *                 example: "a1b2c3d4e5f6..."
  *     responses:
  *       200:
- *         description: Email verified successfully
+ *         description: Identity providers retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -589,70 +834,42 @@ router.post('/change-password', validateAuth(changePasswordSchema), async (req,
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   allOf:
- *                     - $ref: '#/components/schemas/User'
- *                     - type: object
- *                       properties:
- *                         is_verified:
- *                           type: boolean
- *                           example: true
- *                 message:
- *                   type: string
- *                   example: "Email verified successfully"
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       name:
+ *                         type: string
+ *                         example: "Acme Azure AD"
+ *                       protocol:
+ *                         type: string
+ *                         enum: [oidc, saml]
+ *                 count:
+ *                   type: integer
  *       400:
- *         description: Bad request - Token is required or invalid
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       410:
- *         description: Gone - Verification token has expired
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Internal server error
+ *         description: Bad request - API key is not associated with a tenant
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/verify-email', async (req, res, next) => {
+router.get('/federated/providers', async (req, res, next) => {
   try {
-    const { token } = req.body;
-
-    if (!token) {
-      throw ApiError.badRequest('Verification token is required');
-    }
-
-    // Find user by verification token
-    const user = await usersService.findByVerificationToken(token);
-
-    if (!user) {
-      throw ApiError.badRequest('Invalid verification token');
-    }
-
-    // Check if user is already verified
-    if (user.is_verified) {
-      throw ApiError.badRequest('Email is already verified');
-    }
-
-    // Check if token has expired
-    if (user.email_verification_expires && new Date(user.email_verification_expires) < new Date()) {
-      throw ApiError.gone('Verification token has expired');
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
     }
 
-    // Verify the user's email
-    const verifiedUser = await usersService.verifyEmail(user.id);
-
-    // Remove sensitive fields from response
-    const { password_hash, email_verification_token, ...userResponse } = verifiedUser;
+    const providers = await identityProvidersService.getByTenantId(req.tenant_id, { enabled: true });
+    const data = providers.map(({ id, name, protocol }) => ({ id, name, protocol }));
 
     res.json({
       success: true,
-      data: userResponse,
-      message: 'Email verified successfully'
+      data,
+      count: data.length
     });
   } catch (error) {
     next(error);
@@ -661,22 +878,22 @@ router.post('/verify-email', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/verification-token/{email}:
- *   get:
- *     summary: Get email verification token by email address
- *     description: Retrieve the email verification token and expiration for a user by their email address. The tenant_id is automatically extracted from the API key. Useful for resending verification emails.
+ * /api/auth/federated/{providerId}/login:
+ *   post:
+ *     summary: Start a sign-in with an identity provider
+ *     description: Returns the URL to send the user's browser to. After signing in at the identity provider the user comes back to /federation and is then redirected to the application's login callback page (app_url + FEDERATED_LOGIN_CALLBACK_PATH, default /login/callback) with a code for /api/auth/federated/token. The login must be completed within FEDERATED_LOGIN_TTL_MINUTES (default 10).
  *     tags: [Authentication]
  *     parameters:
  *       - in: path
- *         name: email
+ *         name: providerId
  *         required: true
  *         schema:
  *           type: string
- *           format: email
- *         description: The user's email address
+ *           format: uuid
+ *         description: Identity provider ID
  *     responses:
  *       200:
- *         description: Verification token retrieved successfully
+ *         description: Sign-in started
  *         content:
  *           application/json:
  *             schema:
@@ -688,76 +905,53 @@ router.post('/verify-email', async (req, res, next) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     id:
- *                       type: string
- *                       format: uuid
- *                     email:
- *                       type: string
- *                       format: email
- *                     is_verified:
- *                       type: boolean
- *                       example: false
- *                     email_verification_token:
- *                       type: string
- *                       description: The verification token (null if already verified)
- *                     email_verification_expires:
+ *                     authorization_url:
  *                       type: string
- *                       format: date-time
- *                       description: When the verification token expires (null if already verified)
- *                 message:
- *                   type: string
- *                   example: "Verification token retrieved successfully"
+ *                       description: URL of the identity provider to redirect the user to
  *       400:
- *         description: Bad request - Email is required
+ *         description: Bad request - Invalid provider ID
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: User not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       409:
- *         description: Conflict - User email is already verified
+ *         description: Identity provider not found or disabled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Internal server error
+ *         description: Internal server error, e.g. the identity provider could not be reached
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/verification-token/:email', async (req, res, next) => {
+router.post('/federated/:providerId/login', async (req, res, next) => {
   try {
     // Get tenant_id from API key (set by validateApiKey middleware)
     if (!req.tenant_id) {
       throw ApiError.badRequest('API key must be associated with a tenant');
     }
 
-    const { email } = req.params;
-    const tenant_id = req.tenant_id;
-
-    if (!email) {
-      throw ApiError.badRequest('Email is required');
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.providerId)) {
+      throw ApiError.badRequest('Provider ID must be a valid UUID');
     }
 
-    // Get verification token details by email and tenant
-    const verificationData = await usersService.getVerificationTokenByEmail(email, tenant_id);
+    const provider = await identityProvidersService.findEnabled(req.params.providerId);
 
-    // Check if user is already verified
-    if (verificationData.is_verified) {
-      throw ApiError.conflict('User email is already verified');
+    if (!provider || provider.tenant_id !== req.tenant_id) {
+      throw ApiError.notFound('Identity provider not found');
     }
 
+    const authorizationUrl = await federationService.startLogin(provider);
+
     res.json({
       success: true,
-      data: verificationData,
-      message: 'Verification token retrieved successfully'
+      data: {
+        authorization_url: authorizationUrl
+      }
     });
   } catch (error) {
     next(error);
@@ -766,10 +960,10 @@ router.get('/verification-token/:email', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/password-reset-token:
+ * /api/auth/federated/token:
  *   post:
- *     summary: Request a password reset token
- *     description: Generate a password reset token for a user by their email address. The token is valid for 1 hour. The tenant_id is automatically extracted from the API key.
+ *     summary: Complete a sign-in with an identity provider
+ *     description: Exchange the code the application's login callback page received for a session. The response has the same shape as /api/auth/login, including the MFA challenge when the user has MFA enabled or the tenant requires it. The code can only be used once and is valid for FEDERATED_LOGIN_CODE_TTL_SECONDS (default 60).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -778,85 +972,91 @@ router.get('/verification-token/:email', async (req, res, next) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - code
  *             properties:
- *               email:
+ *               code:
  *                 type: string
- *                 format: email
- *                 description: The user's email address
- *                 example: "john.doe@example.com"
+ *                 description: The code from the login callback
  *     responses:
  *       200:
- *         description: Password reset token generated successfully
+ *         description: User logged in successfully, or an MFA challenge (see /api/auth/login)
+ *       400:
+ *         description: Bad request - Validation failed
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     email:
- *                       type: string
- *                       format: email
- *                     password_reset_token:
- *                       type: string
- *                       description: The password reset token to be sent to the user
- *                     password_reset_expires:
- *                       type: string
- *                       format: date-time
- *                       description: When the password reset token expires
- *                 message:
- *                   type: string
- *                   example: "Password reset token generated successfully"
- *       400:
- *         description: Bad request - Email is required
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid, used or expired login code
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: User not found
+ *       403:
+ *         description: Forbidden - User account is not active or email address not verified
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Internal server error
+ *       423:
+ *         description: Locked - Account is temporarily locked after too many failed attempts (see Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests - Too many failed attempts from this IP (see Retry-After header)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/password-reset-token', async (req, res, next) => {
+router.post('/federated/token', validateAuth(federatedTokenSchema), async (req, res, next) => {
   try {
     // Get tenant_id from API key (set by validateApiKey middleware)
     if (!req.tenant_id) {
       throw ApiError.badRequest('API key must be associated with a tenant');
     }
 
-    const { email } = req.body;
     const tenant_id = req.tenant_id;
+    const attempt = { tenantId: tenant_id, ipAddress: req.ip };
 
-    if (!email) {
-      throw ApiError.badRequest('Email is required');
+    // Same IP based slow down as password logins
+    const delay = await loginAttemptsService.getRequiredDelay(tenant_id, req.ip);
+
+    if (delay > 0) {
+      res.set('Retry-After', String(delay));
+      throw ApiError.tooManyRequests('Too many failed login attempts. Please try again later');
     }
 
-    // Generate password reset token and expiration (1 hour from now)
-    const passwordResetToken = crypto.randomBytes(32).toString('hex');
-    const passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const login = await federationService.exchangeLoginCode(req.body.code, tenant_id);
 
-    // Set password reset token for the user
-    const result = await usersService.setPasswordResetToken(email, tenant_id, passwordResetToken, passwordResetExpires);
+    if (!login) {
+      await loginAttemptsService.record({ ...attempt, succeeded: false });
+      throw ApiError.unauthorized('Invalid or expired login code');
+    }
 
-    res.json({
-      success: true,
-      data: result,
-      message: 'Password reset token generated successfully'
-    });
+    const user = await usersService.getById(login.user_id);
+
+    if (user.deleted_at || user.status !== 'active') {
+      await loginAttemptsService.record({ ...attempt, userId: user.id, succeeded: false });
+      throw ApiError.forbidden('User account is not active');
+    }
+
+    if (usersService.isLocked(user)) {
+      await loginAttemptsService.record({ ...attempt, userId: user.id, succeeded: false });
+      throw accountLockedError(res, user);
+    }
+
+    await loginAttemptsService.record({ ...attempt, userId: user.id, identifier: user.email, succeeded: true });
+
+    // Same rule as password logins; the provider only vouches for the address with trust_email
+    // or the email_verified claim
+    if (!user.is_verified) {
+      throw ApiError.forbidden('Email address has not been verified');
+    }
+
+    await continueLogin(req, res, user);
   } catch (error) {
     next(error);
   }
@@ -864,10 +1064,10 @@ router.post('/password-reset-token', async (req, res, next) => {
 
 /**
  * @swagger
- * /api/auth/reset-password:
+ * /api/auth/refresh:
  *   post:
- *     summary: Reset password using token
- *     description: Reset a user's password using a valid password reset token. The token must not be expired.
+ *     summary: Refresh an access token
+ *     description: Exchange a refresh token for a new access token and a new refresh token. Refresh tokens are single use; presenting a token that was already used revokes every token issued from the same login.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -876,21 +1076,14 @@ router.post('/password-reset-token', async (req, res, next) => {
  *           schema:
  *             type: object
  *             required:
- *               - token
- *               - new_password
+ *               - refresh_token
  *             properties:
- *               token:
- *                 type: string
- *                 description: The password reset token
- *                 example: "a1b2c3d4e5f6..."
- *               new_password:
+ *               refresh_token:
  *                 type: string
- *                 format: password
- *                 description: The new password (minimum 8 characters)
- *                 example: "NewSecurePassword123!"
+ *                 description: The refresh token returned by /api/auth/login or a previous refresh
  *     responses:
  *       200:
- *         description: Password reset successfully
+ *         description: Tokens refreshed successfully
  *         content:
  *           application/json:
  *             schema:
@@ -899,17 +1092,32 @@ router.post('/password-reset-token', async (req, res, next) => {
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 token:
+ *                   type: string
+ *                   description: New short-lived JWT access token
+ *                 refresh_token:
+ *                   type: string
+ *                   description: New refresh token (the presented one is no longer valid)
+ *                 refresh_token_expires_at:
+ *                   type: string
+ *                   format: date-time
  *                 message:
  *                   type: string
- *                   example: "Password reset successfully"
+ *                   example: "Token refreshed successfully"
  *       400:
- *         description: Bad request - Token and new password are required, or invalid token
+ *         description: Bad request - Validation failed
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       410:
- *         description: Gone - Password reset token has expired
+ *       401:
+ *         description: Unauthorized - Invalid, expired, revoked or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User account is not active
  *         content:
  *           application/json:
  *             schema:
@@ -921,40 +1129,1548 @@ router.post('/password-reset-token', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/reset-password', async (req, res, next) => {
+router.post('/refresh', validateAuth(refreshTokenSchema), async (req, res, next) => {
   try {
-    const { token, new_password } = req.body;
-
-    if (!token) {
-      throw ApiError.badRequest('Password reset token is required');
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
     }
 
-    if (!new_password) {
-      throw ApiError.badRequest('New password is required');
-    }
+    const rotated = await refreshTokensService.rotate(req.body.refresh_token, req.tenant_id);
+    const sessionId = rotated.record.family_id;
 
-    if (new_password.length < 8) {
-      throw ApiError.badRequest('New password must be at least 8 characters');
+    // The session may have been revoked (logout, password reset) or have expired
+    const session = await sessionsService.getActiveSession(sessionId, rotated.userId);
+
+    if (!session) {
+      await refreshTokensService.revokeFamily(sessionId);
+      throw ApiError.unauthorized('Session has expired or has been revoked');
+    }
+
+    // Make sure the user is still allowed to sign in
+    const user = await usersService.getById(rotated.userId);
+
+    if (user.deleted_at || user.status !== 'active') {
+      await refreshTokensService.revokeFamily(sessionId);
+      throw ApiError.forbidden('User account is not active');
+    }
+
+    if (usersService.isLocked(user)) {
+      throw ApiError.locked('User account is temporarily locked');
+    }
+
+    await sessionsService.extend(sessionId, rotated.record.expires_at);
+    const token = await generateToken(user, sessionId);
+
+    res.json({
+      success: true,
+      token: token,
+      refresh_token: rotated.token,
+      refresh_token_expires_at: rotated.record.expires_at,
+      message: 'Token refreshed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user from token
+ *     description: Validate JWT token from Authorization header and return current user information with assigned roles
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Token is valid and user info returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/User'
+ *                     - type: object
+ *                       properties:
+ *                         user_roles:
+ *                           type: array
+ *                           description: List of roles assigned to this user
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                                 format: uuid
+ *                                 description: User role assignment ID
+ *                               role_id:
+ *                                 type: string
+ *                                 format: uuid
+ *                                 description: Role ID
+ *                               roles:
+ *                                 type: object
+ *                                 properties:
+ *                                   name:
+ *                                     type: string
+ *                                     example: "Admin"
+ *                 message:
+ *                   type: string
+ *                   example: "Token is valid"
+ *       401:
+ *         description: Unauthorized - Invalid or expired token, or missing Authorization header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me', async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      throw ApiError.unauthorized('Authorization header with Bearer token is required');
+    }
+
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    
+    // Verify token
+    let decoded;
+    try {
+      decoded = await verifyToken(token);
+    } catch (error) {
+      if (error.message === 'Invalid or expired token') {
+        throw ApiError.unauthorized('Invalid or expired token');
+      }
+      throw error;
+    }
+
+    const session = await sessionsService.getActiveSession(decoded.sid, decoded.id);
+
+    if (!session) {
+      throw ApiError.unauthorized('Session has expired or has been revoked');
+    }
+
+    // Fetch fresh user data from database
+    const user = await usersService.getById(decoded.id);
+    
+    // Remove password_hash and MFA secrets from response for security
+    const { password_hash, mfa_secret, mfa_recovery_codes, ...userResponse } = user;
+
+    res.json({
+      success: true,
+      data: userResponse,
+      message: 'Token is valid'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me/permissions:
+ *   get:
+ *     summary: Get the effective permissions of the current user
+ *     description: Resolve the roles of the authenticated user (including inherited roles) within their tenant and the permissions they grant, so clients can decide what to render without additional calls
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/EffectivePermissions'
+ *       401:
+ *         description: Unauthorized - Invalid or expired token, or missing Authorization header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me/permissions', authenticate, async (req, res, next) => {
+  try {
+    const { roles, permissions } = await permissionsService.resolveForUser(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: req.user.id,
+        tenant_id: req.user.tenant_id,
+        roles,
+        permissions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change user password
+ *     description: Change the password for a user. Requires current password verification. The tenant_id is automatically extracted from the API key used for authentication and used to verify the user belongs to that tenant. All of the user's sessions are revoked.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: ID of the user
+ *                 example: "123e4567-e89b-12d3-a456-426614174002"
+ *               current_password:
+ *                 type: string
+ *                 format: password
+ *                 description: User's current password
+ *                 example: "OldPassword123!"
+ *               new_password:
+ *                 type: string
+ *                 format: password
+ *                 description: User's new password (will be hashed using bcrypt)
+ *                 example: "NewSecurePassword123!"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *                     message:
+ *                       type: string
+ *                       example: "Password changed successfully"
+ *       400:
+ *         description: Bad request - Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid current password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User does not belong to the specified tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/change-password', validateAuth(changePasswordSchema), async (req, res, next) => {
+  try {
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
+    }
+
+    const { user_id, current_password, new_password } = req.body;
+    const tenant_id = req.tenant_id;
+
+    // Get the user
+    const user = await usersService.getById(user_id, { includeSecrets: true });
+
+    // Verify that the user belongs to the tenant from the API key
+    if (user.tenant_id !== tenant_id) {
+      throw ApiError.forbidden('User does not belong to the tenant associated with the API key');
+    }
+
+    // Verify current password
+    const isPasswordValid = await usersService.verifyPassword(current_password, user.password_hash);
+
+    if (!isPasswordValid) {
+      throw ApiError.unauthorized('Invalid current password');
+    }
+
+    // Update password (usersService.update handles password hashing)
+    const updatedUser = await usersService.update(user_id, { password: new_password });
+
+    // Sign out every device that used the old password
+    await sessionsService.revokeAllForUser(user_id, 'password_change');
+
+    // Remove password_hash and MFA secrets from response for security
+    const { password_hash, mfa_secret, mfa_recovery_codes, ...userResponse } = updatedUser;
+
+    res.json({
+      success: true,
+      data: userResponse,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify user email address
+ *     description: Verify a user's email address using the verification token sent during registration. The token is valid for 24 hours after registration.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The email verification token
+ *                 example: "a1b2c3d4e5f6..."
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/User'
+ *                     - type: object
+ *                       properties:
+ *                         is_verified:
+ *                           type: boolean
+ *                           example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Email verified successfully"
+ *       400:
+ *         description: Bad request - Token is required or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: Gone - Verification token has expired (request a new one at /api/auth/resend-verification)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      throw ApiError.badRequest('Verification token is required');
+    }
+
+    // Find user by verification token
+    const user = await usersService.findByVerificationToken(token);
+
+    if (!user) {
+      throw ApiError.badRequest('Invalid verification token');
+    }
+
+    // Check if user is already verified
+    if (user.is_verified) {
+      throw ApiError.badRequest('Email is already verified');
+    }
+
+    // Check if token has expired
+    if (user.email_verification_expires && new Date(user.email_verification_expires) < new Date()) {
+      throw ApiError.gone('Verification token has expired. Request a new verification email.');
+    }
+
+    // Verify the user's email
+    const verifiedUser = await usersService.verifyEmail(user.id);
+
+    // Remove sensitive fields from response
+    const { password_hash, email_verification_token, ...userResponse } = verifiedUser;
+
+    res.json({
+      success: true,
+      data: userResponse,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     description: Generate a new email verification token (valid for 24 hours) and email it to the user. The previous link stops working. A new email is sent at most once per cooldown period (VERIFICATION_RESEND_COOLDOWN_SECONDS, default 60) and a limited number of times per 24 hours (VERIFICATION_RESEND_DAILY_LIMIT, default 5). The tenant_id is automatically extracted from the API key. The response is the same whether or not an unverified account exists for the email address and whether or not an email was sent.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: The user's email address
+ *                 example: "john.doe@example.com"
+ *     responses:
+ *       200:
+ *         description: Request accepted. If an unverified account exists for the email address, a new verification link has been sent.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "If an unverified account exists for this email address, a new verification link has been sent"
+ *       400:
+ *         description: Bad request - Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/resend-verification', validateAuth(resendVerificationSchema), async (req, res, next) => {
+  try {
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
+    }
+
+    const issued = await usersService.issueVerificationToken(req.body.email, req.tenant_id);
+
+    // The email is sent in the background so that neither the response nor its timing reveals
+    // whether the account exists, is already verified or is within its cooldown
+    if (issued) {
+      mailService.sendVerificationEmail(issued.user, issued.token, issued.expiresAt)
+        .catch(mailError => console.error(`Failed to send verification email to user ${issued.user.id}: ${mailError.message}`));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email address, a new verification link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password-reset-token:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Generate a password reset token for a user by their email address and email the user a link to reset the password. The link is valid for 1 hour. The tenant_id is automatically extracted from the API key. The response is the same whether or not an account exists for the email address.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: The user's email address
+ *                 example: "john.doe@example.com"
+ *     responses:
+ *       200:
+ *         description: Request accepted. If an account exists for the email address, a reset link has been sent.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "If an account exists for this email address, a password reset link has been sent"
+ *       400:
+ *         description: Bad request - Email is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/password-reset-token', async (req, res, next) => {
+  try {
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
+    }
+
+    const { email } = req.body;
+    const tenant_id = req.tenant_id;
+
+    if (!email) {
+      throw ApiError.badRequest('Email is required');
+    }
+
+    // Generate password reset token and expiration (1 hour from now)
+    const passwordResetToken = crypto.randomBytes(32).toString('hex');
+    const passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    // Set password reset token for the user
+    const user = await usersService.setPasswordResetToken(email, tenant_id, passwordResetToken, passwordResetExpires);
+
+    // The token is only delivered by email. The email is sent in the background so that
+    // neither the response nor its timing reveals whether the account exists.
+    if (user) {
+      mailService.sendPasswordResetEmail(user, passwordResetToken, passwordResetExpires)
+        .catch(mailError => console.error(`Failed to send password reset email to user ${user.id}: ${mailError.message}`));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email address, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password using token
+ *     description: Reset a user's password using a valid password reset token. The token must not be expired. All of the user's sessions are revoked.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - new_password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The password reset token
+ *                 example: "a1b2c3d4e5f6..."
+ *               new_password:
+ *                 type: string
+ *                 format: password
+ *                 description: The new password (minimum 8 characters)
+ *                 example: "NewSecurePassword123!"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password reset successfully"
+ *       400:
+ *         description: Bad request - Token and new password are required, or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: Gone - Password reset token has expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token) {
+      throw ApiError.badRequest('Password reset token is required');
+    }
+
+    if (!new_password) {
+      throw ApiError.badRequest('New password is required');
+    }
+
+    if (new_password.length < 8) {
+      throw ApiError.badRequest('New password must be at least 8 characters');
     }
 
     // Find user by password reset token
     const user = await usersService.findByPasswordResetToken(token);
 
-    if (!user) {
-      throw ApiError.badRequest('Invalid password reset token');
+    if (!user) {
+      throw ApiError.badRequest('Invalid password reset token');
+    }
+
+    // Check if token has expired
+    if (user.password_reset_expires && new Date(user.password_reset_expires) < new Date()) {
+      throw ApiError.gone('Password reset token has expired');
+    }
+
+    // Reset the password and sign out every device
+    await usersService.resetPassword(user.id, new_password);
+    await sessionsService.revokeAllForUser(user.id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     description: Revoke the session behind the access token. Its refresh token can no longer be used.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    await sessionsService.revoke(req.authSession.id, req.user.id, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Retrieve the active sessions of the current user with device, IP address and last activity
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         format: uuid
+ *                       user_agent:
+ *                         type: string
+ *                         example: "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0)"
+ *                       ip_address:
+ *                         type: string
+ *                         example: "203.0.113.10"
+ *                       last_seen_at:
+ *                         type: string
+ *                         format: date-time
+ *                       expires_at:
+ *                         type: string
+ *                         format: date-time
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: Whether this is the session making the request
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await sessionsService.getActiveByUserId(req.user.id);
+
+    const data = sessions.map(session => ({
+      ...session,
+      current: session.id === req.authSession.id
+    }));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere
+ *     description: Revoke every active session of the current user, including the one making the request
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       description: Number of revoked sessions
+ *       401:
+ *         description: Unauthorized - Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const count = await sessionsService.revokeAllForUser(req.user.id, 'logout_all');
+
+    res.json({
+      success: true,
+      count,
+      message: 'All sessions revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Revoke one of the current user's sessions, e.g. a lost device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Bad request - Invalid session ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions/:id', authenticate, validateSessionId, async (req, res, next) => {
+  try {
+    await sessionsService.revoke(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oauth/authorize:
+ *   post:
+ *     summary: Approve or deny an OAuth authorization request
+ *     description: Called by the consent page of the application's frontend (see GET /oauth/authorize) for the signed in user, with the query parameters of the authorization request. The client must belong to the user's application. Without a decision, a code is issued right away when the user approved the requested scopes before; otherwise consent_required is returned so the page can ask the user. With decision approve the consent is recorded and a code is issued; with deny the client is told the user refused. In both cases the page must send the browser to redirect_to.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response_type
+ *               - client_id
+ *               - code_challenge
+ *               - code_challenge_method
+ *             properties:
+ *               response_type:
+ *                 type: string
+ *                 enum: [code]
+ *               client_id:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 example: "profile email offline_access"
+ *               state:
+ *                 type: string
+ *               code_challenge:
+ *                 type: string
+ *               code_challenge_method:
+ *                 type: string
+ *                 enum: [S256]
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, deny]
+ *     responses:
+ *       200:
+ *         description: Where to send the browser, or the consent the user still has to give
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     redirect_to:
+ *                       type: string
+ *                       description: The client's redirect URI with the code (or an error) and the state
+ *                     consent_required:
+ *                       type: boolean
+ *                     client:
+ *                       type: object
+ *                       properties:
+ *                         client_id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                     scopes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Unknown client_id or redirect_uri
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Client belongs to another application
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/oauth/authorize', authenticate, validateAuth(oauthAuthorizeSchema), async (req, res, next) => {
+  try {
+    const { decision, ...request } = req.body;
+    const result = await oauthService.authorize(req.user, request, decision);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oauth/consents:
+ *   get:
+ *     summary: Get the apps the current user gave access
+ *     description: List the OAuth clients the current user approved, with the approved scopes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Consents retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OAuthConsent'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/oauth/consents', authenticate, async (req, res, next) => {
+  try {
+    const consents = await oauthConsentsService.getByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: consents,
+      count: consents.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oauth/consents/{id}:
+ *   delete:
+ *     summary: Withdraw access from an app
+ *     description: Revoke a consent of the current user. All tokens the user gave the client stop working, and the client has to ask for consent again.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Consent ID
+ *     responses:
+ *       200:
+ *         description: Consent revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized - Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Consent not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/oauth/consents/:id', authenticate, async (req, res, next) => {
+  try {
+    await oauthConsentsService.revoke(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Consent revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/enroll:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: Generate a new TOTP secret for the current user and return it together with an otpauth URI for authenticator apps. MFA is only enabled after the secret is confirmed at /api/auth/mfa/confirm. Authenticate with a Bearer access token, or pass the challenge_token returned by /api/auth/login when the tenant requires enrollment.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *                 description: MFA challenge token with enrollment_required (instead of a Bearer token)
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 encoded TOTP secret
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     otpauth_uri:
+ *                       type: string
+ *                       description: URI to render as a QR code
+ *                       example: "otpauth://totp/Finance%20App%3Ajohn.doe%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Finance+App"
+ *                 message:
+ *                   type: string
+ *                   example: "MFA enrollment started"
+ *       401:
+ *         description: Unauthorized - Invalid token or MFA challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - MFA is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mfa/enroll', validateAuth(mfaEnrollSchema), authenticateForMfaEnrollment, async (req, res, next) => {
+  try {
+    const user = await usersService.getById(req.user.id);
+
+    if (user.mfa_enabled) {
+      throw ApiError.conflict('MFA is already enabled');
     }
 
-    // Check if token has expired
-    if (user.password_reset_expires && new Date(user.password_reset_expires) < new Date()) {
-      throw ApiError.gone('Password reset token has expired');
+    // Authenticator apps show the application name next to the code
+    const application = user.application_id
+      ? await applicationsService.getById(user.application_id).catch(() => null)
+      : null;
+
+    const secret = generateSecret();
+    await usersService.setPendingMfaSecret(user.id, secret);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri({
+          secret,
+          accountName: user.email || user.username,
+          issuer: application?.name || process.env.MFA_ISSUER || 'Sundrops'
+        })
+      },
+      message: 'MFA enrollment started'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     description: Confirm the pending TOTP secret with a code from the authenticator app. Enables MFA and returns one-time recovery codes. When called with a challenge_token during login, the login is completed and the regular login response is returned together with the recovery codes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6 digit code from the authenticator app
+ *                 example: "123456"
+ *               challenge_token:
+ *                 type: string
+ *                 description: MFA challenge token with enrollment_required (instead of a Bearer token)
+ *     responses:
+ *       200:
+ *         description: MFA enabled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       type: array
+ *                       description: Single-use recovery codes (shown only once)
+ *                       items:
+ *                         type: string
+ *                         example: "3f9a1-c2d4e"
+ *                 message:
+ *                   type: string
+ *                   example: "MFA enabled successfully"
+ *       400:
+ *         description: Bad request - Enrollment has not been started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid code, token or MFA challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - MFA is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mfa/confirm', validateAuth(mfaCodeSchema), authenticateForMfaEnrollment, async (req, res, next) => {
+  try {
+    const user = await usersService.getById(req.user.id, { includeSecrets: true });
+
+    if (user.mfa_enabled) {
+      throw ApiError.conflict('MFA is already enabled');
     }
 
-    // Reset the password
-    await usersService.resetPassword(user.id, new_password);
+    if (!user.mfa_secret) {
+      throw ApiError.badRequest('MFA enrollment has not been started');
+    }
+
+    const step = verifyCode(user.mfa_secret, req.body.code);
+
+    if (step === null) {
+      throw ApiError.unauthorized('Invalid MFA code');
+    }
+
+    const recoveryCodes = await usersService.enableMfa(user.id, step);
+    notifyMfaChanged(user);
+
+    // Enrollment forced during login: finish signing in
+    if (req.mfaChallenge) {
+      if (user.deleted_at || user.status !== 'active') {
+        throw ApiError.forbidden('User account is not active');
+      }
+
+      return await completeLogin(req, res, { ...user, mfa_enabled: true }, { recovery_codes: recoveryCodes });
+    }
 
     res.json({
       success: true,
-      message: 'Password reset successfully'
+      data: { recovery_codes: recoveryCodes },
+      message: 'MFA enabled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Complete an MFA login
+ *     description: Exchange the challenge token returned by /api/auth/login and a TOTP code (or a single-use recovery code) for a session. Returns the same response as a successful /api/auth/login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challenge_token
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *                 description: MFA challenge token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6 digit code from the authenticator app
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 description: Recovery code, used instead of code when the authenticator is unavailable
+ *                 example: "3f9a1-c2d4e"
+ *     responses:
+ *       200:
+ *         description: Login successful (same shape as /api/auth/login)
+ *       400:
+ *         description: Bad request - Validation failed or enrollment still required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid code or expired challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - User account is not active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Locked - Account is temporarily locked after too many failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mfa/verify', validateAuth(mfaVerifySchema), async (req, res, next) => {
+  try {
+    // Get tenant_id from API key (set by validateApiKey middleware)
+    if (!req.tenant_id) {
+      throw ApiError.badRequest('API key must be associated with a tenant');
+    }
+
+    const { challenge_token, code, recovery_code } = req.body;
+    const challenge = await decodeMfaChallenge(challenge_token, req.tenant_id);
+
+    if (challenge.enrollment_required) {
+      throw ApiError.badRequest('MFA enrollment must be completed at /api/auth/mfa/confirm');
+    }
+
+    const user = await usersService.getById(challenge.id, { includeSecrets: true });
+
+    if (user.deleted_at || user.status !== 'active') {
+      throw ApiError.forbidden('User account is not active');
+    }
+
+    if (!user.mfa_enabled) {
+      throw ApiError.unauthorized('Invalid or expired MFA challenge');
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (usersService.isLocked(user)) {
+      throw accountLockedError(res, user);
+    }
+
+    const extra = {};
+
+    if (code) {
+      const step = verifyCode(user.mfa_secret, code, { lastUsedStep: user.mfa_last_used_step });
+
+      if (step === null) {
+        await usersService.recordFailedLogin(user);
+        throw ApiError.unauthorized('Invalid MFA code');
+      }
+
+      await usersService.recordMfaStep(user.id, step);
+    } else {
+      const consumed = await usersService.consumeMfaRecoveryCode(user, recovery_code);
+
+      if (!consumed) {
+        await usersService.recordFailedLogin(user);
+        throw ApiError.unauthorized('Invalid recovery code');
+      }
+
+      extra.recovery_codes_remaining = (user.mfa_recovery_codes || []).length - 1;
+    }
+
+    await completeLogin(req, res, user, extra);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace the current user's recovery codes with a new set. Requires a valid code from the authenticator app.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated successfully
+ *       400:
+ *         description: Bad request - MFA is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid code or token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mfa/recovery-codes', authenticate, validateAuth(mfaCodeSchema), async (req, res, next) => {
+  try {
+    const user = await usersService.getById(req.user.id, { includeSecrets: true });
+
+    if (!user.mfa_enabled) {
+      throw ApiError.badRequest('MFA is not enabled');
+    }
+
+    const step = verifyCode(user.mfa_secret, req.body.code, { lastUsedStep: user.mfa_last_used_step });
+
+    if (step === null) {
+      throw ApiError.unauthorized('Invalid MFA code');
+    }
+
+    await usersService.recordMfaStep(user.id, step);
+    const recoveryCodes = await usersService.regenerateMfaRecoveryCodes(user.id);
+
+    res.json({
+      success: true,
+      data: { recovery_codes: recoveryCodes },
+      message: 'Recovery codes regenerated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Disable MFA
+ *     description: Turn off MFA for the current user. Requires a valid code from the authenticator app and is not allowed when the tenant requires MFA.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: MFA disabled successfully
+ *       400:
+ *         description: Bad request - MFA is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid code or token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - The tenant requires MFA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/mfa/disable', authenticate, validateAuth(mfaCodeSchema), async (req, res, next) => {
+  try {
+    const user = await usersService.getById(req.user.id, { includeSecrets: true });
+
+    if (!user.mfa_enabled) {
+      throw ApiError.badRequest('MFA is not enabled');
+    }
+
+    const tenant = await tenantsService.getById(user.tenant_id);
+
+    if (tenant.require_mfa) {
+      throw ApiError.forbidden('MFA is required for all users of this tenant');
+    }
+
+    const step = verifyCode(user.mfa_secret, req.body.code, { lastUsedStep: user.mfa_last_used_step });
+
+    if (step === null) {
+      throw ApiError.unauthorized('Invalid MFA code');
+    }
+
+    await usersService.disableMfa(user.id);
+    notifyMfaChanged(user);
+
+    res.json({
+      success: true,
+      message: 'MFA disabled successfully'
     });
   } catch (error) {
     next(error);
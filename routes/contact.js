@@ -2,6 +2,7 @@ import express from 'express';
 import contactService from '../services/contact.js';
 import ApiError from '../errors/errors.js';
 import { validateContact, validateContactUpdate, validateUserIdForContact } from '../middleware/contact.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -54,7 +55,7 @@ const router = express.Router({ mergeParams: true });
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', validateUserIdForContact, async (req, res, next) => {
+router.get('/', requirePermission('users:read'), validateUserIdForContact, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -136,7 +137,7 @@ router.get('/', validateUserIdForContact, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', validateUserIdForContact, validateContact, async (req, res, next) => {
+router.post('/', requirePermission('users:write'), validateUserIdForContact, validateContact, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const contactData = req.body;
@@ -215,7 +216,7 @@ router.post('/', validateUserIdForContact, validateContact, async (req, res, nex
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/', validateUserIdForContact, validateContactUpdate, async (req, res, next) => {
+router.patch('/', requirePermission('users:write'), validateUserIdForContact, validateContactUpdate, async (req, res, next) => {
   try {
     const { userId } = req.params;
     const updateData = req.body;
@@ -287,7 +288,7 @@ router.patch('/', validateUserIdForContact, validateContactUpdate, async (req, r
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/', validateUserIdForContact, async (req, res, next) => {
+router.delete('/', requirePermission('users:write'), validateUserIdForContact, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -354,7 +355,7 @@ router.delete('/', validateUserIdForContact, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/restore', validateUserIdForContact, async (req, res, next) => {
+router.post('/restore', requirePermission('users:write'), validateUserIdForContact, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -421,7 +422,7 @@ router.post('/restore', validateUserIdForContact, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/permanent', validateUserIdForContact, async (req, res, next) => {
+router.delete('/permanent', requirePermission('users:write'), validateUserIdForContact, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
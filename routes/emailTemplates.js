@@ -0,0 +1,541 @@
+import express from 'express';
+import emailTemplatesService from '../services/emailTemplates.js';
+import ApiError from '../errors/errors.js';
+import { EMAIL_TEMPLATE_VARIABLES } from '../config/emailTemplates.js';
+import {
+  validateCreateEmailTemplate,
+  validateUpdateEmailTemplate,
+  validateGetEmailTemplatesQuery,
+  validateRenderEmailTemplate,
+  validateEmailTemplateId
+} from '../middleware/emailTemplates.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/email-templates:
+ *   get:
+ *     summary: Get all email templates
+ *     description: Retrieve the email templates of the applications and tenants the API key has access to. Tenant scoped keys see their tenant's templates and the application's default templates. Types without a template use the built-in English defaults.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: application_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only templates of this application
+ *       - in: query
+ *         name: tenant_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only templates overridden for this tenant
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [verification, password_reset, invitation, mfa, magic_link]
+ *         description: Only templates of this type
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *         description: Only templates in this locale, e.g. nl-BE
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Maximum number of templates to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Number of templates to skip
+ *     responses:
+ *       200:
+ *         description: List of email templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EmailTemplate'
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', requirePermission('email_templates:read'), validateGetEmailTemplatesQuery, async (req, res, next) => {
+  try {
+    const templates = await emailTemplatesService.getAll(req.validatedQuery);
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates/deleted:
+ *   get:
+ *     summary: Get all soft deleted email templates
+ *     description: Retrieve all email templates that have been soft deleted
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of soft deleted email templates retrieved successfully
+ */
+router.get('/deleted', requirePermission('email_templates:read'), async (req, res, next) => {
+  try {
+    const { limit, offset } = req.query;
+    const options = {
+      limit: limit ? parseInt(limit) : undefined,
+      offset: offset ? parseInt(offset) : undefined
+    };
+
+    const deletedTemplates = await emailTemplatesService.getDeleted(options);
+    res.json({
+      success: true,
+      data: deletedTemplates,
+      count: deletedTemplates.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates/render:
+ *   post:
+ *     summary: Render (preview) an email
+ *     description: Render the email a user would receive. The template is picked like it is for real emails - for every locale in the fallback chain (e.g. nl-BE, nl, then the default locale) the tenant's template is preferred over the application's, and the built-in default is used when neither exists. Pass subject, text_body and/or html_body to preview a draft instead of the stored template. Variables that are not passed are filled with example values.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [verification, password_reset, invitation, mfa, magic_link]
+ *               locale:
+ *                 type: string
+ *                 example: "nl-BE"
+ *               application_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Defaults to the application of the API key
+ *               tenant_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Render the tenant's template. Defaults to the tenant of the API key.
+ *               variables:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example: { "first_name": "Jan" }
+ *               subject:
+ *                 type: string
+ *                 description: Draft subject
+ *               text_body:
+ *                 type: string
+ *                 description: Draft plain text body
+ *               html_body:
+ *                 type: string
+ *                 description: Draft HTML body
+ *     responses:
+ *       200:
+ *         description: Email rendered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                         subject:
+ *                           type: string
+ *                         text:
+ *                           type: string
+ *                         html:
+ *                           type: string
+ *                           nullable: true
+ *                         source:
+ *                           type: object
+ *                           description: The template that was used (id is null for the built-in default)
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                               format: uuid
+ *                               nullable: true
+ *                             tenant_id:
+ *                               type: string
+ *                               format: uuid
+ *                               nullable: true
+ *                             locale:
+ *                               type: string
+ *                         variables:
+ *                           type: array
+ *                           description: Placeholders available for this type
+ *                           items:
+ *                             type: string
+ *       400:
+ *         description: Validation failed or no application given
+ *       403:
+ *         description: Application or tenant of another API key
+ */
+router.post('/render', requirePermission('email_templates:read'), validateRenderEmailTemplate, async (req, res, next) => {
+  try {
+    const { type, locale, variables, subject, text_body, html_body } = req.body;
+    const applicationId = req.body.application_id || req.application_id;
+
+    if (!applicationId) {
+      throw ApiError.badRequest('Application ID is required');
+    }
+
+    if (req.application_id && applicationId !== req.application_id) {
+      throw ApiError.forbidden('Cannot render email templates of another application');
+    }
+
+    // Tenant scoped keys always render their own tenant's templates
+    const { tenant_id: tenantId } = emailTemplatesService.withTenantScope({ tenant_id: req.body.tenant_id || null });
+
+    const template = await emailTemplatesService.resolve({ applicationId, tenantId, type, locale });
+    const isDraft = subject !== undefined || text_body !== undefined || html_body !== undefined;
+
+    const rendered = emailTemplatesService.render({
+      subject: subject ?? template.subject,
+      text_body: text_body ?? template.text_body,
+      html_body: html_body !== undefined ? html_body : template.html_body
+    }, { ...EMAIL_TEMPLATE_VARIABLES[type], ...variables });
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        ...rendered,
+        source: isDraft ? { ...template.source, draft: true } : template.source,
+        variables: Object.keys(EMAIL_TEMPLATE_VARIABLES[type])
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates/{id}:
+ *   get:
+ *     summary: Get an email template by ID
+ *     description: Retrieve a specific email template by its ID
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email template ID
+ *     responses:
+ *       200:
+ *         description: Email template retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/EmailTemplate'
+ *       404:
+ *         description: Email template not found
+ */
+router.get('/:id', requirePermission('email_templates:read'), validateEmailTemplateId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const template = await emailTemplatesService.getById(id);
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates:
+ *   post:
+ *     summary: Create an email template
+ *     description: Create the template of an application for a type and locale. With tenant_id the template overrides the application's template for that tenant only. Tenant scoped API keys can only create overrides for their own tenant; application wide templates need a super admin key. Placeholders are written as {{name}}, see the render endpoint for the placeholders of each type.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - locale
+ *               - subject
+ *               - text_body
+ *             properties:
+ *               application_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Defaults to the application of the API key
+ *               tenant_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Tenant the template overrides the application's template for
+ *               type:
+ *                 type: string
+ *                 enum: [verification, password_reset, invitation, mfa, magic_link]
+ *               locale:
+ *                 type: string
+ *                 example: "nl"
+ *               subject:
+ *                 type: string
+ *                 example: "Bevestig je e-mailadres voor {{application_name}}"
+ *               text_body:
+ *                 type: string
+ *                 example: "Hallo {{first_name}}, bevestig je e-mailadres via {{verification_url}}"
+ *               html_body:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Email template created successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Template for another application or tenant
+ *       409:
+ *         description: A template for this application, tenant, type and locale already exists
+ */
+router.post('/', requirePermission('email_templates:write'), validateCreateEmailTemplate, async (req, res, next) => {
+  try {
+    const template = await emailTemplatesService.create(req.body);
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Email template created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates/{id}:
+ *   patch:
+ *     summary: Update an email template by ID
+ *     description: Change the subject or bodies of a template. The application, tenant, type and locale cannot be changed.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               text_body:
+ *                 type: string
+ *               html_body:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Email template updated successfully
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Email template not found
+ */
+router.patch('/:id', requirePermission('email_templates:write'), validateEmailTemplateId, validateUpdateEmailTemplate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    if (!updateData || Object.keys(updateData).length === 0) {
+      throw ApiError.badRequest('Update data is required');
+    }
+
+    const template = await emailTemplatesService.update(id, updateData);
+    res.json({
+      success: true,
+      data: template,
+      message: 'Email template updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates/{id}:
+ *   delete:
+ *     summary: Soft delete an email template by ID
+ *     description: Soft delete a template. Emails fall back to the next template in line (the application's template or the built-in default).
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email template ID
+ *     responses:
+ *       200:
+ *         description: Email template soft deleted successfully
+ *       404:
+ *         description: Email template not found
+ */
+router.delete('/:id', requirePermission('email_templates:delete'), validateEmailTemplateId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deletedTemplate = await emailTemplatesService.softDelete(id);
+    res.json({
+      success: true,
+      data: deletedTemplate,
+      message: 'Email template soft deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates/{id}/restore:
+ *   post:
+ *     summary: Restore a soft deleted email template by ID
+ *     description: Restore a soft deleted email template by clearing its deleted_at timestamp
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email template ID
+ *     responses:
+ *       200:
+ *         description: Email template restored successfully
+ *       404:
+ *         description: Email template not found
+ */
+router.post('/:id/restore', requirePermission('email_templates:delete'), validateEmailTemplateId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const restoredTemplate = await emailTemplatesService.restore(id);
+    res.json({
+      success: true,
+      data: restoredTemplate,
+      message: 'Email template restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/email-templates/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete an email template by ID
+ *     description: Permanently delete an email template from the database (cannot be restored)
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Email template ID
+ *     responses:
+ *       200:
+ *         description: Email template permanently deleted successfully
+ *       404:
+ *         description: Email template not found
+ */
+router.delete('/:id/permanent', requirePermission('email_templates:delete'), validateEmailTemplateId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await emailTemplatesService.permanentDelete(id);
+    res.json({
+      success: true,
+      message: result.message,
+      deletedData: result.deletedData
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import federationService from '../services/federation.js';
+import identityProvidersService from '../services/identityProviders.js';
+
+// Endpoints the identity providers of tenants send users back to. They are called by the
+// user's browser, without an API key; the state of the login identifies the tenant.
+const router = express.Router();
+
+/**
+ * @swagger
+ * /federation/oidc/callback:
+ *   get:
+ *     summary: Return from an OIDC identity provider
+ *     description: Redirect URI to register at OIDC identity providers (shown as service_provider.redirect_uri of the provider). The authorization code is exchanged and the ID token verified; the user is then found by the linked identity, linked to the user with the same verified email address, or created (just-in-time provisioning). Finally the user is sent to the application's login callback page (app_url + FEDERATED_LOGIN_CALLBACK_PATH, default /login/callback) with a code for POST /api/auth/federated/token, or with error=login_failed and an error_description.
+ *     tags: [Federation]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the application's login callback page
+ *       400:
+ *         description: Unknown, used or expired login request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/oidc/callback', async (req, res, next) => {
+  try {
+    res.redirect(await federationService.completeOidcLogin(req.query));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /federation/saml/acs:
+ *   post:
+ *     summary: Return from a SAML identity provider
+ *     description: Assertion consumer service (HTTP-POST binding) to register at SAML identity providers. The response and its assertion must be signed with one of the provider's certificates and answer the request of the login in RelayState. The user is then found, linked or created and sent to the application the same way as after an OIDC login.
+ *     tags: [Federation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - SAMLResponse
+ *               - RelayState
+ *             properties:
+ *               SAMLResponse:
+ *                 type: string
+ *               RelayState:
+ *                 type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the application's login callback page
+ *       400:
+ *         description: Unknown, used or expired login request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/saml/acs', async (req, res, next) => {
+  try {
+    res.redirect(303, await federationService.completeSamlLogin(req.body || {}));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /federation/saml/{providerId}/metadata:
+ *   get:
+ *     summary: SAML service provider metadata
+ *     description: Metadata to import at a SAML identity provider, with the entity ID and assertion consumer service URL Sundrops uses for this provider.
+ *     tags: [Federation]
+ *     parameters:
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The metadata
+ *         content:
+ *           application/samlmetadata+xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: SAML identity provider not found
+ */
+router.get('/saml/:providerId/metadata', async (req, res, next) => {
+  try {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    const provider = uuidRegex.test(req.params.providerId)
+      ? await identityProvidersService.findEnabled(req.params.providerId)
+      : null;
+
+    if (!provider || provider.protocol !== 'saml') {
+      return res.status(404).json({ success: false, message: 'SAML identity provider not found' });
+    }
+
+    res.type('application/samlmetadata+xml').send(federationService.getSamlMetadata(provider));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,391 @@
+import express from 'express';
+import identityProvidersService from '../services/identityProviders.js';
+import ApiError from '../errors/errors.js';
+import {
+  validateCreateIdentityProvider,
+  validateUpdateIdentityProvider,
+  validateGetIdentityProvidersQuery,
+  validateIdentityProviderParams
+} from '../middleware/identityProviders.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/identity-providers:
+ *   get:
+ *     summary: Get the identity providers of a tenant
+ *     description: Retrieve the external identity providers (OIDC or SAML 2.0) the users of a tenant can sign in with. Client secrets are never returned.
+ *     tags: [Identity Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: query
+ *         name: protocol
+ *         schema:
+ *           type: string
+ *           enum: [oidc, saml]
+ *         description: Only providers using this protocol
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *         description: Only enabled (true) or disabled (false) providers
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Maximum number of providers to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Number of providers to skip
+ *     responses:
+ *       200:
+ *         description: List of identity providers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IdentityProvider'
+ *                 count:
+ *                   type: integer
+ *                   description: Number of providers returned
+ *       400:
+ *         description: Bad request - Invalid tenant ID or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('identity_providers:read'), validateIdentityProviderParams, validateGetIdentityProvidersQuery, async (req, res, next) => {
+  try {
+    const providers = await identityProvidersService.getByTenantId(req.params.tenantId, req.validatedQuery);
+    res.json({
+      success: true,
+      data: providers,
+      count: providers.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/identity-providers/{providerId}:
+ *   get:
+ *     summary: Get an identity provider by ID
+ *     description: Retrieve a specific identity provider of a tenant, with the URLs to register at the provider
+ *     tags: [Identity Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Identity provider ID
+ *     responses:
+ *       200:
+ *         description: Identity provider retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/IdentityProvider'
+ *       404:
+ *         description: Identity provider not found
+ */
+router.get('/:providerId', requirePermission('identity_providers:read'), validateIdentityProviderParams, async (req, res, next) => {
+  try {
+    const { tenantId, providerId } = req.params;
+
+    const provider = await identityProvidersService.getForTenant(tenantId, providerId);
+    res.json({
+      success: true,
+      data: identityProvidersService.present(provider)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/identity-providers:
+ *   post:
+ *     summary: Add an identity provider to a tenant
+ *     description: |
+ *       Let the users of a tenant sign in with their organisation's identity provider instead of a password.
+ *
+ *       - oidc: any OpenID Connect provider. Needs config.issuer (its endpoints and keys are discovered from /.well-known/openid-configuration), config.client_id and config.client_secret. Register service_provider.redirect_uri from the response at the provider.
+ *       - saml: SAML 2.0 with the HTTP-POST binding. Needs config.entry_point (the single sign-on URL) and config.idp_certificates (PEM certificates the provider signs assertions with). Import service_provider.metadata_url from the response at the provider.
+ *
+ *       Users signing in for the first time are linked to the user with the same email address only when the provider has trust_email and the user verified the address. Otherwise a user is created when jit_provisioning is on, with the mapped attributes and the default roles. Setting trust_email, and changing a provider that has it, needs a super admin API key. The default roles cannot grant permissions the caller does not hold.
+ *     tags: [Identity Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - protocol
+ *               - config
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Acme Azure AD"
+ *               protocol:
+ *                 type: string
+ *                 enum: [oidc, saml]
+ *               config:
+ *                 type: object
+ *                 properties:
+ *                   issuer:
+ *                     type: string
+ *                     example: "https://login.microsoftonline.com/acme-tenant-id/v2.0"
+ *                   client_id:
+ *                     type: string
+ *                   client_secret:
+ *                     type: string
+ *                   scopes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     default: [openid, email, profile]
+ *                   entry_point:
+ *                     type: string
+ *                     example: "https://idp.acme.com/saml/sso"
+ *                   idp_entity_id:
+ *                     type: string
+ *                     description: Expected issuer of SAML responses
+ *                   idp_certificates:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   name_id_format:
+ *                     type: string
+ *                     example: "urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress"
+ *               attribute_mapping:
+ *                 type: object
+ *                 description: Claim or attribute names for email, first_name, last_name, username and locale
+ *               jit_provisioning:
+ *                 type: boolean
+ *                 default: true
+ *               trust_email:
+ *                 type: boolean
+ *                 default: false
+ *               default_role_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Identity provider added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/IdentityProvider'
+ *       400:
+ *         description: Validation failed, settings are missing or a role cannot be assigned to users of the tenant
+ *       403:
+ *         description: trust_email set without a super admin API key, or a default role grants permissions the caller does not hold
+ *       404:
+ *         description: Tenant or role not found
+ */
+router.post('/', requirePermission('identity_providers:write'), validateIdentityProviderParams, validateCreateIdentityProvider, async (req, res, next) => {
+  try {
+    const provider = await identityProvidersService.create(req.params.tenantId, req.body, req.permissions);
+    res.status(201).json({
+      success: true,
+      data: provider,
+      message: 'Identity provider created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/identity-providers/{providerId}:
+ *   patch:
+ *     summary: Update an identity provider
+ *     description: Change the settings of an identity provider. The protocol cannot be changed. Settings left out of config keep their value, so the client secret only has to be sent to change it.
+ *     tags: [Identity Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Identity provider ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               config:
+ *                 type: object
+ *               attribute_mapping:
+ *                 type: object
+ *               jit_provisioning:
+ *                 type: boolean
+ *               trust_email:
+ *                 type: boolean
+ *               default_role_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Identity provider updated
+ *       400:
+ *         description: Validation failed or settings are missing
+ *       403:
+ *         description: Provider with trust_email changed without a super admin API key, or a default role grants permissions the caller does not hold
+ *       404:
+ *         description: Identity provider not found
+ */
+router.patch('/:providerId', requirePermission('identity_providers:write'), validateIdentityProviderParams, validateUpdateIdentityProvider, async (req, res, next) => {
+  try {
+    const { tenantId, providerId } = req.params;
+    const updateData = req.body;
+
+    if (!updateData || Object.keys(updateData).length === 0) {
+      throw ApiError.badRequest('Update data is required');
+    }
+
+    const provider = await identityProvidersService.update(tenantId, providerId, updateData, req.permissions);
+    res.json({
+      success: true,
+      data: provider,
+      message: 'Identity provider updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/identity-providers/{providerId}:
+ *   delete:
+ *     summary: Delete an identity provider
+ *     description: Soft delete an identity provider. Its users keep their accounts but can no longer sign in with the provider.
+ *     tags: [Identity Providers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: path
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Identity provider ID
+ *     responses:
+ *       200:
+ *         description: Identity provider deleted
+ *       404:
+ *         description: Identity provider not found
+ */
+router.delete('/:providerId', requirePermission('identity_providers:delete'), validateIdentityProviderParams, async (req, res, next) => {
+  try {
+    const { tenantId, providerId } = req.params;
+
+    const provider = await identityProvidersService.softDelete(tenantId, providerId);
+    res.json({
+      success: true,
+      data: provider,
+      message: 'Identity provider deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,361 @@
+import express from 'express';
+import invitationsService from '../services/invitations.js';
+import mailService from '../services/mail.js';
+import { validateCreateInvitation, validateGetInvitationsQuery, validateInvitationParams } from '../middleware/invitations.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Email an invitation. A failed delivery does not undo the invitation, it can be resent.
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendInvitation = async (invitation, token, tenant, inviter) => {
+  try {
+    await mailService.sendInvitationEmail(invitation, token, { tenant, inviter });
+    return true;
+  } catch (mailError) {
+    console.error(`Failed to send invitation ${invitation.id}: ${mailError.message}`);
+    return false;
+  }
+};
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/invitations:
+ *   get:
+ *     summary: Get the invitations of a tenant
+ *     description: Retrieve the invitations of a tenant, newest first. The status of an invitation is pending, accepted, revoked or expired.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Only invitations with this status
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Only invitations for this email address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Maximum number of invitations to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Number of invitations to skip
+ *     responses:
+ *       200:
+ *         description: List of invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *                 count:
+ *                   type: integer
+ *                   description: Number of invitations returned
+ *       400:
+ *         description: Bad request - Invalid tenant ID or query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('invitations:read'), validateInvitationParams, validateGetInvitationsQuery, async (req, res, next) => {
+  try {
+    const invitations = await invitationsService.getByTenantId(req.params.tenantId, req.validatedQuery);
+    res.json({
+      success: true,
+      data: invitations,
+      count: invitations.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/invitations/{invitationId}:
+ *   get:
+ *     summary: Get an invitation by ID
+ *     description: Retrieve a specific invitation of a tenant
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Invitation'
+ *       404:
+ *         description: Invitation not found
+ */
+router.get('/:invitationId', requirePermission('invitations:read'), validateInvitationParams, async (req, res, next) => {
+  try {
+    const { tenantId, invitationId } = req.params;
+
+    const invitation = await invitationsService.getForTenant(tenantId, invitationId);
+    res.json({
+      success: true,
+      data: invitationsService.present(invitation)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/invitations:
+ *   post:
+ *     summary: Invite someone to a tenant
+ *     description: Email an invitation link to join the tenant. The invitee chooses a password when accepting the invitation at /api/auth/invitations/accept; the account is created already verified and gets the roles of the invitation. Roles must belong to the tenant or be shared by all tenants of its application. Only one pending invitation can exist per email address.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "jane.doe@example.com"
+ *               role_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Roles assigned to the user when the invitation is accepted
+ *               expires_in_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 description: How long the invitation can be accepted (defaults to INVITATION_TTL_DAYS, 7)
+ *               locale:
+ *                 type: string
+ *                 description: Language of the invitation email, also stored as the user's locale
+ *                 example: "nl-BE"
+ *     responses:
+ *       201:
+ *         description: Invitation created and emailed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Validation failed or a role cannot be assigned to users of the tenant
+ *       403:
+ *         description: A role grants permissions the inviter does not hold
+ *       404:
+ *         description: Tenant or role not found
+ *       409:
+ *         description: The email address already has an account or a pending invitation in this tenant
+ */
+router.post('/', requirePermission('invitations:write'), validateInvitationParams, validateCreateInvitation, async (req, res, next) => {
+  try {
+    const { invitation, tenant, token } = await invitationsService.create(req.params.tenantId, req.body, req.user, req.permissions);
+    const sent = await sendInvitation(invitation, token, tenant, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      message: sent
+        ? 'Invitation sent successfully'
+        : 'Invitation created, but the email could not be sent. Resend the invitation to try again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Resend an invitation
+ *     description: Email a new invitation link. The previous link stops working and the invitation can be accepted for the default period (INVITATION_TTL_DAYS) again, also when it had expired. An invitation can be resent once per cooldown period (INVITATION_RESEND_COOLDOWN_SECONDS, default 60).
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Invitation'
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted or revoked
+ *       429:
+ *         description: Invitation was sent less than the cooldown ago
+ */
+router.post('/:invitationId/resend', requirePermission('invitations:write'), validateInvitationParams, async (req, res, next) => {
+  try {
+    const { tenantId, invitationId } = req.params;
+
+    const { invitation, tenant, token } = await invitationsService.resend(tenantId, invitationId);
+    const sent = await sendInvitation(invitation, token, tenant, req.user);
+
+    res.json({
+      success: true,
+      data: invitation,
+      message: sent
+        ? 'Invitation resent successfully'
+        : 'Invitation renewed, but the email could not be sent. Resend the invitation to try again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tenants/{tenantId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     description: Revoke a pending invitation so its link can no longer be used. The invitation is kept with status revoked.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Tenant ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Invitation'
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted
+ */
+router.delete('/:invitationId', requirePermission('invitations:delete'), validateInvitationParams, async (req, res, next) => {
+  try {
+    const { tenantId, invitationId } = req.params;
+
+    const invitation = await invitationsService.revoke(tenantId, invitationId);
+    res.json({
+      success: true,
+      data: invitation,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
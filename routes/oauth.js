@@ -0,0 +1,281 @@
+import express from 'express';
+import oauthService from '../services/oauth.js';
+import OAuthError from '../errors/oauthErrors.js';
+
+// OAuth 2.0 protocol endpoints. They are called by OAuth clients, which authenticate with their
+// client credentials instead of an API key, and answer in the formats of RFC 6749.
+const router = express.Router();
+
+/**
+ * Read the client credentials from the Authorization header (client_secret_basic)
+ * or from the request body (client_secret_post)
+ * @param {Object} req - Express request object
+ * @returns {Object} clientId and clientSecret
+ */
+const getClientCredentials = (req) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+
+    if (separator > 0) {
+      // Both parts are form-urlencoded (RFC 6749 section 2.3.1)
+      try {
+        return {
+          clientId: decodeURIComponent(decoded.slice(0, separator)),
+          clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+        };
+      } catch {
+        throw OAuthError.invalidClient('Malformed client credentials');
+      }
+    }
+  }
+
+  return {
+    clientId: req.body?.client_id,
+    clientSecret: req.body?.client_secret
+  };
+};
+
+// Token responses must not be cached (RFC 6749 section 5.1)
+const noStore = (req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+  next();
+};
+
+/**
+ * @swagger
+ * /oauth/authorize:
+ *   get:
+ *     summary: Start an authorization code request
+ *     description: Entry point of the authorization code flow (RFC 6749 section 4.1). PKCE with the S256 method is required. A valid request is redirected to the consent page of the client's application (app_url + OAUTH_CONSENT_PATH, default /oauth/authorize) with the same query string; that page signs the user in and calls POST /api/auth/oauth/authorize. An unknown client or redirect URI is reported with a 400 response; other errors are redirected to the client's redirect URI.
+ *     tags: [OAuth]
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         schema:
+ *           type: string
+ *         description: Must be one of the client's redirect URIs. May be left out when the client has exactly one.
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *         description: Space separated scopes (openid, profile, email, offline_access). Defaults to all scopes of the client. With openid the token response contains an ID token.
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Returned unchanged to the redirect URI
+ *       - in: query
+ *         name: nonce
+ *         schema:
+ *           type: string
+ *         description: Copied into the ID token, so the client can tie it to this request
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: BASE64URL(SHA256(code_verifier))
+ *       - in: query
+ *         name: code_challenge_method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *     responses:
+ *       302:
+ *         description: Redirect to the consent page, or to the client's redirect URI with an error
+ *       400:
+ *         description: Unknown client_id or redirect_uri
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ */
+router.get('/authorize', async (req, res, next) => {
+  try {
+    const request = await oauthService.validateAuthorizationRequest(req.query);
+    const params = {
+      ...req.query,
+      redirect_uri: request.redirectUri
+    };
+
+    res.redirect(await oauthService.getConsentUrl(request.client, params));
+  } catch (error) {
+    if (error instanceof OAuthError && error.redirectUri) {
+      return res.redirect(oauthService.buildRedirect(error.redirectUri, {
+        error: error.error,
+        error_description: error.description,
+        state: error.state
+      }));
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /oauth/token:
+ *   post:
+ *     summary: Get tokens
+ *     description: |
+ *       Token endpoint (RFC 6749 section 3.2). Confidential clients authenticate with HTTP Basic authentication (client_id and client_secret) or with client_id and client_secret in the body; public clients only send their client_id.
+ *
+ *       - authorization_code: exchange a code from the authorization flow, with the PKCE code_verifier. A refresh token is included when the user granted offline_access and the client may use the refresh_token grant. An ID token is included when the user granted openid. A code can be used once; using it again revokes the tokens issued for it.
+ *       - refresh_token: rotate a refresh token. The old refresh token stops working; presenting it again revokes all tokens of the grant.
+ *       - client_credentials: confidential clients get an access token for themselves, with API permissions (e.g. users:read) as scopes. The /api endpoints do not accept OAuth access tokens yet, they still require an API key.
+ *
+ *       Access tokens are valid for OAUTH_ACCESS_TOKEN_TTL_SECONDS (default 3600), refresh tokens for OAUTH_REFRESH_TOKEN_TTL_DAYS (default 30).
+ *     tags: [OAuth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code, refresh_token, client_credentials]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               refresh_token:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 expires_in:
+ *                   type: integer
+ *                   example: 3600
+ *                 refresh_token:
+ *                   type: string
+ *                 id_token:
+ *                   type: string
+ *                   description: Signed JWT with claims about the user (openid scope only). Verify it with the keys from /.well-known/jwks.json.
+ *                 scope:
+ *                   type: string
+ *                   example: "openid profile email offline_access"
+ *       400:
+ *         description: Invalid request, grant or scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ *       401:
+ *         description: Client authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ */
+router.post('/token', noStore, async (req, res, next) => {
+  try {
+    const tokens = await oauthService.token(getClientCredentials(req), req.body || {});
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /oauth/revoke:
+ *   post:
+ *     summary: Revoke a token
+ *     description: Revocation endpoint (RFC 7009). Revoking a refresh token also revokes the access tokens issued with it. The client authenticates the same way as at the token endpoint. Unknown tokens and tokens of other clients are ignored, so the response is always 200 for an authenticated client.
+ *     tags: [OAuth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked (or unknown)
+ *       400:
+ *         description: The token parameter is missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ *       401:
+ *         description: Client authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ */
+router.post('/revoke', noStore, async (req, res, next) => {
+  try {
+    await oauthService.revoke(getClientCredentials(req), req.body || {});
+    res.status(200).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Answer errors in the OAuth format ({ error, error_description })
+ */
+router.use((err, req, res, next) => {
+  if (err instanceof OAuthError) {
+    if (err.status === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    return res.status(err.status).json({ error: err.error, error_description: err.description });
+  }
+
+  console.error(`OAuth endpoint error: ${err.message}`);
+  res.status(500).json({ error: 'server_error', error_description: 'Something went wrong on the server' });
+});
+
+export default router;
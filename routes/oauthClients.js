@@ -0,0 +1,356 @@
+import express from 'express';
+import oauthClientsService from '../services/oauthClients.js';
+import ApiError from '../errors/errors.js';
+import {
+  validateCreateOAuthClient,
+  validateUpdateOAuthClient,
+  validateGetOAuthClientsQuery,
+  validateOAuthClientId
+} from '../middleware/oauthClients.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/oauth-clients:
+ *   get:
+ *     summary: Get all OAuth clients
+ *     description: Retrieve the OAuth clients registered for applications. Tenant scoped API keys see the clients of their application. Client secrets are never returned.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: application_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only clients of this application
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Maximum number of clients to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Number of clients to skip
+ *     responses:
+ *       200:
+ *         description: List of OAuth clients retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OAuthClient'
+ *                 count:
+ *                   type: integer
+ *                   description: Number of clients returned
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('oauth_clients:read'), validateGetOAuthClientsQuery, async (req, res, next) => {
+  try {
+    const clients = await oauthClientsService.getAll(req.validatedQuery);
+    res.json({
+      success: true,
+      data: clients,
+      count: clients.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/oauth-clients/{id}:
+ *   get:
+ *     summary: Get an OAuth client by ID
+ *     description: Retrieve a specific OAuth client by its ID
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: OAuth client ID (the record ID, not the client_id)
+ *     responses:
+ *       200:
+ *         description: OAuth client retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/OAuthClient'
+ *       404:
+ *         description: OAuth client not found
+ */
+router.get('/:id', requirePermission('oauth_clients:read'), validateOAuthClientId, async (req, res, next) => {
+  try {
+    const client = await oauthClientsService.getById(req.params.id);
+    res.json({
+      success: true,
+      data: oauthClientsService.present(client)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/oauth-clients:
+ *   post:
+ *     summary: Register an OAuth client
+ *     description: Register a third-party app as OAuth client of an application. Confidential clients (server side apps) get a client_secret, which is only returned in this response; public clients (browser and mobile apps) have no secret and must use PKCE. Only super admin API keys can register clients.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - application_id
+ *               - name
+ *             properties:
+ *               application_id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *                 description: Shown to users on the consent page
+ *                 example: "Acme Reporting"
+ *               client_type:
+ *                 type: string
+ *                 enum: [confidential, public]
+ *                 default: confidential
+ *               redirect_uris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Exact URIs the authorization code may be sent to. Required for the authorization_code grant. Plain http is only allowed for localhost.
+ *                 example: ["https://reports.acme.com/oauth/callback"]
+ *               grant_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [authorization_code, refresh_token, client_credentials]
+ *                 default: [authorization_code, refresh_token]
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Scopes the client may ask for. Users can grant openid, profile, email and offline_access; the client_credentials grant uses API permissions such as users:read (its tokens are not accepted by the /api endpoints yet).
+ *                 default: [openid, profile, email, offline_access]
+ *     responses:
+ *       201:
+ *         description: OAuth client registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/OAuthClient'
+ *                         - type: object
+ *                           properties:
+ *                             client_secret:
+ *                               type: string
+ *                               nullable: true
+ *                               description: The client secret (confidential clients only). Store it safely, it cannot be retrieved again.
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Only super admin API keys can register clients
+ *       404:
+ *         description: Application not found
+ */
+router.post('/', requirePermission('oauth_clients:write'), validateCreateOAuthClient, async (req, res, next) => {
+  try {
+    const { client, clientSecret } = await oauthClientsService.create(req.body);
+    res.status(201).json({
+      success: true,
+      data: { ...client, client_secret: clientSecret },
+      message: 'OAuth client registered successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/oauth-clients/{id}:
+ *   patch:
+ *     summary: Update an OAuth client by ID
+ *     description: Change the name, redirect URIs, grant types or scopes of a client. The application, client_id and client type cannot be changed. Tokens that were already issued keep their scopes.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: OAuth client ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               redirect_uris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               grant_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [authorization_code, refresh_token, client_credentials]
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: OAuth client updated successfully
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Only super admin API keys can change clients
+ *       404:
+ *         description: OAuth client not found
+ */
+router.patch('/:id', requirePermission('oauth_clients:write'), validateOAuthClientId, validateUpdateOAuthClient, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    if (!updateData || Object.keys(updateData).length === 0) {
+      throw ApiError.badRequest('Update data is required');
+    }
+
+    const client = await oauthClientsService.update(id, updateData);
+    res.json({
+      success: true,
+      data: client,
+      message: 'OAuth client updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/oauth-clients/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotate the secret of an OAuth client
+ *     description: Generate a new client_secret for a confidential client. The old secret stops working immediately; tokens that were already issued stay valid.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: OAuth client ID
+ *     responses:
+ *       200:
+ *         description: Secret rotated. The response contains the new client_secret.
+ *       400:
+ *         description: Public clients have no secret
+ *       404:
+ *         description: OAuth client not found
+ */
+router.post('/:id/rotate-secret', requirePermission('oauth_clients:write'), validateOAuthClientId, async (req, res, next) => {
+  try {
+    const { client, clientSecret } = await oauthClientsService.rotateSecret(req.params.id);
+    res.json({
+      success: true,
+      data: { ...client, client_secret: clientSecret },
+      message: 'OAuth client secret rotated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/oauth-clients/{id}:
+ *   delete:
+ *     summary: Delete an OAuth client by ID
+ *     description: Soft delete a client. It can no longer start authorizations or use its tokens.
+ *     tags: [OAuth Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: OAuth client ID
+ *     responses:
+ *       200:
+ *         description: OAuth client deleted successfully
+ *       403:
+ *         description: Only super admin API keys can delete clients
+ *       404:
+ *         description: OAuth client not found
+ */
+router.delete('/:id', requirePermission('oauth_clients:delete'), validateOAuthClientId, async (req, res, next) => {
+  try {
+    const client = await oauthClientsService.softDelete(req.params.id);
+    res.json({
+      success: true,
+      data: client,
+      message: 'OAuth client deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
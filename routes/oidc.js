@@ -0,0 +1,192 @@
+import express from 'express';
+import oidcService from '../services/oidc.js';
+import OAuthError from '../errors/oauthErrors.js';
+import oidcConfig from '../config/oidc.js';
+
+// OpenID Connect endpoints. Discovery and the key set are public; userinfo is called by
+// OAuth clients with an access token instead of an API key.
+const router = express.Router();
+
+/**
+ * Read the bearer access token from the Authorization header, or from the body of a
+ * form encoded POST request (RFC 6750 section 2)
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} The access token
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  return req.method === 'POST' ? req.body?.access_token : undefined;
+};
+
+/**
+ * @swagger
+ * /.well-known/openid-configuration:
+ *   get:
+ *     summary: OpenID Provider metadata
+ *     description: Discovery document (OpenID Connect Discovery 1.0) with the endpoints, scopes, signing algorithms and claims of this provider. The issuer is OIDC_ISSUER (default http://localhost:PORT).
+ *     tags: [OpenID Connect]
+ *     responses:
+ *       200:
+ *         description: The discovery document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 issuer:
+ *                   type: string
+ *                   example: "https://auth.sundrops.com"
+ *                 authorization_endpoint:
+ *                   type: string
+ *                 token_endpoint:
+ *                   type: string
+ *                 userinfo_endpoint:
+ *                   type: string
+ *                 jwks_uri:
+ *                   type: string
+ *                 scopes_supported:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 id_token_signing_alg_values_supported:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["RS256", "ES256"]
+ */
+router.get('/.well-known/openid-configuration', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(oidcService.getDiscoveryDocument());
+});
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public signing keys
+ *     description: JSON Web Key Set (RFC 7517) with the public keys that sign access tokens and ID tokens. Tokens name their key in the kid header. Keys that were rotated out stay in the set until they are retired, so tokens they signed can still be verified; refetch the set when a token has an unknown kid.
+ *     tags: [OpenID Connect]
+ *     responses:
+ *       200:
+ *         description: The key set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kty:
+ *                         type: string
+ *                         example: "RSA"
+ *                       kid:
+ *                         type: string
+ *                       alg:
+ *                         type: string
+ *                         example: "RS256"
+ *                       use:
+ *                         type: string
+ *                         example: "sig"
+ */
+router.get('/.well-known/jwks.json', async (req, res, next) => {
+  try {
+    const jwks = await oidcService.getJwks();
+    res.set('Cache-Control', `public, max-age=${oidcConfig.keyCacheSeconds}`);
+    res.json(jwks);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /userinfo:
+ *   get:
+ *     summary: Get claims about the signed in user
+ *     description: UserInfo endpoint (OpenID Connect Core section 5.3). Needs an OAuth access token with the openid scope, sent as bearer token. The profile scope releases name, given_name, family_name, preferred_username, locale and updated_at; the email scope releases email and email_verified. Also accepts POST with the token in the Authorization header or as access_token form parameter.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Claims about the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sub:
+ *                   type: string
+ *                   format: uuid
+ *                 name:
+ *                   type: string
+ *                   example: "John Doe"
+ *                 given_name:
+ *                   type: string
+ *                 family_name:
+ *                   type: string
+ *                 preferred_username:
+ *                   type: string
+ *                 locale:
+ *                   type: string
+ *                 updated_at:
+ *                   type: integer
+ *                 email:
+ *                   type: string
+ *                 email_verified:
+ *                   type: boolean
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ *       403:
+ *         description: The access token does not have the openid scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ */
+const userInfo = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      // Without credentials only the scheme is announced (RFC 6750 section 3.1)
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'invalid_request', error_description: 'An access token is required' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(await oidcService.getUserInfo(token));
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/userinfo', userInfo);
+router.post('/userinfo', userInfo);
+
+/**
+ * Answer errors in the OAuth bearer token format (RFC 6750 section 3)
+ */
+router.use((err, req, res, next) => {
+  if (err instanceof OAuthError) {
+    res.set('WWW-Authenticate', `Bearer error="${err.error}", error_description="${err.description}"`);
+    return res.status(err.status).json({ error: err.error, error_description: err.description });
+  }
+
+  console.error(`OpenID Connect endpoint error: ${err.message}`);
+  res.status(500).json({ error: 'server_error', error_description: 'Something went wrong on the server' });
+});
+
+export default router;
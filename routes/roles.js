@@ -1,7 +1,9 @@
 import express from 'express';
 import rolesService from '../services/roles.js';
+import permissionsService from '../services/permissions.js';
 import ApiError from '../errors/errors.js';
 import { validateRole, validateRoleUpdate, validateRoleId } from '../middleware/roles.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
@@ -36,7 +38,7 @@ const router = express.Router();
  *       200:
  *         description: List of roles retrieved successfully
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('roles:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -69,7 +71,7 @@ router.get('/', async (req, res, next) => {
  *       200:
  *         description: List of soft deleted roles retrieved successfully
  */
-router.get('/deleted', async (req, res, next) => {
+router.get('/deleted', requirePermission('roles:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -115,7 +117,7 @@ router.get('/deleted', async (req, res, next) => {
  *       200:
  *         description: List of roles for the tenant retrieved successfully
  */
-router.get('/tenant/:tenantId', async (req, res, next) => {
+router.get('/tenant/:tenantId', requirePermission('roles:read'), async (req, res, next) => {
   try {
     const { tenantId } = req.params;
     const { limit, offset, orderBy, search } = req.query;
@@ -163,7 +165,7 @@ router.get('/tenant/:tenantId', async (req, res, next) => {
  *       200:
  *         description: List of deleted roles for the tenant retrieved successfully
  */
-router.get('/tenant/:tenantId/deleted', async (req, res, next) => {
+router.get('/tenant/:tenantId/deleted', requirePermission('roles:read'), async (req, res, next) => {
   try {
     const { tenantId } = req.params;
     const { limit, offset, orderBy, search } = req.query;
@@ -211,7 +213,7 @@ router.get('/tenant/:tenantId/deleted', async (req, res, next) => {
  *       200:
  *         description: List of roles for the application retrieved successfully
  */
-router.get('/application/:applicationId', async (req, res, next) => {
+router.get('/application/:applicationId', requirePermission('roles:read'), async (req, res, next) => {
   try {
     const { applicationId } = req.params;
     const { limit, offset, orderBy, search } = req.query;
@@ -260,7 +262,7 @@ router.get('/application/:applicationId', async (req, res, next) => {
  *       404:
  *         description: Role not found
  */
-router.get('/:id', validateRoleId, async (req, res, next) => {
+router.get('/:id', requirePermission('roles:read'), validateRoleId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -274,6 +276,42 @@ router.get('/:id', validateRoleId, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   get:
+ *     summary: Get the effective permissions of a role
+ *     description: Retrieve the flattened permission set of a role, including permissions inherited from its parent roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Effective permissions retrieved successfully
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:id/permissions', requirePermission('roles:read'), validateRoleId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const effectivePermissions = await rolesService.getEffectivePermissions(id);
+    res.json({
+      success: true,
+      data: effectivePermissions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/roles:
@@ -302,16 +340,35 @@ router.get('/:id', validateRoleId, async (req, res, next) => {
  *                 type: string
  *               is_system:
  *                 type: boolean
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Permissions granted by the role, e.g. users:write, tenants:* or *
+ *               parent_role_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Roles whose permissions this role inherits
  *             required:
  *               - name
  *     responses:
  *       201:
  *         description: Role created successfully
+ *       400:
+ *         description: Invalid parent roles or inheritance cycle
+ *       403:
+ *         description: Forbidden - The role would grant permissions the caller does not hold
  */
-router.post('/', validateRole, async (req, res, next) => {
+router.post('/', requirePermission('roles:write'), validateRole, async (req, res, next) => {
   try {
     const roleData = req.body;
 
+    await rolesService.validateParents(null, roleData.parent_role_ids, roleData.tenant_id || null);
+    permissionsService.assertGrantable(req.permissions, roleData.permissions || []);
+    await permissionsService.assertRolesGrantable(req.permissions, roleData.parent_role_ids);
+
     const newRole = await rolesService.create(roleData);
     res.status(201).json({
       success: true,
@@ -352,13 +409,28 @@ router.post('/', validateRole, async (req, res, next) => {
  *                 type: string
  *               is_system:
  *                 type: boolean
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Permissions granted by the role, e.g. users:write, tenants:* or *
+ *               parent_role_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Roles whose permissions this role inherits
  *     responses:
  *       200:
  *         description: Role updated successfully
+ *       400:
+ *         description: Invalid parent roles or inheritance cycle
+ *       403:
+ *         description: Forbidden - The role would grant permissions the caller does not hold
  *       404:
  *         description: Role not found
  */
-router.patch('/:id', validateRoleId, validateRoleUpdate, async (req, res, next) => {
+router.patch('/:id', requirePermission('roles:write'), validateRoleId, validateRoleUpdate, async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -367,6 +439,18 @@ router.patch('/:id', validateRoleId, validateRoleUpdate, async (req, res, next)
       throw ApiError.badRequest('Update data is required');
     }
 
+    if (updateData.permissions || updateData.parent_role_ids) {
+      const role = await rolesService.getById(id);
+
+      if (updateData.parent_role_ids) {
+        await rolesService.validateParents(id, updateData.parent_role_ids, role.tenant_id);
+      }
+
+      // The role must not end up with permissions the caller does not hold
+      permissionsService.assertGrantable(req.permissions, updateData.permissions || role.permissions || []);
+      await permissionsService.assertRolesGrantable(req.permissions, updateData.parent_role_ids || role.parent_role_ids);
+    }
+
     const updatedRole = await rolesService.update(id, updateData);
     res.json({
       success: true,
@@ -400,7 +484,7 @@ router.patch('/:id', validateRoleId, validateRoleUpdate, async (req, res, next)
  *       404:
  *         description: Role not found
  */
-router.delete('/:id', validateRoleId, async (req, res, next) => {
+router.delete('/:id', requirePermission('roles:delete'), validateRoleId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -437,7 +521,7 @@ router.delete('/:id', validateRoleId, async (req, res, next) => {
  *       404:
  *         description: Role not found
  */
-router.post('/:id/restore', validateRoleId, async (req, res, next) => {
+router.post('/:id/restore', requirePermission('roles:delete'), validateRoleId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -474,7 +558,7 @@ router.post('/:id/restore', validateRoleId, async (req, res, next) => {
  *       404:
  *         description: Role not found
  */
-router.delete('/:id/permanent', validateRoleId, async (req, res, next) => {
+router.delete('/:id/permanent', requirePermission('roles:delete'), validateRoleId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,732 @@
+import express from 'express';
+import scimService from '../services/scim.js';
+import ApiError from '../errors/errors.js';
+import ScimError from '../errors/scimErrors.js';
+import { SCIM_SCHEMAS, SCIM_CONTENT_TYPE } from '../config/scim.js';
+import { validateBearerApiKey } from '../middleware/apiKey.js';
+import { trackApiKeyUsage } from '../middleware/apiKeyUsage.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { requireScimAccess, validateScimListQuery } from '../middleware/scim.js';
+
+// SCIM 2.0 endpoints (RFC 7644) for directories that provision users and groups into a tenant.
+// Clients send an API key of the tenant as bearer token and get answers in the SCIM formats.
+const router = express.Router();
+
+// SCIM clients send their requests as application/scim+json
+router.use(express.json({ type: SCIM_CONTENT_TYPE }));
+router.use(validateBearerApiKey);
+router.use(trackApiKeyUsage);
+router.use(rateLimit);
+router.use(requireScimAccess);
+
+/**
+ * Answer with a SCIM message
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - The message
+ */
+const send = (res, status, body) => {
+  res.status(status).type(SCIM_CONTENT_TYPE).json(body);
+};
+
+/**
+ * @swagger
+ * /scim/v2/ServiceProviderConfig:
+ *   get:
+ *     summary: SCIM service provider configuration
+ *     description: What this SCIM service provider supports (RFC 7643 section 5). PATCH and filtering are supported; bulk operations, sorting and ETags are not.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The configuration
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               type: object
+ */
+router.get('/ServiceProviderConfig', (req, res) => {
+  send(res, 200, scimService.getServiceProviderConfig());
+});
+
+/**
+ * @swagger
+ * /scim/v2/ResourceTypes:
+ *   get:
+ *     summary: SCIM resource types
+ *     description: The resource types (User and Group) and their endpoints (RFC 7643 section 6)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: ListResponse of ResourceType resources
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               type: object
+ */
+router.get('/ResourceTypes', (req, res) => {
+  const resourceTypes = scimService.getResourceTypes();
+
+  send(res, 200, {
+    schemas: [SCIM_SCHEMAS.listResponse],
+    totalResults: resourceTypes.length,
+    startIndex: 1,
+    itemsPerPage: resourceTypes.length,
+    Resources: resourceTypes
+  });
+});
+
+/**
+ * @swagger
+ * /scim/v2/ResourceTypes/{id}:
+ *   get:
+ *     summary: SCIM resource type
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [User, Group]
+ *     responses:
+ *       200:
+ *         description: The ResourceType resource
+ *       404:
+ *         description: Unknown resource type
+ */
+router.get('/ResourceTypes/:id', (req, res, next) => {
+  const resourceType = scimService.getResourceTypes().find(type => type.id === req.params.id);
+
+  if (!resourceType) {
+    return next(ApiError.notFound(`Resource type ${req.params.id} not found`));
+  }
+
+  send(res, 200, resourceType);
+});
+
+/**
+ * @swagger
+ * /scim/v2/Schemas:
+ *   get:
+ *     summary: SCIM schemas
+ *     description: The attributes of the User and Group resources (RFC 7643 section 7)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: ListResponse of Schema resources
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               type: object
+ */
+router.get('/Schemas', (req, res) => {
+  const schemas = scimService.getSchemas();
+
+  send(res, 200, {
+    schemas: [SCIM_SCHEMAS.listResponse],
+    totalResults: schemas.length,
+    startIndex: 1,
+    itemsPerPage: schemas.length,
+    Resources: schemas
+  });
+});
+
+/**
+ * @swagger
+ * /scim/v2/Schemas/{id}:
+ *   get:
+ *     summary: SCIM schema
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "urn:ietf:params:scim:schemas:core:2.0:User"
+ *     responses:
+ *       200:
+ *         description: The Schema resource
+ *       404:
+ *         description: Unknown schema
+ */
+router.get('/Schemas/:id', (req, res, next) => {
+  const schema = scimService.getSchemas().find(item => item.id === req.params.id);
+
+  if (!schema) {
+    return next(ApiError.notFound(`Schema ${req.params.id} not found`));
+  }
+
+  send(res, 200, schema);
+});
+
+/**
+ * @swagger
+ * /scim/v2/Users:
+ *   get:
+ *     summary: List the users of the tenant
+ *     description: |
+ *       Users of the tenant of the API key, oldest first. The key needs the scim:users scope.
+ *
+ *       Filters compare userName, emails (or emails.value), name.givenName, name.familyName, locale, active, externalId, id, meta.created or meta.lastModified with eq, ne, co, sw, ew, gt, ge, lt, le or pr. Comparisons can be joined with and; or, not and grouping are not supported.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         example: 'userName eq "jane.doe@acme.com"'
+ *       - in: query
+ *         name: startIndex
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: 1-based index of the first result
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Number of results per page (default SCIM_DEFAULT_COUNT, at most SCIM_MAX_RESULTS)
+ *       - in: query
+ *         name: excludedAttributes
+ *         schema:
+ *           type: string
+ *         description: Leave out groups with excludedAttributes=groups
+ *     responses:
+ *       200:
+ *         description: ListResponse of User resources
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schemas:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 totalResults:
+ *                   type: integer
+ *                 startIndex:
+ *                   type: integer
+ *                 itemsPerPage:
+ *                   type: integer
+ *                 Resources:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScimUser'
+ *       400:
+ *         description: Invalid or unsupported filter
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimError'
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: The API key has no tenant, is a super admin key or lacks the scim:users scope
+ */
+router.get('/Users', validateScimListQuery, async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.listUsers(req.tenant_id, req.validatedQuery));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   get:
+ *     summary: Get a user
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The User resource
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimUser'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimError'
+ */
+router.get('/Users/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.getUser(req.tenant_id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Users:
+ *   post:
+ *     summary: Provision a user
+ *     description: Create a user in the tenant. The email address is taken from the primary email (or userName when it is an email address) and counts as verified, so the user can also be matched on a first sign-in through a federated identity provider. Without a password the user signs in through single sign-on, a magic link or a password reset.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScimUser'
+ *     responses:
+ *       201:
+ *         description: User created
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimUser'
+ *       400:
+ *         description: Invalid value (scimType invalidValue)
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimError'
+ *       409:
+ *         description: userName or email address already in use (scimType uniqueness)
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimError'
+ */
+router.post('/Users', async (req, res, next) => {
+  try {
+    const user = await scimService.createUser(req.tenant_id, req.body);
+
+    res.location(user.meta.location);
+    send(res, 201, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   put:
+ *     summary: Replace a user
+ *     description: Replace the attributes of a user. Deactivating a user (active false) ends their sessions.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScimUser'
+ *     responses:
+ *       200:
+ *         description: User updated
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimUser'
+ *       400:
+ *         description: Invalid value
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: userName or email address already in use
+ */
+router.put('/Users/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.replaceUser(req.tenant_id, req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   patch:
+ *     summary: Change a user
+ *     description: Apply add, replace and remove operations (RFC 7644 section 3.5.2), e.g. {"op":"replace","path":"active","value":false} to deactivate the user, which ends their sessions. Paths can have value filters such as emails[type eq "work"].value. Attributes that are not stored are ignored.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScimPatchOp'
+ *     responses:
+ *       200:
+ *         description: User updated
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimUser'
+ *       400:
+ *         description: Invalid operation, path or value
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: userName or email address already in use
+ */
+router.patch('/Users/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.patchUser(req.tenant_id, req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Users/{id}:
+ *   delete:
+ *     summary: Deprovision a user
+ *     description: Soft delete the user and end their sessions
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: User deleted
+ *       404:
+ *         description: User not found
+ */
+router.delete('/Users/:id', async (req, res, next) => {
+  try {
+    await scimService.deleteUser(req.tenant_id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Groups:
+ *   get:
+ *     summary: List the groups of the tenant
+ *     description: |
+ *       Groups are the roles of the tenant of the API key and their members the users that have the role. Roles shared by all tenants of the application are not groups. The key needs the scim:groups scope.
+ *
+ *       Filters compare displayName, externalId, id, meta.created or meta.lastModified, the same way as for users.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         example: 'displayName eq "Engineering"'
+ *       - in: query
+ *         name: startIndex
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: excludedAttributes
+ *         schema:
+ *           type: string
+ *         description: Leave out members with excludedAttributes=members
+ *     responses:
+ *       200:
+ *         description: ListResponse of Group resources
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schemas:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 totalResults:
+ *                   type: integer
+ *                 startIndex:
+ *                   type: integer
+ *                 itemsPerPage:
+ *                   type: integer
+ *                 Resources:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScimGroup'
+ *       400:
+ *         description: Invalid or unsupported filter
+ *       403:
+ *         description: The API key has no tenant, is a super admin key or lacks the scim:groups scope
+ */
+router.get('/Groups', validateScimListQuery, async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.listGroups(req.tenant_id, req.validatedQuery));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Groups/{id}:
+ *   get:
+ *     summary: Get a group
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The Group resource
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimGroup'
+ *       404:
+ *         description: Group not found
+ */
+router.get('/Groups/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.getGroup(req.tenant_id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Groups:
+ *   post:
+ *     summary: Create a group
+ *     description: Create a role in the tenant, without permissions, and assign it to the members. Permissions are given to the role through /api/roles.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScimGroup'
+ *     responses:
+ *       201:
+ *         description: Group created
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimGroup'
+ *       400:
+ *         description: Invalid value, e.g. a member that is not a user of the tenant
+ *       409:
+ *         description: The tenant already has a role with this name
+ */
+router.post('/Groups', async (req, res, next) => {
+  try {
+    const group = await scimService.createGroup(req.tenant_id, req.body);
+
+    res.location(group.meta.location);
+    send(res, 201, group);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Groups/{id}:
+ *   put:
+ *     summary: Replace a group
+ *     description: Rename the role and make its members exactly the given users
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScimGroup'
+ *     responses:
+ *       200:
+ *         description: Group updated
+ *       400:
+ *         description: Invalid value
+ *       404:
+ *         description: Group not found
+ *       409:
+ *         description: The tenant already has a role with this name
+ */
+router.put('/Groups/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.replaceGroup(req.tenant_id, req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Groups/{id}:
+ *   patch:
+ *     summary: Change a group
+ *     description: Apply add, replace and remove operations, e.g. {"op":"add","path":"members","value":[{"value":"<user id>"}]} or {"op":"remove","path":"members[value eq \"<user id>\"]"}. Adding members assigns them the role; removing members unassigns it.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScimPatchOp'
+ *     responses:
+ *       200:
+ *         description: Group updated
+ *         content:
+ *           application/scim+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScimGroup'
+ *       400:
+ *         description: Invalid operation, path or value
+ *       404:
+ *         description: Group not found
+ */
+router.patch('/Groups/:id', async (req, res, next) => {
+  try {
+    send(res, 200, await scimService.patchGroup(req.tenant_id, req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /scim/v2/Groups/{id}:
+ *   delete:
+ *     summary: Delete a group
+ *     description: Unassign the role from all users and soft delete it
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Group deleted
+ *       404:
+ *         description: Group not found
+ */
+router.delete('/Groups/:id', async (req, res, next) => {
+  try {
+    await scimService.deleteGroup(req.tenant_id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use((req, res, next) => {
+  next(ApiError.notFound(`Endpoint ${req.method} ${req.baseUrl}${req.path} not found`));
+});
+
+/**
+ * Answer errors in the SCIM format (RFC 7644 section 3.12)
+ */
+router.use((err, req, res, next) => {
+  const error = { schemas: [SCIM_SCHEMAS.error] };
+
+  if (err instanceof ScimError) {
+    return send(res, err.status, { ...error, status: String(err.status), scimType: err.scimType, detail: err.detail });
+  }
+
+  if (err instanceof ApiError && err.code < 500) {
+    return send(res, err.code, { ...error, status: String(err.code), detail: err.message });
+  }
+
+  // Request bodies that are not valid JSON
+  if (err.type === 'entity.parse.failed') {
+    return send(res, 400, { ...error, status: '400', scimType: 'invalidSyntax', detail: 'Request body is not valid JSON' });
+  }
+
+  console.error(`SCIM endpoint error: ${err.message}`);
+  send(res, 500, { ...error, status: '500', detail: 'Something went wrong on the server' });
+});
+
+export default router;
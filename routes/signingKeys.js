@@ -0,0 +1,178 @@
+import express from 'express';
+import signingKeysService from '../services/signingKeys.js';
+import {
+  validateRotateSigningKey,
+  validateGetSigningKeysQuery,
+  validateSigningKeyId
+} from '../middleware/signingKeys.js';
+import { requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/signing-keys:
+ *   get:
+ *     summary: Get all signing keys
+ *     description: Retrieve the keys that sign access tokens, ID tokens and MFA challenges, newest first. The current key signs new tokens; active keys still verify the tokens they signed; retired keys are no longer accepted. Only super admin API keys can manage signing keys. Private keys are never returned.
+ *     tags: [Signing Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, retired]
+ *         description: Only keys with this status (active includes the current key)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Maximum number of keys to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Number of keys to skip
+ *     responses:
+ *       200:
+ *         description: List of signing keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SigningKey'
+ *                 count:
+ *                   type: integer
+ *                   description: Number of keys returned
+ *       403:
+ *         description: Only super admin API keys can manage signing keys
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('signing_keys:read'), validateGetSigningKeysQuery, async (req, res, next) => {
+  try {
+    const keys = await signingKeysService.getAll(req.validatedQuery);
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/signing-keys/rotate:
+ *   post:
+ *     summary: Rotate the signing key
+ *     description: Generate a new key and sign new tokens with it. Tokens signed with older keys stay valid until those keys are retired. Keys are also rotated automatically when the current key is older than SIGNING_KEY_ROTATION_DAYS (default 90). Other instances pick up the new key within SIGNING_KEY_CACHE_SECONDS.
+ *     tags: [Signing Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               algorithm:
+ *                 type: string
+ *                 enum: [RS256, ES256]
+ *                 description: Algorithm of the new key. Defaults to JWT_SIGNING_ALGORITHM.
+ *     responses:
+ *       201:
+ *         description: New signing key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/SigningKey'
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Only super admin API keys can manage signing keys
+ */
+router.post('/rotate', requirePermission('signing_keys:write'), validateRotateSigningKey, async (req, res, next) => {
+  try {
+    const key = await signingKeysService.rotate(req.body.algorithm);
+    res.status(201).json({
+      success: true,
+      data: key,
+      message: 'Signing key rotated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/signing-keys/{id}/retire:
+ *   post:
+ *     summary: Retire a signing key
+ *     description: Stop accepting tokens signed with a key, for example when it may have leaked, and remove it from /.well-known/jwks.json. Users holding access tokens signed with it have to refresh them. Retiring the current key first rotates to a new one. Retired keys cannot be reactivated.
+ *     tags: [Signing Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Signing key ID (the record ID, not the kid)
+ *     responses:
+ *       200:
+ *         description: Signing key retired successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/SigningKey'
+ *       403:
+ *         description: Only super admin API keys can manage signing keys
+ *       404:
+ *         description: Signing key not found
+ *       409:
+ *         description: Signing key is already retired
+ */
+router.post('/:id/retire', requirePermission('signing_keys:write'), validateSigningKeyId, async (req, res, next) => {
+  try {
+    const key = await signingKeysService.retire(req.params.id);
+    res.json({
+      success: true,
+      data: key,
+      message: 'Signing key retired successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import tenantsService from '../services/tenants.js';
 import ApiError from '../errors/errors.js';
 import { validateTenant, validateTenantUpdate, validateTenantId } from '../middleware/tenants.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
@@ -56,7 +57,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('tenants:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -127,7 +128,7 @@ router.get('/', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/deleted', async (req, res, next) => {
+router.get('/deleted', requirePermission('tenants:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -194,7 +195,7 @@ router.get('/deleted', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('tenants:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -245,6 +246,18 @@ router.get('/:id', async (req, res, next) => {
  *                 type: string
  *                 description: Status of the tenant
  *                 example: "active"
+ *               require_mfa:
+ *                 type: boolean
+ *                 description: Require multi-factor authentication for every user of the tenant
+ *                 example: false
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per minute allowed for all API keys of the tenant together
+ *               rate_limit_burst:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests the tenant may make at once before the per minute rate applies
  *             required:
  *               - application_id
  *               - name
@@ -277,7 +290,7 @@ router.get('/:id', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', validateTenant, async (req, res, next) => {
+router.post('/', requirePermission('tenants:write'), validateTenant, async (req, res, next) => {
   try {
     const tenantData = req.body;
 
@@ -332,6 +345,18 @@ router.post('/', validateTenant, async (req, res, next) => {
  *                 type: string
  *                 description: Status of the tenant
  *                 example: "inactive"
+ *               require_mfa:
+ *                 type: boolean
+ *                 description: Require multi-factor authentication for every user of the tenant
+ *                 example: false
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per minute allowed for all API keys of the tenant together
+ *               rate_limit_burst:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests the tenant may make at once before the per minute rate applies
  *     responses:
  *       200:
  *         description: Tenant updated successfully
@@ -366,7 +391,7 @@ router.post('/', validateTenant, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id', validateTenantId, validateTenantUpdate, async (req, res, next) => {
+router.patch('/:id', requirePermission('tenants:write'), validateTenantId, validateTenantUpdate, async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -436,7 +461,7 @@ router.patch('/:id', validateTenantId, validateTenantUpdate, async (req, res, ne
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('tenants:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -505,7 +530,7 @@ router.delete('/:id', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/restore', async (req, res, next) => {
+router.post('/:id/restore', requirePermission('tenants:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -574,7 +599,7 @@ router.post('/:id/restore', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id/permanent', async (req, res, next) => {
+router.delete('/:id/permanent', requirePermission('tenants:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -657,7 +682,7 @@ router.delete('/:id/permanent', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/application/:applicationId/deleted', async (req, res, next) => {
+router.get('/application/:applicationId/deleted', requirePermission('tenants:read'), async (req, res, next) => {
   try {
     const { applicationId } = req.params;
     const { limit, offset, orderBy } = req.query;
@@ -747,7 +772,7 @@ router.get('/application/:applicationId/deleted', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/application/:applicationId', async (req, res, next) => {
+router.get('/application/:applicationId', requirePermission('tenants:read'), async (req, res, next) => {
   try {
     const { applicationId } = req.params;
     const { limit, offset, orderBy } = req.query;
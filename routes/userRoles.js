@@ -1,7 +1,9 @@
 import express from 'express';
 import userRolesService from '../services/userRoles.js';
+import permissionsService from '../services/permissions.js';
 import ApiError from '../errors/errors.js';
 import { validateUserRole, validateUserRoleId, validateUserId, validateRoleIdParam } from '../middleware/userRoles.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
@@ -31,7 +33,7 @@ const router = express.Router();
  *       200:
  *         description: List of user role assignments retrieved successfully
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('user_roles:read'), async (req, res, next) => {
   try {
     const { limit, offset } = req.query;
     const options = {
@@ -73,7 +75,7 @@ router.get('/', async (req, res, next) => {
  *       404:
  *         description: User role assignment not found
  */
-router.get('/:id', validateUserRoleId, async (req, res, next) => {
+router.get('/:id', requirePermission('user_roles:read'), validateUserRoleId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -108,7 +110,7 @@ router.get('/:id', validateUserRoleId, async (req, res, next) => {
  *       200:
  *         description: List of roles for the user retrieved successfully
  */
-router.get('/user/:userId', validateUserId, async (req, res, next) => {
+router.get('/user/:userId', requirePermission('user_roles:read'), validateUserId, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -144,7 +146,7 @@ router.get('/user/:userId', validateUserId, async (req, res, next) => {
  *       200:
  *         description: List of users for the role retrieved successfully
  */
-router.get('/role/:roleId', validateRoleIdParam, async (req, res, next) => {
+router.get('/role/:roleId', requirePermission('user_roles:read'), validateRoleIdParam, async (req, res, next) => {
   try {
     const { roleId } = req.params;
 
@@ -191,11 +193,15 @@ router.get('/role/:roleId', validateRoleIdParam, async (req, res, next) => {
  *         description: Role assigned to user successfully
  *       400:
  *         description: User already has this role assigned
+ *       403:
+ *         description: Forbidden - The role grants permissions the caller does not hold
  */
-router.post('/', validateUserRole, async (req, res, next) => {
+router.post('/', requirePermission('user_roles:write'), validateUserRole, async (req, res, next) => {
   try {
     const userRoleData = req.body;
 
+    await permissionsService.assertRolesGrantable(req.permissions, [userRoleData.role_id]);
+
     const newUserRole = await userRolesService.create(userRoleData);
     res.status(201).json({
       success: true,
@@ -230,7 +236,7 @@ router.post('/', validateUserRole, async (req, res, next) => {
  *       404:
  *         description: User role assignment not found
  */
-router.delete('/:id', validateUserRoleId, async (req, res, next) => {
+router.delete('/:id', requirePermission('user_roles:write'), validateUserRoleId, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -275,7 +281,7 @@ router.delete('/:id', validateUserRoleId, async (req, res, next) => {
  *       404:
  *         description: User role assignment not found
  */
-router.delete('/user/:userId/role/:roleId', validateUserId, validateRoleIdParam, async (req, res, next) => {
+router.delete('/user/:userId/role/:roleId', requirePermission('user_roles:write'), validateUserId, validateRoleIdParam, async (req, res, next) => {
   try {
     const { userId, roleId } = req.params;
 
@@ -311,7 +317,7 @@ router.delete('/user/:userId/role/:roleId', validateUserId, validateRoleIdParam,
  *       200:
  *         description: All roles removed from user successfully
  */
-router.delete('/user/:userId/all', validateUserId, async (req, res, next) => {
+router.delete('/user/:userId/all', requirePermission('user_roles:write'), validateUserId, async (req, res, next) => {
   try {
     const { userId } = req.params;
 
@@ -348,7 +354,7 @@ router.delete('/user/:userId/all', validateUserId, async (req, res, next) => {
  *       200:
  *         description: All users removed from role successfully
  */
-router.delete('/role/:roleId/all', validateRoleIdParam, async (req, res, next) => {
+router.delete('/role/:roleId/all', requirePermission('user_roles:write'), validateRoleIdParam, async (req, res, next) => {
   try {
     const { roleId } = req.params;
 
@@ -392,7 +398,7 @@ router.delete('/role/:roleId/all', validateRoleIdParam, async (req, res, next) =
  *       200:
  *         description: Check result returned successfully
  */
-router.get('/check', async (req, res, next) => {
+router.get('/check', requirePermission('user_roles:read'), async (req, res, next) => {
   try {
     const { user_id, role_id } = req.query;
 
@@ -2,6 +2,8 @@ import express from 'express';
 import usersService from '../services/users.js';
 import ApiError from '../errors/errors.js';
 import { validateUser, validateUserUpdate, validateUserId } from '../middleware/users.js';
+import { requirePermission } from '../middleware/permissions.js';
+import permissionsService from '../services/permissions.js';
 
 const router = express.Router();
 
@@ -80,7 +82,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('users:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -151,7 +153,7 @@ router.get('/', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/deleted', async (req, res, next) => {
+router.get('/deleted', requirePermission('users:read'), async (req, res, next) => {
   try {
     const { limit, offset, orderBy } = req.query;
     const options = {
@@ -242,7 +244,7 @@ router.get('/deleted', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requirePermission('users:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -312,6 +314,10 @@ router.get('/:id', async (req, res, next) => {
  *                 type: string
  *                 description: User's status
  *                 example: "active"
+ *               locale:
+ *                 type: string
+ *                 description: Preferred language of the user's emails
+ *                 example: "nl-BE"
  *             required:
  *               - email
  *               - password
@@ -345,7 +351,7 @@ router.get('/:id', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', validateUser, async (req, res, next) => {
+router.post('/', requirePermission('users:write'), validateUser, async (req, res, next) => {
   try {
     const userData = req.body;
 
@@ -419,6 +425,10 @@ router.post('/', validateUser, async (req, res, next) => {
  *                 type: string
  *                 description: User's status
  *                 example: "active"
+ *               locale:
+ *                 type: string
+ *                 description: Preferred language of the user's emails
+ *                 example: "nl-BE"
  *               last_login_at:
  *                 type: string
  *                 format: date-time
@@ -458,7 +468,7 @@ router.post('/', validateUser, async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id', validateUserId, validateUserUpdate, async (req, res, next) => {
+router.patch('/:id', requirePermission('users:write'), validateUserId, validateUserUpdate, async (req, res, next) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -528,7 +538,7 @@ router.patch('/:id', validateUserId, validateUserUpdate, async (req, res, next)
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requirePermission('users:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -597,7 +607,7 @@ router.delete('/:id', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/:id/restore', async (req, res, next) => {
+router.post('/:id/restore', requirePermission('users:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -616,6 +626,141 @@ router.post('/:id/restore', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account
+ *     description: Clear a temporary lockout caused by too many failed login attempts and reset the failed attempt counter
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *                     message:
+ *                       type: string
+ *                       example: "User unlocked successfully"
+ *       400:
+ *         description: Bad request - Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/unlock', requirePermission('users:write'), validateUserId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await usersService.unlock(id);
+    // Answer with the same user representation as GET /api/users/{id}
+    const unlockedUser = await usersService.getById(id);
+    res.json({
+      success: true,
+      data: unlockedUser,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/permissions:
+ *   get:
+ *     summary: Get the effective permissions of a user
+ *     description: Resolve the roles of a user (including inherited roles) within the user's tenant and the permissions they grant, together with the roles each permission comes from
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Effective permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/EffectivePermissions'
+ *       400:
+ *         description: Bad request - Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/permissions', requirePermission('users:read', 'user_roles:read'), validateUserId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await usersService.getById(id);
+    const { roles, permissions } = await permissionsService.resolveForUser(user);
+
+    res.json({
+      success: true,
+      data: {
+        user_id: user.id,
+        tenant_id: user.tenant_id,
+        roles,
+        permissions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/users/{id}/permanent:
@@ -666,7 +811,7 @@ router.post('/:id/restore', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id/permanent', async (req, res, next) => {
+router.delete('/:id/permanent', requirePermission('users:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -849,7 +994,7 @@ router.delete('/:id/permanent', async (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/tenant/:tenantId/deleted', async (req, res, next) => {
+router.get('/tenant/:tenantId/deleted', requirePermission('users:read'), async (req, res, next) => {
   try {
     const { tenantId } = req.params;
     const { limit, offset, orderBy, search } = req.query;
@@ -876,7 +1021,7 @@ router.get('/tenant/:tenantId/deleted', async (req, res, next) => {
   }
 });
 
-router.get('/tenant/:tenantId', async (req, res, next) => {
+router.get('/tenant/:tenantId', requirePermission('users:read'), async (req, res, next) => {
   try {
     const { tenantId } = req.params;
     const { limit, offset, orderBy, search } = req.query;
@@ -1,4 +1,6 @@
 import * as yup from 'yup';
+import { isValidApiKeyScope } from '../config/permissions.js';
+import { isValidCidr, normalizeOrigin } from '../utils/network.js';
 
 // Schema for creating an API key
 export const createApiKeySchema = yup.object({
@@ -26,7 +28,52 @@ export const createApiKeySchema = yup.object({
     .test('future-date', 'Expiration date must be in the future', function(value) {
       if (!value) return true; // Allow null/undefined
       return new Date(value) > new Date();
-    })
+    }),
+
+  is_super_admin: yup
+    .boolean()
+    .default(false),
+
+  rate_limit_per_minute: yup
+    .number()
+    .integer('Rate limit per minute must be an integer')
+    .min(1, 'Rate limit per minute must be at least 1')
+    .nullable(),
+
+  rate_limit_burst: yup
+    .number()
+    .integer('Rate limit burst must be an integer')
+    .min(1, 'Rate limit burst must be at least 1')
+    .nullable(),
+
+  scopes: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .test('valid-scope', 'Unknown scope: ${value}', isValidApiKeyScope)
+    )
+    .nullable(),
+
+  allowed_ips: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .trim()
+        .test('valid-cidr', 'Invalid IP address or CIDR range: ${value}', isValidCidr)
+    )
+    .nullable(),
+
+  allowed_origins: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .test('valid-origin', 'Invalid origin: ${value}. Use scheme://host[:port], e.g. https://app.example.com or https://*.example.com', value => normalizeOrigin(value) !== null)
+        .transform(value => normalizeOrigin(value) || value)
+    )
+    .nullable()
 });
 
 // Schema for query parameters when getting API keys
@@ -83,8 +130,110 @@ export const getApiKeysQuerySchema = yup.object({
     })
 });
 
+// Schema for updating an API key
+export const updateApiKeySchema = yup.object({
+  name: yup
+    .string()
+    .min(1, 'Name must not be empty')
+    .max(255, 'Name must be less than 255 characters')
+    .trim(),
+
+  status: yup
+    .string()
+    .oneOf(['active', 'inactive'], 'Status must be one of: active, inactive'),
+
+  expires_at: yup
+    .date()
+    .nullable()
+    .typeError('Expires at must be a valid date-time')
+    .test('future-date', 'Expiration date must be in the future', function(value) {
+      if (!value) return true; // Allow null/undefined
+      return new Date(value) > new Date();
+    }),
+
+  rate_limit_per_minute: yup
+    .number()
+    .integer('Rate limit per minute must be an integer')
+    .min(1, 'Rate limit per minute must be at least 1')
+    .nullable(),
+
+  rate_limit_burst: yup
+    .number()
+    .integer('Rate limit burst must be an integer')
+    .min(1, 'Rate limit burst must be at least 1')
+    .nullable(),
+
+  scopes: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .test('valid-scope', 'Unknown scope: ${value}', isValidApiKeyScope)
+    )
+    .nullable(),
+
+  allowed_ips: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .trim()
+        .test('valid-cidr', 'Invalid IP address or CIDR range: ${value}', isValidCidr)
+    )
+    .nullable(),
+
+  allowed_origins: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .test('valid-origin', 'Invalid origin: ${value}. Use scheme://host[:port], e.g. https://app.example.com or https://*.example.com', value => normalizeOrigin(value) !== null)
+        .transform(value => normalizeOrigin(value) || value)
+    )
+    .nullable()
+});
+
+// Schema for rotating an API key
+export const rotateApiKeySchema = yup.object({
+  overlap_minutes: yup
+    .number()
+    .integer('Overlap minutes must be an integer')
+    .min(0, 'Overlap minutes must be at least 0')
+    .max(10080, 'Overlap minutes must be at most 10080 (7 days)')
+    .default(0)
+});
+
+// Schema for query parameters of the usage report
+export const apiKeyUsageQuerySchema = yup.object({
+  from: yup
+    .date()
+    .typeError('From must be a valid date-time')
+    .default(() => new Date(Date.now() - 24 * 60 * 60 * 1000)),
+
+  to: yup
+    .date()
+    .typeError('To must be a valid date-time')
+    .default(() => new Date())
+    .when('from', ([from], schema) => from
+      ? schema.min(from, 'To must be after from')
+      : schema)
+    .test('max-range', 'The range between from and to must be at most 31 days', function(value) {
+      const { from } = this.parent;
+      if (!from || !value) return true;
+      return value.getTime() - from.getTime() <= 31 * 24 * 60 * 60 * 1000;
+    }),
+
+  interval: yup
+    .string()
+    .oneOf(['minute', 'hour', 'day'], 'Interval must be one of: minute, hour, day')
+    .default('hour')
+});
+
 export default {
   createApiKeySchema,
-  getApiKeysQuerySchema
+  getApiKeysQuerySchema,
+  updateApiKeySchema,
+  rotateApiKeySchema,
+  apiKeyUsageQuerySchema
 };
 
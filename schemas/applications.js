@@ -22,7 +22,14 @@ const applicationSchema = yup.object({
   is_multitenant: yup
     .boolean()
     .required('is_multitenant field is required')
-    .typeError('is_multitenant must be a boolean value')
+    .typeError('is_multitenant must be a boolean value'),
+
+  app_url: yup
+    .string()
+    .url('App URL must be a valid URL')
+    .max(2048, 'App URL must be less than 2048 characters')
+    .nullable()
+    .trim()
 });
 
 export default applicationSchema;
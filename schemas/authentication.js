@@ -1,4 +1,5 @@
 import * as yup from 'yup';
+import { isValidLocale, normalizeLocale } from '../utils/locales.js';
 
 // Register schema - tenant_id comes from API key, not request body
 export const registerSchema = yup.object({
@@ -45,7 +46,14 @@ export const registerSchema = yup.object({
   
   status: yup
     .string()
-    .oneOf(['active', 'inactive', 'suspended'], 'Status must be one of: active, inactive, suspended')
+    .oneOf(['active', 'inactive', 'suspended'], 'Status must be one of: active, inactive, suspended'),
+
+  locale: yup
+    .string()
+    .trim()
+    .test('valid-locale', 'Locale must be a language tag such as en, nl or nl-BE', value => !value || isValidLocale(value))
+    .transform(value => (value && isValidLocale(value) ? normalizeLocale(value) : value))
+    .nullable()
 }).test(
   'email-or-username',
   'Either email or username must be provided',
@@ -82,9 +90,155 @@ export const changePasswordSchema = yup.object({
     .max(255, 'New password must be less than 255 characters')
 });
 
+// Refresh token schema - exchanges a refresh token for a new token pair
+export const refreshTokenSchema = yup.object({
+  refresh_token: yup
+    .string()
+    .required('Refresh token is required')
+    .trim()
+});
+
+// MFA enrollment schema - challenge_token is only needed when enrolling during login
+export const mfaEnrollSchema = yup.object({
+  challenge_token: yup
+    .string()
+    .trim()
+});
+
+// MFA code schema - confirms enrollment or authorizes MFA management actions
+export const mfaCodeSchema = yup.object({
+  code: yup
+    .string()
+    .required('Code is required')
+    .matches(/^\d{6}$/, 'Code must be 6 digits')
+    .trim(),
+
+  challenge_token: yup
+    .string()
+    .trim()
+});
+
+// MFA verification schema - second step of the login
+export const mfaVerifySchema = yup.object({
+  challenge_token: yup
+    .string()
+    .required('Challenge token is required')
+    .trim(),
+
+  code: yup
+    .string()
+    .matches(/^\d{6}$/, 'Code must be 6 digits')
+    .trim(),
+
+  recovery_code: yup
+    .string()
+    .trim()
+}).test(
+  'code-or-recovery-code',
+  'Either code or recovery_code must be provided',
+  (value) => !!(value.code || value.recovery_code)
+);
+
+// Resend verification schema - tenant_id comes from API key, not request body
+export const resendVerificationSchema = yup.object({
+  email: yup
+    .string()
+    .required('Email is required')
+    .email('Email must be a valid email address')
+    .trim()
+});
+
+// Magic link request schema - tenant_id comes from API key, not request body
+export const magicLinkRequestSchema = yup.object({
+  email: yup
+    .string()
+    .required('Email is required')
+    .email('Email must be a valid email address')
+    .trim()
+});
+
+// Magic link verification schema - exchanges the emailed token for a session
+export const magicLinkVerifySchema = yup.object({
+  token: yup
+    .string()
+    .required('Magic link token is required')
+    .trim()
+});
+
+// Federated login schema - exchanges the code from the login callback for a session
+export const federatedTokenSchema = yup.object({
+  code: yup
+    .string()
+    .required('Login code is required')
+    .trim()
+});
+
+// Accept invitation schema - the email address, tenant and roles come from the invitation
+export const acceptInvitationSchema = yup.object({
+  token: yup
+    .string()
+    .required('Invitation token is required')
+    .trim(),
+
+  username: registerSchema.fields.username,
+
+  password: registerSchema.fields.password,
+
+  first_name: registerSchema.fields.first_name,
+
+  last_name: registerSchema.fields.last_name,
+
+  locale: registerSchema.fields.locale
+});
+
+// OAuth authorization schema - the authorization request as received by the consent page
+export const oauthAuthorizeSchema = yup.object({
+  response_type: yup
+    .string()
+    .required('response_type is required'),
+
+  client_id: yup
+    .string()
+    .required('client_id is required'),
+
+  redirect_uri: yup
+    .string(),
+
+  scope: yup
+    .string(),
+
+  state: yup
+    .string(),
+
+  nonce: yup
+    .string(),
+
+  code_challenge: yup
+    .string()
+    .required('code_challenge is required'),
+
+  code_challenge_method: yup
+    .string()
+    .required('code_challenge_method is required'),
+
+  decision: yup
+    .string()
+    .oneOf(['approve', 'deny'], 'Decision must be one of: approve, deny')
+});
+
 export default {
   registerSchema,
   loginSchema,
-  changePasswordSchema
+  changePasswordSchema,
+  refreshTokenSchema,
+  mfaEnrollSchema,
+  mfaCodeSchema,
+  mfaVerifySchema,
+  resendVerificationSchema,
+  magicLinkRequestSchema,
+  magicLinkVerifySchema,
+  acceptInvitationSchema,
+  oauthAuthorizeSchema,
+  federatedTokenSchema
 };
 
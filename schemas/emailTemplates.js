@@ -0,0 +1,119 @@
+import * as yup from 'yup';
+import { EMAIL_TEMPLATE_TYPES } from '../config/emailTemplates.js';
+import { isValidLocale, normalizeLocale } from '../utils/locales.js';
+
+const typeField = yup
+  .string()
+  .oneOf(EMAIL_TEMPLATE_TYPES, `Type must be one of: ${EMAIL_TEMPLATE_TYPES.join(', ')}`);
+
+const localeField = yup
+  .string()
+  .trim()
+  .test('valid-locale', 'Locale must be a language tag such as en, nl or nl-BE', value => !value || isValidLocale(value))
+  .transform(value => (value && isValidLocale(value) ? normalizeLocale(value) : value));
+
+const subjectField = yup
+  .string()
+  .min(1, 'Subject must not be empty')
+  .max(500, 'Subject must be less than 500 characters');
+
+const textBodyField = yup
+  .string()
+  .min(1, 'Text body must not be empty')
+  .max(100000, 'Text body must be less than 100000 characters');
+
+const htmlBodyField = yup
+  .string()
+  .max(500000, 'HTML body must be less than 500000 characters')
+  .nullable();
+
+// Schema for creating an email template
+export const createEmailTemplateSchema = yup.object({
+  application_id: yup
+    .string()
+    .uuid('Application ID must be a valid UUID'),
+
+  tenant_id: yup
+    .string()
+    .uuid('Tenant ID must be a valid UUID')
+    .nullable(),
+
+  type: typeField.required('Type is required'),
+
+  locale: localeField.required('Locale is required'),
+
+  subject: subjectField.required('Subject is required'),
+
+  text_body: textBodyField.required('Text body is required'),
+
+  html_body: htmlBodyField
+});
+
+// Schema for updating an email template (the application, tenant, type and locale are fixed)
+export const updateEmailTemplateSchema = yup.object({
+  subject: subjectField,
+
+  text_body: textBodyField,
+
+  html_body: htmlBodyField
+});
+
+// Schema for query parameters when listing email templates
+export const getEmailTemplatesQuerySchema = yup.object({
+  limit: yup
+    .number()
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(1000, 'Limit must be at most 1000'),
+
+  offset: yup
+    .number()
+    .integer('Offset must be an integer')
+    .min(0, 'Offset must be at least 0'),
+
+  application_id: yup
+    .string()
+    .uuid('Application ID must be a valid UUID'),
+
+  tenant_id: yup
+    .string()
+    .uuid('Tenant ID must be a valid UUID'),
+
+  type: typeField,
+
+  locale: localeField
+});
+
+// Schema for rendering (previewing) an email template
+export const renderEmailTemplateSchema = yup.object({
+  type: typeField.required('Type is required'),
+
+  locale: localeField,
+
+  application_id: yup
+    .string()
+    .uuid('Application ID must be a valid UUID'),
+
+  tenant_id: yup
+    .string()
+    .uuid('Tenant ID must be a valid UUID')
+    .nullable(),
+
+  variables: yup
+    .object()
+    .default({}),
+
+  // Render a draft instead of the stored template
+  subject: subjectField,
+
+  text_body: textBodyField,
+
+  html_body: htmlBodyField
+});
+
+export default {
+  createEmailTemplateSchema,
+  updateEmailTemplateSchema,
+  getEmailTemplatesQuerySchema,
+  renderEmailTemplateSchema
+};
@@ -0,0 +1,142 @@
+import * as yup from 'yup';
+import { IDENTITY_PROVIDER_PROTOCOLS, MAPPED_USER_FIELDS } from '../config/federation.js';
+
+// Identity providers are called over https; plain http is only accepted for local test setups
+const isSecureUrl = (value) => {
+  if (!value) {
+    return true;
+  }
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+  } catch {
+    return false;
+  }
+};
+
+const urlField = (label) => yup
+  .string()
+  .trim()
+  .test('secure-url', `${label} must be an https URL (http only for localhost)`, isSecureUrl);
+
+const nameField = yup
+  .string()
+  .trim()
+  .min(1, 'Name must not be empty')
+  .max(255, 'Name must be less than 255 characters');
+
+// Settings of the provider. OIDC providers need issuer, client_id and client_secret;
+// SAML providers need entry_point and idp_certificates (checked when the provider is saved).
+const configField = yup.object({
+  issuer: urlField('Issuer'),
+
+  client_id: yup
+    .string()
+    .trim(),
+
+  client_secret: yup
+    .string(),
+
+  scopes: yup
+    .array()
+    .of(yup.string().trim())
+    .test('openid-scope', 'Scopes must include openid', value => !value || value.includes('openid')),
+
+  entry_point: urlField('Entry point'),
+
+  idp_entity_id: yup
+    .string()
+    .trim(),
+
+  idp_certificates: yup
+    .array()
+    .of(yup.string().trim()),
+
+  name_id_format: yup
+    .string()
+    .trim()
+});
+
+const attributeMappingField = yup.object(
+  Object.fromEntries(MAPPED_USER_FIELDS.map(field => [field, yup.string().trim()]))
+);
+
+const defaultRoleIdsField = yup
+  .array()
+  .of(yup.string().uuid('Role ID must be a valid UUID'));
+
+// Schema for adding an identity provider to a tenant
+export const createIdentityProviderSchema = yup.object({
+  name: nameField.required('Name is required'),
+
+  protocol: yup
+    .string()
+    .required('Protocol is required')
+    .oneOf(IDENTITY_PROVIDER_PROTOCOLS, `Protocol must be one of: ${IDENTITY_PROVIDER_PROTOCOLS.join(', ')}`),
+
+  config: configField.required('Config is required'),
+
+  attribute_mapping: attributeMappingField.default({}),
+
+  jit_provisioning: yup
+    .boolean()
+    .default(true),
+
+  trust_email: yup
+    .boolean()
+    .default(false),
+
+  default_role_ids: defaultRoleIdsField.default([]),
+
+  enabled: yup
+    .boolean()
+    .default(true)
+});
+
+// Schema for updating an identity provider (the protocol is fixed)
+export const updateIdentityProviderSchema = yup.object({
+  name: nameField,
+
+  config: configField.default(undefined),
+
+  attribute_mapping: attributeMappingField.default(undefined),
+
+  jit_provisioning: yup
+    .boolean(),
+
+  trust_email: yup
+    .boolean(),
+
+  default_role_ids: defaultRoleIdsField,
+
+  enabled: yup
+    .boolean()
+});
+
+// Schema for query parameters when listing identity providers
+export const getIdentityProvidersQuerySchema = yup.object({
+  limit: yup
+    .number()
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(1000, 'Limit must be at most 1000'),
+
+  offset: yup
+    .number()
+    .integer('Offset must be an integer')
+    .min(0, 'Offset must be at least 0'),
+
+  protocol: yup
+    .string()
+    .oneOf(IDENTITY_PROVIDER_PROTOCOLS, `Protocol must be one of: ${IDENTITY_PROVIDER_PROTOCOLS.join(', ')}`),
+
+  enabled: yup
+    .boolean()
+});
+
+export default {
+  createIdentityProviderSchema,
+  updateIdentityProviderSchema,
+  getIdentityProvidersQuerySchema
+};
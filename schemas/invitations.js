@@ -0,0 +1,60 @@
+import * as yup from 'yup';
+import { isValidLocale, normalizeLocale } from '../utils/locales.js';
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// Schema for inviting someone to a tenant
+export const createInvitationSchema = yup.object({
+  email: yup
+    .string()
+    .required('Email is required')
+    .email('Email must be a valid email address')
+    .max(255, 'Email must be less than 255 characters')
+    .trim()
+    .lowercase(),
+
+  role_ids: yup
+    .array()
+    .of(yup.string().uuid('Role ID must be a valid UUID'))
+    .default([]),
+
+  expires_in_days: yup
+    .number()
+    .integer('Expiry must be a whole number of days')
+    .min(1, 'Expiry must be at least 1 day')
+    .max(30, 'Expiry must be at most 30 days'),
+
+  locale: yup
+    .string()
+    .trim()
+    .test('valid-locale', 'Locale must be a language tag such as en, nl or nl-BE', value => !value || isValidLocale(value))
+    .transform(value => (value && isValidLocale(value) ? normalizeLocale(value) : value))
+    .nullable()
+});
+
+// Schema for query parameters when listing invitations
+export const getInvitationsQuerySchema = yup.object({
+  limit: yup
+    .number()
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(1000, 'Limit must be at most 1000'),
+
+  offset: yup
+    .number()
+    .integer('Offset must be an integer')
+    .min(0, 'Offset must be at least 0'),
+
+  status: yup
+    .string()
+    .oneOf(INVITATION_STATUSES, `Status must be one of: ${INVITATION_STATUSES.join(', ')}`),
+
+  email: yup
+    .string()
+    .trim()
+});
+
+export default {
+  createInvitationSchema,
+  getInvitationsQuerySchema
+};
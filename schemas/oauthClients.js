@@ -0,0 +1,110 @@
+import * as yup from 'yup';
+import { OAUTH_GRANT_TYPES, OAUTH_SCOPES } from '../config/oauth.js';
+
+// Redirect URIs must be absolute and without fragment (RFC 6749 section 3.1.2).
+// Plain http is only accepted for loopback addresses used by native apps.
+const isValidRedirectUri = (value) => {
+  try {
+    const url = new URL(value);
+
+    if (url.hash) {
+      return false;
+    }
+
+    if (url.protocol === 'http:') {
+      return ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    }
+
+    return url.protocol !== 'javascript:' && url.protocol !== 'data:';
+  } catch {
+    return false;
+  }
+};
+
+const nameField = yup
+  .string()
+  .trim()
+  .min(1, 'Name must not be empty')
+  .max(255, 'Name must be less than 255 characters');
+
+const redirectUrisField = yup
+  .array()
+  .of(
+    yup
+      .string()
+      .trim()
+      .test('valid-redirect-uri', 'Redirect URI must be an absolute URL without fragment (http only for localhost): ${value}', value => isValidRedirectUri(value))
+  );
+
+const grantTypesField = yup
+  .array()
+  .of(yup.string().oneOf(OAUTH_GRANT_TYPES, `Grant type must be one of: ${OAUTH_GRANT_TYPES.join(', ')}`))
+  .min(1, 'At least one grant type is required');
+
+const scopesField = yup
+  .array()
+  .of(yup.string().oneOf(OAUTH_SCOPES, 'Scope ${value} is not a known scope'));
+
+// Clients using the authorization code grant need somewhere to send the user back to
+const requireRedirectUris = (value) =>
+  !value.grant_types?.includes('authorization_code') || (value.redirect_uris && value.redirect_uris.length > 0);
+
+// Schema for registering an OAuth client
+export const createOAuthClientSchema = yup.object({
+  application_id: yup
+    .string()
+    .required('Application ID is required')
+    .uuid('Application ID must be a valid UUID'),
+
+  name: nameField.required('Name is required'),
+
+  client_type: yup
+    .string()
+    .oneOf(['confidential', 'public'], 'Client type must be one of: confidential, public')
+    .default('confidential'),
+
+  redirect_uris: redirectUrisField.default([]),
+
+  grant_types: grantTypesField.default(['authorization_code', 'refresh_token']),
+
+  scopes: scopesField.default(['openid', 'profile', 'email', 'offline_access'])
+}).test(
+  'redirect-uris-required',
+  'At least one redirect URI is required for the authorization_code grant',
+  requireRedirectUris
+);
+
+// Schema for updating an OAuth client (the application, client ID and client type are fixed)
+export const updateOAuthClientSchema = yup.object({
+  name: nameField,
+
+  redirect_uris: redirectUrisField,
+
+  grant_types: grantTypesField,
+
+  scopes: scopesField
+});
+
+// Schema for query parameters when listing OAuth clients
+export const getOAuthClientsQuerySchema = yup.object({
+  limit: yup
+    .number()
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(1000, 'Limit must be at most 1000'),
+
+  offset: yup
+    .number()
+    .integer('Offset must be an integer')
+    .min(0, 'Offset must be at least 0'),
+
+  application_id: yup
+    .string()
+    .uuid('Application ID must be a valid UUID')
+});
+
+export default {
+  createOAuthClientSchema,
+  updateOAuthClientSchema,
+  getOAuthClientsQuerySchema
+};
@@ -1,4 +1,5 @@
 import * as yup from 'yup';
+import { isValidPermission } from '../config/permissions.js';
 
 const roleSchema = yup.object({
   application_id: yup
@@ -24,7 +25,23 @@ const roleSchema = yup.object({
   
   is_system: yup
     .boolean()
-    .default(false)
+    .default(false),
+
+  permissions: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .test('valid-permission', 'Unknown permission: ${value}', isValidPermission)
+    ),
+
+  parent_role_ids: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .uuid('Parent role ID must be a valid UUID')
+    )
 });
 
 export default roleSchema;
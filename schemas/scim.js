@@ -0,0 +1,100 @@
+import * as yup from 'yup';
+import userSchema from './users.js';
+
+// User fields a SCIM resource is saved as. userName is kept exactly as the directory sends it
+// (often the user principal name, an email address) so clients can look users up by it again.
+export const scimUserSchema = yup.object({
+  username: yup
+    .string()
+    .required('userName is required')
+    .max(100, 'userName must be less than 100 characters')
+    .matches(/^\S+$/, 'userName must not contain spaces')
+    .trim(),
+
+  email: yup
+    .string()
+    .required('An email address is required, in emails or as userName')
+    .email('Email must be a valid email address')
+    .max(255, 'Email must be less than 255 characters')
+    .trim()
+    .lowercase(),
+
+  first_name: yup
+    .string()
+    .max(100, 'givenName must be less than 100 characters')
+    .trim(),
+
+  last_name: yup
+    .string()
+    .max(100, 'familyName must be less than 100 characters')
+    .trim(),
+
+  locale: userSchema.fields.locale,
+
+  external_id: yup
+    .string()
+    .max(255, 'externalId must be less than 255 characters')
+    .trim()
+    .nullable(),
+
+  status: yup
+    .string()
+    .oneOf(['active', 'inactive'], 'active must be true or false'),
+
+  password: yup
+    .string()
+    .min(8, 'Password must be at least 8 characters')
+    .max(255, 'Password must be less than 255 characters')
+});
+
+// Role fields a SCIM group is saved as, with the IDs of its members
+export const scimGroupSchema = yup.object({
+  name: yup
+    .string()
+    .required('displayName is required')
+    .min(1, 'displayName must not be empty')
+    .max(100, 'displayName must be less than 100 characters')
+    .trim(),
+
+  external_id: yup
+    .string()
+    .max(255, 'externalId must be less than 255 characters')
+    .trim()
+    .nullable(),
+
+  member_ids: yup
+    .array()
+    .of(yup.string().uuid('Member value must be a user ID'))
+    .default([])
+});
+
+// Query parameters of the list endpoints (RFC 7644 section 3.4.2)
+export const scimListQuerySchema = yup.object({
+  filter: yup
+    .string()
+    .trim(),
+
+  startIndex: yup
+    .number()
+    .typeError('startIndex must be a number')
+    .integer('startIndex must be an integer')
+    .default(1)
+    // Values below 1 are interpreted as 1 (RFC 7644 section 3.4.2.4)
+    .transform(value => (value < 1 ? 1 : value)),
+
+  count: yup
+    .number()
+    .typeError('count must be a number')
+    .integer('count must be an integer')
+    .transform(value => (value < 0 ? 0 : value)),
+
+  excludedAttributes: yup
+    .string()
+    .trim()
+});
+
+export default {
+  scimUserSchema,
+  scimGroupSchema,
+  scimListQuerySchema
+};
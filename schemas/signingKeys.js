@@ -0,0 +1,35 @@
+import * as yup from 'yup';
+import { SIGNING_ALGORITHMS } from '../config/oidc.js';
+
+// Statuses keys can be filtered on ('active' includes the current key)
+export const SIGNING_KEY_STATUSES = ['active', 'retired'];
+
+// Schema for rotating to a new signing key
+export const rotateSigningKeySchema = yup.object({
+  algorithm: yup
+    .string()
+    .oneOf(SIGNING_ALGORITHMS, `Algorithm must be one of: ${SIGNING_ALGORITHMS.join(', ')}`)
+});
+
+// Schema for query parameters when listing signing keys
+export const getSigningKeysQuerySchema = yup.object({
+  limit: yup
+    .number()
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(1000, 'Limit must be at most 1000'),
+
+  offset: yup
+    .number()
+    .integer('Offset must be an integer')
+    .min(0, 'Offset must be at least 0'),
+
+  status: yup
+    .string()
+    .oneOf(SIGNING_KEY_STATUSES, `Status must be one of: ${SIGNING_KEY_STATUSES.join(', ')}`)
+});
+
+export default {
+  rotateSigningKeySchema,
+  getSigningKeysQuerySchema
+};
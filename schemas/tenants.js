@@ -26,7 +26,23 @@ const tenantSchema = yup.object({
   
   status: yup
     .string()
-    .oneOf(['active', 'inactive', 'suspended'], 'Status must be one of: active, inactive, suspended')
+    .oneOf(['active', 'inactive', 'suspended'], 'Status must be one of: active, inactive, suspended'),
+
+  require_mfa: yup
+    .boolean()
+    .typeError('require_mfa must be a boolean value'),
+
+  rate_limit_per_minute: yup
+    .number()
+    .integer('Rate limit per minute must be an integer')
+    .min(1, 'Rate limit per minute must be at least 1')
+    .nullable(),
+
+  rate_limit_burst: yup
+    .number()
+    .integer('Rate limit burst must be an integer')
+    .min(1, 'Rate limit burst must be at least 1')
+    .nullable()
 });
 
 export default tenantSchema;
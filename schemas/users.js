@@ -1,4 +1,5 @@
 import * as yup from 'yup';
+import { isValidLocale, normalizeLocale } from '../utils/locales.js';
 
 const userSchema = yup.object({
   tenant_id: yup
@@ -54,6 +55,13 @@ const userSchema = yup.object({
   status: yup
     .string()
     .oneOf(['active', 'inactive', 'suspended'], 'Status must be one of: active, inactive, suspended'),
+
+  locale: yup
+    .string()
+    .trim()
+    .test('valid-locale', 'Locale must be a language tag such as en, nl or nl-BE', value => !value || isValidLocale(value))
+    .transform(value => (value && isValidLocale(value) ? normalizeLocale(value) : value))
+    .nullable(),
   
   last_login_at: yup
     .date()
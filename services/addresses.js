@@ -1,6 +1,7 @@
 import BaseService from './base.js';
 import { dbClient } from '../config/supabase.js';
 import ApiError from '../errors/errors.js';
+import usersService from './users.js';
 
 class AddressesService extends BaseService {
   constructor() {
@@ -15,13 +16,14 @@ class AddressesService extends BaseService {
    */
   async createForUser(userId, addressData) {
     try {
-      // Verify user exists
-      const { data: user, error: userError } = await dbClient
+      // Verify user exists within the caller's tenant
+      const userQuery = dbClient
         .from('users')
         .select('id')
         .eq('id', userId)
-        .is('deleted_at', null)
-        .single();
+        .is('deleted_at', null);
+
+      const { data: user, error: userError } = await usersService.applyTenantScope(userQuery).single();
 
       if (userError || !user) {
         throw ApiError.notFound(`User with ID ${userId} not found`);
@@ -48,6 +50,8 @@ class AddressesService extends BaseService {
    */
   async getByUserId(userId, options = {}) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { limit = 100, offset = 0, orderBy = 'created_at' } = options;
 
       const { data, error } = await dbClient
@@ -79,6 +83,8 @@ class AddressesService extends BaseService {
    */
   async getByUserIdAndId(userId, addressId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .select('*')
@@ -112,6 +118,8 @@ class AddressesService extends BaseService {
    */
   async updateForUser(userId, addressId, updateData) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       // Verify address belongs to user
       await this.getByUserIdAndId(userId, addressId);
 
@@ -147,6 +155,8 @@ class AddressesService extends BaseService {
    */
   async softDeleteForUser(userId, addressId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       // Verify address belongs to user
       await this.getByUserIdAndId(userId, addressId);
 
@@ -185,6 +195,8 @@ class AddressesService extends BaseService {
    */
   async restoreForUser(userId, addressId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .update({
@@ -221,6 +233,8 @@ class AddressesService extends BaseService {
    */
   async getDeletedByUserId(userId, options = {}) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { limit = 100, offset = 0, orderBy = 'deleted_at' } = options;
 
       const { data, error } = await dbClient
@@ -252,6 +266,8 @@ class AddressesService extends BaseService {
    */
   async permanentDeleteForUser(userId, addressId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .delete()
@@ -0,0 +1,186 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+
+// How often the aggregated counters are written
+const USAGE_FLUSH_INTERVAL_MS = parseInt(process.env.API_KEY_USAGE_FLUSH_SECONDS || '60') * 1000;
+// Rows fetched per query when building a report
+const USAGE_PAGE_SIZE = 1000;
+const TOP_ROUTES_LIMIT = 10;
+
+const INTERVAL_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+class ApiKeyUsageService extends BaseService {
+  constructor() {
+    super('api_key_usage', { tenantColumn: 'tenant_id' });
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Count a request made with an API key. Requests are aggregated per minute,
+   * route and status code in memory and written in batches by flush().
+   * @param {Object} entry - apiKeyId, tenantId, method, route, statusCode
+   */
+  record({ apiKeyId, tenantId, method, route, statusCode }) {
+    const bucketStart = new Date(Math.floor(Date.now() / INTERVAL_MS.minute) * INTERVAL_MS.minute).toISOString();
+    const key = [apiKeyId, bucketStart, method, route, statusCode].join('|');
+    const counter = this.pending.get(key);
+
+    if (counter) {
+      counter.request_count++;
+    } else {
+      this.pending.set(key, {
+        api_key_id: apiKeyId,
+        tenant_id: tenantId,
+        bucket_start: bucketStart,
+        method,
+        route,
+        status_code: statusCode,
+        request_count: 1
+      });
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => {
+        this.flush().catch(error => console.error(`Failed to write API key usage: ${error.message}`));
+      }, USAGE_FLUSH_INTERVAL_MS);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write the aggregated counters collected since the previous flush
+   * @returns {Promise<number>} Number of written rows
+   */
+  async flush() {
+    if (this.pending.size === 0) {
+      return 0;
+    }
+
+    const batch = [...this.pending.entries()];
+    const rows = batch.map(([, row]) => row);
+    this.pending.clear();
+
+    const { error } = await dbClient
+      .from(this.tableName)
+      .insert(rows);
+
+    if (error) {
+      // Try again on the next flush, adding the requests counted in the meantime
+      for (const [key, row] of batch) {
+        const counter = this.pending.get(key);
+
+        if (counter) {
+          counter.request_count += row.request_count;
+        } else {
+          this.pending.set(key, row);
+        }
+      }
+      throw ApiError.internal(`Failed to write API key usage: ${error.message}`);
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Build a usage report for an API key
+   * @param {string} apiKeyId - The API key ID
+   * @param {Object} options - from, to (Date) and interval (minute, hour or day)
+   * @returns {Promise<Object>} Totals, status code breakdown per time bucket and the busiest routes
+   */
+  async getUsage(apiKeyId, { from, to, interval = 'hour' }) {
+    try {
+      const rows = await this.getRows(apiKeyId, from, to);
+      const intervalMs = INTERVAL_MS[interval];
+      const buckets = new Map();
+      const routes = new Map();
+      const totals = { requests: 0, errors: 0, status_codes: {} };
+
+      for (const row of rows) {
+        const count = row.request_count;
+        const isError = row.status_code >= 400;
+        const bucketStart = new Date(Math.floor(new Date(row.bucket_start).getTime() / intervalMs) * intervalMs).toISOString();
+
+        if (!buckets.has(bucketStart)) {
+          buckets.set(bucketStart, { start: bucketStart, requests: 0, errors: 0, status_codes: {} });
+        }
+
+        const routeKey = `${row.method} ${row.route}`;
+        if (!routes.has(routeKey)) {
+          routes.set(routeKey, { method: row.method, route: row.route, requests: 0, errors: 0 });
+        }
+
+        for (const target of [totals, buckets.get(bucketStart)]) {
+          target.requests += count;
+          target.errors += isError ? count : 0;
+          target.status_codes[row.status_code] = (target.status_codes[row.status_code] || 0) + count;
+        }
+
+        const routeStats = routes.get(routeKey);
+        routeStats.requests += count;
+        routeStats.errors += isError ? count : 0;
+      }
+
+      return {
+        api_key_id: apiKeyId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        interval,
+        totals,
+        buckets: [...buckets.values()].sort((a, b) => a.start.localeCompare(b.start)),
+        top_routes: [...routes.values()]
+          .sort((a, b) => b.requests - a.requests)
+          .slice(0, TOP_ROUTES_LIMIT)
+      };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching usage for API key ${apiKeyId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch all usage rows of an API key in a time range
+   * @param {string} apiKeyId - The API key ID
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (exclusive)
+   * @returns {Promise<Array>} The usage rows
+   */
+  async getRows(apiKeyId, from, to) {
+    const rows = [];
+    let offset = 0;
+
+    while (true) {
+      const query = dbClient
+        .from(this.tableName)
+        .select('bucket_start, method, route, status_code, request_count')
+        .eq('api_key_id', apiKeyId)
+        .gte('bucket_start', from.toISOString())
+        .lt('bucket_start', to.toISOString())
+        .order('bucket_start', { ascending: true })
+        .range(offset, offset + USAGE_PAGE_SIZE - 1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch usage for API key ${apiKeyId}: ${error.message}`);
+      }
+
+      rows.push(...(data || []));
+
+      if (!data || data.length < USAGE_PAGE_SIZE) {
+        return rows;
+      }
+
+      offset += USAGE_PAGE_SIZE;
+    }
+  }
+}
+
+export default new ApiKeyUsageService();
@@ -2,10 +2,30 @@ import BaseService from './base.js';
 import crypto from 'crypto';
 import { dbClient } from '../config/supabase.js';
 import ApiError from '../errors/errors.js';
+import LruCache from '../utils/lruCache.js';
+import { hashToken } from '../utils/tokens.js';
+
+const API_KEY_PREFIX = 'sk_live_';
+// Visible part of a key (`sk_live_` plus 8 characters) that is stored to identify it
+const KEY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+// Keys this service has ever generated: `sk_live_` or, for keys from before hashing, `sk_`
+// followed by 64 hex characters. Anything else is refused before it reaches a query filter.
+const API_KEY_FORMAT = /^sk_(live_)?[0-9a-f]{64}$/;
+// Columns loaded when authenticating a request, including the tenant's rate limits
+const KEY_LOOKUP_COLUMNS = '*, tenant:tenants (rate_limit_per_minute, rate_limit_burst)';
+// Validated keys are cached per instance. Changes made through this service invalidate the
+// cache right away, the TTL bounds how long other instances can serve a stale record.
+const API_KEY_CACHE_SIZE = parseInt(process.env.API_KEY_CACHE_SIZE || '1000');
+const API_KEY_CACHE_TTL_SECONDS = parseInt(process.env.API_KEY_CACHE_TTL_SECONDS || '60');
+// How often the collected last_used_at timestamps are written
+const LAST_USED_FLUSH_INTERVAL_MS = parseInt(process.env.API_KEY_LAST_USED_FLUSH_SECONDS || '30') * 1000;
 
 class ApiKeysService extends BaseService {
   constructor() {
-    super('api_keys');
+    super('api_keys', { tenantColumn: 'tenant_id' });
+    this.cache = new LruCache({ maxSize: API_KEY_CACHE_SIZE, ttlMs: API_KEY_CACHE_TTL_SECONDS * 1000 });
+    this.pendingUsage = new Set();
+    this.usageFlushTimer = null;
   }
 
   /**
@@ -14,50 +34,209 @@ class ApiKeysService extends BaseService {
    */
   generateApiKey() {
     // Generate a secure random API key
-    return `sk_${crypto.randomBytes(32).toString('hex')}`;
+    return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Get the visible prefix of a key, used to identify it without storing the secret
+   * @param {string} key - The plain API key
+   * @returns {string} The key prefix
+   */
+  getKeyPrefix(key) {
+    return key.slice(0, KEY_PREFIX_LENGTH);
+  }
+
+  /**
+   * Hash a key with its salt
+   * @param {string} key - The plain API key
+   * @param {string} salt - Hex encoded salt
+   * @returns {string} Hex encoded hash
+   */
+  hashKey(key, salt) {
+    return crypto.createHash('sha256').update(salt).update(key).digest('hex');
+  }
+
+  /**
+   * Build the columns that store a key at rest (prefix, salt and hash)
+   * @param {string} key - The plain API key
+   * @returns {Object} key_prefix, key_salt and key_hash
+   */
+  buildKeyColumns(key) {
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    return {
+      key_prefix: this.getKeyPrefix(key),
+      key_salt: salt,
+      key_hash: this.hashKey(key, salt)
+    };
+  }
+
+  /**
+   * Remove the stored key material from an API key record
+   * @param {Object} record - The API key record
+   * @returns {Object} The record without the plain key, salts and hashes
+   */
+  sanitize(record) {
+    const { key, key_salt, key_hash, previous_key_salt, previous_key_hash, ...rest } = record;
+    return rest;
   }
 
   /**
-   * Create a new API key
+   * Create a new API key. Only the prefix and a salted hash are stored,
+   * the plain key is returned once and cannot be retrieved afterwards.
    * @param {Object} data - API key data (name, application_id, etc.)
-   * @returns {Promise<Object>} Created API key with the generated key
+   * @returns {Promise<Object>} Created API key with the plain key
    */
   async create(data) {
+    if (data.is_super_admin) {
+      this.assertNotTenantScoped('create super admin API keys');
+    }
+
     const apiKey = this.generateApiKey();
     
     const keyData = {
       ...data,
-      key: apiKey,
+      ...this.buildKeyColumns(apiKey),
       status: data.status || 'active',
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
 
-    return await super.create(keyData);
+    const record = await super.create(keyData);
+
+    return {
+      ...this.sanitize(record),
+      key: apiKey
+    };
   }
 
   /**
-   * Get API key by key value
-   * @param {string} key - The API key string
-   * @returns {Promise<Object>} The API key record
+   * Resolve the API key record for a plain key, using the cache when possible
+   * @param {string} key - The plain API key
+   * @returns {Promise<Object|null>} The API key record without key material, or null if the key is unknown
+   */
+  async authenticate(key) {
+    // Never keep plain keys in memory longer than needed
+    const cacheKey = hashToken(key);
+    const cached = this.cache.get(cacheKey);
+
+    if (cached) {
+      // A key replaced by a rotation stops working when its overlap window ends, cached or not
+      if (!cached.validUntil || new Date(cached.validUntil) > new Date()) {
+        return cached.record;
+      }
+
+      this.cache.delete(cacheKey);
+    }
+
+    const record = await this.findByKey(key);
+
+    if (!record) {
+      return null;
+    }
+
+    const sanitized = this.sanitize(record);
+    const isPreviousKey = Boolean(record.key_hash) && !this.matchesHash(key, record.key_salt, record.key_hash);
+
+    this.cache.set(cacheKey, {
+      record: sanitized,
+      validUntil: isPreviousKey ? record.previous_key_expires_at : null
+    });
+
+    return sanitized;
+  }
+
+  /**
+   * Drop every cached entry of an API key, so the next request reads it from the database
+   * @param {string} id - The API key ID
    */
-  async getByKey(key) {
+  invalidateCache(id) {
+    this.cache.deleteWhere(entry => entry.record.id === id);
+  }
+
+  /**
+   * Remember that a key was used. The timestamps are written in batches by flushUsage().
+   * @param {string} id - The API key ID
+   */
+  recordUsage(id) {
+    this.pendingUsage.add(id);
+
+    if (!this.usageFlushTimer) {
+      this.usageFlushTimer = setInterval(() => {
+        this.flushUsage().catch(error => console.error(`Failed to update API key usage: ${error.message}`));
+      }, LAST_USED_FLUSH_INTERVAL_MS);
+      this.usageFlushTimer.unref();
+    }
+  }
+
+  /**
+   * Write last_used_at for every key used since the previous flush
+   * @returns {Promise<number>} Number of updated keys
+   */
+  async flushUsage() {
+    if (this.pendingUsage.size === 0) {
+      return 0;
+    }
+
+    const ids = [...this.pendingUsage];
+    this.pendingUsage.clear();
+
+    const { error } = await dbClient
+      .from(this.tableName)
+      .update({ last_used_at: new Date().toISOString() })
+      .in('id', ids);
+
+    if (error) {
+      // Try again on the next flush
+      ids.forEach(id => this.pendingUsage.add(id));
+      throw ApiError.internal(`Failed to update API key usage: ${error.message}`);
+    }
+
+    return ids.length;
+  }
+
+  /**
+   * Find the API key record for a plain key.
+   * Candidates are looked up by prefix and compared by hash in constant time.
+   * During a rotation overlap window the previous key of a record matches as well.
+   * Keys created before hashing was introduced are matched on the plain column
+   * and hashed on first use.
+   * @param {string} key - The plain API key
+   * @returns {Promise<Object|null>} The API key record, or null if the key is unknown
+   */
+  async findByKey(key) {
     try {
-      const { data, error } = await dbClient
+      if (typeof key !== 'string' || !API_KEY_FORMAT.test(key)) {
+        return null;
+      }
+
+      const prefix = this.getKeyPrefix(key);
+
+      const { data: candidates, error } = await dbClient
         .from(this.tableName)
-        .select('*')
-        .eq('key', key)
-        .is('deleted_at', null)
-        .single();
+        .select(KEY_LOOKUP_COLUMNS)
+        .or(`key_prefix.eq.${prefix},previous_key_prefix.eq.${prefix}`)
+        .is('deleted_at', null);
 
       if (error) {
-        if (error.code === 'PGRST116') {
-          throw ApiError.notFound('API key not found');
-        }
         throw ApiError.internal(`Failed to fetch API key: ${error.message}`);
       }
 
-      return data;
+      for (const candidate of candidates || []) {
+        if (candidate.key_hash && this.matchesHash(key, candidate.key_salt, candidate.key_hash)) {
+          return candidate;
+        }
+
+        // The key that was replaced by a rotation keeps working until its overlap window ends
+        const previousValid = candidate.previous_key_hash &&
+          new Date(candidate.previous_key_expires_at) > new Date();
+
+        if (previousValid && this.matchesHash(key, candidate.previous_key_salt, candidate.previous_key_hash)) {
+          return candidate;
+        }
+      }
+
+      return await this.findLegacyKey(key);
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -66,6 +245,226 @@ class ApiKeysService extends BaseService {
     }
   }
 
+  /**
+   * Compare a plain key against a stored hash in constant time
+   * @param {string} key - The plain API key
+   * @param {string} salt - The stored salt
+   * @param {string} hash - The stored hash
+   * @returns {boolean} True if the key matches
+   */
+  matchesHash(key, salt, hash) {
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(this.hashKey(key, salt), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Find a key that is still stored in plain text and hash it
+   * @param {string} key - The plain API key
+   * @returns {Promise<Object|null>} The (now hashed) API key record, or null if not found
+   */
+  async findLegacyKey(key) {
+    const { data, error } = await dbClient
+      .from(this.tableName)
+      .select(KEY_LOOKUP_COLUMNS)
+      .eq('key', key)
+      .is('key_hash', null)
+      .is('deleted_at', null)
+      .limit(1);
+
+    if (error) {
+      throw ApiError.internal(`Failed to fetch API key: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    return await this.hashLegacyKey(data[0]);
+  }
+
+  /**
+   * Replace the plain key of a legacy record by its prefix and salted hash
+   * @param {Object} record - API key record with the plain key
+   * @returns {Promise<Object>} The updated record
+   */
+  async hashLegacyKey(record) {
+    const { data, error } = await dbClient
+      .from(this.tableName)
+      .update({
+        ...this.buildKeyColumns(record.key),
+        key: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', record.id)
+      .select(KEY_LOOKUP_COLUMNS)
+      .single();
+
+    if (error) {
+      throw ApiError.internal(`Failed to hash API key: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Hash every API key that is still stored in plain text
+   * @param {number} batchSize - Number of keys processed per query
+   * @returns {Promise<number>} Number of migrated keys
+   */
+  async hashLegacyKeys(batchSize = 100) {
+    let migrated = 0;
+
+    while (true) {
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .is('key_hash', null)
+        .not('key', 'is', null)
+        .limit(batchSize);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch legacy API keys: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        return migrated;
+      }
+
+      for (const record of data) {
+        await this.hashLegacyKey(record);
+        migrated++;
+      }
+    }
+  }
+
+  /**
+   * Get an API key by ID without its key material
+   * @param {string} id - The API key ID
+   * @returns {Promise<Object>} The API key
+   */
+  async getById(id) {
+    return this.sanitize(await super.getById(id));
+  }
+
+  /**
+   * Refuse changes to super admin keys unless the caller is not tenant scoped.
+   * Super admin keys belong to a tenant too, so the tenant scope alone does not protect them.
+   * @param {string} id - The API key ID
+   * @param {string} action - Description of the operation, used in the error message
+   * @returns {Promise<Object>} The API key record
+   */
+  async assertManageable(id, action) {
+    const record = await super.getById(id);
+
+    if (record.is_super_admin) {
+      this.assertNotTenantScoped(`${action} super admin API keys`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Update an API key (name, status, expires_at)
+   * @param {string} id - The API key ID
+   * @param {Object} updateData - The data to update
+   * @returns {Promise<Object>} The updated API key without its key material
+   */
+  async update(id, updateData) {
+    await this.assertManageable(id, 'update');
+    const updated = await super.update(id, updateData);
+    this.invalidateCache(id);
+    return this.sanitize(updated);
+  }
+
+  /**
+   * Soft delete an API key, which revokes it immediately
+   * @param {string} id - The API key ID
+   * @returns {Promise<Object>} The deleted API key without its key material
+   */
+  async softDelete(id) {
+    await this.assertManageable(id, 'delete');
+    const deleted = await super.softDelete(id);
+    this.invalidateCache(id);
+    return this.sanitize(deleted);
+  }
+
+  /**
+   * Restore a soft deleted API key
+   * @param {string} id - The API key ID
+   * @returns {Promise<Object>} The restored API key without its key material
+   */
+  async restore(id) {
+    await this.assertManageable(id, 'restore');
+    const restored = await super.restore(id);
+    this.invalidateCache(id);
+    return this.sanitize(restored);
+  }
+
+  /**
+   * Permanently delete an API key
+   * @param {string} id - The API key ID
+   * @returns {Promise<Object>} Confirmation of deletion
+   */
+  async permanentDelete(id) {
+    await this.assertManageable(id, 'delete');
+    const result = await super.permanentDelete(id);
+    this.invalidateCache(id);
+    return { ...result, deletedData: this.sanitize(result.deletedData) };
+  }
+
+  /**
+   * Replace the secret of an API key. The record (and its settings) stays the same.
+   * With an overlap window the old key keeps working until the window ends,
+   * so clients can switch to the new key without downtime.
+   * @param {string} id - The API key ID
+   * @param {Object} options - overlapMinutes: how long the old key stays valid (0 revokes it immediately)
+   * @returns {Promise<Object>} The API key with the new plain key
+   */
+  async rotate(id, options = {}) {
+    const { overlapMinutes = 0 } = options;
+    const record = await this.assertManageable(id, 'rotate');
+
+    if (record.deleted_at) {
+      throw ApiError.badRequest('Deleted API keys cannot be rotated');
+    }
+
+    const apiKey = this.generateApiKey();
+    let previous = {
+      previous_key_prefix: null,
+      previous_key_salt: null,
+      previous_key_hash: null,
+      previous_key_expires_at: null
+    };
+
+    if (overlapMinutes > 0) {
+      // Keys that were never hashed are hashed now so that only hashes are kept
+      const current = record.key_hash
+        ? { key_prefix: record.key_prefix, key_salt: record.key_salt, key_hash: record.key_hash }
+        : this.buildKeyColumns(record.key);
+
+      previous = {
+        previous_key_prefix: current.key_prefix,
+        previous_key_salt: current.key_salt,
+        previous_key_hash: current.key_hash,
+        previous_key_expires_at: new Date(Date.now() + overlapMinutes * 60 * 1000).toISOString()
+      };
+    }
+
+    const updated = await super.update(id, {
+      ...this.buildKeyColumns(apiKey),
+      ...previous,
+      key: null
+    });
+    this.invalidateCache(id);
+
+    return {
+      ...this.sanitize(updated),
+      key: apiKey
+    };
+  }
+
   /**
    * Get all API keys with application and tenant information
    * @param {Object} options - Query options (limit, offset, orderBy, tenant_id)
@@ -96,7 +495,7 @@ class ApiKeysService extends BaseService {
         query = query.eq('tenant_id', tenant_id);
       }
 
-      const { data, error } = await query
+      const { data, error } = await this.applyTenantScope(query)
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
@@ -113,8 +512,8 @@ class ApiKeysService extends BaseService {
         const tenantName = tenant?.name || null;
         const tenantId = tenant?.id || null;
 
-        // Create a clean object without the nested properties
-        const { applications, tenants, ...rest } = apiKey;
+        // Create a clean object without the nested properties and the stored key material
+        const { applications, tenants, ...rest } = this.sanitize(apiKey);
         
         return {
           ...rest,
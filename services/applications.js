@@ -1,19 +1,55 @@
 import BaseService from './base.js';
+import { getRequestContext, getTenantScope } from '../utils/requestContext.js';
 
 class ApplicationsService extends BaseService {
   constructor() {
     super('applications');
   }
 
-  // All CRUD operations are now inherited from BaseService:
-  // - create(applicationData)
+  // All read operations are inherited from BaseService:
   // - getAll(options)
   // - getById(id)
-  // - update(id, updateData)
-  // - softDelete(id)
-  // - restore(id)
   // - getDeleted(options)
-  // - permanentDelete(id)
+
+  /**
+   * Limit a query to the application of the caller's tenant
+   * @param {Object} query - Supabase query builder
+   * @returns {Object} The (possibly) filtered query builder
+   */
+  applyTenantScope(query) {
+    if (!getTenantScope()) {
+      return query;
+    }
+
+    return query.eq('id', getRequestContext().applicationId);
+  }
+
+  // Applications are shared by all of their tenants, so only super admin API keys may change them
+
+  async create(data) {
+    this.assertNotTenantScoped('create applications');
+    return await super.create(data);
+  }
+
+  async update(id, updateData) {
+    this.assertNotTenantScoped('update applications');
+    return await super.update(id, updateData);
+  }
+
+  async softDelete(id) {
+    this.assertNotTenantScoped('delete applications');
+    return await super.softDelete(id);
+  }
+
+  async restore(id) {
+    this.assertNotTenantScoped('restore applications');
+    return await super.restore(id);
+  }
+
+  async permanentDelete(id) {
+    this.assertNotTenantScoped('delete applications');
+    return await super.permanentDelete(id);
+  }
 
   // You can add application-specific methods here if needed
   // For example:
@@ -1,12 +1,64 @@
 import { dbClient } from '../config/supabase.js';
 import ApiError from '../errors/errors.js';
+import { getTenantScope } from '../utils/requestContext.js';
 
 class BaseService {
-  constructor(tableName) {
+  /**
+   * @param {string} tableName - The table the service works on
+   * @param {Object} options - tenantColumn: column holding the tenant of a record. When set, all
+   * queries are limited to the tenant of the current request (see utils/requestContext.js)
+   */
+  constructor(tableName, options = {}) {
     if (!tableName) {
       throw new Error('Table name is required for BaseService');
     }
     this.tableName = tableName;
+    this.tenantColumn = options.tenantColumn || null;
+  }
+
+  /**
+   * Limit a query to records of the caller's tenant
+   * @param {Object} query - Supabase query builder
+   * @param {Object} options - write: true when the query modifies records
+   * @returns {Object} The (possibly) filtered query builder
+   */
+  applyTenantScope(query, options = {}) {
+    const tenantId = getTenantScope();
+
+    if (!tenantId || !this.tenantColumn) {
+      return query;
+    }
+
+    return query.eq(this.tenantColumn, tenantId);
+  }
+
+  /**
+   * Assign new records to the caller's tenant and refuse records for other tenants
+   * @param {Object} data - The data to create
+   * @returns {Object} The data with the tenant column set
+   */
+  withTenantScope(data) {
+    const tenantId = getTenantScope();
+
+    if (!tenantId || !this.tenantColumn) {
+      return data;
+    }
+
+    if (data[this.tenantColumn] && data[this.tenantColumn] !== tenantId) {
+      throw ApiError.forbidden(`Cannot create ${this.tableName} records for another tenant`);
+    }
+
+    return { ...data, [this.tenantColumn]: tenantId };
+  }
+
+  /**
+   * Refuse an operation unless the caller is not tenant scoped (super admin API key)
+   * @param {string} action - Description of the operation, used in the error message
+   */
+  assertNotTenantScoped(action) {
+    if (getTenantScope()) {
+      throw ApiError.forbidden(`Only super admin API keys can ${action}`);
+    }
   }
 
   /**
@@ -18,7 +70,7 @@ class BaseService {
     try {
       const { data: result, error } = await dbClient
         .from(this.tableName)
-        .insert([data])
+        .insert([this.withTenantScope(data)])
         .select()
         .single();
 
@@ -51,7 +103,7 @@ class BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch ${this.tableName} records: ${error.message}`);
@@ -73,11 +125,12 @@ class BaseService {
    */
   async getById(id) {
     try {
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .select('*')
-        .eq('id', id)
-        .single();
+        .eq('id', id);
+
+      const { data, error } = await this.applyTenantScope(query).single();
 
       if (error) {
         if (error.code === 'PGRST116') {
@@ -105,13 +158,15 @@ class BaseService {
     try {
       await this.getById(id);
 
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .update({
           ...updateData,
           updated_at: new Date().toISOString()
         })
-        .eq('id', id)
+        .eq('id', id);
+
+      const { data, error } = await this.applyTenantScope(query, { write: true })
         .select()
         .single();
 
@@ -140,14 +195,16 @@ class BaseService {
 
       const deletedAt = new Date().toISOString();
       
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .update({
           deleted_at: deletedAt,
           updated_at: deletedAt
         })
         .eq('id', id)
-        .is('deleted_at', null) // Only soft delete non-deleted records
+        .is('deleted_at', null); // Only soft delete non-deleted records
+
+      const { data, error } = await this.applyTenantScope(query, { write: true })
         .select()
         .single();
 
@@ -171,14 +228,16 @@ class BaseService {
    */
   async restore(id) {
     try {
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .update({
           deleted_at: null,
           updated_at: new Date().toISOString()
         })
         .eq('id', id)
-        .not('deleted_at', 'is', null) // Only restore soft deleted records
+        .not('deleted_at', 'is', null); // Only restore soft deleted records
+
+      const { data, error } = await this.applyTenantScope(query, { write: true })
         .select()
         .single();
 
@@ -214,7 +273,7 @@ class BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch deleted ${this.tableName} records: ${error.message}`);
@@ -236,10 +295,12 @@ class BaseService {
    */
   async permanentDelete(id) {
     try {
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .delete()
-        .eq('id', id)
+        .eq('id', id);
+
+      const { data, error } = await this.applyTenantScope(query, { write: true })
         .select()
         .single();
 
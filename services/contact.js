@@ -1,6 +1,7 @@
 import BaseService from './base.js';
 import { dbClient } from '../config/supabase.js';
 import ApiError from '../errors/errors.js';
+import usersService from './users.js';
 
 class ContactService extends BaseService {
   constructor() {
@@ -15,13 +16,14 @@ class ContactService extends BaseService {
    */
   async upsertForUser(userId, contactData) {
     try {
-      // Verify user exists
-      const { data: user, error: userError } = await dbClient
+      // Verify user exists within the caller's tenant
+      const userQuery = dbClient
         .from('users')
         .select('id')
         .eq('id', userId)
-        .is('deleted_at', null)
-        .single();
+        .is('deleted_at', null);
+
+      const { data: user, error: userError } = await usersService.applyTenantScope(userQuery).single();
 
       if (userError || !user) {
         throw ApiError.notFound(`User with ID ${userId} not found`);
@@ -61,6 +63,8 @@ class ContactService extends BaseService {
    */
   async getByUserId(userId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .select('*')
@@ -92,6 +96,8 @@ class ContactService extends BaseService {
    */
   async updateForUser(userId, updateData) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       // Verify contact exists for user
       const existing = await this.getByUserId(userId);
       if (!existing) {
@@ -129,6 +135,8 @@ class ContactService extends BaseService {
    */
   async softDeleteForUser(userId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       // Verify contact exists for user
       const existing = await this.getByUserId(userId);
       if (!existing) {
@@ -168,6 +176,8 @@ class ContactService extends BaseService {
    */
   async restoreForUser(userId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .update({
@@ -202,6 +212,8 @@ class ContactService extends BaseService {
    */
   async permanentDeleteForUser(userId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .delete()
@@ -0,0 +1,212 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import { EMAIL_TEMPLATES } from '../config/emailTemplates.js';
+import { getRequestContext, getTenantScope } from '../utils/requestContext.js';
+import { getLocaleFallbacks, DEFAULT_LOCALE } from '../utils/locales.js';
+import { renderTemplate } from '../utils/templates.js';
+
+class EmailTemplatesService extends BaseService {
+  constructor() {
+    super('email_templates', { tenantColumn: 'tenant_id' });
+  }
+
+  /**
+   * Limit a query to templates of the caller's tenant. Templates without a tenant are the
+   * application's defaults: they can be read by its tenants but only changed by super admin API keys.
+   * @param {Object} query - Supabase query builder
+   * @param {Object} options - write: true when the query modifies records
+   * @returns {Object} The (possibly) filtered query builder
+   */
+  applyTenantScope(query, options = {}) {
+    const tenantId = getTenantScope();
+
+    if (!tenantId) {
+      return query;
+    }
+
+    const { applicationId } = getRequestContext();
+
+    if (options.write || !applicationId) {
+      return query.eq('tenant_id', tenantId);
+    }
+
+    return query.or(`tenant_id.eq.${tenantId},and(tenant_id.is.null,application_id.eq.${applicationId})`);
+  }
+
+  /**
+   * Get email templates, optionally filtered
+   * @param {Object} options - Query options (limit, offset, application_id, tenant_id, type, locale)
+   * @returns {Promise<Array>} Array of email templates
+   */
+  async getAll(options = {}) {
+    try {
+      const { limit = 100, offset = 0, application_id, tenant_id, type, locale } = options;
+
+      let query = dbClient
+        .from(this.tableName)
+        .select('*')
+        .is('deleted_at', null);
+
+      if (application_id) query = query.eq('application_id', application_id);
+      if (tenant_id) query = query.eq('tenant_id', tenant_id);
+      if (type) query = query.eq('type', type);
+      if (locale) query = query.eq('locale', locale);
+
+      query = query
+        .order('type', { ascending: true })
+        .order('locale', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch email templates: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching email templates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an email template. Keys bound to an application can only create templates for it,
+   * and there can only be one template per application, tenant, type and locale.
+   * @param {Object} data - Template data (application_id, tenant_id, type, locale, subject, text_body, html_body)
+   * @returns {Promise<Object>} The created template
+   */
+  async create(data) {
+    const { applicationId } = getRequestContext();
+    const application_id = data.application_id || applicationId;
+
+    if (!application_id) {
+      throw ApiError.badRequest('Application ID is required');
+    }
+
+    if (applicationId && application_id !== applicationId) {
+      throw ApiError.forbidden('Cannot create email templates for another application');
+    }
+
+    const templateData = this.withTenantScope({ ...data, application_id, tenant_id: data.tenant_id || null });
+
+    let query = dbClient
+      .from(this.tableName)
+      .select('id')
+      .eq('application_id', templateData.application_id)
+      .eq('type', templateData.type)
+      .eq('locale', templateData.locale)
+      .is('deleted_at', null);
+
+    query = templateData.tenant_id
+      ? query.eq('tenant_id', templateData.tenant_id)
+      : query.is('tenant_id', null);
+
+    const { data: existing, error } = await query.limit(1);
+
+    if (error) {
+      throw ApiError.internal(`Failed to check existing email templates: ${error.message}`);
+    }
+
+    if (existing && existing.length > 0) {
+      throw ApiError.conflict(`A ${templateData.type} template for locale ${templateData.locale} already exists (ID ${existing[0].id})`);
+    }
+
+    const now = new Date().toISOString();
+    return await super.create({ ...templateData, created_at: now, updated_at: now });
+  }
+
+  /**
+   * Find the template to use for an email. For every locale in the fallback chain
+   * (nl-BE, nl, en) the tenant's template is preferred over the application's; when
+   * neither exists for any locale the built-in default is used.
+   * @param {Object} params - applicationId, tenantId, type and locale
+   * @returns {Promise<Object>} subject, text_body, html_body and the source of the template
+   */
+  async resolve({ applicationId, tenantId = null, type, locale = null }) {
+    try {
+      const locales = getLocaleFallbacks(locale);
+
+      if (applicationId) {
+        let query = dbClient
+          .from(this.tableName)
+          .select('*')
+          .eq('application_id', applicationId)
+          .eq('type', type)
+          .in('locale', locales)
+          .is('deleted_at', null);
+
+        query = tenantId
+          ? query.or(`tenant_id.is.null,tenant_id.eq.${tenantId}`)
+          : query.is('tenant_id', null);
+
+        const { data, error } = await query;
+
+        if (error) {
+          throw ApiError.internal(`Failed to fetch email templates: ${error.message}`);
+        }
+
+        for (const candidate of locales) {
+          const matches = (data || []).filter(template => template.locale === candidate);
+          const template = matches.find(match => match.tenant_id) || matches[0];
+
+          if (template) {
+            return {
+              subject: template.subject,
+              text_body: template.text_body,
+              html_body: template.html_body,
+              source: { id: template.id, tenant_id: template.tenant_id, locale: template.locale }
+            };
+          }
+        }
+      }
+
+      const fallback = EMAIL_TEMPLATES[type];
+
+      if (!fallback) {
+        throw ApiError.badRequest(`Unknown email template type: ${type}`);
+      }
+
+      return {
+        subject: fallback.subject,
+        text_body: fallback.text,
+        html_body: fallback.html,
+        source: { id: null, tenant_id: null, locale: DEFAULT_LOCALE }
+      };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error resolving email template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fill in the placeholders of a template
+   * @param {Object} template - subject, text_body and html_body
+   * @param {Object} variables - Values for the placeholders
+   * @returns {Object} The rendered subject, text and html (null when the template has no HTML body)
+   */
+  render(template, variables = {}) {
+    return {
+      subject: renderTemplate(template.subject, variables),
+      text: renderTemplate(template.text_body, variables),
+      html: template.html_body ? renderTemplate(template.html_body, variables, { html: true }) : null
+    };
+  }
+
+  /**
+   * Resolve the template for an email and render it
+   * @param {Object} params - applicationId, tenantId, type, locale and variables
+   * @returns {Promise<Object>} The rendered subject, text and html, and the source of the template
+   */
+  async renderForType({ applicationId, tenantId, type, locale, variables }) {
+    const template = await this.resolve({ applicationId, tenantId, type, locale });
+    return { ...this.render(template, variables), source: template.source };
+  }
+}
+
+export default new EmailTemplatesService();
@@ -0,0 +1,141 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import federationConfig from '../config/federation.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+class FederatedLoginsService extends BaseService {
+  constructor() {
+    super('federated_logins');
+  }
+
+  /**
+   * Record a login that was sent to an identity provider. Only the hash of the state is
+   * stored; the plain state travels through the provider and identifies the login on return.
+   * @param {Object} provider - The identity provider
+   * @param {Object} params - nonce and codeVerifier (OIDC), requestId (SAML)
+   * @returns {Promise<Object>} Object containing the plain state and the stored record
+   */
+  async start(provider, { nonce = null, codeVerifier = null, requestId = null } = {}) {
+    const state = generateOpaqueToken();
+    const now = new Date();
+
+    const record = await super.create({
+      provider_id: provider.id,
+      tenant_id: provider.tenant_id,
+      state_hash: hashToken(state),
+      nonce,
+      code_verifier: codeVerifier,
+      request_id: requestId,
+      expires_at: new Date(now.getTime() + federationConfig.loginRequestTtlMinutes * 60 * 1000).toISOString(),
+      created_at: now.toISOString()
+    });
+
+    return { state, record };
+  }
+
+  /**
+   * Take a login back from the identity provider. It is marked as returned in the same
+   * query that checks it, so a response from the provider can only be used once.
+   * @param {string} state - The plain state
+   * @returns {Promise<Object|null>} The login, or null if the state is unknown, used or expired
+   */
+  async resume(state) {
+    try {
+      if (!state) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ returned_at: now })
+        .eq('state_hash', hashToken(state))
+        .is('returned_at', null)
+        .gt('expires_at', now)
+        .select();
+
+      if (error) {
+        throw ApiError.internal(`Failed to resume federated login: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error resuming federated login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue the code the frontend exchanges for a session once the user has been signed in
+   * at the identity provider. Only the hash is stored.
+   * @param {Object} login - The login
+   * @param {Object} user - The signed in user
+   * @returns {Promise<string>} The plain login code
+   */
+  async issueLoginCode(login, user) {
+    try {
+      const code = generateOpaqueToken();
+
+      const { error } = await dbClient
+        .from(this.tableName)
+        .update({
+          user_id: user.id,
+          login_code_hash: hashToken(code),
+          login_code_expires_at: new Date(Date.now() + federationConfig.loginCodeTtlSeconds * 1000).toISOString()
+        })
+        .eq('id', login.id);
+
+      if (error) {
+        throw ApiError.internal(`Failed to issue login code: ${error.message}`);
+      }
+
+      return code;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error issuing login code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use a login code. The code is marked as used in the same query that checks it, so it
+   * can only be exchanged once.
+   * @param {string} code - The plain login code
+   * @param {string} tenantId - The tenant the login must belong to
+   * @returns {Promise<Object|null>} The login, or null if the code is unknown, used or expired
+   */
+  async consumeLoginCode(code, tenantId) {
+    try {
+      if (!code) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ used_at: now })
+        .eq('login_code_hash', hashToken(code))
+        .eq('tenant_id', tenantId)
+        .is('used_at', null)
+        .gt('login_code_expires_at', now)
+        .select();
+
+      if (error) {
+        throw ApiError.internal(`Failed to use login code: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error using login code: ${error.message}`);
+    }
+  }
+}
+
+export default new FederatedLoginsService();
@@ -0,0 +1,487 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { SAML, ValidateInResponseTo } from '@node-saml/node-saml';
+import applicationsService from './applications.js';
+import usersService from './users.js';
+import userRolesService from './userRoles.js';
+import identityProvidersService from './identityProviders.js';
+import userIdentitiesService from './userIdentities.js';
+import federatedLoginsService from './federatedLogins.js';
+import ApiError from '../errors/errors.js';
+import federationConfig from '../config/federation.js';
+import { generateOpaqueToken } from '../utils/tokens.js';
+
+// Algorithms accepted for ID tokens of identity providers. Symmetric algorithms are left out,
+// they would let anyone who knows the client secret sign tokens.
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Timeout of requests to identity providers
+const PROVIDER_REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Clock difference tolerated between Sundrops and a SAML identity provider
+const SAML_CLOCK_SKEW_MS = 30 * 1000;
+
+class FederationService {
+  constructor() {
+    // Discovery documents and key sets of OIDC identity providers, by issuer
+    this.oidcMetadata = new Map();
+  }
+
+  /**
+   * Call an identity provider and read the JSON response
+   * @param {string} url - The URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} The response body
+   */
+  async fetchJson(url, options = {}) {
+    let response;
+
+    try {
+      response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_REQUEST_TIMEOUT_MS) });
+    } catch (error) {
+      throw ApiError.internal(`Identity provider could not be reached: ${error.message}`);
+    }
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+      const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+      throw ApiError.unauthorized(`Identity provider rejected the request: ${reason}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Get the discovery document and key set of an OIDC identity provider
+   * @param {Object} provider - The identity provider
+   * @param {Object} options - refresh: true to fetch them again regardless of the cache
+   * @returns {Promise<Object>} metadata and jwks
+   */
+  async getOidcMetadata(provider, options = {}) {
+    const issuer = provider.config.issuer.replace(/\/+$/, '');
+    const cached = this.oidcMetadata.get(issuer);
+
+    if (cached && !options.refresh && Date.now() - cached.loadedAt < federationConfig.metadataCacheSeconds * 1000) {
+      return cached;
+    }
+
+    const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    // The discovery document must be about the configured issuer (OpenID Connect Discovery section 4.3)
+    if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+      throw ApiError.internal(`Discovery document of ${issuer} names another issuer`);
+    }
+
+    const jwks = await this.fetchJson(metadata.jwks_uri);
+    const entry = { metadata, jwks, loadedAt: Date.now() };
+
+    this.oidcMetadata.set(issuer, entry);
+    return entry;
+  }
+
+  /**
+   * Set up the SAML service provider for an identity provider. When a login is given, only
+   * a response to that login's request is accepted.
+   * @param {Object} provider - The identity provider
+   * @param {Object} login - The login the response has to answer
+   * @returns {SAML} The SAML service provider
+   */
+  getSaml(provider, login = null) {
+    const urls = identityProvidersService.getServiceProviderUrls(provider);
+
+    return new SAML({
+      entryPoint: provider.config.entry_point,
+      issuer: urls.entity_id,
+      callbackUrl: urls.acs_url,
+      audience: urls.entity_id,
+      idpCert: provider.config.idp_certificates,
+      idpIssuer: provider.config.idp_entity_id || undefined,
+      identifierFormat: provider.config.name_id_format || null,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: false,
+      acceptedClockSkewMs: SAML_CLOCK_SKEW_MS,
+      // The request ID is kept with the login, so every instance can check InResponseTo
+      validateInResponseTo: ValidateInResponseTo.always,
+      generateUniqueId: () => login?.request_id || `_${crypto.randomUUID()}`,
+      cacheProvider: {
+        saveAsync: async () => null,
+        getAsync: async (key) => (login && key === login.request_id ? login.created_at : null),
+        removeAsync: async () => null
+      }
+    });
+  }
+
+  /**
+   * Start a login at an identity provider
+   * @param {Object} provider - The identity provider
+   * @returns {Promise<string>} The URL to send the user to
+   */
+  async startLogin(provider) {
+    if (provider.protocol === 'saml') {
+      const requestId = `_${crypto.randomUUID()}`;
+      const { state, record } = await federatedLoginsService.start(provider, { requestId });
+
+      return await this.getSaml(provider, record).getAuthorizeUrlAsync(state, undefined, {});
+    }
+
+    const { metadata } = await this.getOidcMetadata(provider);
+    const nonce = generateOpaqueToken(16);
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const { state } = await federatedLoginsService.start(provider, { nonce, codeVerifier });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.config.client_id,
+      redirect_uri: identityProvidersService.getServiceProviderUrls(provider).redirect_uri,
+      scope: (provider.config.scopes || ['openid', 'email', 'profile']).join(' '),
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Verify the ID token of an OIDC identity provider and return its claims
+   * @param {Object} provider - The identity provider
+   * @param {string} idToken - The ID token
+   * @param {Object} login - The login, holding the nonce
+   * @returns {Promise<Object>} The claims
+   */
+  async verifyIdToken(provider, idToken, login) {
+    const header = jwt.decode(idToken, { complete: true })?.header;
+
+    if (!header || !ID_TOKEN_ALGORITHMS.includes(header.alg)) {
+      throw ApiError.unauthorized('Identity provider returned an invalid ID token');
+    }
+
+    const findKey = ({ jwks }) => (jwks.keys || []).find(key =>
+      (!header.kid || key.kid === header.kid) && (!key.use || key.use === 'sig')
+    );
+
+    let oidc = await this.getOidcMetadata(provider);
+    let jwk = findKey(oidc);
+
+    // The provider may have rotated its keys since they were cached
+    if (!jwk) {
+      oidc = await this.getOidcMetadata(provider, { refresh: true });
+      jwk = findKey(oidc);
+    }
+
+    let claims;
+
+    try {
+      claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: [header.alg],
+        issuer: oidc.metadata.issuer,
+        audience: provider.config.client_id
+      });
+    } catch (error) {
+      throw ApiError.unauthorized('Identity provider returned an invalid ID token');
+    }
+
+    if (!login.nonce || claims.nonce !== login.nonce) {
+      throw ApiError.unauthorized('ID token does not belong to this login');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Read the user's profile after an OIDC login: exchange the code, verify the ID token and
+   * add the claims from the userinfo endpoint
+   * @param {Object} provider - The identity provider
+   * @param {Object} login - The login
+   * @param {string} code - The authorization code
+   * @returns {Promise<Object>} The profile
+   */
+  async getOidcProfile(provider, login, code) {
+    if (!code) {
+      throw ApiError.badRequest('Identity provider did not return an authorization code');
+    }
+
+    const { metadata } = await this.getOidcMetadata(provider);
+    const { client_id, client_secret } = provider.config;
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: identityProvidersService.getServiceProviderUrls(provider).redirect_uri,
+      code_verifier: login.code_verifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // client_secret_basic is the default when the provider does not list its methods
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (authMethods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(client_id)}:${encodeURIComponent(client_secret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', client_id);
+      body.set('client_secret', client_secret);
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+
+    if (!tokens.id_token) {
+      throw ApiError.unauthorized('Identity provider did not return an ID token');
+    }
+
+    let claims = await this.verifyIdToken(provider, tokens.id_token, login);
+
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await this.fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+      });
+
+      // Userinfo claims only count when they are about the same user (OpenID Connect Core section 5.3.2)
+      if (userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims };
+      }
+    }
+
+    return this.mapProfile(provider, claims, {
+      subject: claims.sub,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true'
+    });
+  }
+
+  /**
+   * Read the user's profile from a SAML response
+   * @param {Object} provider - The identity provider
+   * @param {Object} login - The login the response answers
+   * @param {string} samlResponse - The base64 encoded SAMLResponse
+   * @returns {Promise<Object>} The profile
+   */
+  async getSamlProfile(provider, login, samlResponse) {
+    let profile;
+
+    try {
+      ({ profile } = await this.getSaml(provider, login).validatePostResponseAsync({ SAMLResponse: samlResponse }));
+    } catch (error) {
+      throw ApiError.unauthorized(`Invalid SAML response: ${error.message}`);
+    }
+
+    if (!profile?.nameID) {
+      throw ApiError.unauthorized('SAML response does not identify the user');
+    }
+
+    // SAML has no equivalent of email_verified; the tenant decides whether to trust the provider
+    return this.mapProfile(provider, profile.attributes || profile, {
+      subject: profile.nameID,
+      emailVerified: false
+    });
+  }
+
+  /**
+   * Turn the claims or attributes of an identity provider into user fields using the
+   * provider's attribute mapping
+   * @param {Object} provider - The identity provider
+   * @param {Object} source - Claims (OIDC) or attributes (SAML)
+   * @param {Object} identity - subject and emailVerified
+   * @returns {Object} subject, email, email_verified, first_name, last_name, username and locale
+   */
+  mapProfile(provider, source, { subject, emailVerified }) {
+    const mapping = identityProvidersService.getAttributeMapping(provider);
+    const read = (field) => {
+      const value = source[mapping[field]];
+      const first = Array.isArray(value) ? value[0] : value;
+      return typeof first === 'string' && first.trim() ? first.trim() : null;
+    };
+
+    const email = read('email')?.toLowerCase() || null;
+
+    return {
+      subject: String(subject),
+      email,
+      email_verified: !!email && (emailVerified || !!provider.trust_email),
+      first_name: read('first_name'),
+      last_name: read('last_name'),
+      username: read('username'),
+      locale: read('locale')
+    };
+  }
+
+  /**
+   * Create a user for someone who signs in with an identity provider for the first time
+   * (just-in-time provisioning) and give them the provider's default roles
+   * @param {Object} provider - The identity provider
+   * @param {Object} profile - The mapped profile
+   * @returns {Promise<Object>} The user
+   */
+  async provisionUser(provider, profile) {
+    if (!profile.email) {
+      throw ApiError.badRequest('Identity provider did not share an email address');
+    }
+
+    const baseUsername = (profile.username || profile.email.split('@')[0]).toLowerCase();
+    const userData = {
+      email: profile.email,
+      first_name: profile.first_name || profile.email.split('@')[0],
+      last_name: profile.last_name || '',
+      locale: profile.locale,
+      tenant_id: provider.tenant_id,
+      application_id: provider.application_id,
+      status: 'active',
+      is_verified: profile.email_verified,
+      // Users of an identity provider sign in there; a random password keeps password logins
+      // closed until they reset it themselves
+      password: generateOpaqueToken()
+    };
+
+    let user;
+
+    try {
+      user = await usersService.create({ ...userData, username: baseUsername });
+    } catch (error) {
+      if (!(error instanceof ApiError) || error.message !== 'Username already exists') {
+        throw error;
+      }
+      user = await usersService.create({ ...userData, username: `${baseUsername}-${generateOpaqueToken(3)}` });
+    }
+
+    for (const roleId of provider.default_role_ids || []) {
+      await userRolesService.create({ user_id: user.id, role_id: roleId });
+    }
+
+    return user;
+  }
+
+  /**
+   * Find the user an external identity belongs to. Known identities sign in to their user;
+   * unknown ones are linked to the user with the same email address when the provider is
+   * trusted for email addresses and both sides verified it, or get a new user when the
+   * provider allows just-in-time provisioning.
+   * @param {Object} provider - The identity provider
+   * @param {Object} profile - The mapped profile
+   * @returns {Promise<Object>} The user
+   */
+  async resolveUser(provider, profile) {
+    const identity = await userIdentitiesService.findBySubject(provider.id, profile.subject);
+
+    if (identity) {
+      await userIdentitiesService.recordLogin(identity, profile);
+      return await usersService.getById(identity.user_id);
+    }
+
+    const existing = await usersService.findByEmailAndTenant(profile.email, provider.tenant_id);
+
+    if (existing) {
+      // Only providers set up as trusted by a super admin may link accounts, and both sides must
+      // have verified the address. Otherwise whoever registered it first (or controls the
+      // provider's email attribute) would get the account.
+      if (!provider.trust_email || !profile.email_verified || !existing.is_verified) {
+        throw ApiError.conflict('An account with this email address already exists and cannot be linked automatically');
+      }
+
+      await userIdentitiesService.link(existing, provider, profile);
+      return existing;
+    }
+
+    if (!provider.jit_provisioning) {
+      throw ApiError.forbidden('No account exists for this user');
+    }
+
+    const user = await this.provisionUser(provider, profile);
+    await userIdentitiesService.link(user, provider, profile);
+
+    return user;
+  }
+
+  /**
+   * Build the URL of the application's login callback page
+   * @param {Object} provider - The identity provider
+   * @param {Object} params - code, or error and error_description
+   * @returns {Promise<string>} The URL
+   */
+  async buildAppRedirect(provider, params) {
+    const application = await applicationsService.getById(provider.application_id);
+    const base = (application?.app_url || federationConfig.defaultAppUrl).replace(/\/+$/, '');
+
+    return `${base}${federationConfig.callbackPath}?${new URLSearchParams(params).toString()}`;
+  }
+
+  /**
+   * Finish a login that came back from an identity provider. The user is sent to the
+   * application with a login code, or with an error when signing in failed.
+   * @param {string} state - The state (OIDC) or RelayState (SAML)
+   * @param {Function} getProfile - Reads the profile from the provider's response
+   * @returns {Promise<string>} The URL to send the user to
+   */
+  async completeLogin(state, getProfile) {
+    const login = await federatedLoginsService.resume(state);
+
+    if (!login) {
+      throw ApiError.badRequest('Invalid or expired login request');
+    }
+
+    const provider = await identityProvidersService.findEnabled(login.provider_id);
+
+    if (!provider) {
+      throw ApiError.badRequest('Identity provider is no longer available');
+    }
+
+    try {
+      const profile = await getProfile(provider, login);
+      const user = await this.resolveUser(provider, profile);
+      const code = await federatedLoginsService.issueLoginCode(login, user);
+
+      return await this.buildAppRedirect(provider, { code });
+    } catch (error) {
+      console.error(`Federated login with identity provider ${provider.id} failed: ${error.message}`);
+
+      return await this.buildAppRedirect(provider, {
+        error: 'login_failed',
+        error_description: error instanceof ApiError && error.code < 500 ? error.message : 'Signing in with the identity provider failed'
+      });
+    }
+  }
+
+  /**
+   * Finish an OIDC login (the provider redirected to the callback URL)
+   * @param {Object} params - code, state, error and error_description
+   * @returns {Promise<string>} The URL to send the user to
+   */
+  async completeOidcLogin({ code, state, error, error_description }) {
+    return await this.completeLogin(state, (provider, login) => {
+      if (error) {
+        throw ApiError.unauthorized(error_description || `Identity provider returned ${error}`);
+      }
+      return this.getOidcProfile(provider, login, code);
+    });
+  }
+
+  /**
+   * Finish a SAML login (the provider posted to the assertion consumer service)
+   * @param {Object} params - SAMLResponse and RelayState
+   * @returns {Promise<string>} The URL to send the user to
+   */
+  async completeSamlLogin({ SAMLResponse, RelayState }) {
+    return await this.completeLogin(RelayState, (provider, login) => this.getSamlProfile(provider, login, SAMLResponse));
+  }
+
+  /**
+   * Get the SAML metadata to register Sundrops at a SAML identity provider
+   * @param {Object} provider - The identity provider
+   * @returns {string} The metadata XML
+   */
+  getSamlMetadata(provider) {
+    return this.getSaml(provider).generateServiceProviderMetadata(null, null);
+  }
+
+  /**
+   * Exchange a login code for the signed in user's ID
+   * @param {string} code - The login code
+   * @param {string} tenantId - The tenant of the API key
+   * @returns {Promise<Object|null>} The login, or null if the code is invalid
+   */
+  async exchangeLoginCode(code, tenantId) {
+    return await federatedLoginsService.consumeLoginCode(code, tenantId);
+  }
+}
+
+export default new FederationService();
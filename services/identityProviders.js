@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import tenantsService from './tenants.js';
+import invitationsService from './invitations.js';
+import oidcConfig from '../config/oidc.js';
+import { DEFAULT_ATTRIBUTE_MAPPING } from '../config/federation.js';
+
+// Settings each protocol needs before users can sign in with the provider
+const REQUIRED_CONFIG = {
+  oidc: ['issuer', 'client_id', 'client_secret'],
+  saml: ['entry_point', 'idp_certificates']
+};
+
+class IdentityProvidersService extends BaseService {
+  constructor() {
+    super('identity_providers', { tenantColumn: 'tenant_id' });
+  }
+
+  /**
+   * Get the URLs of Sundrops that have to be registered at the identity provider
+   * @param {Object} provider - The stored provider
+   * @returns {Object} redirect_uri (OIDC), or entity_id, acs_url and metadata_url (SAML)
+   */
+  getServiceProviderUrls(provider) {
+    const { issuer } = oidcConfig;
+
+    if (provider.protocol === 'oidc') {
+      return { redirect_uri: `${issuer}/federation/oidc/callback` };
+    }
+
+    const metadataUrl = `${issuer}/federation/saml/${provider.id}/metadata`;
+
+    return {
+      // The metadata URL doubles as entity ID, so it is unique per provider
+      entity_id: metadataUrl,
+      acs_url: `${issuer}/federation/saml/acs`,
+      metadata_url: metadataUrl
+    };
+  }
+
+  /**
+   * Leave out the client secret and add the URLs to register at the identity provider
+   * @param {Object} provider - The stored provider
+   * @returns {Object} The provider as returned by the API
+   */
+  present(provider) {
+    const { client_secret, ...config } = provider.config || {};
+
+    return {
+      ...provider,
+      config,
+      has_client_secret: !!client_secret,
+      service_provider: this.getServiceProviderUrls(provider)
+    };
+  }
+
+  /**
+   * Get the claim or attribute names used for the user fields, with the protocol's
+   * defaults for fields the provider does not map
+   * @param {Object} provider - The stored provider
+   * @returns {Object} Field name to claim or attribute name
+   */
+  getAttributeMapping(provider) {
+    return { ...DEFAULT_ATTRIBUTE_MAPPING[provider.protocol], ...(provider.attribute_mapping || {}) };
+  }
+
+  /**
+   * Check that a provider has the settings its protocol needs
+   * @param {string} protocol - 'oidc' or 'saml'
+   * @param {Object} config - The settings
+   */
+  validateConfig(protocol, config) {
+    const missing = REQUIRED_CONFIG[protocol].filter(field => {
+      const value = config[field];
+      return Array.isArray(value) ? value.length === 0 : !value;
+    });
+
+    if (missing.length > 0) {
+      throw ApiError.badRequest(`Missing ${protocol.toUpperCase()} settings: ${missing.join(', ')}`);
+    }
+
+    for (const certificate of config.idp_certificates || []) {
+      try {
+        new crypto.X509Certificate(certificate);
+      } catch {
+        throw ApiError.badRequest('idp_certificates must contain PEM encoded X.509 certificates');
+      }
+    }
+  }
+
+  /**
+   * Get the identity providers of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} options - Query options (limit, offset, protocol, enabled)
+   * @returns {Promise<Array>} Array of providers
+   */
+  async getByTenantId(tenantId, options = {}) {
+    try {
+      const { limit = 100, offset = 0, protocol, enabled } = options;
+
+      let query = dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .is('deleted_at', null);
+
+      if (protocol) query = query.eq('protocol', protocol);
+      if (enabled !== undefined) query = query.eq('enabled', enabled);
+
+      query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch identity providers: ${error.message}`);
+      }
+
+      return (data || []).map(provider => this.present(provider));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching identity providers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an identity provider of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The provider ID
+   * @returns {Promise<Object>} The stored provider (including the client secret)
+   */
+  async getForTenant(tenantId, id) {
+    const provider = await this.getById(id);
+
+    if (provider.tenant_id !== tenantId || provider.deleted_at) {
+      throw ApiError.notFound(`Identity provider with ID ${id} not found`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get a provider users can sign in with
+   * @param {string} id - The provider ID
+   * @returns {Promise<Object|null>} The stored provider, or null when unknown, disabled or deleted
+   */
+  async findEnabled(id) {
+    try {
+      const query = dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .eq('enabled', true)
+        .is('deleted_at', null)
+        .limit(1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to find identity provider: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error finding identity provider: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add an identity provider to a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} data - name, protocol, config, attribute_mapping, jit_provisioning, default_role_ids and enabled
+   * @param {Array<string>} grantedPermissions - Permissions of the caller, the default roles must not exceed them
+   * @returns {Promise<Object>} The created provider
+   */
+  async create(tenantId, data, grantedPermissions) {
+    const tenant = await tenantsService.getById(tenantId);
+    const defaultRoleIds = [...new Set(data.default_role_ids || [])];
+
+    // A trusted provider can sign in as any user of the tenant with a matching email address
+    if (data.trust_email) {
+      this.assertNotTenantScoped('add identity providers with trust_email');
+    }
+
+    this.validateConfig(data.protocol, data.config);
+    await invitationsService.validateRoles(tenant, defaultRoleIds, grantedPermissions);
+
+    const now = new Date().toISOString();
+    const provider = await super.create({
+      ...data,
+      default_role_ids: defaultRoleIds,
+      tenant_id: tenant.id,
+      application_id: tenant.application_id,
+      created_at: now,
+      updated_at: now
+    });
+
+    return this.present(provider);
+  }
+
+  /**
+   * Update an identity provider. The protocol cannot be changed; settings that are left out
+   * (such as the client secret) keep their value.
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The provider ID
+   * @param {Object} updateData - name, config, attribute_mapping, jit_provisioning, default_role_ids and enabled
+   * @param {Array<string>} grantedPermissions - Permissions of the caller, the default roles must not exceed them
+   * @returns {Promise<Object>} The updated provider
+   */
+  async update(tenantId, id, updateData, grantedPermissions) {
+    const provider = await this.getForTenant(tenantId, id);
+    const changes = { ...updateData };
+
+    // Otherwise the configuration of a trusted provider could be pointed at another provider
+    if (provider.trust_email || updateData.trust_email) {
+      this.assertNotTenantScoped('change identity providers with trust_email');
+    }
+
+    if (updateData.config) {
+      changes.config = { ...provider.config, ...updateData.config };
+      this.validateConfig(provider.protocol, changes.config);
+    }
+
+    if (updateData.default_role_ids) {
+      const tenant = await tenantsService.getById(tenantId);
+      changes.default_role_ids = [...new Set(updateData.default_role_ids)];
+      await invitationsService.validateRoles(tenant, changes.default_role_ids, grantedPermissions);
+    }
+
+    return this.present(await super.update(id, changes));
+  }
+
+  /**
+   * Soft delete an identity provider. Users linked to it keep their account, but can no
+   * longer sign in with the provider.
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The provider ID
+   * @returns {Promise<Object>} The deleted provider
+   */
+  async softDelete(tenantId, id) {
+    await this.getForTenant(tenantId, id);
+    return this.present(await super.softDelete(id));
+  }
+}
+
+export default new IdentityProvidersService();
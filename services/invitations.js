@@ -0,0 +1,335 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import tenantsService from './tenants.js';
+import rolesService from './roles.js';
+import usersService from './users.js';
+import userRolesService from './userRoles.js';
+import permissionsService from './permissions.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+// How long an invitation can be accepted by default, and the minimum time between two invitation emails
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7');
+const INVITATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.INVITATION_RESEND_COOLDOWN_SECONDS || '60');
+
+class InvitationsService extends BaseService {
+  constructor() {
+    super('invitations', { tenantColumn: 'tenant_id' });
+  }
+
+  /**
+   * Derive the status of an invitation and leave out the token hash
+   * @param {Object} invitation - The stored invitation
+   * @returns {Object} The invitation with a status (pending, accepted, revoked or expired)
+   */
+  present(invitation) {
+    const { token_hash, ...rest } = invitation;
+    let status = 'pending';
+
+    if (invitation.accepted_at) {
+      status = 'accepted';
+    } else if (invitation.revoked_at) {
+      status = 'revoked';
+    } else if (new Date(invitation.expires_at) <= new Date()) {
+      status = 'expired';
+    }
+
+    return { ...rest, status };
+  }
+
+  /**
+   * Get the invitations of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} options - Query options (limit, offset, status, email)
+   * @returns {Promise<Array>} Array of invitations
+   */
+  async getByTenantId(tenantId, options = {}) {
+    try {
+      const { limit = 100, offset = 0, status, email } = options;
+      const now = new Date().toISOString();
+
+      let query = dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('tenant_id', tenantId);
+
+      if (email) query = query.ilike('email', email);
+
+      if (status === 'pending') {
+        query = query.is('accepted_at', null).is('revoked_at', null).gt('expires_at', now);
+      } else if (status === 'accepted') {
+        query = query.not('accepted_at', 'is', null);
+      } else if (status === 'revoked') {
+        query = query.is('accepted_at', null).not('revoked_at', 'is', null);
+      } else if (status === 'expired') {
+        query = query.is('accepted_at', null).is('revoked_at', null).lte('expires_at', now);
+      }
+
+      query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch invitations: ${error.message}`);
+      }
+
+      return (data || []).map(invitation => this.present(invitation));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching invitations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an invitation of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The invitation ID
+   * @returns {Promise<Object>} The stored invitation (including the token hash)
+   */
+  async getForTenant(tenantId, id) {
+    const invitation = await this.getById(id);
+
+    if (invitation.tenant_id !== tenantId) {
+      throw ApiError.notFound(`Invitation with ID ${id} not found`);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Check that roles can be given to users of a tenant: the role belongs to the tenant,
+   * or is shared by all tenants of the tenant's application, and it grants nothing
+   * the caller does not hold itself
+   * @param {Object} tenant - The tenant
+   * @param {Array<string>} roleIds - The role IDs
+   * @param {Array<string>} grantedPermissions - Permissions the caller holds
+   */
+  async validateRoles(tenant, roleIds, grantedPermissions) {
+    for (const roleId of roleIds) {
+      const role = await rolesService.getById(roleId);
+      const shared = !role.tenant_id && role.application_id === tenant.application_id;
+
+      if (role.deleted_at || (role.tenant_id !== tenant.id && !shared)) {
+        throw ApiError.badRequest(`Role ${roleId} cannot be assigned to users of this tenant`);
+      }
+    }
+
+    await permissionsService.assertRolesGrantable(grantedPermissions, roleIds);
+  }
+
+  /**
+   * Invite someone to a tenant. Only the hash of the token is stored; the plain token is
+   * returned once so it can be emailed.
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} data - email, role_ids, expires_in_days and locale
+   * @param {Object} inviter - The user sending the invitation
+   * @param {Array<string>} grantedPermissions - Permissions the inviter holds
+   * @returns {Promise<Object>} Object containing the invitation, the tenant and the plain token
+   */
+  async create(tenantId, data, inviter, grantedPermissions) {
+    try {
+      const tenant = await tenantsService.getById(tenantId);
+      const roleIds = [...new Set(data.role_ids || [])];
+
+      await this.validateRoles(tenant, roleIds, grantedPermissions);
+
+      const existingUser = await usersService.findByEmailOrUsernameAndTenant(data.email, tenantId);
+
+      if (existingUser) {
+        throw ApiError.conflict('A user with this email address already exists in this tenant');
+      }
+
+      const { data: pending, error } = await dbClient
+        .from(this.tableName)
+        .select('id')
+        .eq('tenant_id', tenantId)
+        .ilike('email', data.email)
+        .is('accepted_at', null)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to check existing invitations: ${error.message}`);
+      }
+
+      if (pending && pending.length > 0) {
+        throw ApiError.conflict(`A pending invitation for this email address already exists (ID ${pending[0].id}). Resend it instead.`);
+      }
+
+      const token = generateOpaqueToken();
+      const now = new Date();
+      const ttlDays = data.expires_in_days || INVITATION_TTL_DAYS;
+
+      const invitation = await super.create({
+        tenant_id: tenant.id,
+        application_id: tenant.application_id,
+        email: data.email,
+        role_ids: roleIds,
+        locale: data.locale || null,
+        invited_by: inviter?.id || null,
+        token_hash: hashToken(token),
+        expires_at: new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+        last_sent_at: now.toISOString(),
+        send_count: 1,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString()
+      });
+
+      return { invitation: this.present(invitation), tenant, token };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error creating invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue a new token for an invitation that was not accepted or revoked. The previous link
+   * stops working and the invitation is valid for the default period again.
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The invitation ID
+   * @returns {Promise<Object>} Object containing the invitation, the tenant and the plain token
+   */
+  async resend(tenantId, id) {
+    try {
+      const invitation = await this.getForTenant(tenantId, id);
+
+      if (invitation.accepted_at) {
+        throw ApiError.conflict('Invitation has already been accepted');
+      }
+
+      if (invitation.revoked_at) {
+        throw ApiError.conflict('Invitation has been revoked');
+      }
+
+      const now = new Date();
+
+      if (invitation.last_sent_at && now - new Date(invitation.last_sent_at) < INVITATION_RESEND_COOLDOWN_SECONDS * 1000) {
+        throw ApiError.tooManyRequests(`Invitation was sent less than ${INVITATION_RESEND_COOLDOWN_SECONDS} seconds ago`);
+      }
+
+      const token = generateOpaqueToken();
+      const updated = await super.update(id, {
+        token_hash: hashToken(token),
+        expires_at: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        last_sent_at: now.toISOString(),
+        send_count: (invitation.send_count || 0) + 1,
+        updated_at: now.toISOString()
+      });
+      const tenant = await tenantsService.getById(tenantId);
+
+      return { invitation: this.present(updated), tenant, token };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error resending invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke an invitation so it can no longer be accepted
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The invitation ID
+   * @returns {Promise<Object>} The revoked invitation
+   */
+  async revoke(tenantId, id) {
+    try {
+      const invitation = await this.getForTenant(tenantId, id);
+
+      if (invitation.accepted_at) {
+        throw ApiError.conflict('Invitation has already been accepted');
+      }
+
+      if (invitation.revoked_at) {
+        return this.present(invitation);
+      }
+
+      const now = new Date().toISOString();
+      const updated = await super.update(id, { revoked_at: now, updated_at: now });
+
+      return this.present(updated);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error revoking invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept an invitation: create the invited user with the chosen password, already verified
+   * since the invitation proves the email address, and assign the invited roles. The invitation
+   * is claimed in the same query that checks it, so it can only be accepted once.
+   * @param {string} token - The plain invitation token
+   * @param {string} tenantId - The tenant the invitation must belong to
+   * @param {Object} userData - password, first_name, last_name, username and locale
+   * @returns {Promise<Object>} The created user
+   */
+  async accept(token, tenantId, userData) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ accepted_at: now, updated_at: now })
+        .eq('token_hash', hashToken(token))
+        .eq('tenant_id', tenantId)
+        .is('accepted_at', null)
+        .is('revoked_at', null)
+        .gt('expires_at', now)
+        .select();
+
+      if (error) {
+        throw ApiError.internal(`Failed to accept invitation: ${error.message}`);
+      }
+
+      const invitation = data && data.length > 0 ? data[0] : null;
+
+      if (!invitation) {
+        throw ApiError.badRequest('Invalid or expired invitation');
+      }
+
+      let user;
+
+      try {
+        user = await usersService.create({
+          ...userData,
+          locale: userData.locale || invitation.locale || null,
+          email: invitation.email,
+          tenant_id: invitation.tenant_id,
+          application_id: invitation.application_id,
+          status: 'active',
+          is_verified: true
+        });
+      } catch (createError) {
+        // Give the invitation back so the invitee can try again (e.g. with another username)
+        await dbClient
+          .from(this.tableName)
+          .update({ accepted_at: null, updated_at: new Date().toISOString() })
+          .eq('id', invitation.id);
+        throw createError;
+      }
+
+      for (const roleId of invitation.role_ids || []) {
+        await userRolesService.create({ user_id: user.id, role_id: roleId });
+      }
+
+      await super.update(invitation.id, { accepted_user_id: user.id });
+
+      return user;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error accepting invitation: ${error.message}`);
+    }
+  }
+}
+
+export default new InvitationsService();
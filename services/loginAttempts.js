@@ -0,0 +1,97 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+
+// Failed attempts from one IP (per tenant) that are allowed before delays kick in
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || '5');
+// Window in which failed attempts from one IP are counted
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || '15');
+// Upper bound for the progressive delay
+const IP_MAX_DELAY_SECONDS = 15 * 60;
+
+class LoginAttemptsService extends BaseService {
+  constructor() {
+    super('login_attempts');
+  }
+
+  /**
+   * Record a login attempt
+   * @param {Object} attempt - tenantId, userId, identifier, ipAddress, succeeded
+   * @returns {Promise<Object>} The created attempt record
+   */
+  async record({ tenantId, userId = null, identifier = null, ipAddress = null, succeeded }) {
+    return await super.create({
+      tenant_id: tenantId,
+      user_id: userId,
+      identifier,
+      ip_address: ipAddress,
+      succeeded
+    });
+  }
+
+  /**
+   * Compute how long an IP has to wait before it may try to log in again.
+   * Every failed attempt beyond the free ones doubles the delay; a successful
+   * login from the same IP resets the count.
+   * @param {string} tenantId - The tenant ID
+   * @param {string} ipAddress - The client IP address
+   * @returns {Promise<number>} Remaining delay in seconds (0 when the IP may try now)
+   */
+  async getRequiredDelay(tenantId, ipAddress) {
+    try {
+      if (!ipAddress) {
+        return 0;
+      }
+
+      let since = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000).toISOString();
+
+      const { data: lastSuccess, error: successError } = await dbClient
+        .from(this.tableName)
+        .select('created_at')
+        .eq('tenant_id', tenantId)
+        .eq('ip_address', ipAddress)
+        .eq('succeeded', true)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (successError) {
+        throw ApiError.internal(`Failed to fetch login attempts: ${successError.message}`);
+      }
+
+      if (lastSuccess && lastSuccess.length > 0) {
+        since = lastSuccess[0].created_at;
+      }
+
+      const { data: failures, count, error } = await dbClient
+        .from(this.tableName)
+        .select('created_at', { count: 'exact' })
+        .eq('tenant_id', tenantId)
+        .eq('ip_address', ipAddress)
+        .eq('succeeded', false)
+        .gt('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch login attempts: ${error.message}`);
+      }
+
+      if (!count || count <= IP_FREE_ATTEMPTS) {
+        return 0;
+      }
+
+      const delaySeconds = Math.min(2 ** (count - IP_FREE_ATTEMPTS), IP_MAX_DELAY_SECONDS);
+      const retryAt = new Date(failures[0].created_at).getTime() + delaySeconds * 1000;
+
+      return Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error checking login attempts: ${error.message}`);
+    }
+  }
+}
+
+export default new LoginAttemptsService();
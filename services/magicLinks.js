@@ -0,0 +1,109 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+// How long a magic link can be used, and the minimum time between two links for a user
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES || '15');
+const MAGIC_LINK_COOLDOWN_SECONDS = parseInt(process.env.MAGIC_LINK_COOLDOWN_SECONDS || '60');
+
+class MagicLinksService extends BaseService {
+  constructor() {
+    super('magic_link_tokens');
+  }
+
+  /**
+   * Issue a magic link token for a user. Only the hash is stored; the plain token is returned
+   * once so it can be emailed. Earlier unused links of the user stop working. No token is issued
+   * while the previous one was requested less than the cooldown ago.
+   * @param {Object} user - User object containing id and tenant_id
+   * @param {Object} context - Request context (userAgent, ipAddress)
+   * @returns {Promise<Object|null>} Object containing the plain token and the stored record, or null during the cooldown
+   */
+  async issue(user, context = {}) {
+    try {
+      const { data: recent, error: recentError } = await dbClient
+        .from(this.tableName)
+        .select('created_at')
+        .eq('user_id', user.id)
+        .gt('created_at', new Date(Date.now() - MAGIC_LINK_COOLDOWN_SECONDS * 1000).toISOString())
+        .limit(1);
+
+      if (recentError) {
+        throw ApiError.internal(`Failed to fetch magic links: ${recentError.message}`);
+      }
+
+      if (recent && recent.length > 0) {
+        return null;
+      }
+
+      const { error: deleteError } = await dbClient
+        .from(this.tableName)
+        .delete()
+        .eq('user_id', user.id)
+        .is('used_at', null);
+
+      if (deleteError) {
+        throw ApiError.internal(`Failed to invalidate magic links: ${deleteError.message}`);
+      }
+
+      const token = generateOpaqueToken();
+      const now = new Date();
+
+      const record = await super.create({
+        user_id: user.id,
+        tenant_id: user.tenant_id,
+        token_hash: hashToken(token),
+        expires_at: new Date(now.getTime() + MAGIC_LINK_TTL_MINUTES * 60 * 1000).toISOString(),
+        ip_address: context.ipAddress || null,
+        user_agent: context.userAgent || null,
+        created_at: now.toISOString()
+      });
+
+      return { token, record };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error issuing magic link: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use a magic link token. The token is marked as used in the same query that checks it,
+   * so it can only be exchanged once.
+   * @param {string} token - The plain token
+   * @param {string} tenantId - The tenant the token must belong to
+   * @returns {Promise<Object|null>} The token record, or null if the token is unknown, used or expired
+   */
+  async consume(token, tenantId) {
+    try {
+      if (!token) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ used_at: now })
+        .eq('token_hash', hashToken(token))
+        .eq('tenant_id', tenantId)
+        .is('used_at', null)
+        .gt('expires_at', now)
+        .select();
+
+      if (error) {
+        throw ApiError.internal(`Failed to use magic link: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error using magic link: ${error.message}`);
+    }
+  }
+}
+
+export default new MagicLinksService();
@@ -0,0 +1,216 @@
+import applicationsService from './applications.js';
+import emailTemplatesService from './emailTemplates.js';
+import ApiError from '../errors/errors.js';
+import mailConfig from '../config/mail.js';
+import { createMailTransport } from '../utils/mailTransports.js';
+
+// Frontend paths that handle the links in the emails
+const VERIFY_EMAIL_PATH = '/verify-email';
+const RESET_PASSWORD_PATH = '/reset-password';
+const MAGIC_LINK_PATH = '/magic-link';
+const ACCEPT_INVITATION_PATH = '/accept-invitation';
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Get the mail transport, creating the configured one on first use
+   * @returns {Object} Transport implementing send(message)
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createMailTransport(mailConfig);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the mail transport (e.g. to capture emails in tests)
+   * @param {Object} transport - Transport implementing send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - to, subject, text and html
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async send({ to, subject, text, html }) {
+    try {
+      return await this.getTransport().send({ from: mailConfig.from, to, subject, text, html });
+    } catch (error) {
+      throw ApiError.internal(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the template of a type for the recipient's application, tenant and locale and send it
+   * @param {string} type - Template type (see config/emailTemplates.js)
+   * @param {string} to - Recipient email address
+   * @param {Object} variables - Values for the template placeholders
+   * @param {Object} options - applicationId, tenantId and locale used to pick the template
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async sendTemplate(type, to, variables, options = {}) {
+    const { subject, text, html } = await emailTemplatesService.renderForType({
+      applicationId: options.applicationId || null,
+      tenantId: options.tenantId || null,
+      locale: options.locale || null,
+      type,
+      variables
+    });
+
+    return await this.send({ to, subject, text, html: html || undefined });
+  }
+
+  /**
+   * Render a template for a user, picking the template of the user's application, tenant and locale
+   * @param {string} type - Template type
+   * @param {Object} user - The recipient
+   * @param {Object} application - The user's application (may be null)
+   * @param {Object} variables - Values for the template placeholders besides the user's
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async sendToUser(type, user, application, variables) {
+    return await this.sendTemplate(type, user.email, {
+      ...this.getUserVariables(user, application),
+      ...variables
+    }, {
+      applicationId: user.application_id,
+      tenantId: user.tenant_id,
+      locale: user.locale
+    });
+  }
+
+  /**
+   * Build a link to a page of the user's application
+   * @param {Object} application - The application (may be null)
+   * @param {string} path - Path of the page
+   * @param {Object} params - Query parameters
+   * @returns {string} The absolute URL
+   */
+  buildLink(application, path, params) {
+    const base = (application?.app_url || mailConfig.defaultAppUrl).replace(/\/+$/, '');
+    return `${base}${path}?${new URLSearchParams(params).toString()}`;
+  }
+
+  /**
+   * Variables available in every template for a user
+   * @param {Object} user - The user
+   * @param {Object} application - The user's application (may be null)
+   * @returns {Object} Template variables
+   */
+  getUserVariables(user, application) {
+    return {
+      first_name: user.first_name || user.username || user.email,
+      last_name: user.last_name || '',
+      email: user.email,
+      application_name: application?.name || 'Sundrops'
+    };
+  }
+
+  /**
+   * Load the application of a user, used for the links and branding
+   * @param {Object} user - The user
+   * @returns {Promise<Object|null>} The application, or null when the user has none
+   */
+  async getApplication(user) {
+    if (!user.application_id) {
+      return null;
+    }
+    return await applicationsService.getById(user.application_id);
+  }
+
+  /**
+   * Send the email verification link to a user
+   * @param {Object} user - The user (email, names and application_id)
+   * @param {string} token - The email verification token
+   * @param {string} expiresAt - When the token expires
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async sendVerificationEmail(user, token, expiresAt) {
+    const application = await this.getApplication(user);
+
+    return await this.sendToUser('verification', user, application, {
+      verification_url: this.buildLink(application, VERIFY_EMAIL_PATH, { token }),
+      expires_at: expiresAt
+    });
+  }
+
+  /**
+   * Send the password reset link to a user
+   * @param {Object} user - The user (email, names and application_id)
+   * @param {string} token - The password reset token
+   * @param {string} expiresAt - When the token expires
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async sendPasswordResetEmail(user, token, expiresAt) {
+    const application = await this.getApplication(user);
+
+    return await this.sendToUser('password_reset', user, application, {
+      reset_url: this.buildLink(application, RESET_PASSWORD_PATH, { token }),
+      expires_at: expiresAt
+    });
+  }
+
+  /**
+   * Send a sign-in link to a user
+   * @param {Object} user - The user (email, names and application_id)
+   * @param {string} token - The magic link token
+   * @param {string} expiresAt - When the token expires
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async sendMagicLinkEmail(user, token, expiresAt) {
+    const application = await this.getApplication(user);
+
+    return await this.sendToUser('magic_link', user, application, {
+      login_url: this.buildLink(application, MAGIC_LINK_PATH, { token }),
+      expires_at: expiresAt
+    });
+  }
+
+  /**
+   * Send an invitation to join a tenant. The invitee has no account yet, so the template
+   * is picked with the locale chosen for the invitation.
+   * @param {Object} invitation - The invitation (email, tenant_id, application_id, locale and expires_at)
+   * @param {string} token - The invitation token
+   * @param {Object} context - The tenant and the inviting user (may be null)
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async sendInvitationEmail(invitation, token, { tenant, inviter }) {
+    const application = await applicationsService.getById(invitation.application_id);
+    const inviterName = [inviter?.first_name, inviter?.last_name].filter(Boolean).join(' ');
+
+    return await this.sendTemplate('invitation', invitation.email, {
+      email: invitation.email,
+      application_name: application?.name || 'Sundrops',
+      tenant_name: tenant?.name || '',
+      inviter_name: inviterName || inviter?.email || 'An administrator',
+      invitation_url: this.buildLink(application, ACCEPT_INVITATION_PATH, { token }),
+      expires_at: invitation.expires_at
+    }, {
+      applicationId: invitation.application_id,
+      tenantId: invitation.tenant_id,
+      locale: invitation.locale
+    });
+  }
+
+  /**
+   * Notify a user that two-factor authentication was enabled or disabled on the account
+   * @param {Object} user - The user (email, names and application_id)
+   * @returns {Promise<Object>} Object containing the messageId
+   */
+  async sendMfaChangedEmail(user) {
+    const application = await this.getApplication(user);
+
+    return await this.sendToUser('mfa', user, application, {
+      changed_at: new Date().toISOString()
+    });
+  }
+}
+
+export default new MailService();
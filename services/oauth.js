@@ -0,0 +1,444 @@
+import crypto from 'crypto';
+import applicationsService from './applications.js';
+import usersService from './users.js';
+import oauthClientsService from './oauthClients.js';
+import oauthAuthorizationCodesService from './oauthAuthorizationCodes.js';
+import oauthConsentsService from './oauthConsents.js';
+import oauthTokensService from './oauthTokens.js';
+import oidcService from './oidc.js';
+import ApiError from '../errors/errors.js';
+import OAuthError from '../errors/oauthErrors.js';
+import oauthConfig, { OAUTH_USER_SCOPES } from '../config/oauth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+// Characters and length of a PKCE code verifier and S256 challenge (RFC 7636 section 4.1)
+const PKCE_VALUE_PATTERN = /^[A-Za-z0-9._~-]{43,128}$/;
+
+class OAuthService {
+  /**
+   * Add query parameters to a redirect URI, skipping undefined values
+   * @param {string} redirectUri - The client's redirect URI
+   * @param {Object} params - Query parameters
+   * @returns {string} The URL to redirect to
+   */
+  buildRedirect(redirectUri, params) {
+    const url = new URL(redirectUri);
+
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Turn a space separated scope parameter into a list and check it against the scopes the
+   * client may use. Without a scope parameter all available scopes of the client are used.
+   * @param {string} scope - The scope parameter
+   * @param {Object} client - The client
+   * @param {Array<string>} available - Scopes that can be asked for in this flow
+   * @returns {Array<string>} The scopes
+   */
+  parseScopes(scope, client, available) {
+    const allowed = (client.scopes || []).filter(candidate => available.includes(candidate));
+
+    if (!scope) {
+      return allowed;
+    }
+
+    const requested = [...new Set(String(scope).split(/\s+/).filter(Boolean))];
+    const invalid = requested.find(candidate => !allowed.includes(candidate));
+
+    if (invalid) {
+      throw OAuthError.invalidScope(`Scope ${invalid} is not allowed for this client`);
+    }
+
+    return requested;
+  }
+
+  /**
+   * Check an authorization request (RFC 6749 section 4.1.1). PKCE with S256 is required.
+   * Problems with the client or the redirect URI are reported to the user; other problems
+   * are sent to the client's redirect URI.
+   * @param {Object} params - client_id, redirect_uri, response_type, scope, state, nonce, code_challenge and code_challenge_method
+   * @returns {Promise<Object>} client, redirectUri, scopes, state, nonce, codeChallenge and codeChallengeMethod
+   */
+  async validateAuthorizationRequest(params) {
+    const client = await oauthClientsService.findByClientId(params.client_id);
+
+    if (!client) {
+      throw OAuthError.invalidRequest('Unknown client_id');
+    }
+
+    const redirectUri = params.redirect_uri || (client.redirect_uris.length === 1 ? client.redirect_uris[0] : null);
+
+    if (!redirectUri || !client.redirect_uris.includes(redirectUri)) {
+      throw OAuthError.invalidRequest('redirect_uri is not registered for this client');
+    }
+
+    const { state } = params;
+
+    if (params.response_type !== 'code') {
+      throw OAuthError.unsupportedResponseType('Only the code response type is supported').withRedirect(redirectUri, state);
+    }
+
+    if (!client.grant_types.includes('authorization_code')) {
+      throw OAuthError.unauthorizedClient('Client is not allowed to use the authorization code grant').withRedirect(redirectUri, state);
+    }
+
+    if (!params.code_challenge || !PKCE_VALUE_PATTERN.test(params.code_challenge)) {
+      throw OAuthError.invalidRequest('A PKCE code_challenge is required').withRedirect(redirectUri, state);
+    }
+
+    if (params.code_challenge_method !== 'S256') {
+      throw OAuthError.invalidRequest('code_challenge_method must be S256').withRedirect(redirectUri, state);
+    }
+
+    let scopes;
+
+    try {
+      scopes = this.parseScopes(params.scope, client, OAUTH_USER_SCOPES);
+    } catch (error) {
+      throw error instanceof OAuthError ? error.withRedirect(redirectUri, state) : error;
+    }
+
+    return {
+      client,
+      redirectUri,
+      scopes,
+      state,
+      nonce: params.nonce,
+      codeChallenge: params.code_challenge,
+      codeChallengeMethod: params.code_challenge_method
+    };
+  }
+
+  /**
+   * Build the URL of the page where the user signs in and approves the client. The page is
+   * part of the frontend of the client's application and receives the authorization request
+   * as query string.
+   * @param {Object} client - The client
+   * @param {Object} params - The authorization request
+   * @returns {Promise<string>} The URL of the consent page
+   */
+  async getConsentUrl(client, params) {
+    const application = await applicationsService.getById(client.application_id);
+    const base = (application?.app_url || oauthConfig.defaultAppUrl).replace(/\/+$/, '');
+
+    return `${base}${oauthConfig.consentPath}?${new URLSearchParams(params).toString()}`;
+  }
+
+  /**
+   * Handle the decision of a signed in user on an authorization request. Without a decision
+   * a code is only issued when the user approved the requested scopes before.
+   * @param {Object} user - The signed in user
+   * @param {Object} params - The authorization request
+   * @param {string} decision - 'approve', 'deny' or undefined
+   * @returns {Promise<Object>} { redirect_to } or { consent_required, client, scopes }
+   */
+  async authorize(user, params, decision) {
+    let request;
+
+    try {
+      request = await this.validateAuthorizationRequest(params);
+    } catch (error) {
+      if (error instanceof OAuthError && error.redirectUri) {
+        return {
+          redirect_to: this.buildRedirect(error.redirectUri, {
+            error: error.error,
+            error_description: error.description,
+            state: error.state
+          })
+        };
+      }
+      throw error instanceof OAuthError ? ApiError.badRequest(error.description) : error;
+    }
+
+    const { client, redirectUri, scopes, state } = request;
+
+    if (client.application_id !== user.application_id) {
+      throw ApiError.forbidden('Client belongs to another application');
+    }
+
+    if (decision === 'deny') {
+      return {
+        redirect_to: this.buildRedirect(redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state
+        })
+      };
+    }
+
+    const consent = await oauthConsentsService.findActive(user.id, client.id);
+
+    if (decision !== 'approve' && !oauthConsentsService.covers(consent, scopes)) {
+      return {
+        consent_required: true,
+        client: { client_id: client.client_id, name: client.name },
+        scopes
+      };
+    }
+
+    if (decision === 'approve') {
+      await oauthConsentsService.grant(user, client, scopes);
+    }
+
+    const { code } = await oauthAuthorizationCodesService.issue({
+      client,
+      user,
+      redirectUri,
+      scopes,
+      nonce: request.nonce,
+      codeChallenge: request.codeChallenge,
+      codeChallengeMethod: request.codeChallengeMethod
+    });
+
+    return { redirect_to: this.buildRedirect(redirectUri, { code, state }) };
+  }
+
+  /**
+   * Authenticate the client calling the token or revocation endpoint. Confidential clients
+   * need their secret; public clients only identify themselves.
+   * @param {Object} credentials - clientId and clientSecret
+   * @returns {Promise<Object>} The client
+   */
+  async authenticateClient({ clientId, clientSecret }) {
+    const client = await oauthClientsService.findByClientId(clientId);
+
+    if (!client) {
+      throw OAuthError.invalidClient('Unknown client');
+    }
+
+    if (client.client_type === 'confidential' && !oauthClientsService.verifySecret(client, clientSecret)) {
+      throw OAuthError.invalidClient('Invalid client credentials');
+    }
+
+    return client;
+  }
+
+  /**
+   * Get the user of a grant, as long as the account can still be used
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The user
+   */
+  async getActiveUser(userId) {
+    let user;
+
+    try {
+      user = await usersService.getById(userId);
+    } catch (error) {
+      if (error instanceof ApiError && error.code === 404) {
+        throw OAuthError.invalidGrant('User no longer exists');
+      }
+      throw error;
+    }
+
+    if (user.deleted_at || user.status !== 'active' || usersService.isLocked(user)) {
+      throw OAuthError.invalidGrant('User account is not active');
+    }
+
+    return user;
+  }
+
+  /**
+   * Handle a token request (RFC 6749 section 3.2)
+   * @param {Object} credentials - clientId and clientSecret
+   * @param {Object} params - grant_type and the parameters of the grant
+   * @returns {Promise<Object>} The token response
+   */
+  async token(credentials, params) {
+    const client = await this.authenticateClient(credentials);
+    const grantType = params.grant_type;
+
+    if (!grantType) {
+      throw OAuthError.invalidRequest('grant_type is required');
+    }
+
+    if (!['authorization_code', 'refresh_token', 'client_credentials'].includes(grantType)) {
+      throw OAuthError.unsupportedGrantType(`Unsupported grant type: ${grantType}`);
+    }
+
+    if (!client.grant_types.includes(grantType)) {
+      throw OAuthError.unauthorizedClient(`Client is not allowed to use the ${grantType} grant`);
+    }
+
+    if (grantType === 'authorization_code') {
+      return await this.exchangeAuthorizationCode(client, params);
+    }
+
+    if (grantType === 'refresh_token') {
+      return await this.refresh(client, params);
+    }
+
+    return await this.clientCredentials(client, params);
+  }
+
+  /**
+   * Issue the tokens of a user grant, with an ID token when the openid scope was granted
+   * @param {Object} client - The client
+   * @param {Object} user - The user
+   * @param {Object} grant - scopes, grantId and nonce
+   * @param {Object} options - Token options (refresh, refreshScopes)
+   * @returns {Promise<Object>} The token response
+   */
+  async issueUserTokens(client, user, { scopes, grantId, nonce }, options) {
+    const response = await oauthTokensService.issue({
+      client,
+      userId: user.id,
+      tenantId: user.tenant_id,
+      scopes,
+      grantId
+    }, options);
+
+    if (scopes.includes('openid')) {
+      response.id_token = await oidcService.createIdToken(user, client, { scopes, nonce });
+    }
+
+    return response;
+  }
+
+  /**
+   * Exchange an authorization code for tokens. Using a code twice revokes the tokens
+   * issued for it, since one of the two requests did not come from the client.
+   * @param {Object} client - The authenticated client
+   * @param {Object} params - code, redirect_uri and code_verifier
+   * @returns {Promise<Object>} The token response
+   */
+  async exchangeAuthorizationCode(client, { code, redirect_uri, code_verifier }) {
+    if (!code || !code_verifier) {
+      throw OAuthError.invalidRequest('code and code_verifier are required');
+    }
+
+    const record = await oauthAuthorizationCodesService.consume(code);
+
+    if (!record) {
+      const used = await oauthAuthorizationCodesService.findUsed(code);
+
+      if (used) {
+        await oauthTokensService.revokeGrant(used.id);
+      }
+
+      throw OAuthError.invalidGrant('Invalid, expired or already used authorization code');
+    }
+
+    if (record.client_id !== client.id) {
+      throw OAuthError.invalidGrant('Authorization code was issued to another client');
+    }
+
+    if (redirect_uri && redirect_uri !== record.redirect_uri) {
+      throw OAuthError.invalidGrant('redirect_uri does not match the authorization request');
+    }
+
+    const challenge = crypto.createHash('sha256').update(code_verifier).digest('base64url');
+
+    if (!PKCE_VALUE_PATTERN.test(code_verifier) || challenge !== record.code_challenge) {
+      throw OAuthError.invalidGrant('Invalid code_verifier');
+    }
+
+    const user = await this.getActiveUser(record.user_id);
+
+    return await this.issueUserTokens(client, user, {
+      scopes: record.scopes,
+      grantId: record.id,
+      nonce: record.nonce
+    }, {
+      refresh: record.scopes.includes('offline_access') && client.grant_types.includes('refresh_token')
+    });
+  }
+
+  /**
+   * Exchange a refresh token for new tokens. The refresh token is rotated; presenting one
+   * that was already used revokes every token of the grant.
+   * @param {Object} client - The authenticated client
+   * @param {Object} params - refresh_token and an optional narrower scope
+   * @returns {Promise<Object>} The token response
+   */
+  async refresh(client, { refresh_token, scope }) {
+    if (!refresh_token) {
+      throw OAuthError.invalidRequest('refresh_token is required');
+    }
+
+    const record = await oauthTokensService.findByToken(refresh_token);
+
+    if (!record || record.token_type !== 'refresh' || record.client_id !== client.id) {
+      throw OAuthError.invalidGrant('Invalid refresh token');
+    }
+
+    if (record.revoked_at) {
+      throw OAuthError.invalidGrant('Refresh token has been revoked');
+    }
+
+    if (new Date(record.expires_at) < new Date()) {
+      throw OAuthError.invalidGrant('Refresh token has expired');
+    }
+
+    // Everything that can reject the request is checked before the token is used up
+    const scopes = scope ? this.parseScopes(scope, { scopes: record.scopes }, record.scopes) : record.scopes;
+
+    if (record.used_at || !(await oauthTokensService.claim(record.id))) {
+      await oauthTokensService.revokeGrant(record.grant_id);
+      throw OAuthError.invalidGrant('Refresh token reuse detected. All related tokens have been revoked');
+    }
+
+    const user = await this.getActiveUser(record.user_id);
+
+    return await this.issueUserTokens(client, user, {
+      scopes,
+      grantId: record.grant_id
+    }, {
+      refresh: true,
+      // A narrower scope only applies to the new access token (RFC 6749 section 6)
+      refreshScopes: record.scopes
+    });
+  }
+
+  /**
+   * Issue an access token to a confidential client acting on its own behalf. Its scopes are
+   * API permissions, but the /api endpoints only accept API keys so far.
+   * @param {Object} client - The authenticated client
+   * @param {Object} params - scope
+   * @returns {Promise<Object>} The token response
+   */
+  async clientCredentials(client, { scope }) {
+    if (client.client_type !== 'confidential') {
+      throw OAuthError.unauthorizedClient('Public clients cannot use the client_credentials grant');
+    }
+
+    return await oauthTokensService.issue({
+      client,
+      scopes: this.parseScopes(scope, client, PERMISSIONS),
+      grantId: crypto.randomUUID()
+    });
+  }
+
+  /**
+   * Revoke a token (RFC 7009). Revoking a refresh token also revokes the access tokens of
+   * the same grant. Unknown tokens and tokens of other clients are ignored.
+   * @param {Object} credentials - clientId and clientSecret
+   * @param {Object} params - token and token_type_hint
+   */
+  async revoke(credentials, { token }) {
+    const client = await this.authenticateClient(credentials);
+
+    if (!token) {
+      throw OAuthError.invalidRequest('token is required');
+    }
+
+    const record = await oauthTokensService.findByToken(token);
+
+    if (!record || record.client_id !== client.id) {
+      return;
+    }
+
+    if (record.token_type === 'refresh') {
+      await oauthTokensService.revokeGrant(record.grant_id);
+    } else {
+      await oauthTokensService.revoke(record.id);
+    }
+  }
+}
+
+export default new OAuthService();
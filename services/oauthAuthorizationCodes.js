@@ -0,0 +1,97 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import oauthConfig from '../config/oauth.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+class OAuthAuthorizationCodesService extends BaseService {
+  constructor() {
+    super('oauth_authorization_codes');
+  }
+
+  /**
+   * Issue an authorization code. Only the hash is stored; the plain code is returned once
+   * so it can be passed to the client's redirect URI.
+   * @param {Object} params - client, user, redirectUri, scopes, nonce, codeChallenge and codeChallengeMethod
+   * @returns {Promise<Object>} Object containing the plain code and the stored record
+   */
+  async issue({ client, user, redirectUri, scopes, nonce, codeChallenge, codeChallengeMethod }) {
+    const code = generateOpaqueToken();
+    const now = new Date();
+
+    const record = await super.create({
+      client_id: client.id,
+      user_id: user.id,
+      tenant_id: user.tenant_id,
+      code_hash: hashToken(code),
+      redirect_uri: redirectUri,
+      scopes,
+      nonce: nonce || null,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+      expires_at: new Date(now.getTime() + oauthConfig.authorizationCodeTtlSeconds * 1000).toISOString(),
+      created_at: now.toISOString()
+    });
+
+    return { code, record };
+  }
+
+  /**
+   * Use an authorization code. The code is marked as used in the same query that checks it,
+   * so it can only be exchanged once.
+   * @param {string} code - The plain code
+   * @returns {Promise<Object|null>} The code record, or null if the code is unknown, used or expired
+   */
+  async consume(code) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ used_at: now })
+        .eq('code_hash', hashToken(code))
+        .is('used_at', null)
+        .gt('expires_at', now)
+        .select();
+
+      if (error) {
+        throw ApiError.internal(`Failed to use authorization code: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error using authorization code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an authorization code that was already used, to detect replays
+   * @param {string} code - The plain code
+   * @returns {Promise<Object|null>} The code record if it was used, null otherwise
+   */
+  async findUsed(code) {
+    try {
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('code_hash', hashToken(code))
+        .not('used_at', 'is', null)
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to find authorization code: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error finding authorization code: ${error.message}`);
+    }
+  }
+}
+
+export default new OAuthAuthorizationCodesService();
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import applicationsService from './applications.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+import { getRequestContext, getTenantScope } from '../utils/requestContext.js';
+
+class OAuthClientsService extends BaseService {
+  constructor() {
+    super('oauth_clients');
+  }
+
+  /**
+   * Limit a query to clients of the caller's application. Clients belong to an application,
+   * so tenant scoped API keys can see the clients of their application but not change them.
+   * @param {Object} query - Supabase query builder
+   * @returns {Object} The (possibly) filtered query builder
+   */
+  applyTenantScope(query) {
+    if (!getTenantScope()) {
+      return query;
+    }
+
+    return query.eq('application_id', getRequestContext().applicationId);
+  }
+
+  /**
+   * Leave out the secret hash
+   * @param {Object} client - The stored client
+   * @returns {Object} The client without its secret hash
+   */
+  present(client) {
+    const { client_secret_hash, ...rest } = client;
+    return rest;
+  }
+
+  /**
+   * Get clients, optionally of one application
+   * @param {Object} options - Query options (limit, offset, application_id)
+   * @returns {Promise<Array>} Array of clients
+   */
+  async getAll(options = {}) {
+    try {
+      const { limit = 100, offset = 0, application_id } = options;
+
+      let query = dbClient
+        .from(this.tableName)
+        .select('*')
+        .is('deleted_at', null);
+
+      if (application_id) query = query.eq('application_id', application_id);
+
+      query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch OAuth clients: ${error.message}`);
+      }
+
+      return (data || []).map(client => this.present(client));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching OAuth clients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register a client for an application. Confidential clients get a secret, which is
+   * returned once; public clients (browser and mobile apps) authenticate with PKCE only.
+   * @param {Object} data - application_id, name, client_type, redirect_uris, grant_types and scopes
+   * @returns {Promise<Object>} Object containing the client and the plain secret (null for public clients)
+   */
+  async create(data) {
+    this.assertNotTenantScoped('register OAuth clients');
+    await applicationsService.getById(data.application_id);
+
+    if (data.client_type === 'public' && data.grant_types.includes('client_credentials')) {
+      throw ApiError.badRequest('Public clients cannot use the client_credentials grant');
+    }
+
+    const clientSecret = data.client_type === 'confidential' ? generateOpaqueToken() : null;
+    const now = new Date().toISOString();
+
+    const client = await super.create({
+      ...data,
+      client_id: generateOpaqueToken(16),
+      client_secret_hash: clientSecret ? hashToken(clientSecret) : null,
+      created_at: now,
+      updated_at: now
+    });
+
+    return { client: this.present(client), clientSecret };
+  }
+
+  /**
+   * Update a client. The application, client ID and client type cannot be changed.
+   * @param {string} id - The client record ID
+   * @param {Object} updateData - name, redirect_uris, grant_types and scopes
+   * @returns {Promise<Object>} The updated client
+   */
+  async update(id, updateData) {
+    this.assertNotTenantScoped('change OAuth clients');
+
+    const client = await this.getById(id);
+
+    const grantTypes = updateData.grant_types || client.grant_types;
+    const redirectUris = updateData.redirect_uris || client.redirect_uris;
+
+    if (client.client_type === 'public' && grantTypes.includes('client_credentials')) {
+      throw ApiError.badRequest('Public clients cannot use the client_credentials grant');
+    }
+
+    if (grantTypes.includes('authorization_code') && redirectUris.length === 0) {
+      throw ApiError.badRequest('At least one redirect URI is required for the authorization_code grant');
+    }
+
+    const updated = await super.update(id, { ...updateData, updated_at: new Date().toISOString() });
+    return this.present(updated);
+  }
+
+  /**
+   * Replace the secret of a confidential client. The old secret stops working immediately.
+   * @param {string} id - The client record ID
+   * @returns {Promise<Object>} Object containing the client and the new plain secret
+   */
+  async rotateSecret(id) {
+    this.assertNotTenantScoped('change OAuth clients');
+
+    const client = await this.getById(id);
+
+    if (client.client_type !== 'confidential') {
+      throw ApiError.badRequest('Public clients have no secret');
+    }
+
+    const clientSecret = generateOpaqueToken();
+    const updated = await super.update(id, {
+      client_secret_hash: hashToken(clientSecret),
+      updated_at: new Date().toISOString()
+    });
+
+    return { client: this.present(updated), clientSecret };
+  }
+
+  /**
+   * Soft delete a client. Its tokens stop working because the client can no longer be found.
+   * @param {string} id - The client record ID
+   * @returns {Promise<Object>} The deleted client
+   */
+  async softDelete(id) {
+    this.assertNotTenantScoped('delete OAuth clients');
+    return this.present(await super.softDelete(id));
+  }
+
+  /**
+   * Find an active client by its public client ID
+   * @param {string} clientId - The client_id given to the client
+   * @returns {Promise<Object|null>} The stored client, or null when unknown or deleted
+   */
+  async findByClientId(clientId) {
+    try {
+      if (!clientId) {
+        return null;
+      }
+
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('client_id', clientId)
+        .is('deleted_at', null)
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to find OAuth client: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error finding OAuth client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a client secret against the stored hash
+   * @param {Object} client - The stored client
+   * @param {string} clientSecret - The presented secret
+   * @returns {boolean} True if the secret matches
+   */
+  verifySecret(client, clientSecret) {
+    if (!client.client_secret_hash || !clientSecret) {
+      return false;
+    }
+
+    const expected = Buffer.from(client.client_secret_hash, 'hex');
+    const actual = Buffer.from(hashToken(clientSecret), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+export default new OAuthClientsService();
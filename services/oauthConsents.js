@@ -0,0 +1,133 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import oauthTokensService from './oauthTokens.js';
+
+class OAuthConsentsService extends BaseService {
+  constructor() {
+    super('oauth_consents', { tenantColumn: 'tenant_id' });
+  }
+
+  /**
+   * Find the consent a user gave a client
+   * @param {string} userId - The user ID
+   * @param {string} clientId - The client record ID
+   * @returns {Promise<Object|null>} The consent, or null when the user did not approve the client (or revoked it)
+   */
+  async findActive(userId, clientId) {
+    try {
+      const query = dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('client_id', clientId)
+        .is('revoked_at', null)
+        .limit(1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch OAuth consent: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching OAuth consent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a consent covers all requested scopes
+   * @param {Object|null} consent - The consent
+   * @param {Array<string>} scopes - The requested scopes
+   * @returns {boolean} True if every scope was approved
+   */
+  covers(consent, scopes) {
+    return !!consent && scopes.every(scope => consent.scopes.includes(scope));
+  }
+
+  /**
+   * Record that a user approved scopes for a client. Scopes approved earlier are kept.
+   * @param {Object} user - The user (id and tenant_id)
+   * @param {Object} client - The client
+   * @param {Array<string>} scopes - The approved scopes
+   * @returns {Promise<Object>} The consent
+   */
+  async grant(user, client, scopes) {
+    const existing = await this.findActive(user.id, client.id);
+    const now = new Date().toISOString();
+
+    if (existing) {
+      if (this.covers(existing, scopes)) {
+        return existing;
+      }
+
+      return await super.update(existing.id, {
+        scopes: [...new Set([...existing.scopes, ...scopes])],
+        updated_at: now
+      });
+    }
+
+    return await super.create({
+      user_id: user.id,
+      tenant_id: user.tenant_id,
+      client_id: client.id,
+      scopes,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  /**
+   * Get the clients a user approved
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} Array of consents with the name of the client
+   */
+  async getByUserId(userId) {
+    try {
+      const query = dbClient
+        .from(this.tableName)
+        .select('id, scopes, created_at, updated_at, client:oauth_clients (client_id, name)')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false });
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch OAuth consents: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching OAuth consents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw a consent. The tokens the user gave the client stop working.
+   * @param {string} userId - The user the consent must belong to
+   * @param {string} id - The consent ID
+   * @returns {Promise<Object>} The revoked consent
+   */
+  async revoke(userId, id) {
+    const consent = await this.getById(id);
+
+    if (consent.user_id !== userId || consent.revoked_at) {
+      throw ApiError.notFound(`OAuth consent with ID ${id} not found`);
+    }
+
+    const revoked = await super.update(id, { revoked_at: new Date().toISOString() });
+    await oauthTokensService.revokeForUserAndClient(userId, consent.client_id);
+
+    return revoked;
+  }
+}
+
+export default new OAuthConsentsService();
@@ -0,0 +1,184 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import oauthConfig from '../config/oauth.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+class OAuthTokensService extends BaseService {
+  constructor() {
+    super('oauth_tokens');
+  }
+
+  /**
+   * Store a token. Only the hash is stored; the plain token is returned once.
+   * @param {string} tokenType - 'access' or 'refresh'
+   * @param {Object} grant - client, userId, tenantId, scopes and grantId
+   * @param {Date} expiresAt - When the token expires
+   * @returns {Promise<Object>} Object containing the plain token and the stored record
+   */
+  async store(tokenType, { client, userId = null, tenantId = null, scopes, grantId }, expiresAt) {
+    const token = generateOpaqueToken(tokenType === 'refresh' ? 48 : 32);
+
+    const record = await super.create({
+      client_id: client.id,
+      user_id: userId,
+      tenant_id: tenantId,
+      grant_id: grantId,
+      token_type: tokenType,
+      token_hash: hashToken(token),
+      scopes,
+      expires_at: expiresAt.toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Issue an access token, and a refresh token when asked for. All tokens that descend from
+   * one authorization share the grant ID, so they can be revoked together.
+   * @param {Object} grant - client, userId, tenantId, scopes and grantId
+   * @param {Object} options - refresh: true to issue a refresh token as well, refreshScopes: scopes of the
+   * refresh token when they differ from the access token's
+   * @returns {Promise<Object>} The token response (RFC 6749 section 5.1)
+   */
+  async issue(grant, options = {}) {
+    const now = Date.now();
+    const access = await this.store('access', grant, new Date(now + oauthConfig.accessTokenTtlSeconds * 1000));
+
+    const response = {
+      access_token: access.token,
+      token_type: 'Bearer',
+      expires_in: oauthConfig.accessTokenTtlSeconds,
+      scope: grant.scopes.join(' ')
+    };
+
+    if (options.refresh) {
+      const refreshGrant = { ...grant, scopes: options.refreshScopes || grant.scopes };
+      const refresh = await this.store('refresh', refreshGrant, new Date(now + oauthConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000));
+      response.refresh_token = refresh.token;
+    }
+
+    return response;
+  }
+
+  /**
+   * Find a token by its plain value
+   * @param {string} token - The plain token
+   * @returns {Promise<Object|null>} The token record if found, null otherwise
+   */
+  async findByToken(token) {
+    try {
+      if (!token) {
+        return null;
+      }
+
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('token_hash', hashToken(token))
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to find OAuth token: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error finding OAuth token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a refresh token as used, only if nobody else did in the meantime, so two
+   * concurrent refreshes with the same token cannot both succeed
+   * @param {string} id - The token record ID
+   * @returns {Promise<boolean>} True if this call claimed the token
+   */
+  async claim(id) {
+    try {
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('used_at', null)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw ApiError.internal(`Failed to use OAuth refresh token: ${error.message}`);
+      }
+
+      return !!data && data.length > 0;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error using OAuth refresh token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke tokens matching a set of filters
+   * @param {Object} filters - Column values the tokens must have
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeWhere(filters) {
+    try {
+      let query = dbClient
+        .from(this.tableName)
+        .update({ revoked_at: new Date().toISOString() })
+        .is('revoked_at', null);
+
+      for (const [column, value] of Object.entries(filters)) {
+        query = query.eq(column, value);
+      }
+
+      const { data, error } = await query.select('id');
+
+      if (error) {
+        throw ApiError.internal(`Failed to revoke OAuth tokens: ${error.message}`);
+      }
+
+      return data ? data.length : 0;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error revoking OAuth tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a single token
+   * @param {string} id - The token record ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revoke(id) {
+    return await this.revokeWhere({ id });
+  }
+
+  /**
+   * Revoke every token that descends from one authorization
+   * @param {string} grantId - The grant ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeGrant(grantId) {
+    return await this.revokeWhere({ grant_id: grantId });
+  }
+
+  /**
+   * Revoke every token a user gave a client
+   * @param {string} userId - The user ID
+   * @param {string} clientId - The client record ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeForUserAndClient(userId, clientId) {
+    return await this.revokeWhere({ user_id: userId, client_id: clientId });
+  }
+}
+
+export default new OAuthTokensService();
@@ -0,0 +1,144 @@
+import signingKeysService from './signingKeys.js';
+import oauthClientsService from './oauthClients.js';
+import oauthTokensService from './oauthTokens.js';
+import usersService from './users.js';
+import ApiError from '../errors/errors.js';
+import OAuthError from '../errors/oauthErrors.js';
+import oidcConfig, { SIGNING_ALGORITHMS } from '../config/oidc.js';
+import { OAUTH_GRANT_TYPES, OAUTH_USER_SCOPES } from '../config/oauth.js';
+import { signJwt } from '../utils/jwt.js';
+
+// Claims released per scope (OpenID Connect Core section 5.4)
+const SCOPE_CLAIMS = {
+  profile: ['name', 'given_name', 'family_name', 'preferred_username', 'locale', 'updated_at'],
+  email: ['email', 'email_verified']
+};
+
+class OidcService {
+  /**
+   * Build the OpenID Provider metadata (OpenID Connect Discovery section 3)
+   * @returns {Object} The discovery document
+   */
+  getDiscoveryDocument() {
+    const { issuer } = oidcConfig;
+
+    return {
+      issuer,
+      authorization_endpoint: `${issuer}/oauth/authorize`,
+      token_endpoint: `${issuer}/oauth/token`,
+      revocation_endpoint: `${issuer}/oauth/revoke`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      scopes_supported: OAUTH_USER_SCOPES,
+      response_types_supported: ['code'],
+      grant_types_supported: OAUTH_GRANT_TYPES,
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: SIGNING_ALGORITHMS,
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['iss', 'sub', 'aud', 'exp', 'iat', 'nonce', ...Object.values(SCOPE_CLAIMS).flat()]
+    };
+  }
+
+  /**
+   * Derive the claims about a user that the granted scopes release
+   * @param {Object} user - The user record
+   * @param {Array<string>} scopes - The granted scopes
+   * @returns {Object} The claims, always including sub
+   */
+  getUserClaims(user, scopes) {
+    const claims = { sub: user.id };
+
+    if (scopes.includes('profile')) {
+      Object.assign(claims, {
+        name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+        given_name: user.first_name,
+        family_name: user.last_name,
+        preferred_username: user.username,
+        locale: user.locale || undefined,
+        updated_at: user.updated_at ? Math.floor(new Date(user.updated_at).getTime() / 1000) : undefined
+      });
+    }
+
+    if (scopes.includes('email')) {
+      Object.assign(claims, {
+        email: user.email,
+        email_verified: !!user.is_verified
+      });
+    }
+
+    return Object.fromEntries(Object.entries(claims).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Create an ID token for a user and the client it is issued to (OpenID Connect Core section 2)
+   * @param {Object} user - The user record
+   * @param {Object} client - The client
+   * @param {Object} options - scopes and the nonce of the authorization request
+   * @returns {Promise<string>} The signed ID token
+   */
+  async createIdToken(user, client, { scopes, nonce }) {
+    const { sub, ...claims } = this.getUserClaims(user, scopes);
+
+    return await signJwt(
+      { ...claims, ...(nonce ? { nonce } : {}) },
+      {
+        subject: sub,
+        audience: client.client_id,
+        expiresIn: oidcConfig.idTokenTtlSeconds,
+        header: { typ: 'JWT' }
+      }
+    );
+  }
+
+  /**
+   * Get the public signing keys as JSON Web Key Set
+   * @returns {Promise<Object>} The key set
+   */
+  async getJwks() {
+    return await signingKeysService.getJwks();
+  }
+
+  /**
+   * Get the claims about the user an OAuth access token was issued for (OpenID Connect
+   * Core section 5.3). The token must be active and carry the openid scope.
+   * @param {string} accessToken - The plain access token
+   * @returns {Promise<Object>} The claims
+   */
+  async getUserInfo(accessToken) {
+    const record = await oauthTokensService.findByToken(accessToken);
+
+    if (!record || record.token_type !== 'access' || record.revoked_at || new Date(record.expires_at) < new Date()) {
+      throw OAuthError.invalidToken('The access token is invalid or has expired');
+    }
+
+    if (!record.user_id) {
+      throw OAuthError.invalidToken('The access token was not issued for a user');
+    }
+
+    if (!record.scopes.includes('openid')) {
+      throw OAuthError.insufficientScope('The access token does not have the openid scope');
+    }
+
+    let client;
+    let user;
+
+    try {
+      client = await oauthClientsService.getById(record.client_id);
+      user = await usersService.getById(record.user_id);
+    } catch (error) {
+      if (error instanceof ApiError && error.code === 404) {
+        throw OAuthError.invalidToken('The access token is invalid or has expired');
+      }
+      throw error;
+    }
+
+    if (client.deleted_at || user.deleted_at || user.status !== 'active') {
+      throw OAuthError.invalidToken('The access token is invalid or has expired');
+    }
+
+    return this.getUserClaims(user, record.scopes);
+  }
+}
+
+export default new OidcService();
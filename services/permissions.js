@@ -0,0 +1,115 @@
+import userRolesService from './userRoles.js';
+import rolesService from './roles.js';
+import { WILDCARD_PERMISSION } from '../config/permissions.js';
+import ApiError from '../errors/errors.js';
+
+class PermissionsService {
+  /**
+   * Resolve the roles of a user (assigned and inherited) and the permissions they grant.
+   * Only roles of the user's own tenant and roles that are not bound to a tenant are taken into account.
+   * @param {Object} user - User object containing id and tenant_id
+   * @returns {Promise<Object>} Object containing the resolved roles and the permissions with their source roles
+   */
+  async resolveForUser(user) {
+    const inScope = role => role && !role.deleted_at && (!role.tenant_id || role.tenant_id === user.tenant_id);
+
+    const assignments = await userRolesService.getRolesByUserId(user.id);
+    const assignedIds = new Set(
+      assignments
+        .filter(assignment => inScope(assignment.roles))
+        .map(assignment => assignment.role_id)
+    );
+
+    if (assignedIds.size === 0) {
+      return { roles: [], permissions: [] };
+    }
+
+    const hierarchy = await rolesService.getWithAncestors([...assignedIds]);
+    const roles = [];
+    const sources = new Map();
+
+    for (const role of hierarchy.values()) {
+      if (!inScope(role)) {
+        continue;
+      }
+
+      roles.push({
+        id: role.id,
+        name: role.name,
+        description: role.description,
+        assigned: assignedIds.has(role.id),
+        parent_role_ids: role.parent_role_ids || []
+      });
+
+      for (const permission of role.permissions || []) {
+        if (!sources.has(permission)) {
+          sources.set(permission, []);
+        }
+        sources.get(permission).push({ role_id: role.id, role_name: role.name });
+      }
+    }
+
+    const permissions = [...sources.keys()].sort().map(permission => ({
+      permission,
+      sources: sources.get(permission)
+    }));
+
+    return { roles, permissions };
+  }
+
+  /**
+   * Resolve the permissions a user holds through their roles, including inherited ones
+   * @param {Object} user - User object containing id and tenant_id
+   * @returns {Promise<Array>} Unique permissions of all active roles of the user
+   */
+  async getPermissionsForUser(user) {
+    const { permissions } = await this.resolveForUser(user);
+    return permissions.map(entry => entry.permission);
+  }
+
+  /**
+   * Check whether a set of granted permissions covers a required permission
+   * @param {Array} granted - Permissions the caller holds
+   * @param {string} required - The permission needed, e.g. `users:write`
+   * @returns {boolean} True if the permission is granted directly or via a wildcard
+   */
+  hasPermission(granted, required) {
+    const [resource] = required.split(':');
+
+    return granted.some(permission =>
+      permission === WILDCARD_PERMISSION ||
+      permission === required ||
+      permission === `${resource}:*`
+    );
+  }
+
+  /**
+   * Make sure a caller only hands out permissions it holds itself
+   * @param {Array} granted - Permissions the caller holds
+   * @param {Array} permissions - Permissions that would be handed out
+   * @throws {ApiError} If a permission is not covered by the caller's permissions
+   */
+  assertGrantable(granted, permissions) {
+    const exceeding = permissions.filter(permission => !this.hasPermission(granted, permission));
+
+    if (exceeding.length > 0) {
+      throw ApiError.forbidden(`Cannot grant permissions you do not hold: ${exceeding.join(', ')}`);
+    }
+  }
+
+  /**
+   * Make sure a caller only hands out roles whose permissions (including inherited ones) it holds itself
+   * @param {Array} granted - Permissions the caller holds
+   * @param {Array} roleIds - IDs of the roles that would be handed out
+   * @returns {Promise<void>}
+   */
+  async assertRolesGrantable(granted, roleIds) {
+    if (!roleIds || roleIds.length === 0) {
+      return;
+    }
+
+    this.assertGrantable(granted, await rolesService.getPermissionsOfRoles(roleIds));
+  }
+}
+
+export default new PermissionsService();
@@ -0,0 +1,210 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+const REFRESH_TOKEN_EXPIRES_IN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS || '30');
+
+class RefreshTokensService extends BaseService {
+  constructor() {
+    super('refresh_tokens');
+  }
+
+  /**
+   * Compute the expiration date for a refresh token issued now
+   * @returns {Date} The expiration date
+   */
+  getExpiryDate() {
+    return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Issue a new refresh token for a user. Only the hash is stored; the plain
+   * token is returned once to the caller. Every login session owns exactly one
+   * token family, so the family ID is the session ID.
+   * @param {Object} user - User object containing id and tenant_id
+   * @param {string} familyId - Token family (session) the token belongs to
+   * @returns {Promise<Object>} Object containing the plain token and the stored record
+   */
+  async issue(user, familyId) {
+    const token = generateOpaqueToken(48);
+    const now = new Date();
+    const expiresAt = this.getExpiryDate();
+
+    const record = await super.create({
+      user_id: user.id,
+      tenant_id: user.tenant_id,
+      family_id: familyId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt.toISOString(),
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Find a refresh token record by its plain token value
+   * @param {string} token - The plain refresh token
+   * @returns {Promise<Object|null>} The refresh token record if found, null otherwise
+   */
+  async findByToken(token) {
+    try {
+      if (!token) {
+        return null;
+      }
+
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('token_hash', hashToken(token))
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to find refresh token: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error finding refresh token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rotate a refresh token: the presented token is marked as used and a new
+   * token in the same family is issued. Presenting a token that was already
+   * used is treated as theft and revokes the whole family.
+   * @param {string} token - The plain refresh token
+   * @param {string} tenantId - The tenant ID the token must belong to
+   * @returns {Promise<Object>} Object containing the new plain token, its record and the user ID
+   */
+  async rotate(token, tenantId) {
+    try {
+      const record = await this.findByToken(token);
+
+      if (!record || record.tenant_id !== tenantId) {
+        throw ApiError.unauthorized('Invalid refresh token');
+      }
+
+      if (record.revoked_at) {
+        throw ApiError.unauthorized('Refresh token has been revoked');
+      }
+
+      if (record.used_at) {
+        await this.revokeFamily(record.family_id, 'refresh_token_reuse');
+        throw ApiError.unauthorized('Refresh token reuse detected. All related sessions have been revoked');
+      }
+
+      if (new Date(record.expires_at) < new Date()) {
+        throw ApiError.unauthorized('Refresh token has expired');
+      }
+
+      // Mark as used only if nobody else did in the meantime, so two
+      // concurrent refreshes with the same token cannot both succeed
+      const usedAt = new Date().toISOString();
+      const { data: claimed, error } = await dbClient
+        .from(this.tableName)
+        .update({ used_at: usedAt, updated_at: usedAt })
+        .eq('id', record.id)
+        .is('used_at', null)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw ApiError.internal(`Failed to rotate refresh token: ${error.message}`);
+      }
+
+      if (!claimed || claimed.length === 0) {
+        await this.revokeFamily(record.family_id, 'refresh_token_reuse');
+        throw ApiError.unauthorized('Refresh token reuse detected. All related sessions have been revoked');
+      }
+
+      const issued = await this.issue({ id: record.user_id, tenant_id: record.tenant_id }, record.family_id);
+
+      await dbClient
+        .from(this.tableName)
+        .update({ replaced_by: issued.record.id })
+        .eq('id', record.id);
+
+      return { ...issued, userId: record.user_id };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error rotating refresh token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every token in a family together with the session that owns it
+   * @param {string} familyId - The token family (session) ID
+   * @param {string} reason - Why the session is revoked
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeFamily(familyId, reason = 'revoked') {
+    try {
+      const revokedAt = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ revoked_at: revokedAt, updated_at: revokedAt })
+        .eq('family_id', familyId)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw ApiError.internal(`Failed to revoke refresh token family: ${error.message}`);
+      }
+
+      const { error: sessionError } = await dbClient
+        .from('sessions')
+        .update({ revoked_at: revokedAt, revoked_reason: reason, updated_at: revokedAt })
+        .eq('id', familyId)
+        .is('revoked_at', null);
+
+      if (sessionError) {
+        throw ApiError.internal(`Failed to revoke session ${familyId}: ${sessionError.message}`);
+      }
+
+      return data ? data.length : 0;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error revoking refresh token family: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every refresh token belonging to a user
+   * @param {string} userId - The user ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeAllForUser(userId) {
+    try {
+      const revokedAt = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ revoked_at: revokedAt, updated_at: revokedAt })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw ApiError.internal(`Failed to revoke refresh tokens for user ${userId}: ${error.message}`);
+      }
+
+      return data ? data.length : 0;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error revoking refresh tokens for user ${userId}: ${error.message}`);
+    }
+  }
+}
+
+export default new RefreshTokensService();
@@ -1,10 +1,34 @@
 import BaseService from './base.js';
 import { dbClient } from '../config/supabase.js';
 import ApiError from '../errors/errors.js';
+import { getRequestContext, getTenantScope } from '../utils/requestContext.js';
 
 class RolesService extends BaseService {
   constructor() {
-    super('roles');
+    super('roles', { tenantColumn: 'tenant_id' });
+  }
+
+  /**
+   * Limit a query to roles of the caller's tenant. Roles without a tenant are shared by all
+   * tenants of their application: they can be read but only changed by super admin API keys.
+   * @param {Object} query - Supabase query builder
+   * @param {Object} options - write: true when the query modifies records
+   * @returns {Object} The (possibly) filtered query builder
+   */
+  applyTenantScope(query, options = {}) {
+    const tenantId = getTenantScope();
+
+    if (!tenantId) {
+      return query;
+    }
+
+    const { applicationId } = getRequestContext();
+
+    if (options.write || !applicationId) {
+      return query.eq('tenant_id', tenantId);
+    }
+
+    return query.or(`tenant_id.eq.${tenantId},and(tenant_id.is.null,application_id.eq.${applicationId})`);
   }
 
   /**
@@ -33,7 +57,7 @@ class RolesService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch roles for tenant ${tenantId}: ${error.message}`);
@@ -74,7 +98,7 @@ class RolesService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch deleted roles for tenant ${tenantId}: ${error.message}`);
@@ -115,7 +139,7 @@ class RolesService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch roles for application ${applicationId}: ${error.message}`);
@@ -165,6 +189,116 @@ class RolesService extends BaseService {
       throw ApiError.internal(`Unexpected error checking role name uniqueness: ${error.message}`);
     }
   }
+
+  /**
+   * Get roles together with every role they inherit from (directly or indirectly).
+   * Soft deleted roles are skipped, which also stops inheritance through them.
+   * @param {Array} roleIds - IDs of the roles to start from
+   * @returns {Promise<Map>} Map of role ID to role for the roles and all of their ancestors
+   */
+  async getWithAncestors(roleIds) {
+    try {
+      const roles = new Map();
+      let pending = [...new Set(roleIds)];
+
+      while (pending.length > 0) {
+        const query = dbClient
+          .from(this.tableName)
+          .select('*')
+          .in('id', pending)
+          .is('deleted_at', null);
+
+        const { data, error } = await this.applyTenantScope(query);
+
+        if (error) {
+          throw ApiError.internal(`Failed to fetch role hierarchy: ${error.message}`);
+        }
+
+        for (const role of data || []) {
+          roles.set(role.id, role);
+        }
+
+        pending = [...new Set((data || []).flatMap(role => role.parent_role_ids || []))]
+          .filter(id => !roles.has(id));
+      }
+
+      return roles;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching role hierarchy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that a role may inherit from the given parent roles.
+   * Parents must exist, belong to the same tenant and must not (indirectly) inherit from the role itself.
+   * @param {string|null} roleId - The role ID, null for a role that is being created
+   * @param {Array} parentRoleIds - The requested parent role IDs
+   * @param {string|null} tenantId - The tenant of the role
+   * @returns {Promise<void>}
+   */
+  async validateParents(roleId, parentRoleIds, tenantId) {
+    if (!parentRoleIds || parentRoleIds.length === 0) {
+      return;
+    }
+
+    if (roleId && parentRoleIds.includes(roleId)) {
+      throw ApiError.badRequest('A role cannot inherit from itself');
+    }
+
+    const hierarchy = await this.getWithAncestors(parentRoleIds);
+
+    for (const parentId of parentRoleIds) {
+      const parent = hierarchy.get(parentId);
+
+      if (!parent) {
+        throw ApiError.badRequest(`Parent role with ID ${parentId} not found`);
+      }
+
+      if (parent.tenant_id && parent.tenant_id !== tenantId) {
+        throw ApiError.badRequest(`Parent role with ID ${parentId} belongs to another tenant`);
+      }
+    }
+
+    if (roleId && hierarchy.has(roleId)) {
+      throw ApiError.badRequest('Role inheritance would create a cycle');
+    }
+  }
+
+  /**
+   * Get the permissions a set of roles grants, including the ones they inherit
+   * @param {Array} roleIds - The role IDs
+   * @returns {Promise<Array>} Unique permissions of the roles and their ancestors
+   */
+  async getPermissionsOfRoles(roleIds) {
+    const hierarchy = await this.getWithAncestors(roleIds);
+    return [...new Set([...hierarchy.values()].flatMap(role => role.permissions || []))];
+  }
+
+  /**
+   * Get the effective permissions of a role, including the ones it inherits
+   * @param {string} id - The role ID
+   * @returns {Promise<Object>} The role, its flattened permissions and the roles they come from
+   */
+  async getEffectivePermissions(id) {
+    const role = await this.getById(id);
+    const hierarchy = await this.getWithAncestors([role.id]);
+    const permissions = new Set();
+
+    for (const current of hierarchy.values()) {
+      for (const permission of current.permissions || []) {
+        permissions.add(permission);
+      }
+    }
+
+    return {
+      role_id: role.id,
+      permissions: [...permissions].sort(),
+      inherited_role_ids: [...hierarchy.keys()].filter(roleId => roleId !== role.id)
+    };
+  }
 }
 
 export default new RolesService();
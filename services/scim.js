@@ -0,0 +1,1039 @@
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import ScimError from '../errors/scimErrors.js';
+import usersService from './users.js';
+import rolesService from './roles.js';
+import userRolesService from './userRoles.js';
+import tenantsService from './tenants.js';
+import sessionsService from './sessions.js';
+import oidcConfig from '../config/oidc.js';
+import scimConfig, { SCIM_SCHEMAS } from '../config/scim.js';
+import { scimUserSchema, scimGroupSchema } from '../schemas/scim.js';
+import { parseFilter, parsePath } from '../utils/scimFilter.js';
+import { generateOpaqueToken } from '../utils/tokens.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Attributes that are stored, by their canonical name. Others (such as phoneNumbers or the
+// enterprise extension) are accepted but ignored, as directories send whatever they have.
+const USER_ATTRIBUTES = ['userName', 'name', 'displayName', 'emails', 'locale', 'active', 'externalId', 'password'];
+const GROUP_ATTRIBUTES = ['displayName', 'members', 'externalId'];
+const SUB_ATTRIBUTES = ['givenName', 'familyName', 'formatted', 'value', 'type', 'primary', 'display'];
+
+// Columns that can be filtered on, by lower case attribute path. Attribute names are case
+// insensitive; values are too, except for IDs and timestamps (caseExact).
+const USER_FILTER_COLUMNS = {
+  id: { column: 'id', caseExact: true },
+  externalid: { column: 'external_id', caseExact: true },
+  username: { column: 'username' },
+  emails: { column: 'email' },
+  'emails.value': { column: 'email' },
+  'name.givenname': { column: 'first_name' },
+  'name.familyname': { column: 'last_name' },
+  locale: { column: 'locale' },
+  'meta.created': { column: 'created_at', caseExact: true, dateTime: true },
+  'meta.lastmodified': { column: 'updated_at', caseExact: true, dateTime: true }
+};
+
+const GROUP_FILTER_COLUMNS = {
+  id: { column: 'id', caseExact: true },
+  externalid: { column: 'external_id', caseExact: true },
+  displayname: { column: 'name' },
+  'meta.created': { column: 'created_at', caseExact: true, dateTime: true },
+  'meta.lastmodified': { column: 'updated_at', caseExact: true, dateTime: true }
+};
+
+const USER_COLUMNS = '*, user_roles(role_id, roles(name, tenant_id))';
+const GROUP_COLUMNS = '*, user_roles(user_id, users(username, deleted_at))';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Find the canonical spelling of a (case insensitive) attribute name
+ * @param {string} name - The name as sent by the client
+ * @param {Array} names - Canonical names
+ * @returns {string|null} The canonical name, or null for an unknown attribute
+ */
+const canonical = (name, names) => names.find(known => known.toLowerCase() === String(name).toLowerCase()) || null;
+
+/**
+ * Spell the sub-attributes of a complex value (or of each value of a multi-valued attribute)
+ * the canonical way
+ * @param {*} value - The value
+ * @returns {*} The normalized value
+ */
+const normalizeValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [canonical(key, SUB_ATTRIBUTES) || key, item]));
+};
+
+/**
+ * Keep the attributes of a resource that are stored, spelled the canonical way
+ * @param {Object} resource - The resource as sent by the client
+ * @param {Array} attributes - Canonical names of the stored attributes
+ * @returns {Object} The normalized resource
+ */
+const normalizeResource = (resource, attributes) => {
+  if (!isPlainObject(resource)) {
+    throw ScimError.invalidSyntax('Request body must be a JSON object');
+  }
+
+  return Object.fromEntries(Object.entries(resource)
+    .map(([key, value]) => [canonical(key, attributes), normalizeValue(value)])
+    .filter(([key]) => key));
+};
+
+/**
+ * Read a boolean the way directories send it (Azure AD sends "True" and "False")
+ * @param {*} value - The value
+ * @param {string} attribute - Name of the attribute, for the error message
+ * @returns {boolean} The boolean
+ */
+const toBoolean = (value, attribute) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+    return value.toLowerCase() === 'true';
+  }
+
+  throw ScimError.invalidValue(`${attribute} must be true or false`);
+};
+
+/**
+ * Check a value of a multi-valued attribute against the comparisons of a value filter
+ * @param {Object} item - The value, e.g. { value, type, primary }
+ * @param {Array} comparisons - Comparisons as returned by parseFilter
+ * @returns {boolean} True if every comparison holds
+ */
+const matchesFilter = (item, comparisons) => comparisons.every(({ attribute, operator, value }) => {
+  const actual = isPlainObject(item) ? item[canonical(attribute, SUB_ATTRIBUTES) || attribute] : undefined;
+
+  if (operator === 'pr') {
+    return actual !== undefined && actual !== null && actual !== '';
+  }
+
+  const left = typeof actual === 'string' ? actual.toLowerCase() : actual;
+  const right = typeof value === 'string' ? value.toLowerCase() : value;
+
+  switch (operator) {
+    case 'eq': return left === right;
+    case 'ne': return left !== right;
+    case 'co': return typeof left === 'string' && left.includes(right);
+    case 'sw': return typeof left === 'string' && left.startsWith(right);
+    case 'ew': return typeof left === 'string' && left.endsWith(right);
+    case 'gt': return left > right;
+    case 'ge': return left >= right;
+    case 'lt': return left < right;
+    case 'le': return left <= right;
+    default: return false;
+  }
+});
+
+/**
+ * Apply one PATCH operation to a resource (RFC 7644 section 3.5.2)
+ * @param {Object} resource - The resource, changed in place
+ * @param {string} op - add, replace or remove
+ * @param {string} path - The attribute path
+ * @param {*} value - The value of the operation
+ * @param {Array} attributes - Canonical names of the stored attributes
+ */
+const applyOperation = (resource, op, path, value, attributes) => {
+  // Extension schemas are not stored
+  if (/^urn:ietf:params:scim:schemas:extension:/i.test(path)) {
+    return;
+  }
+
+  const { attribute, filter, subAttribute } = parsePath(path);
+  const key = canonical(attribute, attributes);
+
+  if (!key) {
+    return;
+  }
+
+  if (op !== 'remove' && value === undefined) {
+    throw ScimError.invalidValue(`The ${op} operation on ${path} needs a value`);
+  }
+
+  const sub = subAttribute ? canonical(subAttribute, SUB_ATTRIBUTES) || subAttribute : null;
+  const newValue = normalizeValue(value);
+
+  if (filter) {
+    const items = Array.isArray(resource[key]) ? resource[key] : [];
+    const matches = items.filter(item => matchesFilter(item, filter));
+
+    if (op === 'remove') {
+      if (sub) {
+        matches.forEach(item => { delete item[sub]; });
+      } else {
+        resource[key] = items.filter(item => !matches.includes(item));
+      }
+      return;
+    }
+
+    if (matches.length === 0) {
+      if (!sub) {
+        throw ScimError.noTarget(`No value matches ${path}`);
+      }
+
+      // e.g. emails[type eq "work"].value for a user without a work address: add it
+      const item = Object.fromEntries(filter
+        .filter(comparison => comparison.operator === 'eq')
+        .map(comparison => [canonical(comparison.attribute, SUB_ATTRIBUTES) || comparison.attribute, comparison.value]));
+      resource[key] = [...items, { ...item, [sub]: newValue }];
+      return;
+    }
+
+    matches.forEach(item => {
+      if (sub) {
+        item[sub] = newValue;
+      } else if (isPlainObject(newValue)) {
+        Object.assign(item, newValue);
+      }
+    });
+    return;
+  }
+
+  if (sub) {
+    if (!Array.isArray(resource[key]) && !isPlainObject(resource[key])) {
+      resource[key] = {};
+    }
+
+    // Without a value filter, a sub-attribute of a multi-valued attribute means all its values
+    const targets = Array.isArray(resource[key]) ? resource[key] : [resource[key]];
+
+    targets.forEach(item => {
+      if (op === 'remove') {
+        delete item[sub];
+      } else {
+        item[sub] = newValue;
+      }
+    });
+    return;
+  }
+
+  if (op === 'remove') {
+    // Azure AD removes members by sending them as value of a remove on members
+    if (Array.isArray(resource[key]) && Array.isArray(newValue)) {
+      const removed = new Set(newValue.map(item => item?.value));
+      resource[key] = resource[key].filter(item => !removed.has(item?.value));
+    } else {
+      delete resource[key];
+    }
+    return;
+  }
+
+  if (op === 'add' && Array.isArray(resource[key])) {
+    const added = Array.isArray(newValue) ? newValue : [newValue];
+    const existing = new Set(resource[key].map(item => item?.value));
+
+    // There can only be one primary value
+    if (added.some(item => item?.primary === true)) {
+      resource[key].forEach(item => { item.primary = false; });
+    }
+
+    resource[key] = [...resource[key], ...added.filter(item => !existing.has(item?.value))];
+    return;
+  }
+
+  if (isPlainObject(resource[key]) && isPlainObject(newValue)) {
+    resource[key] = { ...resource[key], ...newValue };
+    return;
+  }
+
+  resource[key] = newValue;
+};
+
+/**
+ * Apply the operations of a PATCH request to a resource
+ * @param {Object} resource - The current resource
+ * @param {Object} body - The PatchOp message
+ * @param {Array} attributes - Canonical names of the stored attributes
+ * @returns {Object} The changed resource
+ */
+const applyPatch = (resource, body, attributes) => {
+  const operations = body?.Operations;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw ScimError.invalidSyntax('Operations must be a non-empty array');
+  }
+
+  if (operations.length > scimConfig.maxPatchOperations) {
+    throw ScimError.tooMany(`At most ${scimConfig.maxPatchOperations} operations can be sent at once`);
+  }
+
+  const result = structuredClone(resource);
+
+  for (const operation of operations) {
+    const op = String(operation?.op || '').toLowerCase();
+
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw ScimError.invalidSyntax(`Unsupported operation: ${operation?.op}`);
+    }
+
+    if (operation.path) {
+      applyOperation(result, op, operation.path, operation.value, attributes);
+      continue;
+    }
+
+    if (op === 'remove') {
+      throw ScimError.noTarget('Remove operations need a path');
+    }
+
+    if (!isPlainObject(operation.value)) {
+      throw ScimError.invalidValue('Operations without a path need an object as value');
+    }
+
+    for (const [path, value] of Object.entries(operation.value)) {
+      applyOperation(result, op, path, value, attributes);
+    }
+  }
+
+  return result;
+};
+
+class ScimService {
+  /**
+   * Base URL of the SCIM endpoints, used in meta.location
+   * @returns {string} The base URL
+   */
+  get baseUrl() {
+    return `${oidcConfig.issuer}/scim/v2`;
+  }
+
+  /**
+   * Validate mapped fields, answering problems as SCIM invalidValue errors
+   * @param {Object} schema - Yup schema
+   * @param {Object} data - The fields
+   * @returns {Promise<Object>} The validated fields
+   */
+  async validate(schema, data) {
+    try {
+      return await schema.validate(data, { abortEarly: false, stripUnknown: true });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw ScimError.invalidValue(error.errors.join('; '));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Limit a query to the records matching a SCIM filter
+   * @param {Object} query - Supabase query builder
+   * @param {Array} comparisons - Comparisons as returned by parseFilter
+   * @param {Object} columns - Filterable columns by lower case attribute path
+   * @returns {Object} The filtered query builder
+   */
+  applyFilter(query, comparisons, columns) {
+    for (const { attribute, operator, value } of comparisons) {
+      const key = attribute.toLowerCase();
+
+      // active is stored as the user's status
+      if (key === 'active' && columns === USER_FILTER_COLUMNS) {
+        if (operator === 'pr') {
+          continue;
+        }
+
+        if (!['eq', 'ne'].includes(operator) || typeof value !== 'boolean') {
+          throw ScimError.invalidFilter('active can only be compared with eq or ne to true or false');
+        }
+
+        query = value === (operator === 'eq') ? query.eq('status', 'active') : query.neq('status', 'active');
+        continue;
+      }
+
+      const target = columns[key];
+
+      if (!target) {
+        throw ScimError.invalidFilter(`Filtering on ${attribute} is not supported`);
+      }
+
+      const { column, caseExact, dateTime } = target;
+
+      if (operator === 'pr') {
+        query = query.not(column, 'is', null);
+        continue;
+      }
+
+      if (typeof value !== 'string') {
+        throw ScimError.invalidFilter(`${attribute} must be compared to a string`);
+      }
+
+      if (dateTime && (['co', 'sw', 'ew'].includes(operator) || Number.isNaN(Date.parse(value)))) {
+        throw ScimError.invalidFilter(`${attribute} must be compared to a date and time with eq, ne, gt, ge, lt or le`);
+      }
+
+      if (column === 'id' && !UUID_PATTERN.test(value)) {
+        if (operator !== 'eq' && operator !== 'ne') {
+          throw ScimError.invalidFilter('id can only be compared with eq or ne');
+        }
+
+        // No record has an ID that is not a UUID
+        query = operator === 'eq' ? query.is('id', null) : query;
+        continue;
+      }
+
+      const like = caseExact ? 'like' : 'ilike';
+      const pattern = value.replace(/[\\%_]/g, '\\$&');
+
+      switch (operator) {
+        case 'eq':
+          query = caseExact ? query.eq(column, value) : query.ilike(column, pattern);
+          break;
+        case 'ne':
+          query = caseExact ? query.neq(column, value) : query.not(column, 'ilike', pattern);
+          break;
+        case 'co':
+          query = query[like](column, `%${pattern}%`);
+          break;
+        case 'sw':
+          query = query[like](column, `${pattern}%`);
+          break;
+        case 'ew':
+          query = query[like](column, `%${pattern}`);
+          break;
+        default:
+          query = query[operator](column, value);
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Fetch a page of records in a stable order (oldest first)
+   * @param {Function} buildQuery - Builds the filtered query for the given select options
+   * @param {Object} options - startIndex (1-based) and count
+   * @returns {Promise<Object>} records, totalResults, startIndex and itemsPerPage
+   */
+  async fetchPage(buildQuery, { startIndex = 1, count }) {
+    const limit = Math.min(count ?? scimConfig.defaultCount, scimConfig.maxResults);
+    const offset = startIndex - 1;
+
+    if (limit > 0) {
+      const { data, error, count: totalResults } = await buildQuery({ count: 'exact' })
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (!error) {
+        return { records: data || [], totalResults, startIndex, itemsPerPage: (data || []).length };
+      }
+
+      // PGRST103: the page starts after the last record
+      if (error.code !== 'PGRST103') {
+        throw ApiError.internal(`Failed to fetch records: ${error.message}`);
+      }
+    }
+
+    // Only the number of matching records
+    const { error, count: totalResults } = await buildQuery({ count: 'exact', head: true });
+
+    if (error) {
+      throw ApiError.internal(`Failed to count records: ${error.message}`);
+    }
+
+    return { records: [], totalResults, startIndex, itemsPerPage: 0 };
+  }
+
+  /**
+   * Build a ListResponse message
+   * @param {Object} page - The page as returned by fetchPage
+   * @param {Function} present - Turns a record into a resource
+   * @returns {Object} The ListResponse
+   */
+  toListResponse(page, present) {
+    return {
+      schemas: [SCIM_SCHEMAS.listResponse],
+      totalResults: page.totalResults,
+      startIndex: page.startIndex,
+      itemsPerPage: page.itemsPerPage,
+      Resources: page.records.map(present)
+    };
+  }
+
+  /**
+   * Represent a user as SCIM User resource
+   * @param {Object} user - The user (with user_roles when its groups are wanted)
+   * @returns {Object} The User resource
+   */
+  toScimUser(user) {
+    const formatted = [user.first_name, user.last_name].filter(Boolean).join(' ');
+
+    return {
+      schemas: [SCIM_SCHEMAS.user],
+      id: user.id,
+      ...(user.external_id && { externalId: user.external_id }),
+      userName: user.username,
+      name: {
+        givenName: user.first_name,
+        familyName: user.last_name,
+        formatted
+      },
+      displayName: formatted || user.username,
+      emails: user.email ? [{ value: user.email, type: 'work', primary: true }] : [],
+      ...(user.locale && { locale: user.locale }),
+      active: user.status === 'active',
+      // Only the roles of the tenant are groups; roles shared by the application are not
+      ...(user.user_roles && {
+        groups: user.user_roles
+          .filter(assignment => assignment.roles?.tenant_id === user.tenant_id)
+          .map(assignment => ({
+            value: assignment.role_id,
+            display: assignment.roles.name,
+            $ref: `${this.baseUrl}/Groups/${assignment.role_id}`
+          }))
+      }),
+      meta: {
+        resourceType: 'User',
+        created: user.created_at,
+        lastModified: user.updated_at || user.created_at,
+        location: `${this.baseUrl}/Users/${user.id}`
+      }
+    };
+  }
+
+  /**
+   * Map a User resource to user fields
+   * @param {Object} resource - The normalized resource
+   * @returns {Object} The user fields (not validated yet)
+   */
+  toUserFields(resource) {
+    const emails = Array.isArray(resource.emails) ? resource.emails.filter(isPlainObject) : [];
+    const email = (
+      emails.find(item => item.primary === true || String(item.primary).toLowerCase() === 'true') ||
+      emails.find(item => String(item.type).toLowerCase() === 'work') ||
+      emails[0]
+    )?.value;
+    const userName = typeof resource.userName === 'string' ? resource.userName : undefined;
+    const name = isPlainObject(resource.name) ? resource.name : {};
+
+    return {
+      username: userName,
+      // Directories often use the email address as userName
+      email: email || (userName?.includes('@') ? userName : undefined),
+      first_name: name.givenName || resource.displayName || userName?.split('@')[0],
+      last_name: name.familyName || '',
+      locale: resource.locale || null,
+      external_id: resource.externalId || null,
+      ...(resource.active !== undefined && { status: toBoolean(resource.active, 'active') ? 'active' : 'inactive' }),
+      ...(resource.password && { password: resource.password })
+    };
+  }
+
+  /**
+   * Save a user, answering duplicate emails and usernames as SCIM uniqueness errors
+   * @param {Function} save - Creates or updates the user
+   * @returns {Promise<Object>} The saved user
+   */
+  async saveUser(save) {
+    try {
+      return await save();
+    } catch (error) {
+      if (error instanceof ApiError && error.code === 400 && /already exists$/.test(error.message)) {
+        throw ScimError.uniqueness(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user of a tenant that is not deleted
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The user ID
+   * @returns {Promise<Object>} The user with its roles
+   */
+  async findUser(tenantId, id) {
+    if (!UUID_PATTERN.test(id)) {
+      throw ApiError.notFound(`User ${id} not found`);
+    }
+
+    const user = await usersService.getById(id);
+
+    if (user.deleted_at || user.tenant_id !== tenantId) {
+      throw ApiError.notFound(`User ${id} not found`);
+    }
+
+    return user;
+  }
+
+  /**
+   * List the users of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} query - filter, startIndex, count and excludedAttributes
+   * @returns {Promise<Object>} ListResponse of User resources
+   */
+  async listUsers(tenantId, query = {}) {
+    const comparisons = query.filter ? parseFilter(query.filter) : [];
+    const withGroups = !/\bgroups\b/i.test(query.excludedAttributes || '');
+
+    const page = await this.fetchPage(options => {
+      const builder = dbClient
+        .from('users')
+        .select(withGroups ? USER_COLUMNS : '*', options)
+        .eq('tenant_id', tenantId)
+        .is('deleted_at', null);
+
+      return usersService.applyTenantScope(this.applyFilter(builder, comparisons, USER_FILTER_COLUMNS));
+    }, query);
+
+    return this.toListResponse(page, user => this.toScimUser(user));
+  }
+
+  /**
+   * Get a user as SCIM resource
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The user ID
+   * @returns {Promise<Object>} The User resource
+   */
+  async getUser(tenantId, id) {
+    return this.toScimUser(await this.findUser(tenantId, id));
+  }
+
+  /**
+   * Provision a user into a tenant. The directory vouches for the email address, so it counts
+   * as verified; without a password in the request the user signs in through single sign-on
+   * (or resets the password first).
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} resource - The User resource
+   * @returns {Promise<Object>} The created User resource
+   */
+  async createUser(tenantId, resource) {
+    const tenant = await tenantsService.getById(tenantId);
+    const { password, status, ...fields } = await this.validate(scimUserSchema, this.toUserFields(normalizeResource(resource, USER_ATTRIBUTES)));
+
+    const user = await this.saveUser(() => usersService.create({
+      ...fields,
+      tenant_id: tenant.id,
+      application_id: tenant.application_id,
+      status: status || 'active',
+      is_verified: true,
+      password: password || generateOpaqueToken()
+    }));
+
+    return await this.getUser(tenant.id, user.id);
+  }
+
+  /**
+   * Save the state of a User resource to a user. Sessions of users that are deactivated end.
+   * @param {Object} user - The current user
+   * @param {Object} resource - The normalized resource
+   * @returns {Promise<Object>} The saved User resource
+   */
+  async saveUserResource(user, resource) {
+    const { status, password, ...updateData } = await this.validate(scimUserSchema, this.toUserFields(resource));
+
+    // SCIM only knows active or not; a suspended user stays suspended unless activated
+    if (status && (status === 'active') !== (user.status === 'active')) {
+      updateData.status = status;
+    }
+
+    if (password) {
+      updateData.password = password;
+    }
+
+    if (updateData.email !== user.email) {
+      updateData.is_verified = true;
+    }
+
+    await this.saveUser(() => usersService.update(user.id, updateData));
+
+    if (updateData.status && updateData.status !== 'active') {
+      await sessionsService.revokeAllForUser(user.id, 'deprovisioned');
+    }
+
+    return await this.getUser(user.tenant_id, user.id);
+  }
+
+  /**
+   * Replace a user (PUT)
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The user ID
+   * @param {Object} resource - The User resource
+   * @returns {Promise<Object>} The updated User resource
+   */
+  async replaceUser(tenantId, id, resource) {
+    const user = await this.findUser(tenantId, id);
+    return await this.saveUserResource(user, normalizeResource(resource, USER_ATTRIBUTES));
+  }
+
+  /**
+   * Change a user with PATCH operations
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The user ID
+   * @param {Object} body - The PatchOp message
+   * @returns {Promise<Object>} The updated User resource
+   */
+  async patchUser(tenantId, id, body) {
+    const user = await this.findUser(tenantId, id);
+    return await this.saveUserResource(user, applyPatch(this.toScimUser(user), body, USER_ATTRIBUTES));
+  }
+
+  /**
+   * Deprovision a user: soft delete it and end its sessions
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The user ID
+   * @returns {Promise<void>}
+   */
+  async deleteUser(tenantId, id) {
+    await this.findUser(tenantId, id);
+    await usersService.softDelete(id);
+    await sessionsService.revokeAllForUser(id, 'deprovisioned');
+  }
+
+  /**
+   * Represent a role as SCIM Group resource
+   * @param {Object} role - The role (with user_roles when its members are wanted)
+   * @returns {Object} The Group resource
+   */
+  toScimGroup(role) {
+    return {
+      schemas: [SCIM_SCHEMAS.group],
+      id: role.id,
+      ...(role.external_id && { externalId: role.external_id }),
+      displayName: role.name,
+      ...(role.user_roles && {
+        members: role.user_roles
+          .filter(assignment => assignment.users && !assignment.users.deleted_at)
+          .map(assignment => ({
+            value: assignment.user_id,
+            display: assignment.users.username,
+            type: 'User',
+            $ref: `${this.baseUrl}/Users/${assignment.user_id}`
+          }))
+      }),
+      meta: {
+        resourceType: 'Group',
+        created: role.created_at,
+        lastModified: role.updated_at || role.created_at,
+        location: `${this.baseUrl}/Groups/${role.id}`
+      }
+    };
+  }
+
+  /**
+   * Map a Group resource to role fields and member IDs
+   * @param {Object} resource - The normalized resource
+   * @returns {Object} The fields (not validated yet)
+   */
+  toGroupFields(resource) {
+    const members = Array.isArray(resource.members) ? resource.members : [];
+
+    return {
+      name: resource.displayName,
+      external_id: resource.externalId || null,
+      member_ids: [...new Set(members.map(member => (isPlainObject(member) ? member.value : member)))]
+    };
+  }
+
+  /**
+   * Get a role of a tenant with its members. Groups are the roles of the tenant; roles shared
+   * by all tenants of the application are not exposed.
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The role ID
+   * @returns {Promise<Object>} The role
+   */
+  async findGroup(tenantId, id) {
+    if (!UUID_PATTERN.test(id)) {
+      throw ApiError.notFound(`Group ${id} not found`);
+    }
+
+    const query = dbClient
+      .from('roles')
+      .select(GROUP_COLUMNS)
+      .eq('id', id)
+      .eq('tenant_id', tenantId)
+      .is('deleted_at', null)
+      .limit(1);
+
+    const { data, error } = await rolesService.applyTenantScope(query);
+
+    if (error) {
+      throw ApiError.internal(`Failed to fetch group: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      throw ApiError.notFound(`Group ${id} not found`);
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Assign and unassign the role of a group so its members match the wanted users.
+   * Only users of the group's tenant can become members.
+   * @param {string} tenantId - The tenant ID
+   * @param {string} roleId - The role ID
+   * @param {Array} currentIds - IDs of the current members
+   * @param {Array} memberIds - IDs of the wanted members
+   * @returns {Promise<void>}
+   */
+  async updateMembers(tenantId, roleId, currentIds, memberIds) {
+    const current = new Set(currentIds);
+    const wanted = new Set(memberIds);
+
+    for (const userId of wanted) {
+      if (current.has(userId)) {
+        continue;
+      }
+
+      try {
+        await this.findUser(tenantId, userId);
+        await userRolesService.create({ user_id: userId, role_id: roleId });
+      } catch (error) {
+        if (error instanceof ApiError && error.code === 404) {
+          throw ScimError.invalidValue(`User ${userId} does not exist`);
+        }
+        // Assigned in the meantime
+        if (!(error instanceof ApiError && error.code === 400)) {
+          throw error;
+        }
+      }
+    }
+
+    for (const userId of current) {
+      if (!wanted.has(userId) && await userRolesService.exists(userId, roleId)) {
+        await userRolesService.delete(userId, roleId);
+      }
+    }
+  }
+
+  /**
+   * List the groups of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} query - filter, startIndex, count and excludedAttributes
+   * @returns {Promise<Object>} ListResponse of Group resources
+   */
+  async listGroups(tenantId, query = {}) {
+    const comparisons = query.filter ? parseFilter(query.filter) : [];
+    const withMembers = !/\bmembers\b/i.test(query.excludedAttributes || '');
+
+    const page = await this.fetchPage(options => {
+      const builder = dbClient
+        .from('roles')
+        .select(withMembers ? GROUP_COLUMNS : '*', options)
+        .eq('tenant_id', tenantId)
+        .is('deleted_at', null);
+
+      return rolesService.applyTenantScope(this.applyFilter(builder, comparisons, GROUP_FILTER_COLUMNS));
+    }, query);
+
+    return this.toListResponse(page, role => this.toScimGroup(role));
+  }
+
+  /**
+   * Get a group as SCIM resource
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The role ID
+   * @returns {Promise<Object>} The Group resource
+   */
+  async getGroup(tenantId, id) {
+    return this.toScimGroup(await this.findGroup(tenantId, id));
+  }
+
+  /**
+   * Create a role for a group of the directory and assign it to the members
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} resource - The Group resource
+   * @returns {Promise<Object>} The created Group resource
+   */
+  async createGroup(tenantId, resource) {
+    const tenant = await tenantsService.getById(tenantId);
+    const { member_ids: memberIds, ...fields } = await this.validate(scimGroupSchema, this.toGroupFields(normalizeResource(resource, GROUP_ATTRIBUTES)));
+
+    if (await rolesService.nameExistsForTenant(fields.name, tenant.id)) {
+      throw ScimError.uniqueness(`A group named ${fields.name} already exists`);
+    }
+
+    const role = await rolesService.create({
+      ...fields,
+      tenant_id: tenant.id,
+      application_id: tenant.application_id,
+      permissions: []
+    });
+
+    await this.updateMembers(tenant.id, role.id, [], memberIds);
+
+    return await this.getGroup(tenantId, role.id);
+  }
+
+  /**
+   * Save the state of a Group resource to a role and its assignments
+   * @param {Object} role - The current role with its members
+   * @param {Object} resource - The normalized resource
+   * @returns {Promise<Object>} The saved Group resource
+   */
+  async saveGroupResource(role, resource) {
+    const { member_ids: memberIds, ...fields } = await this.validate(scimGroupSchema, this.toGroupFields(resource));
+
+    if (fields.name !== role.name || fields.external_id !== role.external_id) {
+      if (fields.name !== role.name && await rolesService.nameExistsForTenant(fields.name, role.tenant_id, role.id)) {
+        throw ScimError.uniqueness(`A group named ${fields.name} already exists`);
+      }
+
+      await rolesService.update(role.id, fields);
+    }
+
+    const currentIds = this.toScimGroup(role).members.map(member => member.value);
+    await this.updateMembers(role.tenant_id, role.id, currentIds, memberIds);
+
+    return await this.getGroup(role.tenant_id, role.id);
+  }
+
+  /**
+   * Replace a group (PUT)
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The role ID
+   * @param {Object} resource - The Group resource
+   * @returns {Promise<Object>} The updated Group resource
+   */
+  async replaceGroup(tenantId, id, resource) {
+    const role = await this.findGroup(tenantId, id);
+    return await this.saveGroupResource(role, normalizeResource(resource, GROUP_ATTRIBUTES));
+  }
+
+  /**
+   * Change a group with PATCH operations, e.g. to add or remove members
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The role ID
+   * @param {Object} body - The PatchOp message
+   * @returns {Promise<Object>} The updated Group resource
+   */
+  async patchGroup(tenantId, id, body) {
+    const role = await this.findGroup(tenantId, id);
+    return await this.saveGroupResource(role, applyPatch(this.toScimGroup(role), body, GROUP_ATTRIBUTES));
+  }
+
+  /**
+   * Delete a group: its members lose the role and the role is soft deleted
+   * @param {string} tenantId - The tenant ID
+   * @param {string} id - The role ID
+   * @returns {Promise<void>}
+   */
+  async deleteGroup(tenantId, id) {
+    await this.findGroup(tenantId, id);
+    await userRolesService.removeAllUsersFromRole(id);
+    await rolesService.softDelete(id);
+  }
+
+  /**
+   * Describe what this service provider supports (RFC 7643 section 5)
+   * @returns {Object} The ServiceProviderConfig resource
+   */
+  getServiceProviderConfig() {
+    return {
+      schemas: [SCIM_SCHEMAS.serviceProviderConfig],
+      documentationUri: `${oidcConfig.issuer}/api/swagger`,
+      patch: { supported: true },
+      bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+      filter: { supported: true, maxResults: scimConfig.maxResults },
+      changePassword: { supported: true },
+      sort: { supported: false },
+      etag: { supported: false },
+      authenticationSchemes: [
+        {
+          type: 'oauthbearertoken',
+          name: 'API key',
+          description: 'Send an API key of the tenant with a scim:users, scim:groups or scim:* scope as bearer token',
+          primary: true
+        }
+      ],
+      meta: {
+        resourceType: 'ServiceProviderConfig',
+        location: `${this.baseUrl}/ServiceProviderConfig`
+      }
+    };
+  }
+
+  /**
+   * Describe the resource types (RFC 7643 section 6)
+   * @returns {Array} The ResourceType resources
+   */
+  getResourceTypes() {
+    return [
+      { id: 'User', name: 'User', endpoint: '/Users', description: 'User account', schema: SCIM_SCHEMAS.user },
+      { id: 'Group', name: 'Group', endpoint: '/Groups', description: 'Role of the tenant', schema: SCIM_SCHEMAS.group }
+    ].map(resourceType => ({
+      schemas: [SCIM_SCHEMAS.resourceType],
+      ...resourceType,
+      meta: { resourceType: 'ResourceType', location: `${this.baseUrl}/ResourceTypes/${resourceType.id}` }
+    }));
+  }
+
+  /**
+   * Describe the attributes of the resources (RFC 7643 section 7)
+   * @returns {Array} The Schema resources
+   */
+  getSchemas() {
+    const attribute = (name, options = {}) => ({
+      name,
+      type: 'string',
+      multiValued: false,
+      required: false,
+      caseExact: false,
+      mutability: 'readWrite',
+      returned: 'default',
+      uniqueness: 'none',
+      ...options
+    });
+    const reference = (referenceTypes) => attribute('$ref', { type: 'reference', referenceTypes, mutability: 'immutable' });
+
+    return [
+      {
+        id: SCIM_SCHEMAS.user,
+        name: 'User',
+        description: 'User account',
+        attributes: [
+          attribute('userName', { required: true, uniqueness: 'server' }),
+          attribute('name', {
+            type: 'complex',
+            subAttributes: [attribute('givenName'), attribute('familyName'), attribute('formatted', { mutability: 'readOnly' })]
+          }),
+          attribute('displayName'),
+          attribute('emails', {
+            type: 'complex',
+            multiValued: true,
+            subAttributes: [attribute('value', { uniqueness: 'server' }), attribute('type'), attribute('primary', { type: 'boolean' })]
+          }),
+          attribute('locale'),
+          attribute('active', { type: 'boolean' }),
+          attribute('password', { mutability: 'writeOnly', returned: 'never' }),
+          attribute('groups', {
+            type: 'complex',
+            multiValued: true,
+            mutability: 'readOnly',
+            subAttributes: [attribute('value', { mutability: 'readOnly' }), attribute('display', { mutability: 'readOnly' }), reference(['Group'])]
+          })
+        ]
+      },
+      {
+        id: SCIM_SCHEMAS.group,
+        name: 'Group',
+        description: 'Role of the tenant',
+        attributes: [
+          attribute('displayName', { required: true, uniqueness: 'server' }),
+          attribute('members', {
+            type: 'complex',
+            multiValued: true,
+            subAttributes: [attribute('value', { mutability: 'immutable' }), attribute('display', { mutability: 'readOnly' }), attribute('type', { mutability: 'immutable' }), reference(['User'])]
+          })
+        ]
+      }
+    ].map(schema => ({
+      schemas: [SCIM_SCHEMAS.schema],
+      ...schema,
+      meta: { resourceType: 'Schema', location: `${this.baseUrl}/Schemas/${schema.id}` }
+    }));
+  }
+}
+
+export default new ScimService();
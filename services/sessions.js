@@ -0,0 +1,186 @@
+import BaseService from './base.js';
+import refreshTokensService from './refreshTokens.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import { generateToken } from '../utils/jwt.js';
+
+// Avoid writing last_seen_at on every single request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+class SessionsService extends BaseService {
+  constructor() {
+    super('sessions');
+  }
+
+  /**
+   * Start a new session for a user and issue its first token pair
+   * @param {Object} user - User object containing id and tenant_id
+   * @param {Object} context - Request context (userAgent, ipAddress)
+   * @returns {Promise<Object>} Object containing the session, access token and refresh token
+   */
+  async start(user, context = {}) {
+    const now = new Date().toISOString();
+
+    const session = await super.create({
+      user_id: user.id,
+      tenant_id: user.tenant_id,
+      user_agent: context.userAgent || null,
+      ip_address: context.ipAddress || null,
+      last_seen_at: now,
+      expires_at: refreshTokensService.getExpiryDate().toISOString(),
+      created_at: now,
+      updated_at: now
+    });
+
+    const refreshToken = await refreshTokensService.issue(user, session.id);
+
+    return {
+      session,
+      token: await generateToken(user, session.id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Get a session if it is still active for the given user
+   * @param {string} id - The session ID
+   * @param {string} userId - The user ID the session must belong to
+   * @returns {Promise<Object|null>} The session if active, null otherwise
+   */
+  async getActiveSession(id, userId) {
+    try {
+      if (!id || !userId) {
+        return null;
+      }
+
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch session: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all active sessions for a user
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} Array of active sessions, most recently seen first
+   */
+  async getActiveByUserId(userId) {
+    try {
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('id, user_agent, ip_address, last_seen_at, expires_at, created_at')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_seen_at', { ascending: false });
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch sessions for user ${userId}: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching sessions for user ${userId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record activity on a session (throttled)
+   * @param {Object} session - The session record
+   * @returns {Promise<void>}
+   */
+  async touch(session) {
+    if (Date.now() - new Date(session.last_seen_at).getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) {
+      return;
+    }
+
+    const { error } = await dbClient
+      .from(this.tableName)
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('id', session.id);
+
+    if (error) {
+      throw ApiError.internal(`Failed to update session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extend a session after its refresh token was rotated
+   * @param {string} id - The session ID
+   * @param {string} expiresAt - The new expiration timestamp
+   * @returns {Promise<Object>} The updated session
+   */
+  async extend(id, expiresAt) {
+    const now = new Date().toISOString();
+    return await super.update(id, { expires_at: expiresAt, last_seen_at: now });
+  }
+
+  /**
+   * Revoke a single session of a user
+   * @param {string} id - The session ID
+   * @param {string} userId - The user ID the session must belong to
+   * @param {string} reason - Why the session is revoked
+   * @returns {Promise<void>}
+   */
+  async revoke(id, userId, reason = 'revoked') {
+    const session = await this.getActiveSession(id, userId);
+
+    if (!session) {
+      throw ApiError.notFound(`Session with ID ${id} not found`);
+    }
+
+    await refreshTokensService.revokeFamily(session.id, reason);
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - The user ID
+   * @param {string} reason - Why the sessions are revoked
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllForUser(userId, reason = 'revoked') {
+    try {
+      const revokedAt = new Date().toISOString();
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({ revoked_at: revokedAt, revoked_reason: reason, updated_at: revokedAt })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw ApiError.internal(`Failed to revoke sessions for user ${userId}: ${error.message}`);
+      }
+
+      await refreshTokensService.revokeAllForUser(userId);
+
+      return data ? data.length : 0;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error revoking sessions for user ${userId}: ${error.message}`);
+    }
+  }
+}
+
+export default new SessionsService();
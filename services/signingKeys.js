@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+import oidcConfig from '../config/oidc.js';
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// Members of a public JWK that make up its thumbprint (RFC 7638 section 3.2)
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y']
+};
+
+// Minimum time between two reloads caused by an unknown kid, so tokens with made up
+// key IDs cannot make every request hit the database
+const MIN_RELOAD_INTERVAL_MS = 10 * 1000;
+
+class SigningKeysService extends BaseService {
+  constructor() {
+    super('signing_keys');
+    this.keys = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.rotating = null;
+  }
+
+  /**
+   * Compute the JWK thumbprint of a public key (RFC 7638), used as its kid
+   * @param {Object} jwk - The public key as JWK
+   * @returns {string} Base64url encoded SHA-256 thumbprint
+   */
+  thumbprint(jwk) {
+    const members = THUMBPRINT_MEMBERS[jwk.kty].reduce((result, member) => ({ ...result, [member]: jwk[member] }), {});
+    return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+  }
+
+  /**
+   * Generate a new signing key and store it. It becomes the key new tokens are signed with;
+   * older keys stay available to verify the tokens they signed.
+   * @param {string} algorithm - RS256 or ES256
+   * @returns {Promise<Object>} The stored key (without the private key)
+   */
+  async create(algorithm = oidcConfig.signingAlgorithm) {
+    const { publicKey, privateKey } = algorithm === 'ES256'
+      ? await generateKeyPair('ec', { namedCurve: 'P-256' })
+      : await generateKeyPair('rsa', { modulusLength: 2048 });
+
+    const jwk = publicKey.export({ format: 'jwk' });
+    const kid = this.thumbprint(jwk);
+
+    const record = await super.create({
+      kid,
+      algorithm,
+      public_jwk: { ...jwk, kid, alg: algorithm, use: 'sig' },
+      private_key: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+      created_at: new Date().toISOString()
+    });
+
+    this.keys = null;
+
+    return this.present(record);
+  }
+
+  /**
+   * Leave out the private key and add the status of the key: 'current' for the key new
+   * tokens are signed with, 'active' for older keys that still verify tokens and 'retired'
+   * @param {Object} key - The stored key
+   * @param {string} currentKid - kid of the current signing key
+   * @returns {Object} The key without its private key
+   */
+  present(key, currentKid) {
+    const { private_key, privateKey, publicKey, ...rest } = key;
+    let status = 'active';
+
+    if (key.retired_at) {
+      status = 'retired';
+    } else if (key.kid === currentKid) {
+      status = 'current';
+    }
+
+    return { ...rest, status };
+  }
+
+  /**
+   * Get all signing keys, including retired ones, newest first
+   * @param {Object} options - Query options (limit, offset, status)
+   * @returns {Promise<Array>} Array of keys
+   */
+  async getAll(options = {}) {
+    this.assertNotTenantScoped('manage signing keys');
+
+    try {
+      const { limit = 100, offset = 0, status } = options;
+
+      let query = dbClient
+        .from(this.tableName)
+        .select('*');
+
+      if (status === 'retired') query = query.not('retired_at', 'is', null);
+      if (status === 'active') query = query.is('retired_at', null);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch signing keys: ${error.message}`);
+      }
+
+      const [current] = await this.getKeys();
+      return (data || []).map(key => this.present(key, current?.kid));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching signing keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the signing keys that are not retired, newest first, with their key objects
+   * @returns {Promise<Array>} Array of keys
+   */
+  async load() {
+    try {
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .is('retired_at', null)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch signing keys: ${error.message}`);
+      }
+
+      return (data || []).map(record => ({
+        ...record,
+        privateKey: crypto.createPrivateKey(record.private_key),
+        publicKey: crypto.createPublicKey({ key: record.public_jwk, format: 'jwk' })
+      }));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching signing keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the signing keys from the cache, reading the key store when the cache is stale
+   * @param {Object} options - refresh: true to read the key store regardless of the cache
+   * @returns {Promise<Array>} Array of keys, newest first
+   */
+  async getKeys(options = {}) {
+    const stale = Date.now() - this.loadedAt > oidcConfig.keyCacheSeconds * 1000;
+
+    if (this.keys && !stale && !options.refresh) {
+      return this.keys;
+    }
+
+    if (!this.loading) {
+      this.loading = this.load()
+        .then(keys => {
+          this.keys = keys;
+          this.loadedAt = Date.now();
+          return keys;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return await this.loading;
+  }
+
+  /**
+   * Check whether a key is due for scheduled rotation
+   * @param {Object} key - The key
+   * @returns {boolean} True if the key is older than SIGNING_KEY_ROTATION_DAYS
+   */
+  isRotationDue(key) {
+    return Date.now() - new Date(key.created_at).getTime() > oidcConfig.rotationDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Get the key to sign new tokens with. A key is generated the first time and whenever
+   * the current one is due for rotation.
+   * @returns {Promise<Object>} The newest key that is not retired
+   */
+  async getSigningKey() {
+    let keys = await this.getKeys();
+
+    if (keys.length === 0 || this.isRotationDue(keys[0])) {
+      // Other instances may rotate at the same time; the extra key is harmless, since
+      // every instance signs with the newest key and verifies with all of them
+      if (!this.rotating) {
+        this.rotating = this.create().finally(() => {
+          this.rotating = null;
+        });
+      }
+      await this.rotating;
+      keys = await this.getKeys({ refresh: true });
+    }
+
+    return keys[0];
+  }
+
+  /**
+   * Get the key a token was signed with. Unknown key IDs cause one reload, since the key
+   * may have been created by another instance since the cache was filled.
+   * @param {string} kid - The key ID from the token header
+   * @returns {Promise<Object|null>} The key, or null when it is unknown
+   */
+  async getVerificationKey(kid) {
+    let keys = await this.getKeys();
+    let key = keys.find(candidate => candidate.kid === kid);
+
+    if (!key && Date.now() - this.loadedAt > MIN_RELOAD_INTERVAL_MS) {
+      keys = await this.getKeys({ refresh: true });
+      key = keys.find(candidate => candidate.kid === kid);
+    }
+
+    return key || null;
+  }
+
+  /**
+   * Start signing with a new key. Tokens signed with the previous keys stay valid.
+   * @param {string} algorithm - RS256 or ES256 (defaults to JWT_SIGNING_ALGORITHM)
+   * @returns {Promise<Object>} The new key (without the private key)
+   */
+  async rotate(algorithm) {
+    this.assertNotTenantScoped('manage signing keys');
+
+    const key = await this.create(algorithm);
+    return { ...key, status: 'current' };
+  }
+
+  /**
+   * Retire a key. Tokens it signed are rejected from then on and it is removed from the
+   * key set. Retiring the current key first rotates to a new one. Other instances stop
+   * accepting the key when their cache expires (SIGNING_KEY_CACHE_SECONDS).
+   * @param {string} id - The key record ID
+   * @returns {Promise<Object>} The retired key
+   */
+  async retire(id) {
+    this.assertNotTenantScoped('manage signing keys');
+
+    const key = await this.getById(id);
+
+    if (key.retired_at) {
+      throw ApiError.conflict('Signing key is already retired');
+    }
+
+    const [current] = await this.getKeys({ refresh: true });
+
+    if (current?.kid === key.kid) {
+      await this.create(key.algorithm);
+    }
+
+    const retired = await super.update(id, { retired_at: new Date().toISOString() });
+    this.keys = null;
+
+    return this.present(retired);
+  }
+
+  /**
+   * Get the public keys as JSON Web Key Set, for clients that verify tokens
+   * @returns {Promise<Object>} The key set
+   */
+  async getJwks() {
+    await this.getSigningKey();
+
+    const keys = await this.getKeys();
+    return { keys: keys.map(key => key.public_jwk) };
+  }
+}
+
+export default new SigningKeysService();
@@ -4,11 +4,11 @@ import ApiError from '../errors/errors.js';
 
 class TenantsService extends BaseService {
   constructor() {
-    super('tenants');
+    // A tenant scoped caller can only see its own tenant
+    super('tenants', { tenantColumn: 'id' });
   }
 
   // All CRUD operations are now inherited from BaseService:
-  // - create(tenantData)
   // - getAll(options)
   // - getById(id)
   // - update(id, updateData)
@@ -22,6 +22,16 @@ class TenantsService extends BaseService {
   // async getByDomain(domain) { ... }
   // async getByStatus(status) { ... }
 
+  /**
+   * Create a new tenant. Tenants can only be created by super admin API keys.
+   * @param {Object} data - The tenant data
+   * @returns {Promise<Object>} The created tenant
+   */
+  async create(data) {
+    this.assertNotTenantScoped('create tenants');
+    return await super.create(data);
+  }
+
   /**
    * Get tenants by application ID
    * @param {string} applicationId - The application ID
@@ -40,7 +50,7 @@ class TenantsService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch tenants for application ${applicationId}: ${error.message}`);
@@ -73,7 +83,7 @@ class TenantsService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch deleted tenants for application ${applicationId}: ${error.message}`);
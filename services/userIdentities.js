@@ -0,0 +1,114 @@
+import BaseService from './base.js';
+import { dbClient } from '../config/supabase.js';
+import ApiError from '../errors/errors.js';
+
+class UserIdentitiesService extends BaseService {
+  constructor() {
+    super('user_identities', { tenantColumn: 'tenant_id' });
+  }
+
+  /**
+   * Find the identity a provider knows a user by
+   * @param {string} providerId - The identity provider ID
+   * @param {string} subject - The user's ID at the provider (OIDC sub, SAML NameID)
+   * @returns {Promise<Object|null>} The identity, or null when it is not linked to a user
+   */
+  async findBySubject(providerId, subject) {
+    try {
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('provider_id', providerId)
+        .eq('subject', subject)
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to find user identity: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error finding user identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the external identities linked to a user
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} Array of identities with the name and protocol of their provider
+   */
+  async getByUserId(userId) {
+    try {
+      const query = dbClient
+        .from(this.tableName)
+        .select('*, provider:identity_providers(name, protocol)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch user identities: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching user identities: ${error.message}`);
+    }
+  }
+
+  /**
+   * Link an external identity to a user
+   * @param {Object} user - The user
+   * @param {Object} provider - The identity provider
+   * @param {Object} profile - subject and email from the provider
+   * @returns {Promise<Object>} The identity
+   */
+  async link(user, provider, profile) {
+    const now = new Date().toISOString();
+
+    return await super.create({
+      user_id: user.id,
+      tenant_id: user.tenant_id,
+      provider_id: provider.id,
+      subject: profile.subject,
+      email: profile.email || null,
+      last_login_at: now,
+      created_at: now
+    });
+  }
+
+  /**
+   * Remember when the identity was last used to sign in
+   * @param {Object} identity - The identity
+   * @param {Object} profile - email from the provider
+   */
+  async recordLogin(identity, profile) {
+    try {
+      const { error } = await dbClient
+        .from(this.tableName)
+        .update({
+          email: profile.email || identity.email,
+          last_login_at: new Date().toISOString()
+        })
+        .eq('id', identity.id);
+
+      if (error) {
+        throw ApiError.internal(`Failed to update user identity: ${error.message}`);
+      }
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error updating user identity: ${error.message}`);
+    }
+  }
+}
+
+export default new UserIdentitiesService();
@@ -1,11 +1,35 @@
 import { dbClient } from '../config/supabase.js';
 import ApiError from '../errors/errors.js';
+import usersService from './users.js';
+import rolesService from './roles.js';
+import { getTenantScope } from '../utils/requestContext.js';
+
+/**
+ * Remove the password hash, MFA secrets and tokens from the user embedded in an assignment
+ * @param {Object} assignment - The user role assignment (with users)
+ * @returns {Object} The assignment with a sanitized user
+ */
+const sanitizeAssignment = (assignment) => ({
+  ...assignment,
+  users: usersService.sanitize(assignment.users)
+});
 
 class UserRolesService {
   constructor() {
     this.tableName = 'user_roles';
   }
 
+  /**
+   * Limit a query to assignments of users in the caller's tenant.
+   * The query must embed users with an inner join (users!inner).
+   * @param {Object} query - Supabase query builder
+   * @returns {Object} The (possibly) filtered query builder
+   */
+  applyTenantScope(query) {
+    const tenantId = getTenantScope();
+    return tenantId ? query.eq('users.tenant_id', tenantId) : query;
+  }
+
   /**
    * Assign a role to a user
    * @param {Object} data - The data containing user_id and role_id
@@ -13,6 +37,10 @@ class UserRolesService {
    */
   async create(data) {
     try {
+      // Both the user and the role must be visible to the caller
+      await usersService.assertInTenantScope(data.user_id);
+      await rolesService.getById(data.role_id);
+
       // Check if assignment already exists
       const exists = await this.exists(data.user_id, data.role_id);
       if (exists) {
@@ -46,6 +74,8 @@ class UserRolesService {
    */
   async delete(userId, roleId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .delete()
@@ -77,6 +107,9 @@ class UserRolesService {
    */
   async deleteById(id) {
     try {
+      // Make sure the assignment belongs to the caller's tenant
+      await this.getById(id);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .delete()
@@ -107,6 +140,8 @@ class UserRolesService {
    */
   async getRolesByUserId(userId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .select(`
@@ -135,19 +170,21 @@ class UserRolesService {
    */
   async getUsersByRoleId(roleId) {
     try {
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .select(`
           *,
-          users (*)
+          users!inner (*)
         `)
         .eq('role_id', roleId);
 
+      const { data, error } = await this.applyTenantScope(query);
+
       if (error) {
         throw ApiError.internal(`Failed to fetch users for role ${roleId}: ${error.message}`);
       }
 
-      return data || [];
+      return (data || []).map(sanitizeAssignment);
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -191,15 +228,16 @@ class UserRolesService {
    */
   async getById(id) {
     try {
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .select(`
           *,
           roles (*),
-          users (*)
+          users!inner (*)
         `)
-        .eq('id', id)
-        .single();
+        .eq('id', id);
+
+      const { data, error } = await this.applyTenantScope(query).single();
 
       if (error) {
         if (error.code === 'PGRST116') {
@@ -208,7 +246,7 @@ class UserRolesService {
         throw ApiError.internal(`Failed to fetch user role assignment: ${error.message}`);
       }
 
-      return data;
+      return sanitizeAssignment(data);
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -226,21 +264,23 @@ class UserRolesService {
     try {
       const { limit = 100, offset = 0 } = options;
 
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .select(`
           *,
           roles (*),
-          users (*)
+          users!inner (*)
         `)
         .order('created_at', { ascending: false })
         .range(offset, offset + limit - 1);
 
+      const { data, error } = await this.applyTenantScope(query);
+
       if (error) {
         throw ApiError.internal(`Failed to fetch user role assignments: ${error.message}`);
       }
 
-      return data || [];
+      return (data || []).map(sanitizeAssignment);
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -256,6 +296,8 @@ class UserRolesService {
    */
   async removeAllRolesFromUser(userId) {
     try {
+      await usersService.assertInTenantScope(userId);
+
       const { data, error } = await dbClient
         .from(this.tableName)
         .delete()
@@ -286,11 +328,18 @@ class UserRolesService {
    */
   async removeAllUsersFromRole(roleId) {
     try {
-      const { data, error } = await dbClient
+      let query = dbClient
         .from(this.tableName)
         .delete()
-        .eq('role_id', roleId)
-        .select();
+        .eq('role_id', roleId);
+
+      // Shared roles can be assigned in several tenants, only remove the caller's users
+      if (getTenantScope()) {
+        const assignments = await this.getUsersByRoleId(roleId);
+        query = query.in('id', assignments.map(assignment => assignment.id));
+      }
+
+      const { data, error } = await query.select();
 
       if (error) {
         throw ApiError.internal(`Failed to remove all users from role: ${error.message}`);
@@ -2,10 +2,24 @@ import BaseService from './base.js';
 import { dbClient } from '../config/supabase.js';
 import ApiError from '../errors/errors.js';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { hashToken } from '../utils/tokens.js';
+import { getTenantScope } from '../utils/requestContext.js';
+
+const MFA_RECOVERY_CODE_COUNT = 10;
+// Failed logins in a row before the account is locked, and for how long
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS || '5');
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES || '15');
+// How long an email verification link is valid
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+// Minimum time between two verification emails, and how many may be sent per 24 hours
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS || '60');
+const VERIFICATION_RESEND_DAILY_LIMIT = parseInt(process.env.VERIFICATION_RESEND_DAILY_LIMIT || '5');
+const VERIFICATION_RESEND_WINDOW_MS = 24 * 60 * 60 * 1000;
 
 class UsersService extends BaseService {
   constructor() {
-    super('users');
+    super('users', { tenantColumn: 'tenant_id' });
   }
 
   // All CRUD operations are now inherited from BaseService:
@@ -16,6 +30,20 @@ class UsersService extends BaseService {
   // - restore(id)
   // - getDeleted(options)
   // - permanentDelete(id)
+
+  /**
+   * Remove the password hash, MFA secrets and one-time tokens from a user record
+   * @param {Object} user - The user record
+   * @returns {Object} The user without secret columns
+   */
+  sanitize(user) {
+    if (!user) {
+      return user;
+    }
+
+    const { password_hash, mfa_secret, mfa_recovery_codes, email_verification_token, password_reset_token, ...rest } = user;
+    return rest;
+  }
   
   // Override create method to hash password
   /**
@@ -82,7 +110,7 @@ class UsersService extends BaseService {
       };
 
       // Call parent create method
-      return await super.create(userDataWithHash);
+      return this.sanitize(await super.create(userDataWithHash));
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -155,7 +183,7 @@ class UsersService extends BaseService {
       };
 
       // Call parent update method
-      return await super.update(id, finalUpdateData);
+      return this.sanitize(await super.update(id, finalUpdateData));
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -189,13 +217,13 @@ class UsersService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch users: ${error.message}`);
       }
 
-      return data || [];
+      return (data || []).map(user => this.sanitize(user));
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -207,11 +235,12 @@ class UsersService extends BaseService {
   /**
    * Get user by ID with their roles
    * @param {string|number} id - The user ID
+   * @param {Object} options - includeSecrets keeps the password hash and MFA secrets, for verifying credentials
    * @returns {Promise<Object>} The user with their roles
    */
-  async getById(id) {
+  async getById(id, { includeSecrets = false } = {}) {
     try {
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .select(`
           *,
@@ -223,8 +252,9 @@ class UsersService extends BaseService {
             )
           )
         `)
-        .eq('id', id)
-        .single();
+        .eq('id', id);
+
+      const { data, error } = await this.applyTenantScope(query).single();
 
       if (error) {
         if (error.code === 'PGRST116') {
@@ -233,7 +263,7 @@ class UsersService extends BaseService {
         throw ApiError.internal(`Failed to fetch user: ${error.message}`);
       }
 
-      return data;
+      return includeSecrets ? data : this.sanitize(data);
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -289,6 +319,40 @@ class UsersService extends BaseService {
     }
   }
 
+  /**
+   * Find a user of a tenant by email address only, for callers that must not match usernames
+   * @param {string} email - The email address
+   * @param {string} tenantId - The tenant ID
+   * @returns {Promise<Object|null>} The user if found, null otherwise
+   */
+  async findByEmailAndTenant(email, tenantId) {
+    try {
+      if (!email || !tenantId) {
+        return null;
+      }
+
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .is('deleted_at', null)
+        // Escape the LIKE wildcards, so a_b@example.com cannot match axb@example.com
+        .ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+        .limit(1);
+
+      if (error) {
+        throw ApiError.internal(`Failed to find user: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error finding user: ${error.message}`);
+    }
+  }
+
   /**
    * Verify a password against a hash
    * @param {string} password - Plain text password
@@ -304,13 +368,17 @@ class UsersService extends BaseService {
   }
 
   /**
-   * Update last login timestamp for a user
+   * Update last login timestamp for a user and clear failed login tracking
    * @param {string|number} id - The user ID
    * @returns {Promise<Object>} The updated user
    */
   async updateLastLogin(id) {
     try {
-      return await this.update(id, { last_login_at: new Date().toISOString() });
+      return await this.update(id, {
+        last_login_at: new Date().toISOString(),
+        failed_login_attempts: 0,
+        locked_until: null
+      });
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -319,6 +387,116 @@ class UsersService extends BaseService {
     }
   }
 
+  /**
+   * Check whether a user is currently locked out
+   * @param {Object} user - The user record
+   * @returns {boolean} True if the account is locked
+   */
+  isLocked(user) {
+    return !!user.locked_until && new Date(user.locked_until) > new Date();
+  }
+
+  /**
+   * Register a failed login for a user and lock the account once the
+   * maximum number of consecutive failures is reached
+   * @param {Object} user - The user record
+   * @returns {Promise<Object>} The updated user
+   */
+  async recordFailedLogin(user) {
+    try {
+      const attempts = (user.failed_login_attempts || 0) + 1;
+      const now = new Date();
+      const shouldLock = attempts >= MAX_FAILED_LOGIN_ATTEMPTS;
+
+      return await this.update(user.id, {
+        // Start counting again once the lock has been applied
+        failed_login_attempts: shouldLock ? 0 : attempts,
+        last_failed_login_at: now.toISOString(),
+        ...(shouldLock && { locked_until: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString() })
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error recording failed login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Soft delete a user
+   * @param {string|number} id - The user ID
+   * @returns {Promise<Object>} The deleted user
+   */
+  async softDelete(id) {
+    return this.sanitize(await super.softDelete(id));
+  }
+
+  /**
+   * Restore a soft deleted user
+   * @param {string|number} id - The user ID
+   * @returns {Promise<Object>} The restored user
+   */
+  async restore(id) {
+    return this.sanitize(await super.restore(id));
+  }
+
+  /**
+   * Get soft deleted users
+   * @param {Object} options - Query options (limit, offset, orderBy)
+   * @returns {Promise<Array>} Array of deleted users
+   */
+  async getDeleted(options = {}) {
+    const users = await super.getDeleted(options);
+    return users.map(user => this.sanitize(user));
+  }
+
+  /**
+   * Unlock a user account and clear failed login tracking
+   * @param {string} id - The user ID
+   * @returns {Promise<Object>} The updated user, without secret columns
+   */
+  async unlock(id) {
+    return await this.update(id, {
+      failed_login_attempts: 0,
+      locked_until: null
+    });
+  }
+
+  /**
+   * Make sure a user exists within the caller's tenant. Used by services that
+   * store records per user (addresses, contact, user roles) and have no tenant column themselves.
+   * @param {string} id - The user ID
+   * @returns {Promise<void>}
+   */
+  async assertInTenantScope(id) {
+    try {
+      if (!getTenantScope()) {
+        return;
+      }
+
+      const query = dbClient
+        .from(this.tableName)
+        .select('id')
+        .eq('id', id)
+        .limit(1);
+
+      const { data, error } = await this.applyTenantScope(query);
+
+      if (error) {
+        throw ApiError.internal(`Failed to fetch user: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        throw ApiError.notFound(`User with ID ${id} not found`);
+      }
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw ApiError.internal(`Unexpected error fetching user: ${error.message}`);
+    }
+  }
+
   /**
    * Get users by tenant ID
    * @param {string} tenantId - The tenant ID
@@ -356,13 +534,13 @@ class UsersService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch users for tenant ${tenantId}: ${error.message}`);
       }
 
-      return data || [];
+      return (data || []).map(user => this.sanitize(user));
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -399,13 +577,13 @@ class UsersService extends BaseService {
         .order(orderBy, { ascending: false })
         .range(offset, offset + limit - 1);
 
-      const { data, error } = await query;
+      const { data, error } = await this.applyTenantScope(query);
 
       if (error) {
         throw ApiError.internal(`Failed to fetch deleted users for tenant ${tenantId}: ${error.message}`);
       }
 
-      return data || [];
+      return (data || []).map(user => this.sanitize(user));
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
@@ -425,13 +603,15 @@ class UsersService extends BaseService {
         return null;
       }
 
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .select('*')
         .eq('email_verification_token', token)
         .is('deleted_at', null)
         .limit(1);
 
+      const { data, error } = await this.applyTenantScope(query);
+
       if (error) {
         throw ApiError.internal(`Failed to find user by verification token: ${error.message}`);
       }
@@ -452,7 +632,7 @@ class UsersService extends BaseService {
    */
   async verifyEmail(userId) {
     try {
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .update({
           is_verified: true,
@@ -460,7 +640,9 @@ class UsersService extends BaseService {
           email_verification_expires: null,
           updated_at: new Date().toISOString()
         })
-        .eq('id', userId)
+        .eq('id', userId);
+
+      const { data, error } = await this.applyTenantScope(query, { write: true })
         .select()
         .single();
 
@@ -478,34 +660,88 @@ class UsersService extends BaseService {
   }
 
   /**
-   * Get email verification details for a user by email and tenant
+   * Generate a new email verification token
+   * @returns {Object} The token and when it expires
+   */
+  createVerificationToken() {
+    return {
+      token: crypto.randomBytes(32).toString('hex'),
+      expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS).toISOString()
+    };
+  }
+
+  /**
+   * Replace the email verification token of an unverified user so a new verification email
+   * can be sent. Nothing happens while the previous email is within the cooldown or when the
+   * daily limit of verification emails has been reached.
    * @param {string} email - The user's email address
    * @param {string} tenantId - The tenant ID
-   * @returns {Promise<Object>} Object containing verification token and expiration
+   * @returns {Promise<Object|null>} The user, token and expiration, or null when no email should be sent
    */
-  async getVerificationTokenByEmail(email, tenantId) {
+  async issueVerificationToken(email, tenantId) {
     try {
-      const { data, error } = await dbClient
+      const { data: users, error: findError } = await dbClient
         .from(this.tableName)
-        .select('id, email, tenant_id, is_verified, email_verification_token, email_verification_expires')
+        .select('id, is_verified, email_verification_sent_at, email_verification_send_count, email_verification_window_started_at')
         .ilike('email', email)
         .eq('tenant_id', tenantId)
         .is('deleted_at', null)
+        .limit(1);
+
+      if (findError) {
+        throw ApiError.internal(`Failed to find user by email: ${findError.message}`);
+      }
+
+      const user = users && users.length > 0 ? users[0] : null;
+
+      if (!user || user.is_verified) {
+        return null;
+      }
+
+      const now = Date.now();
+      const lastSentAt = user.email_verification_sent_at ? new Date(user.email_verification_sent_at).getTime() : 0;
+
+      if (now - lastSentAt < VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000) {
+        return null;
+      }
+
+      const windowStartedAt = user.email_verification_window_started_at
+        ? new Date(user.email_verification_window_started_at).getTime()
+        : 0;
+      const windowActive = now - windowStartedAt < VERIFICATION_RESEND_WINDOW_MS;
+      const sendCount = windowActive ? (user.email_verification_send_count || 0) : 0;
+
+      if (sendCount >= VERIFICATION_RESEND_DAILY_LIMIT) {
+        return null;
+      }
+
+      const { token, expiresAt } = this.createVerificationToken();
+      const nowIso = new Date(now).toISOString();
+
+      const { data, error } = await dbClient
+        .from(this.tableName)
+        .update({
+          email_verification_token: token,
+          email_verification_expires: expiresAt,
+          email_verification_sent_at: nowIso,
+          email_verification_send_count: sendCount + 1,
+          email_verification_window_started_at: windowActive ? user.email_verification_window_started_at : nowIso,
+          updated_at: nowIso
+        })
+        .eq('id', user.id)
+        .select('id, email, username, first_name, last_name, tenant_id, application_id, locale')
         .single();
 
       if (error) {
-        if (error.code === 'PGRST116') {
-          throw ApiError.notFound(`User with email ${email} not found`);
-        }
-        throw ApiError.internal(`Failed to get verification token: ${error.message}`);
+        throw ApiError.internal(`Failed to set verification token: ${error.message}`);
       }
 
-      return data;
+      return { user: data, token, expiresAt };
     } catch (error) {
       if (error instanceof ApiError) {
         throw error;
       }
-      throw ApiError.internal(`Unexpected error getting verification token: ${error.message}`);
+      throw ApiError.internal(`Unexpected error setting verification token: ${error.message}`);
     }
   }
 
@@ -515,7 +751,7 @@ class UsersService extends BaseService {
    * @param {string} tenantId - The tenant ID
    * @param {string} token - The password reset token
    * @param {string} expires - The token expiration timestamp
-   * @returns {Promise<Object>} The updated user data
+   * @returns {Promise<Object|null>} The updated user data, or null if no user has this email
    */
   async setPasswordResetToken(email, tenantId, token, expires) {
     try {
@@ -529,12 +765,12 @@ class UsersService extends BaseService {
         .ilike('email', email)
         .eq('tenant_id', tenantId)
         .is('deleted_at', null)
-        .select('id, email, password_reset_token, password_reset_expires')
+        .select('id, email, username, first_name, last_name, tenant_id, application_id, locale, password_reset_expires')
         .single();
 
       if (error) {
         if (error.code === 'PGRST116') {
-          throw ApiError.notFound(`User with email ${email} not found`);
+          return null;
         }
         throw ApiError.internal(`Failed to set password reset token: ${error.message}`);
       }
@@ -559,13 +795,15 @@ class UsersService extends BaseService {
         return null;
       }
 
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .select('*')
         .eq('password_reset_token', token)
         .is('deleted_at', null)
         .limit(1);
 
+      const { data, error } = await this.applyTenantScope(query);
+
       if (error) {
         throw ApiError.internal(`Failed to find user by password reset token: ${error.message}`);
       }
@@ -591,7 +829,7 @@ class UsersService extends BaseService {
       const saltRounds = 10;
       const password_hash = await bcrypt.hash(newPassword, saltRounds);
 
-      const { data, error } = await dbClient
+      const query = dbClient
         .from(this.tableName)
         .update({
           password_hash,
@@ -599,7 +837,9 @@ class UsersService extends BaseService {
           password_reset_expires: null,
           updated_at: new Date().toISOString()
         })
-        .eq('id', userId)
+        .eq('id', userId);
+
+      const { data, error } = await this.applyTenantScope(query, { write: true })
         .select()
         .single();
 
@@ -615,6 +855,110 @@ class UsersService extends BaseService {
       throw ApiError.internal(`Unexpected error resetting password: ${error.message}`);
     }
   }
+
+  /**
+   * Store a new TOTP secret for a user. MFA stays disabled until the secret is
+   * confirmed with a valid code.
+   * @param {string} userId - The user ID
+   * @param {string} secret - Base32 encoded TOTP secret
+   * @returns {Promise<Object>} The updated user
+   */
+  async setPendingMfaSecret(userId, secret) {
+    return await this.update(userId, {
+      mfa_secret: secret,
+      mfa_enabled: false,
+      mfa_last_used_step: null
+    });
+  }
+
+  /**
+   * Enable MFA for a user after the pending secret was confirmed
+   * @param {string} userId - The user ID
+   * @param {number} step - The TOTP time step used for confirmation
+   * @returns {Promise<Array>} The plain recovery codes (shown once)
+   */
+  async enableMfa(userId, step) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    await this.update(userId, {
+      mfa_enabled: true,
+      mfa_enabled_at: new Date().toISOString(),
+      mfa_last_used_step: step,
+      mfa_recovery_codes: hashes
+    });
+
+    return codes;
+  }
+
+  /**
+   * Disable MFA for a user and remove the secret and recovery codes
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The updated user
+   */
+  async disableMfa(userId) {
+    return await this.update(userId, {
+      mfa_enabled: false,
+      mfa_enabled_at: null,
+      mfa_secret: null,
+      mfa_last_used_step: null,
+      mfa_recovery_codes: null
+    });
+  }
+
+  /**
+   * Remember the last accepted TOTP time step so a code cannot be replayed
+   * @param {string} userId - The user ID
+   * @param {number} step - The accepted time step
+   * @returns {Promise<Object>} The updated user
+   */
+  async recordMfaStep(userId, step) {
+    return await this.update(userId, { mfa_last_used_step: step });
+  }
+
+  /**
+   * Replace a user's recovery codes with a fresh set
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} The plain recovery codes (shown once)
+   */
+  async regenerateMfaRecoveryCodes(userId) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await this.update(userId, { mfa_recovery_codes: hashes });
+    return codes;
+  }
+
+  /**
+   * Consume a recovery code. Each code can only be used once.
+   * @param {Object} user - The user record (with mfa_recovery_codes)
+   * @param {string} code - The recovery code entered by the user
+   * @returns {Promise<boolean>} True if the code was valid and has been consumed
+   */
+  async consumeMfaRecoveryCode(user, code) {
+    const remaining = user.mfa_recovery_codes || [];
+    const codeHash = hashToken(String(code).trim().toLowerCase());
+
+    if (!remaining.includes(codeHash)) {
+      return false;
+    }
+
+    await this.update(user.id, {
+      mfa_recovery_codes: remaining.filter(hash => hash !== codeHash)
+    });
+
+    return true;
+  }
+
+  /**
+   * Generate a set of recovery codes
+   * @returns {Object} Object containing the plain codes and their hashes
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: MFA_RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => hashToken(code)) };
+  }
 }
 
 export default new UsersService();
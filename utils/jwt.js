@@ -1,19 +1,71 @@
 import jwt from 'jsonwebtoken';
 import * as dotenv from 'dotenv';
+import signingKeysService from '../services/signingKeys.js';
+import oidcConfig from '../config/oidc.js';
 
 dotenv.config();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h'; // Default 24 hours
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'; // Short-lived, renewed through refresh tokens
+const MFA_CHALLENGE_EXPIRES_IN = '5m';
+const MFA_CHALLENGE_TYPE = 'mfa_challenge';
+// Header types tell apart the tokens signed with the same keys, so an ID token or an
+// MFA challenge cannot be used as access token (RFC 9068, RFC 8725 section 3.11)
+const ACCESS_TOKEN_TYPE = 'at+jwt';
+const MFA_CHALLENGE_TOKEN_TYPE = 'mfa+jwt';
 
 /**
- * Generate a JWT token for a user
+ * Sign a payload with the current signing key. The key ID is put in the header
+ * so verifiers can pick the matching public key from /.well-known/jwks.json.
+ * @param {Object} payload - The claims
+ * @param {Object} options - jsonwebtoken sign options (expiresIn, subject, audience, header)
+ * @returns {Promise<string>} The signed token
+ */
+export const signJwt = async (payload, options = {}) => {
+  const key = await signingKeysService.getSigningKey();
+
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid,
+    issuer: oidcConfig.issuer,
+  });
+};
+
+/**
+ * Verify a token signed with one of the signing keys
+ * @param {string} token - The token to verify
+ * @param {Object} options - jsonwebtoken verify options (audience, complete)
+ * @returns {Promise<Object>} Decoded token payload
+ */
+export const verifyJwt = async (token, options = {}) => {
+  const kid = jwt.decode(token, { complete: true })?.header?.kid;
+  const key = kid ? await signingKeysService.getVerificationKey(kid) : null;
+
+  if (!key) {
+    throw new Error('Invalid or expired token');
+  }
+
+  try {
+    return jwt.verify(token, key.publicKey, {
+      ...options,
+      algorithms: [key.algorithm],
+      issuer: oidcConfig.issuer,
+    });
+  } catch (error) {
+    throw new Error('Invalid or expired token');
+  }
+};
+
+/**
+ * Generate a short-lived JWT access token for a user
  * @param {Object} user - User object containing id, email, tenant_id, etc.
- * @returns {string} JWT token
+ * @param {string} sessionId - ID of the session the token belongs to
+ * @returns {Promise<string>} JWT token
  */
-export const generateToken = (user) => {
+export const generateToken = async (user, sessionId) => {
   const payload = {
     id: user.id,
+    sid: sessionId,
     email: user.email,
     username: user.username,
     tenant_id: user.tenant_id,
@@ -21,26 +73,83 @@ export const generateToken = (user) => {
     // Add other user properties you want in the token
   };
 
-  return jwt.sign(payload, JWT_SECRET, {
+  return await signJwt(payload, {
     expiresIn: JWT_EXPIRES_IN,
+    subject: user.id,
+    header: { typ: ACCESS_TOKEN_TYPE },
   });
 };
 
 /**
- * Verify a JWT token
+ * Verify a JWT token. Tokens signed with JWT_SECRET before signing keys were introduced
+ * are not accepted: they belong to no session, so they could not be used anyway.
  * @param {string} token - JWT token to verify
- * @returns {Object} Decoded token payload
+ * @returns {Promise<Object>} Decoded token payload
  */
-export const verifyToken = (token) => {
+export const verifyToken = async (token) => {
+  const header = jwt.decode(token, { complete: true })?.header;
+
+  if (header?.typ !== ACCESS_TOKEN_TYPE) {
+    throw new Error('Invalid or expired token');
+  }
+
+  const decoded = await verifyJwt(token);
+
+  // MFA challenge tokens must never be accepted as access tokens
+  if (decoded.type === MFA_CHALLENGE_TYPE) {
+    throw new Error('Invalid or expired token');
+  }
+
+  return decoded;
+};
+
+/**
+ * Generate a short-lived MFA challenge token, issued after the password has
+ * been verified and exchanged for a session once the second factor is checked
+ * @param {Object} user - User object containing id and tenant_id
+ * @param {Object} options - enrollmentRequired: the user must enroll before completing the login
+ * @returns {Promise<string>} JWT challenge token
+ */
+export const generateMfaChallengeToken = async (user, options = {}) => {
+  const payload = {
+    id: user.id,
+    tenant_id: user.tenant_id,
+    type: MFA_CHALLENGE_TYPE,
+    enrollment_required: !!options.enrollmentRequired,
+  };
+
+  return await signJwt(payload, {
+    expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+    subject: user.id,
+    header: { typ: MFA_CHALLENGE_TOKEN_TYPE },
+  });
+};
+
+/**
+ * Verify an MFA challenge token
+ * @param {string} token - JWT challenge token to verify
+ * @returns {Promise<Object>} Decoded token payload
+ */
+export const verifyMfaChallengeToken = async (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = await verifyJwt(token, { complete: true });
   } catch (error) {
-    throw new Error('Invalid or expired token');
+    throw new Error('Invalid or expired MFA challenge');
+  }
+
+  if (decoded.header.typ !== MFA_CHALLENGE_TOKEN_TYPE || decoded.payload.type !== MFA_CHALLENGE_TYPE) {
+    throw new Error('Invalid or expired MFA challenge');
   }
+
+  return decoded.payload;
 };
 
 export default {
+  signJwt,
+  verifyJwt,
   generateToken,
   verifyToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
 };
-
@@ -0,0 +1,59 @@
+// Locale used when nothing more specific is available
+export const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+// Language, optionally followed by script and/or region, e.g. en, nl-BE, zh-Hant-TW
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/i;
+
+/**
+ * Check whether a value is a supported locale tag
+ * @param {string} locale - The locale, e.g. nl-BE
+ * @returns {boolean} True if the locale is valid
+ */
+export const isValidLocale = (locale) => typeof locale === 'string' && LOCALE_PATTERN.test(locale);
+
+/**
+ * Normalize the casing of a locale tag (nl-be -> nl-BE, zh-hant-tw -> zh-Hant-TW)
+ * @param {string} locale - The locale
+ * @returns {string} The normalized locale
+ */
+export const normalizeLocale = (locale) => {
+  return locale
+    .split('-')
+    .map((part, index) => {
+      if (index === 0) return part.toLowerCase();
+      if (part.length === 4) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+      return part.toUpperCase();
+    })
+    .join('-');
+};
+
+/**
+ * Build the chain of locales to try, from most to least specific, ending with the default locale
+ * (zh-Hant-TW -> zh-Hant-TW, zh-Hant, zh, en)
+ * @param {string} locale - The requested locale (may be empty)
+ * @param {string} defaultLocale - The last resort
+ * @returns {Array<string>} The locales to try in order
+ */
+export const getLocaleFallbacks = (locale, defaultLocale = DEFAULT_LOCALE) => {
+  const chain = [];
+
+  if (locale && isValidLocale(locale)) {
+    const parts = normalizeLocale(locale).split('-');
+    for (let length = parts.length; length > 0; length--) {
+      chain.push(parts.slice(0, length).join('-'));
+    }
+  }
+
+  if (!chain.includes(defaultLocale)) {
+    chain.push(defaultLocale);
+  }
+
+  return chain;
+};
+
+export default {
+  DEFAULT_LOCALE,
+  isValidLocale,
+  normalizeLocale,
+  getLocaleFallbacks,
+};
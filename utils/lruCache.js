@@ -0,0 +1,81 @@
+/**
+ * Small least-recently-used cache with a time to live per entry.
+ * Relies on Map keeping insertion order: the first key is the least recently used one.
+ */
+export class LruCache {
+  /**
+   * @param {Object} options - maxSize (number of entries) and ttlMs (lifetime of an entry)
+   */
+  constructor({ maxSize = 1000, ttlMs = 60 * 1000 } = {}) {
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param {string} key - The cache key
+   * @returns {*} The cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when the cache is full
+   * @param {string} key - The cache key
+   * @param {*} value - The value to store
+   */
+  set(key, value) {
+    this.entries.delete(key);
+
+    if (this.entries.size >= this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key - The cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry whose value matches a predicate
+   * @param {Function} predicate - Called with each value
+   */
+  deleteWhere(predicate) {
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry.value)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default LruCache;
@@ -0,0 +1,89 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+/**
+ * Writes emails to the console instead of sending them (local development).
+ *
+ * A transport has to implement `send({ from, to, subject, text, html })` and resolve with
+ * `{ messageId }`. Replace it with setMailTransport() to deliver mail another way.
+ */
+export class ConsoleMailTransport {
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    console.log([
+      `--- Email ${messageId} ---`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '---'
+    ].join('\n'));
+    return { messageId };
+  }
+}
+
+/**
+ * Writes every email as a JSON file to a directory (local development and tests)
+ */
+export class FileMailTransport {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${Date.now()}-${messageId}.json`),
+      JSON.stringify({ messageId, ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+    return { messageId };
+  }
+}
+
+/**
+ * Delivers emails through an SMTP server
+ */
+export class SmtpMailTransport {
+  constructor({ host, port, secure, user, password }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Create the transport configured in the mail config
+ * @param {Object} config - Mail configuration (see config/mail.js)
+ * @returns {Object} Transport implementing send(message)
+ */
+export const createMailTransport = (config) => {
+  switch (config.transport) {
+    case 'smtp':
+      return new SmtpMailTransport(config.smtp);
+    case 'file':
+      return new FileMailTransport({ directory: config.fileDirectory });
+    case 'console':
+      return new ConsoleMailTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+  }
+};
+
+export default {
+  ConsoleMailTransport,
+  FileMailTransport,
+  SmtpMailTransport,
+  createMailTransport,
+};
@@ -0,0 +1,145 @@
+import net from 'net';
+
+/**
+ * Strip the IPv6 prefix Node adds to IPv4 clients on dual stack sockets (::ffff:10.0.0.1)
+ * @param {string} ip - IP address as reported by Express
+ * @returns {string} The plain IP address
+ */
+export const normalizeIp = (ip) => {
+  if (!ip) {
+    return ip;
+  }
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+};
+
+/**
+ * Parse an IP address or CIDR range (10.0.0.0/8, 2001:db8::/32, 203.0.113.7)
+ * @param {string} value - The address or range
+ * @returns {Object|null} address, prefix and family ('ipv4' or 'ipv6'), or null when invalid
+ */
+export const parseCidr = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const [address, prefixPart, ...rest] = value.trim().split('/');
+  const version = net.isIP(address);
+
+  if (rest.length > 0 || version === 0) {
+    return null;
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+
+  if (prefixPart === '' || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+};
+
+/**
+ * Check whether a value is a valid IP address or CIDR range
+ * @param {string} value - The value to check
+ * @returns {boolean} True if the value is valid
+ */
+export const isValidCidr = (value) => parseCidr(value) !== null;
+
+/**
+ * Build a block list (used as an allowlist) from IP addresses and CIDR ranges
+ * @param {Array<string>} ranges - IP addresses and CIDR ranges
+ * @returns {net.BlockList} The list of ranges; invalid entries are skipped
+ */
+export const buildIpList = (ranges = []) => {
+  const list = new net.BlockList();
+
+  for (const range of ranges) {
+    const parsed = parseCidr(range);
+    if (parsed) {
+      list.addSubnet(parsed.address, parsed.prefix, parsed.family);
+    }
+  }
+
+  return list;
+};
+
+/**
+ * Check whether an IP address falls within a list built by buildIpList
+ * @param {net.BlockList} list - The list of ranges
+ * @param {string} ip - The IP address to check
+ * @returns {boolean} True if the address is in one of the ranges
+ */
+export const isIpInList = (list, ip) => {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address || '');
+
+  if (version === 0) {
+    return false;
+  }
+
+  return list.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Normalize an origin (scheme, host and optional port) to lower case without trailing slash.
+ * The host may start with a *. wildcard to allow all subdomains.
+ * @param {string} value - The origin, e.g. https://app.example.com or https://*.example.com
+ * @returns {string|null} The normalized origin, or null when the value is not an origin
+ */
+export const normalizeOrigin = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().toLowerCase().match(/^(https?):\/\/((?:\*\.)?[a-z0-9.-]+|\[[0-9a-f:.]+\])(?::(\d{1,5}))?\/?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, scheme, host, port] = match;
+  return port ? `${scheme}://${host}:${port}` : `${scheme}://${host}`;
+};
+
+/**
+ * Check whether an origin matches one of the allowed origins
+ * @param {Array<string>} allowedOrigins - Allowed origins (with optional *. subdomain wildcards)
+ * @param {string} origin - The Origin header of the request
+ * @returns {boolean} True if the origin is allowed
+ */
+export const isOriginAllowed = (allowedOrigins = [], origin) => {
+  const normalized = normalizeOrigin(origin);
+
+  if (!normalized) {
+    return false;
+  }
+
+  return allowedOrigins.some(allowed => {
+    const pattern = normalizeOrigin(allowed);
+
+    if (!pattern) {
+      return false;
+    }
+
+    if (!pattern.includes('://*.')) {
+      return pattern === normalized;
+    }
+
+    // https://*.example.com matches https://app.example.com but not https://example.com
+    const [scheme, rest] = pattern.split('://*.');
+    return normalized.startsWith(`${scheme}://`) && normalized.endsWith(`.${rest}`);
+  });
+};
+
+export default {
+  normalizeIp,
+  parseCidr,
+  isValidCidr,
+  buildIpList,
+  isIpInList,
+  normalizeOrigin,
+  isOriginAllowed,
+};
@@ -0,0 +1,88 @@
+// Buckets that have not been used for this long are removed from memory
+const IDLE_BUCKET_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * In-process token bucket store.
+ *
+ * A store has to implement `take(key, { capacity, refillPerSecond })` and resolve with
+ * `{ allowed, remaining, resetSeconds, retryAfterSeconds }`. Replace it with
+ * setRateLimitStore() (e.g. a Redis backed store) when running more than one instance.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), IDLE_BUCKET_TTL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Take a token from a bucket
+   * @param {string} key - The bucket key
+   * @param {Object} limit - capacity (burst size) and refillPerSecond
+   * @returns {Promise<Object>} allowed, remaining, resetSeconds and retryAfterSeconds
+   */
+  async take(key, { capacity, refillPerSecond }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    // Refill for the time that passed since the last request
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((capacity - bucket.tokens) / refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerSecond)
+    };
+  }
+
+  /**
+   * Remove buckets that have not been used for a while
+   */
+  cleanup() {
+    const threshold = Date.now() - IDLE_BUCKET_TTL_MS;
+
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.updatedAt < threshold) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+let store = null;
+
+/**
+ * Get the rate limit store in use (an in-memory store unless another one was set)
+ * @returns {Object} The rate limit store
+ */
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = new MemoryRateLimitStore();
+  }
+  return store;
+};
+
+/**
+ * Replace the rate limit store
+ * @param {Object} newStore - Store implementing take(key, limit)
+ */
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+export default {
+  MemoryRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+};
@@ -0,0 +1,62 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import ApiError from '../errors/errors.js';
+
+// Holds the caller of the current request (tenant, application, super admin flag)
+// so that services can scope their queries without threading it through every call
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback with the given request context
+ * @param {Object} context - tenantId, applicationId and isSuperAdmin of the caller
+ * @param {Function} callback - The function to run inside the context
+ * @returns {*} The return value of the callback
+ */
+export const runWithContext = (context, callback) => {
+  return storage.run({ ...context }, callback);
+};
+
+/**
+ * Get the context of the current request
+ * @returns {Object|null} The request context, or null outside of a request
+ */
+export const getRequestContext = () => {
+  return storage.getStore() || null;
+};
+
+/**
+ * Get the tenant that queries must be limited to
+ * @returns {string|null} The tenant ID, or null when queries are not tenant scoped
+ * (outside of a request, for super admin API keys, or inside withoutTenantScope)
+ * @throws {ApiError} If the caller is neither a super admin nor bound to a tenant
+ */
+export const getTenantScope = () => {
+  const context = storage.getStore();
+
+  if (!context || context.isSuperAdmin || context.bypassTenantScope) {
+    return null;
+  }
+
+  // Only super admin keys may look across tenants, a key without tenant gets nothing
+  if (!context.tenantId) {
+    throw ApiError.forbidden('API key is not associated with a tenant');
+  }
+
+  return context.tenantId;
+};
+
+/**
+ * Run a callback without tenant scoping, for internal operations that
+ * legitimately need to look across tenants. Use sparingly.
+ * @param {Function} callback - The function to run
+ * @returns {*} The return value of the callback
+ */
+export const withoutTenantScope = (callback) => {
+  return storage.run({ ...(storage.getStore() || {}), bypassTenantScope: true }, callback);
+};
+
+export default {
+  runWithContext,
+  getRequestContext,
+  getTenantScope,
+  withoutTenantScope,
+};
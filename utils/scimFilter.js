@@ -0,0 +1,113 @@
+import ScimError from '../errors/scimErrors.js';
+
+// Comparison operators of RFC 7644 section 3.4.2.2; `pr` (present) takes no value
+const COMPARISON_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+// Quoted strings, brackets and everything else up to the next space or bracket
+const TOKEN_PATTERN = /"(?:[^"\\]|\\.)*"|[()[\]]|[^\s()[\]]+/g;
+
+// Attributes can be written with the URI of their schema in front, e.g.
+// urn:ietf:params:scim:schemas:core:2.0:User:userName
+const SCHEMA_PREFIX_PATTERN = /^urn:ietf:params:scim:schemas:core:2\.0:(User|Group):/i;
+
+/**
+ * Remove the schema URI in front of an attribute path
+ * @param {string} attribute - The attribute path
+ * @returns {string} The attribute path without schema URI
+ */
+const stripSchema = (attribute) => attribute.replace(SCHEMA_PREFIX_PATTERN, '');
+
+/**
+ * Read a comparison value: a JSON string, number, boolean or null
+ * @param {string} token - The token holding the value
+ * @returns {*} The value
+ */
+const parseValue = (token) => {
+  try {
+    return JSON.parse(token);
+  } catch {
+    throw ScimError.invalidFilter(`Invalid value in filter: ${token}`);
+  }
+};
+
+/**
+ * Parse a SCIM filter (RFC 7644 section 3.4.2.2) into the comparisons it is made of.
+ * Comparisons joined with `and` are supported; `or`, `not` and grouping are not.
+ * @param {string} filter - The filter, e.g. userName eq "jane@example.com" and active eq true
+ * @returns {Array} Comparisons as { attribute, operator, value }
+ */
+export const parseFilter = (filter) => {
+  const tokens = String(filter || '').match(TOKEN_PATTERN) || [];
+  const comparisons = [];
+  let position = 0;
+
+  while (position < tokens.length) {
+    const attribute = tokens[position];
+    const operator = tokens[position + 1]?.toLowerCase();
+
+    if (!attribute || /^[()[\]"]/.test(attribute) || !operator) {
+      throw ScimError.invalidFilter(`Invalid filter: ${filter}`);
+    }
+
+    if (operator === 'pr') {
+      comparisons.push({ attribute: stripSchema(attribute), operator });
+      position += 2;
+    } else if (COMPARISON_OPERATORS.includes(operator) && tokens[position + 2] !== undefined) {
+      comparisons.push({ attribute: stripSchema(attribute), operator, value: parseValue(tokens[position + 2]) });
+      position += 3;
+    } else {
+      throw ScimError.invalidFilter(`Unsupported filter operator: ${tokens[position + 1]}`);
+    }
+
+    if (position < tokens.length) {
+      if (tokens[position].toLowerCase() !== 'and') {
+        throw ScimError.invalidFilter(`Only comparisons joined with "and" are supported: ${filter}`);
+      }
+      position += 1;
+
+      if (position === tokens.length) {
+        throw ScimError.invalidFilter(`Invalid filter: ${filter}`);
+      }
+    }
+  }
+
+  if (comparisons.length === 0) {
+    throw ScimError.invalidFilter('Filter is empty');
+  }
+
+  return comparisons;
+};
+
+/**
+ * Parse the path of a PATCH operation (RFC 7644 section 3.5.2), e.g. name.givenName,
+ * members[value eq "2819c223-7f76-453a-919d-413861904646"] or emails[type eq "work"].value
+ * @param {string} path - The path
+ * @returns {Object} attribute, the comparisons of the value filter (if any) and the sub-attribute (if any)
+ */
+export const parsePath = (path) => {
+  const match = /^([^[\].]+)(?:\[(.+)\])?(?:\.([A-Za-z0-9_$-]+))?$/.exec(stripSchema(String(path).trim()));
+
+  if (!match) {
+    throw ScimError.invalidPath(`Invalid path: ${path}`);
+  }
+
+  const [, attribute, valueFilter, subAttribute] = match;
+
+  try {
+    return {
+      attribute,
+      filter: valueFilter ? parseFilter(valueFilter) : null,
+      subAttribute: subAttribute || null
+    };
+  } catch (error) {
+    if (error instanceof ScimError) {
+      throw ScimError.invalidPath(`Invalid path: ${path}`);
+    }
+    throw error;
+  }
+};
+
+export default {
+  parseFilter,
+  parsePath,
+};
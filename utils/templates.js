@@ -0,0 +1,46 @@
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in HTML
+ * @param {string} value - The value to escape
+ * @returns {string} The escaped value
+ */
+export const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+};
+
+/**
+ * Replace {{name}} placeholders in a template. Unknown placeholders become empty strings.
+ * @param {string} template - The template text
+ * @param {Object} variables - Values for the placeholders (nested values via a.b)
+ * @param {Object} options - html (escape the values for HTML)
+ * @returns {string} The rendered text
+ */
+export const renderTemplate = (template, variables = {}, options = {}) => {
+  if (!template) {
+    return template;
+  }
+
+  return template.replace(PLACEHOLDER, (match, name) => {
+    const value = name.split('.').reduce((current, key) => (current == null ? undefined : current[key]), variables);
+
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    return options.html ? escapeHtml(value) : String(value);
+  });
+};
+
+export default {
+  escapeHtml,
+  renderTemplate,
+};
@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random opaque token (hex encoded)
+ * @param {number} bytes - Number of random bytes to use
+ * @returns {string} The generated token
+ */
+export const generateOpaqueToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash an opaque token for storage. Tokens are high-entropy random values,
+ * so a single SHA-256 pass is enough to make a leaked table useless.
+ * @param {string} token - The plain token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+export default {
+  generateOpaqueToken,
+  hashToken,
+};